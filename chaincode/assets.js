@@ -0,0 +1,160 @@
+'use strict';
+
+//Every asset records the version of the schema it was written with, records written before versioning carry none
+//and are treated as version 0. Whenever the shape of an asset changes, bump SCHEMA_VERSION of its class and add a
+//migration from the previous version to MIGRATIONS, migrateAssets of Registrar contract then upgrades existing records
+
+//Base class of assets stored on ledger, also describes assets of types without a class of their own
+class RegnetAsset {
+	/**
+	 * @param timestamp - Time of the transaction creating the asset
+	 */
+	constructor(timestamp) {
+		this.schemaVersion = this.constructor.SCHEMA_VERSION;
+		this.createdAt = timestamp;
+	}
+
+	/**
+	 * Upgrade a record in place to the current schema version, applying migrations of all versions in between
+	 * @param record - Asset object as read from ledger
+	 * @returns
+	 */
+	static upgrade(record) {
+		for(let version = record.schemaVersion || 0; version < this.SCHEMA_VERSION; version++){
+			if(this.MIGRATIONS[version]){
+				this.MIGRATIONS[version](record);
+			}
+		}
+		record.schemaVersion = this.SCHEMA_VERSION;
+		return record;
+	}
+}
+RegnetAsset.SCHEMA_VERSION = 1;
+RegnetAsset.MIGRATIONS = {};
+
+//Request of a user to join the network, personal details are kept in private data collection
+class UserRequest extends RegnetAsset {
+	/**
+	 * @param fields - Object with name, userID, identity and requestStatus
+	 * @param timestamp - Time of the transaction placing the request
+	 */
+	constructor(fields, timestamp) {
+		super(timestamp);
+		this.name = fields.name;
+		this.userID = fields.userID;
+		this.identity = fields.identity;
+		this.requestStatus = fields.requestStatus;
+	}
+}
+UserRequest.SCHEMA_VERSION = 1;
+UserRequest.MIGRATIONS = {
+	0: request => setPending(request)
+};
+
+//Member of the network holding upgrad coins, personal details are kept in private data collection
+class User extends RegnetAsset {
+	/**
+	 * @param fields - Object with name, userID, identity and upgradCoins
+	 * @param timestamp - Time of the transaction creating the user
+	 */
+	constructor(fields, timestamp) {
+		super(timestamp);
+		this.name = fields.name;
+		this.userID = fields.userID;
+		this.identity = fields.identity;
+		this.upgradCoins = fields.upgradCoins;
+		this.updatedAt = timestamp;
+	}
+}
+//Users created before personal details were moved to private data are refused by asset validation until
+//migrateUserRecords re-keys them
+User.SCHEMA_VERSION = 1;
+User.MIGRATIONS = {};
+
+//Requests placed before request lifecycle was introduced do not carry a status and are pending
+const setPending = request => {
+	if(!request.requestStatus){
+		request.requestStatus = 'pending';
+	}
+};
+
+//Records created before joint ownership was introduced name a single owner holding the whole property
+const setOwners = record => {
+	if(!record.owners){
+		record.owners = [{owner: record.owner, share: 100}];
+	}
+};
+
+//Request of owners to register a property, approved by registrars
+class PropertyRequest extends RegnetAsset {
+	/**
+	 * @param fields - Object with propertyID, owner placing the request, owners, consentThreshold, price, metadata,
+	 * status and requestStatus
+	 * @param timestamp - Time of the transaction placing the request
+	 */
+	constructor(fields, timestamp) {
+		super(timestamp);
+		this.propertyID = fields.propertyID;
+		this.owner = fields.owner;
+		this.owners = fields.owners;
+		this.consentThreshold = fields.consentThreshold;
+		this.price = fields.price;
+		this.metadata = fields.metadata;
+		this.status = fields.status;
+		this.requestStatus = fields.requestStatus;
+	}
+}
+PropertyRequest.SCHEMA_VERSION = 1;
+PropertyRequest.MIGRATIONS = {
+	0: request => {
+		setOwners(request);
+		setPending(request);
+	}
+};
+
+//Registered property along with its owners and their shares
+class Property extends RegnetAsset {
+	/**
+	 * @param fields - Object with propertyID, owners, consentThreshold, price and status, optionally metadata verified
+	 * by metadataVerifiedBy, and parents and originRequestID of a property created by a split or merger
+	 * @param timestamp - Time of the transaction creating the property
+	 */
+	constructor(fields, timestamp) {
+		super(timestamp);
+		this.propertyID = fields.propertyID;
+		this.owners = fields.owners;
+		this.consentThreshold = fields.consentThreshold;
+		this.price = fields.price;
+		this.status = fields.status;
+		//Requests placed before metadata was introduced are approved without it
+		if(fields.metadata){
+			this.metadata = fields.metadata;
+			this.metadataVerifiedBy = fields.metadataVerifiedBy;
+			this.metadataVerifiedAt = timestamp;
+		}
+		if(fields.parents){
+			this.parents = fields.parents;
+			this.originRequestID = fields.originRequestID;
+		}
+		this.updatedAt = timestamp;
+	}
+}
+Property.SCHEMA_VERSION = 1;
+Property.MIGRATIONS = {
+	//Properties registered before consent thresholds were introduced need consent of all co-owners
+	0: property => {
+		setOwners(property);
+		delete property.owner;
+		if(!property.consentThreshold){
+			property.consentThreshold = 100;
+		}
+	}
+};
+
+module.exports = {
+	RegnetAsset: RegnetAsset,
+	UserRequest: UserRequest,
+	User: User,
+	PropertyRequest: PropertyRequest,
+	Property: Property
+};
@@ -0,0 +1,380 @@
+'use strict';
+
+const {Contract} = require('fabric-contract-api');
+const RegnetHelper = require('./utils.js');
+const RegnetError = require('./errors.js');
+const RegnetValidator = require('./validation.js');
+
+class RegnetBankContract extends Contract {
+
+	constructor() {
+		// Provide a custom name to refer to this smart contract
+		super('org.property-registration-network.regnet.bankcontract');
+	}
+
+	/**
+	 * Load the user ID key before every transaction so that user keys can be built from names and Aadhar numbers
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	async beforeTransaction(ctx) {
+		await RegnetHelper.loadUserIDKey(ctx);
+	}
+
+	/**
+	 * Helper function to check if request is initiated by an authorised Bank identity
+	 * Bank identities are enrolled with attribute regnet.role=bank
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	static isRequestedByBank(ctx) {
+		return RegnetHelper.hasRole(ctx, "bank");
+	}
+
+	/**
+	 * Helper function to check if request is initiated by an identity allowed to place and release liens
+	 * Lender identities are enrolled with attribute regnet.role=lender, registrars may record liens as well
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	static isRequestedByLienAuthority(ctx) {
+		return RegnetHelper.hasRole(ctx, "lender") || ctx.clientIdentity.getMSPID() === "registrarMSP";
+	}
+
+	/**
+	 * Helper function to fetch a withdrawal which is still awaiting payout
+	 * @param ctx - The transaction context object
+	 * @param withdrawalKey - Composite key of the withdrawal
+	 * @returns
+	 */
+	static async getRequestedWithdrawal(ctx, withdrawalKey) {
+		//Check if given withdrawal exists
+		if(!await RegnetHelper.isAssetExisting(ctx,withdrawalKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No Withdrawal exists with given withdrawal ID.");
+		}
+
+		let withdrawal = await RegnetHelper.getAsset(ctx,withdrawalKey);
+
+		//Check if withdrawal is still awaiting payout
+		if(withdrawal.status !== RegnetHelper.WithdrawalStatus.REQUESTED){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Withdrawal is already " + withdrawal.status + "!!!");
+		}
+		return withdrawal;
+	}
+
+	/* ****** All custom functions are defined below ***** */
+
+	/**
+	 * Record a deposit received by bank as a receipt which the user can redeem for upgrad coins
+	 * @param ctx - The transaction context object
+	 * @param bankTransactionId - Unique ID of the deposit receipt
+	 * @param name - Name of the user who made the deposit
+	 * @param aadharNumber - Aadhar card number of the user who made the deposit, empty to pass it as transient data
+	 * @param amount - Number of upgrad coins the deposit is worth
+	 * @returns
+	 */
+	async recordDeposit(ctx, bankTransactionId, name, aadharNumber, amount) {
+		//Allow only bank to record deposits
+		if(!RegnetBankContract.isRequestedByBank(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only authorised Bank identities can record deposits");
+		}
+
+		let depositAmount = RegnetValidator.checkInputs({bankTransactionId: bankTransactionId, name: name, aadharNumber: aadharNumber, amount: amount}).amount;
+
+		//Create composite key to fetch beneficiary user data from network
+		const userKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+
+		//Check if given user exists
+		if(!await RegnetHelper.isAssetExisting(ctx,userKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No User exists with given name and Aadhar number.");
+		}
+
+		//Create composite key for the new receipt
+		const receiptKey = RegnetHelper.getReceiptKey(ctx,bankTransactionId);
+
+		//Receipt IDs must be unique so that every deposit is credited only once
+		if(await RegnetHelper.isAssetExisting(ctx,receiptKey)){
+			throw new RegnetError(RegnetError.Codes.CONFLICT,"Receipt already exists with given Bank Transaction ID.");
+		}
+
+		//Create a new Receipt asset to be stored in blockchain
+		let newReceiptObject = {
+			receiptID: bankTransactionId,
+			beneficiary: userKey,
+			amount: depositAmount,
+			status: RegnetHelper.ReceiptStatus.ISSUED,
+			issuedBy: RegnetHelper.getActor(ctx),
+			createdAt: RegnetHelper.getTxDate(ctx)
+		};
+
+		//Store Receipt asset on blockchain
+		await RegnetHelper.putAssetData(ctx,receiptKey,newReceiptObject);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.DEPOSIT_RECORDED,{
+			keys: {receipt: receiptKey, user: userKey},
+			after: {receiptStatus: newReceiptObject.status},
+			amounts: {amount: depositAmount},
+			assets: {receipt: newReceiptObject}
+		});
+
+		//Return value of new receipt created
+		return newReceiptObject;
+	}
+
+	/**
+	 * View current state of deposit receipt
+	 * @param ctx - The transaction context object
+	 * @param bankTransactionId - ID of the deposit receipt
+	 * @returns
+	 */
+	async viewReceipt(ctx, bankTransactionId) {
+		RegnetValidator.checkInputs({bankTransactionId: bankTransactionId});
+
+		//Create composite key to fetch receipt from network
+		const receiptKey = RegnetHelper.getReceiptKey(ctx,bankTransactionId);
+
+		//Check if given receipt exists
+		if(!await RegnetHelper.isAssetExisting(ctx,receiptKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No Receipt exists with given Bank Transaction ID.");
+		}
+
+		//Return value of receipt from blockchain
+		return await RegnetHelper.getAsset(ctx,receiptKey);
+	}
+
+	/**
+	 * Mark a withdrawal as paid out by bank
+	 * @param ctx - The transaction context object
+	 * @param withdrawalID - ID of the withdrawal
+	 * @param bankReference - Reference of the payout made by bank
+	 * @returns
+	 */
+	async completeWithdrawal(ctx, withdrawalID, bankReference) {
+		//Allow only bank to pay out withdrawals
+		if(!RegnetBankContract.isRequestedByBank(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only authorised Bank identities can complete withdrawals");
+		}
+
+		//Bank reference is mandatory so that payout can be reconciled
+		RegnetValidator.checkInputs({withdrawalID: withdrawalID, bankReference: bankReference});
+
+		const withdrawalKey = RegnetHelper.getWithdrawalKey(ctx,withdrawalID);
+		let withdrawal = await RegnetBankContract.getRequestedWithdrawal(ctx,withdrawalKey);
+
+		//Coins were already deducted when withdrawal was requested, hence only mark it as completed
+		withdrawal.status = RegnetHelper.WithdrawalStatus.COMPLETED;
+		withdrawal.bankReference = bankReference;
+		withdrawal.processedBy = RegnetHelper.getActor(ctx);
+		withdrawal.processedAt = RegnetHelper.getTxDate(ctx);
+
+		await RegnetHelper.putAssetData(ctx,withdrawalKey,withdrawal);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.WITHDRAWAL_COMPLETED,{
+			keys: {withdrawal: withdrawalKey, user: withdrawal.user},
+			before: {withdrawalStatus: RegnetHelper.WithdrawalStatus.REQUESTED},
+			after: {withdrawalStatus: withdrawal.status},
+			amounts: {amount: withdrawal.amount},
+			assets: {withdrawal: withdrawal}
+		});
+
+		return withdrawal;
+	}
+
+	/**
+	 * Reject a withdrawal and refund the coins to user account
+	 * @param ctx - The transaction context object
+	 * @param withdrawalID - ID of the withdrawal
+	 * @param reason - Reason for rejecting the withdrawal
+	 * @returns
+	 */
+	async rejectWithdrawal(ctx, withdrawalID, reason) {
+		//Allow only bank to reject withdrawals
+		if(!RegnetBankContract.isRequestedByBank(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only authorised Bank identities can reject withdrawals");
+		}
+
+		//Reason is mandatory so that user knows why payout was not made
+		RegnetValidator.checkInputs({withdrawalID: withdrawalID, reason: reason});
+
+		const withdrawalKey = RegnetHelper.getWithdrawalKey(ctx,withdrawalID);
+		let withdrawal = await RegnetBankContract.getRequestedWithdrawal(ctx,withdrawalKey);
+
+		//Get User buffer and convert to JSON object
+		let user = await RegnetHelper.getAsset(ctx,withdrawal.user);
+
+		//Refund coins deducted when withdrawal was requested
+		let balanceBefore = user.upgradCoins;
+		await RegnetHelper.adjustBalance(ctx,withdrawal.user,user,withdrawal.amount,RegnetHelper.EntryTypes.WITHDRAWAL_REFUND,{withdrawalID: withdrawalID});
+
+		withdrawal.status = RegnetHelper.WithdrawalStatus.REJECTED;
+		withdrawal.reason = reason;
+		withdrawal.processedBy = RegnetHelper.getActor(ctx);
+		withdrawal.processedAt = RegnetHelper.getTxDate(ctx);
+
+		await RegnetHelper.putAssetData(ctx,withdrawalKey,withdrawal);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.WITHDRAWAL_REJECTED,{
+			keys: {withdrawal: withdrawalKey, user: withdrawal.user},
+			before: {withdrawalStatus: RegnetHelper.WithdrawalStatus.REQUESTED},
+			after: {withdrawalStatus: withdrawal.status},
+			amounts: {amount: withdrawal.amount, balanceBefore: balanceBefore, balanceAfter: user.upgradCoins},
+			assets: {withdrawal: withdrawal, user: user},
+			reason: reason
+		});
+
+		return withdrawal;
+	}
+
+	/**
+	 * List withdrawals which are awaiting payout by bank
+	 * @param ctx - The transaction context object
+	 * @param pageSize - Number of withdrawals to be returned in a page
+	 * @param bookmark - Bookmark returned with previous page, empty for first page
+	 * @returns
+	 */
+	async listPendingWithdrawals(ctx, pageSize, bookmark) {
+		//Allow only bank to view payout work queue
+		if(!RegnetBankContract.isRequestedByBank(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only authorised Bank identities can list pending withdrawals");
+		}
+
+		return await RegnetHelper.getAssetsPage(ctx,RegnetHelper.ObjectTypes.WITHDRAWAL,pageSize,bookmark,
+			withdrawal => withdrawal.status === RegnetHelper.WithdrawalStatus.REQUESTED);
+	}
+
+	/**
+	 * Place a lien such as a mortgage against a property, it is paid off to the holder when the property is sold
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param holderName - Name of the user holding the lien
+	 * @param holderAadharNumber - Aadhar card number of the user holding the lien, empty to pass it as transient data
+	 * @param amount - Number of upgrad coins secured by the lien
+	 * @param validityInDays - Number of days after which lien lapses, lien never lapses if not given
+	 * @returns
+	 */
+	async placeLien(ctx, propertyID, holderName, holderAadharNumber, amount, validityInDays) {
+		//Allow only lenders and registrars to place liens
+		if(!RegnetBankContract.isRequestedByLienAuthority(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only authorised Lender identities and registrars can place liens");
+		}
+
+		let input = RegnetValidator.checkInputs({propertyID: propertyID, holderName: holderName, holderAadharNumber: holderAadharNumber,
+			amount: amount, validityInDays: validityInDays});
+
+		//Check if given property exists
+		const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+		if(!await RegnetHelper.isAssetExisting(ctx,propertyKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No Property exists with given property ID.");
+		}
+
+		//Retired properties live on only as the properties they were split or merged into
+		RegnetHelper.checkNotRetired(await RegnetHelper.getAsset(ctx,propertyKey));
+
+		//Lien holder must be a user so that lien can be paid off to its account
+		const holderKey = RegnetHelper.getUserKey(ctx,holderName,holderAadharNumber,"holderAadharNumber");
+		if(!await RegnetHelper.isAssetExisting(ctx,holderKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No User exists with given holder name and Aadhar number.");
+		}
+
+		const lienID = ctx.stub.getTxID();
+		const lienKey = RegnetHelper.getLienKey(ctx,propertyID,lienID);
+		let createdAt = RegnetHelper.getTxDate(ctx);
+		let newLienObject = {
+			lienID: lienID,
+			propertyID: propertyID,
+			holder: holderKey,
+			amount: input.amount,
+			status: RegnetHelper.LienStatus.ACTIVE,
+			expiresAt: input.validityInDays ? new Date(createdAt.getTime() + input.validityInDays * 24 * 60 * 60 * 1000) : null,
+			placedBy: RegnetHelper.getActor(ctx),
+			createdAt: createdAt
+		};
+
+		//Total of liens held against the property including the new one
+		let liens = await RegnetHelper.getActiveLiens(ctx,propertyID);
+		let lienTotal = liens.reduce((total, lien) => total + lien.value.amount, newLienObject.amount);
+
+		//Store Lien asset on blockchain
+		await RegnetHelper.putAssetData(ctx,lienKey,newLienObject);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.LIEN_PLACED,{
+			keys: {lien: lienKey, property: propertyKey, holder: holderKey},
+			after: {lienStatus: newLienObject.status},
+			amounts: {amount: newLienObject.amount, lienTotal: lienTotal},
+			assets: {lien: newLienObject}
+		});
+
+		//Return value of new lien created
+		return newLienObject;
+	}
+
+	/**
+	 * Release an active lien, e.g. once the loan it secures is repaid outside the network
+	 * Lenders can release only the liens they placed
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param lienID - ID of the lien
+	 * @param reason - Reason for releasing the lien
+	 * @returns
+	 */
+	async releaseLien(ctx, propertyID, lienID, reason) {
+		//Allow only lenders and registrars to release liens
+		if(!RegnetBankContract.isRequestedByLienAuthority(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only authorised Lender identities and registrars can release liens");
+		}
+
+		RegnetValidator.checkInputs({propertyID: propertyID, lienID: lienID, reason: reason});
+
+		//Check if given lien exists
+		const lienKey = RegnetHelper.getLienKey(ctx,propertyID,lienID);
+		if(!await RegnetHelper.isAssetExisting(ctx,lienKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No Lien exists on given property with given lien ID.");
+		}
+
+		let lien = await RegnetHelper.getAsset(ctx,lienKey);
+
+		//Check if lien still encumbers the property, lapsed liens may still be released
+		if(lien.status !== RegnetHelper.LienStatus.ACTIVE){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Lien is already " + lien.status + "!!!");
+		}
+
+		//Verify if lien is released by registrar or by the lender who placed it
+		if(ctx.clientIdentity.getMSPID() !== "registrarMSP" && lien.placedBy.id !== ctx.clientIdentity.getID()){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only the Lender who placed the lien is allowed to release it!!!");
+		}
+
+		lien.status = RegnetHelper.LienStatus.RELEASED;
+		lien.reason = reason;
+		lien.releasedBy = RegnetHelper.getActor(ctx);
+		lien.closedAt = RegnetHelper.getTxDate(ctx);
+
+		await RegnetHelper.putAssetData(ctx,lienKey,lien);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.LIEN_RELEASED,{
+			keys: {lien: lienKey, property: RegnetHelper.getPropertyKey(ctx,propertyID), holder: lien.holder},
+			before: {lienStatus: RegnetHelper.LienStatus.ACTIVE},
+			after: {lienStatus: lien.status},
+			amounts: {amount: lien.amount},
+			assets: {lien: lien},
+			reason: reason
+		});
+
+		return lien;
+	}
+
+	/**
+	 * View all liens ever placed against a property, including released and paid off ones
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @returns
+	 */
+	async viewLiens(ctx, propertyID) {
+		RegnetValidator.checkInputs({propertyID: propertyID});
+
+		let liens = await RegnetHelper.getAllAssets(ctx,RegnetHelper.ObjectTypes.LIEN,[propertyID]);
+		return liens.map(lien => lien.value);
+	}
+
+}
+
+module.exports = RegnetBankContract;
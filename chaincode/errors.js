@@ -0,0 +1,44 @@
+'use strict';
+
+//Codes of errors thrown by regnet contracts, client applications can switch on these instead of parsing messages
+const ErrorCodes = {
+	NOT_FOUND: 'REGNET_NOT_FOUND',
+	FORBIDDEN: 'REGNET_FORBIDDEN',
+	INVALID_INPUT: 'REGNET_INVALID_INPUT',
+	CONFLICT: 'REGNET_CONFLICT',
+	INVALID_STATE: 'REGNET_INVALID_STATE',
+	INSUFFICIENT_FUNDS: 'REGNET_INSUFFICIENT_FUNDS',
+	LEDGER_ERROR: 'REGNET_LEDGER_ERROR'
+};
+
+//Error thrown by regnet contracts along with a code identifying the kind of failure
+class RegnetError extends Error {
+	/**
+	 * Create a new coded error
+	 * Fabric passes only the message of a failed transaction to clients, hence the code is prefixed to the message
+	 * @param code - One of the error codes
+	 * @param message - Description of the failure
+	 * @param details - Optional object with further details such as invalid fields
+	 * @returns
+	 */
+	constructor(code, message, details) {
+		super(code + ': ' + message);
+		this.name = 'RegnetError';
+		this.code = code;
+		this.details = details || null;
+	}
+
+	/**
+	 * Helper function to extract error code from message of a failed transaction as received by client
+	 * @param message - Error message received by client
+	 * @returns
+	 */
+	static getCode(message) {
+		let match = /\b(REGNET_[A-Z_]+):/.exec(message || '');
+		return match ? match[1] : null;
+	}
+}
+
+RegnetError.Codes = ErrorCodes;
+
+module.exports = RegnetError;
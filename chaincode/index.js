@@ -2,4 +2,5 @@
 
 const regnetusercontract = require('./usercontract.js');
 const regnetregistrarcontract = require('./registrarcontract.js');
-module.exports.contracts = [regnetusercontract,regnetregistrarcontract];
+const regnetbankcontract = require('./bankcontract.js');
+module.exports.contracts = [regnetusercontract,regnetregistrarcontract,regnetbankcontract];
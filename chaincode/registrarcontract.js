@@ -2,6 +2,9 @@
 
 const {Contract} = require('fabric-contract-api');
 const RegnetHelper = require('./utils.js');
+const RegnetError = require('./errors.js');
+const RegnetValidator = require('./validation.js');
+const {User, Property} = require('./assets.js');
 
 class RegnetRegistrarContract extends Contract {
 
@@ -10,6 +13,15 @@ class RegnetRegistrarContract extends Contract {
 		super('org.property-registration-network.regnet.registrarcontract');
 	}
 
+	/**
+	 * Load the user ID key before every transaction so that user keys can be built from names and Aadhar numbers
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	async beforeTransaction(ctx) {
+		await RegnetHelper.loadUserIDKey(ctx);
+	}
+
   /**
 	 * Helper function to check if request is initiated by Registrar
 	 * @param ctx - The transaction context object
@@ -19,10 +31,261 @@ class RegnetRegistrarContract extends Contract {
 		return ctx.clientIdentity.getMSPID() === "registrarMSP";
 	}
 
+	/**
+	 * Helper function to fetch an existing property
+	 * @param ctx - The transaction context object
+	 * @param propertyKey - Composite key of the property
+	 * @returns
+	 */
+	static async getExistingProperty(ctx, propertyKey) {
+		//Check if given property exists
+		if(!await RegnetHelper.isAssetExisting(ctx,propertyKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No Property exists with given property ID.");
+		}
+
+		return await RegnetHelper.getAsset(ctx,propertyKey);
+	}
+
+	/**
+	 * Helper function to keep an auditable record of an intervention on a property
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property intervened on
+	 * @param interventionType - Kind of intervention
+	 * @param caseReference - Reference of the court case or complaint the intervention acts on
+	 * @param reason - Reason for the intervention
+	 * @param before - State of the property changed by the intervention before it
+	 * @param after - State of the property changed by the intervention after it
+	 * @returns
+	 */
+	static async recordIntervention(ctx, propertyID, interventionType, caseReference, reason, before, after) {
+		const interventionID = ctx.stub.getTxID();
+		let intervention = {
+			interventionID: interventionID,
+			propertyID: propertyID,
+			interventionType: interventionType,
+			caseReference: caseReference,
+			reason: reason,
+			before: before,
+			after: after,
+			performedBy: RegnetHelper.getActor(ctx),
+			performedAt: RegnetHelper.getTxDate(ctx)
+		};
+
+		const interventionKey = RegnetHelper.getInterventionKey(ctx,propertyID,interventionID);
+		await RegnetHelper.putAssetData(ctx,interventionKey,intervention);
+		return {key: interventionKey, value: intervention};
+	}
+
+	/**
+	 * Helper function to impose or lift a freeze or dispute on a property
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param restriction - freeze or dispute
+	 * @param imposed - True to impose the restriction, false to lift it
+	 * @param caseReference - Reference of the court case or complaint
+	 * @param reason - Reason for the intervention
+	 * @returns
+	 */
+	static async changeRestriction(ctx, propertyID, restriction, imposed, caseReference, reason) {
+		RegnetValidator.checkInputs({propertyID: propertyID, caseReference: caseReference, reason: reason});
+
+		const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+		let property = await RegnetRegistrarContract.getExistingProperty(ctx,propertyKey);
+
+		//Restriction can only be imposed once and lifted while it is in force
+		let label = (restriction === "freeze") ? "frozen" : "under dispute";
+		if(!!property[restriction] === imposed){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Property is " + (imposed ? "already " : "not ") + label + "!!!");
+		}
+
+		let previous = property[restriction] || null;
+		if(imposed){
+			property[restriction] = {caseReference: caseReference, reason: reason, imposedBy: RegnetHelper.getActor(ctx), imposedAt: RegnetHelper.getTxDate(ctx)};
+		} else {
+			delete property[restriction];
+		}
+		property.updatedAt = RegnetHelper.getTxDate(ctx);
+		await RegnetHelper.putAssetData(ctx,propertyKey,property);
+
+		let {InterventionTypes, EventTypes} = RegnetHelper;
+		let interventionType = (restriction === "freeze") ?
+			(imposed ? InterventionTypes.FREEZE : InterventionTypes.UNFREEZE) :
+			(imposed ? InterventionTypes.DISPUTE : InterventionTypes.RESOLVE_DISPUTE);
+		let intervention = await RegnetRegistrarContract.recordIntervention(ctx,propertyID,interventionType,caseReference,reason,
+			{[restriction]: previous},{[restriction]: property[restriction] || null});
+
+		RegnetHelper.emitEvent(ctx,{
+			[InterventionTypes.FREEZE]: EventTypes.PROPERTY_FROZEN,
+			[InterventionTypes.UNFREEZE]: EventTypes.PROPERTY_UNFROZEN,
+			[InterventionTypes.DISPUTE]: EventTypes.PROPERTY_DISPUTED,
+			[InterventionTypes.RESOLVE_DISPUTE]: EventTypes.DISPUTE_RESOLVED
+		}[interventionType],{
+			keys: {property: propertyKey, intervention: intervention.key},
+			before: intervention.value.before,
+			after: intervention.value.after,
+			assets: {property: property, intervention: intervention.value},
+			reason: reason
+		});
+
+		return property;
+	}
+
+	/**
+	 * Helper function to parse owners named by a court order, passed to a transaction as JSON string
+	 * @param ctx - The transaction context object
+	 * @param newOwners - JSON array of owners with name, aadharNumber and percentage share adding up to 100, empty to read
+	 * it from transient newOwners
+	 * @returns
+	 */
+	static async parseNewOwners(ctx, newOwners) {
+		//Owners carry their Aadhar numbers, hence they can be kept out of the block by passing them as transient data
+		let ownerList = RegnetValidator.parseJSON(newOwners || RegnetHelper.getTransientValue(ctx,"newOwners"),"owners");
+		if(!Array.isArray(ownerList) || ownerList.length === 0){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Invalid owners. Owners should be a non-empty JSON array of name, aadharNumber and share!!!");
+		}
+
+		let owners = [];
+		for(let entry of ownerList){
+			let owner = RegnetValidator.validate(RegnetValidator.Schemas.CO_OWNER,entry,"owner");
+			const ownerKey = RegnetHelper.getUserKey(ctx,owner.name,owner.aadharNumber);
+			if(!await RegnetHelper.isAssetExisting(ctx,ownerKey)){
+				throw new RegnetError(RegnetError.Codes.NOT_FOUND,"Owner " + owner.name + " with given Aadhar number does not exist.");
+			}
+
+			//Every owner must appear only once
+			if(owners.some(existing => existing.owner === ownerKey)){
+				throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Owner with given name and Aadhar number is listed more than once!!!");
+			}
+			owners.push({owner: ownerKey, share: owner.share});
+		}
+
+		if(owners.reduce((total, owner) => total + owner.share, 0) !== 100){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Shares of owners must add up to 100!!!");
+		}
+		return owners;
+	}
+
+	/**
+	 * Helper function to record approval of a registration request which still needs approval of other registrars
+	 * @param ctx - The transaction context object
+	 * @param requestKey - Composite key of the registration request
+	 * @param request - Registration request object with the approval added
+	 * @returns
+	 */
+	static async recordPartialApproval(ctx, requestKey, request) {
+		await RegnetHelper.putAssetData(ctx,requestKey,request);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.REGISTRATION_APPROVAL_RECORDED,{
+			keys: {request: requestKey},
+			before: {approvals: request.approvals.length - 1},
+			after: {approvals: request.approvals.length},
+			amounts: {requiredApprovals: request.requiredApprovals},
+			assets: {request: request}
+		});
+
+		return request;
+	}
+
+	/**
+	 * Helper function to create a user from a record of an existing registry, users created earlier are left as they are
+	 * @param ctx - The transaction context object
+	 * @param record - Object with name, aadharNumber, emailId, phoneNumber and optionally userID of an exported user
+	 * @returns
+	 */
+	static async importUser(ctx, record) {
+		let input = RegnetValidator.validate(RegnetValidator.Schemas.IMPORTED_USER,record,"user");
+		const userKey = RegnetHelper.getUserKey(ctx,input.name,input.aadharNumber);
+		let userID = RegnetHelper.getUserID(ctx,input.name,input.aadharNumber);
+
+		//User ID of an exported user must still match its name and Aadhar number
+		if(input.userID && input.userID !== userID){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"User ID does not match given name and Aadhar number!!!");
+		}
+
+		if(await RegnetHelper.isAssetExisting(ctx,userKey)){
+			return {key: userKey, result: RegnetHelper.ImportResults.EXISTING};
+		}
+
+		//Imported users bind their identity through requestIdentityRebind, like users registered before identities were bound
+		let newUserObject = new User({
+			name: input.name,
+			userID: userID,
+			upgradCoins: 0
+		},RegnetHelper.getTxDate(ctx));
+
+		await RegnetHelper.putAssetData(ctx,userKey,newUserObject);
+		await RegnetHelper.putPII(ctx,userKey,{aadharNumber: input.aadharNumber, emailId: input.emailId, phoneNumber: input.phoneNumber});
+		return {key: userKey, result: RegnetHelper.ImportResults.CREATED};
+	}
+
+	/**
+	 * Helper function to create a property from a record of an existing registry, properties created earlier are left
+	 * as they are. Owners are referred to by user ID and must have been imported or registered already
+	 * @param ctx - The transaction context object
+	 * @param record - Object with propertyID, price, owners with userID and share, metadata and optionally consentThreshold and status
+	 * @returns
+	 */
+	static async importProperty(ctx, record) {
+		let input = RegnetValidator.validate(RegnetValidator.Schemas.IMPORTED_PROPERTY,record,"property");
+		const propertyKey = RegnetHelper.getPropertyKey(ctx,input.propertyID);
+
+		if(await RegnetHelper.isAssetExisting(ctx,propertyKey)){
+			return {key: propertyKey, result: RegnetHelper.ImportResults.EXISTING};
+		}
+
+		//Property must not be registered through a request at the same time
+		if(!await RegnetHelper.canPlaceRequest(ctx,RegnetHelper.getPropRegRequestKey(ctx,input.propertyID))){
+			throw new RegnetError(RegnetError.Codes.CONFLICT,"There is already a registration request for given property");
+		}
+
+		let metadata = RegnetHelper.buildMetadata(input.metadata);
+		let surveyNumberKey = await RegnetHelper.checkSurveyNumber(ctx,metadata);
+
+		let owners = [];
+		for(let {userID, share} of input.owners){
+			const ownerKey = RegnetHelper.getUserKeyByID(ctx,userID);
+			if(!await RegnetHelper.isAssetExisting(ctx,ownerKey)){
+				throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No User exists with user ID " + userID + "!!!");
+			}
+			owners.push({owner: ownerKey, share: share});
+		}
+
+		//Title is verified by the importing registrar, no registration fee is charged for existing titles
+		let newPropertyObject = new Property({
+			propertyID: input.propertyID,
+			owners: owners,
+			consentThreshold: input.consentThreshold || RegnetHelper.FULL_CONSENT,
+			price: input.price,
+			status: input.status || "registered",
+			metadata: metadata,
+			metadataVerifiedBy: RegnetHelper.getActor(ctx)
+		},RegnetHelper.getTxDate(ctx));
+
+		await RegnetHelper.putAssetData(ctx,propertyKey,newPropertyObject);
+		await RegnetHelper.putAssetData(ctx,surveyNumberKey,{propertyID: input.propertyID, district: metadata.district, surveyNumber: metadata.surveyNumber});
+		return {key: propertyKey, result: RegnetHelper.ImportResults.CREATED};
+	}
+
+	/**
+	 * Helper function to announce the outcome of a bulk import
+	 * @param ctx - The transaction context object
+	 * @param eventType - Type of the event
+	 * @param batch - Outcome of the import
+	 * @returns
+	 */
+	static emitImportEvent(ctx, eventType, batch) {
+		RegnetHelper.emitEvent(ctx,eventType,{
+			keys: {created: batch.results.filter(result => result.result === RegnetHelper.ImportResults.CREATED).map(result => result.key)},
+			amounts: {created: batch.created, existing: batch.existing, failed: batch.failed}
+		});
+	}
+
 	/* ****** All custom functions are defined below ***** */
 
 	/**
 	 * Approve a user registration request and create a new user on the network
+	 * The user is created once the number of distinct registrars required by the approval policy have approved the request,
+	 * until then the request is returned with approvals collected so far
 	 * @param ctx - The transaction context object
 	 * @param name - Name of the user
 	 * @param aadharNumber - Aadhar card number of the user
@@ -31,46 +294,244 @@ class RegnetRegistrarContract extends Contract {
 	async approveNewUser(ctx, name, aadharNumber) {
 		//Allow only registrars to approve new user registrartion requests
 		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
-			throw new Error("Only members of Registrar organization can approve new user registration requests");
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can approve new user registration requests");
 		}
 
+		RegnetValidator.checkInputs({name: name, aadharNumber: aadharNumber});
+
 		//Create composite key for the user registration request to fetch it from network
 		const userRegRequestKey = RegnetHelper.getUserRegRequestKey(ctx,name,aadharNumber);
 
 		//Check if there is a request for given user
 		if(!await RegnetHelper.isAssetExisting(ctx,userRegRequestKey)){
-			throw new Error("No registration request is available for given name and Aadhar number!!!");
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No registration request is available for given name and Aadhar number!!!");
 		}
 
-    let userRequestBuffer = await RegnetHelper.getAssetBuffer(ctx,userRegRequestKey)
-    let userRequest = JSON.parse(userRequestBuffer.toString());
+    let userRequest = await RegnetHelper.getAsset(ctx,userRegRequestKey);
+
+		//Check if request is still awaiting approval
+		if(!RegnetHelper.isRequestPending(userRequest)){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Registration request for given name and Aadhar number is already " + userRequest.requestStatus + "!!!");
+		}
 
     //Create composite key for the new user to be created on network
     const userKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
 
     //Check if given user already exists
 		if(await RegnetHelper.isAssetExisting(ctx,userKey)){
-			throw new Error("User already exists with given name and Aadhar number.");
+			throw new RegnetError(RegnetError.Codes.CONFLICT,"User already exists with given name and Aadhar number.");
 		}
 
-    //Create a new User asset to be stored in blockchain
-		let newUserObject = {
+		//Personal details are available only on peers of Registrar and User organizations
+		let pii = await RegnetHelper.getPII(ctx,userRegRequestKey);
+		if(!pii){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"Personal details of the user are not available in private data collection!!!");
+		}
+
+		//Wait for approval of other registrars if approval policy asks for more
+		let approvalPolicy = await RegnetHelper.getApprovalPolicy(ctx);
+		if(!RegnetHelper.addApproval(ctx,userRequest,RegnetHelper.getRequiredApprovals(approvalPolicy,userRequest))){
+			return await RegnetRegistrarContract.recordPartialApproval(ctx,userRegRequestKey,userRequest);
+		}
+
+    //Create a new User asset to be stored in blockchain, without any personal details
+		let newUserObject = new User({
 			name: userRequest.name,
-			emailId: userRequest.emailId,
-			phoneNumber: userRequest.phoneNumber,
-			aadharNumber: userRequest.aadharNumber,
-      upgradCoins: 0,
-			createdAt: new Date(),
-      updatedAt: new Date()
-		};
+			userID: userRequest.userID,
+			identity: userRequest.identity, //User acts only through the certificate which placed the request
+      upgradCoins: 0
+		},RegnetHelper.getTxDate(ctx));
 
-		//Store User asset on blockchain
+		//Store User asset on blockchain and move personal details from request to user in private data collection
     await RegnetHelper.putAssetData(ctx,userKey,newUserObject);
+		await RegnetHelper.putPII(ctx,userKey,pii);
+
+		//Mark registration request as approved
+		await RegnetHelper.closeRequest(ctx,userRegRequestKey,userRequest,RegnetHelper.RequestStatus.APPROVED);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.USER_REGISTRATION_APPROVED,{
+			keys: {request: userRegRequestKey, user: userKey},
+			before: {requestStatus: RegnetHelper.RequestStatus.PENDING},
+			after: {requestStatus: userRequest.requestStatus},
+			amounts: {upgradCoins: newUserObject.upgradCoins},
+			assets: {user: newUserObject}
+		});
 
     //Return value of new user created
 		return newUserObject;
 	}
 
+	/**
+	 * Reject a user registration request
+	 * @param ctx - The transaction context object
+	 * @param name - Name of the user
+	 * @param aadharNumber - Aadhar card number of the user
+	 * @param reason - Reason for rejecting the request
+	 * @returns
+	 */
+	async rejectNewUser(ctx, name, aadharNumber, reason) {
+		//Allow only registrars to reject new user registrartion requests
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can reject new user registration requests");
+		}
+
+		//Reason is mandatory so that user can correct the request before placing it again
+		RegnetValidator.checkInputs({name: name, aadharNumber: aadharNumber, reason: reason});
+
+		//Create composite key for the user registration request to fetch it from network
+		const userRegRequestKey = RegnetHelper.getUserRegRequestKey(ctx,name,aadharNumber);
+
+		//Check if there is a request for given user
+		if(!await RegnetHelper.isAssetExisting(ctx,userRegRequestKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No registration request is available for given name and Aadhar number!!!");
+		}
+
+		let userRequest = await RegnetHelper.getAsset(ctx,userRegRequestKey);
+
+		//Check if request is still awaiting approval
+		if(!RegnetHelper.isRequestPending(userRequest)){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Registration request for given name and Aadhar number is already " + userRequest.requestStatus + "!!!");
+		}
+
+		//Mark registration request as rejected
+		await RegnetHelper.closeRequest(ctx,userRegRequestKey,userRequest,RegnetHelper.RequestStatus.REJECTED,reason);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.USER_REGISTRATION_REJECTED,{
+			keys: {request: userRegRequestKey},
+			before: {requestStatus: RegnetHelper.RequestStatus.PENDING},
+			after: {requestStatus: userRequest.requestStatus},
+			reason: reason
+		});
+
+		return userRequest;
+	}
+
+	/**
+	 * List pending user registration requests along with their age
+	 * @param ctx - The transaction context object
+	 * @param pageSize - Number of requests to be returned in a page
+	 * @param bookmark - Bookmark returned with previous page, empty for first page
+	 * @returns
+	 */
+	async listPendingUserRequests(ctx, pageSize, bookmark) {
+		//Allow only registrars to view registration work queue
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can list pending registration requests");
+		}
+
+		return await RegnetHelper.getPendingRequests(ctx,RegnetHelper.ObjectTypes.USER_REQUEST,pageSize,bookmark);
+	}
+
+	/**
+	 * Helper function to fetch a user who has requested binding of a new identity
+	 * @param ctx - The transaction context object
+	 * @param userKey - Composite key of the user
+	 * @returns
+	 */
+	static async getUserAwaitingRebind(ctx, userKey) {
+		//Check if given user exists
+		if(!await RegnetHelper.isAssetExisting(ctx,userKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No User exists with given name and Aadhar number.");
+		}
+
+		let user = await RegnetHelper.getAsset(ctx,userKey);
+
+		//Check if user has requested binding of a new identity
+		if(!user.pendingIdentity){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No identity binding request is pending for given name and Aadhar number!!!");
+		}
+		return user;
+	}
+
+	/**
+	 * Bind a user to the identity given in its pending rebind request, replacing the previous identity
+	 * @param ctx - The transaction context object
+	 * @param name - Name of the user
+	 * @param aadharNumber - Aadhar card number of the user
+	 * @returns
+	 */
+	async approveIdentityRebind(ctx, name, aadharNumber) {
+		//Allow only registrars to bind identities
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can approve binding of identities");
+		}
+
+		RegnetValidator.checkInputs({name: name, aadharNumber: aadharNumber});
+
+		const userKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		let user = await RegnetRegistrarContract.getUserAwaitingRebind(ctx,userKey);
+
+		//Previous certificate can no longer act on behalf of the user
+		let previousIdentity = user.identity || null;
+		user.identity = user.pendingIdentity.identity;
+		user.identityBoundBy = RegnetHelper.getActor(ctx);
+		user.identityBoundAt = RegnetHelper.getTxDate(ctx);
+		user.updatedAt = RegnetHelper.getTxDate(ctx);
+		delete user.pendingIdentity;
+
+		await RegnetHelper.putAssetData(ctx,userKey,user);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.IDENTITY_REBOUND,{
+			keys: {user: userKey},
+			before: {identity: previousIdentity},
+			after: {identity: user.identity},
+			assets: {user: user}
+		});
+
+		return user;
+	}
+
+	/**
+	 * Reject a pending identity rebind request of a user, keeping the previous identity bound
+	 * @param ctx - The transaction context object
+	 * @param name - Name of the user
+	 * @param aadharNumber - Aadhar card number of the user
+	 * @param reason - Reason for rejecting the request
+	 * @returns
+	 */
+	async rejectIdentityRebind(ctx, name, aadharNumber, reason) {
+		//Allow only registrars to reject binding of identities
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can reject binding of identities");
+		}
+
+		//Reason is mandatory so that user knows why the identity was not bound
+		RegnetValidator.checkInputs({name: name, aadharNumber: aadharNumber, reason: reason});
+
+		const userKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		let user = await RegnetRegistrarContract.getUserAwaitingRebind(ctx,userKey);
+
+		let rejectedIdentity = user.pendingIdentity.identity;
+		delete user.pendingIdentity;
+		await RegnetHelper.putAssetData(ctx,userKey,user);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.IDENTITY_REBIND_REJECTED,{
+			keys: {user: userKey},
+			before: {identity: user.identity || null, pendingIdentity: rejectedIdentity},
+			after: {identity: user.identity || null},
+			assets: {user: user},
+			reason: reason
+		});
+
+		return user;
+	}
+
+	/**
+	 * List users waiting for Registrar to bind a new identity
+	 * @param ctx - The transaction context object
+	 * @param pageSize - Number of users to be returned in a page
+	 * @param bookmark - Bookmark returned with previous page, empty for first page
+	 * @returns
+	 */
+	async listPendingIdentityRebinds(ctx, pageSize, bookmark) {
+		//Allow only registrars to view identity binding work queue
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can list pending identity binding requests");
+		}
+
+		return await RegnetHelper.getAssetsPage(ctx,RegnetHelper.ObjectTypes.USER,pageSize,bookmark,user => !!user.pendingIdentity);
+	}
+
   /**
 	 * View current state of user
 	 * @param ctx - The transaction context object
@@ -79,85 +540,1002 @@ class RegnetRegistrarContract extends Contract {
 	 * @returns
 	 */
 	async viewUser(ctx, name, aadharNumber) {
+		RegnetValidator.checkInputs({name: name, aadharNumber: aadharNumber});
+
 		//Create composite key to fetch user data from network
     const userKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
 
     //Check if given user exists
 		if(!await RegnetHelper.isAssetExisting(ctx,userKey)){
-			throw new Error("No User exists with given name and Aadhar number.");
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No User exists with given name and Aadhar number.");
+		}
+
+		//Return value of user from blockchain along with personal details, registrars can read them for every user
+    return await RegnetHelper.withPII(ctx,userKey,await RegnetHelper.getAsset(ctx,userKey));
+	}
+
+	/**
+	 * View modification history of user
+	 * @param ctx - The transaction context object
+	 * @param name - Name of the user
+	 * @param aadharNumber - Aadhar card number of the user
+	 * @returns
+	 */
+	async getUserHistory(ctx, name, aadharNumber) {
+		RegnetValidator.checkInputs({name: name, aadharNumber: aadharNumber});
+
+		//Create composite key to fetch user history from network
+		const userKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+
+		//Fetch all modifications of user from ledger
+		let history = await RegnetHelper.getAssetHistory(ctx,userKey);
+		if(history.length === 0){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No history available for User with given name and Aadhar number.");
 		}
 
-		//Return value of user from blockchain
-    let userBuffer = await RegnetHelper.getAssetBuffer(ctx,userKey);
-		return JSON.parse(userBuffer.toString());
+		return history;
 	}
 
   /**
 	 * Approve a property registration request and create a new property on the network
+	 * Metadata of the request is recorded as verified by the approving registrar, who may amend it on the way
+	 * The property is created once the number of distinct registrars required by the approval policy for its price have
+	 * approved the request. Amending metadata withdraws approvals collected so far, as they were given to other metadata
 	 * @param ctx - The transaction context object
 	 * @param propertyID - ID of the property
+	 * @param metadataAmendments - JSON object with metadata fields to be corrected, empty to approve metadata as requested
 	 * @returns
 	 */
-	async approvePropertyRegistration(ctx, propertyID) {
+	async approvePropertyRegistration(ctx, propertyID, metadataAmendments) {
 		//Allow only registrars to approve new property registrartion requests
 		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
-			throw new Error("Only members of Registrar organization can approve new property registration requests");
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can approve new property registration requests");
 		}
 
+		RegnetValidator.checkInputs({propertyID: propertyID});
+
 		//Create composite key for the property registration request to fetch it from network
 		const propRegRequestKey = RegnetHelper.getPropRegRequestKey(ctx,propertyID);
 
 		//Check if there is a request for given property
 		if(!await RegnetHelper.isAssetExisting(ctx,propRegRequestKey)){
-			throw new Error("No registration request is available for given property!!!");
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No registration request is available for given property!!!");
 		}
 
-    let propRequestBuffer = await RegnetHelper.getAssetBuffer(ctx,propRegRequestKey);
-    let propRequest = JSON.parse(propRequestBuffer.toString());
+    let propRequest = await RegnetHelper.getAsset(ctx,propRegRequestKey);
+
+		//Check if request is still awaiting approval
+		if(!RegnetHelper.isRequestPending(propRequest)){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Registration request for given property is already " + propRequest.requestStatus + "!!!");
+		}
 
     //Create composite key for the new property to be created on network
     const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
 
     //Check if given property already exists
 		if(await RegnetHelper.isAssetExisting(ctx,propertyKey)){
-			throw new Error("Property already exists with given property ID.");
+			throw new RegnetError(RegnetError.Codes.CONFLICT,"Property already exists with given property ID.");
+		}
+
+		//Apply corrections of registrar, requests placed before metadata was introduced can only be approved as they are
+		let metadata = propRequest.metadata || null;
+		if(metadataAmendments){
+			let amendments = RegnetValidator.parseJSON(metadataAmendments,"metadata amendments");
+			if(RegnetValidator.Rules.object().parse(amendments) === undefined){
+				throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Invalid metadata amendments. Metadata amendments should be a JSON object!!!");
+			}
+			propRequest.metadataAmendments = Object.assign({},propRequest.metadataAmendments,amendments);
+			propRequest.approvals = [];
+		}
+		if(propRequest.metadataAmendments){
+			metadata = RegnetHelper.buildMetadata(Object.assign({},metadata,propRequest.metadataAmendments));
+		}
+
+		//Another property may have been registered with the same survey number since the request was placed
+		let surveyNumberKey = metadata ? await RegnetHelper.checkSurveyNumber(ctx,metadata) : null;
+
+		//Wait for approval of other registrars if approval policy asks for more
+		let approvalPolicy = await RegnetHelper.getApprovalPolicy(ctx);
+		if(!RegnetHelper.addApproval(ctx,propRequest,RegnetHelper.getRequiredApprovals(approvalPolicy,propRequest))){
+			return await RegnetRegistrarContract.recordPartialApproval(ctx,propRegRequestKey,propRequest);
 		}
 
     //Create a new Property asset to be stored in blockchain
-		let newPropertyObject = {
+		let newPropertyObject = new Property({
 			propertyID: propRequest.propertyID,
-      owner: propRequest.owner,
+			//Requests placed before joint ownership was introduced name a single owner
+			owners: propRequest.owners || [{owner: propRequest.owner, share: 100}],
+			consentThreshold: propRequest.consentThreshold || RegnetHelper.FULL_CONSENT,
       price: propRequest.price,
       status: propRequest.status,
-			createdAt: new Date(),
-      updatedAt: new Date()
-		};
+			metadata: metadata,
+			metadataVerifiedBy: RegnetHelper.getActor(ctx)
+		},RegnetHelper.getTxDate(ctx));
 
 		//Store Property asset on blockchain
     await RegnetHelper.putAssetData(ctx,propertyKey,newPropertyObject);
 
+		//Reserve survey number for this property
+		if(surveyNumberKey){
+			await RegnetHelper.putAssetData(ctx,surveyNumberKey,{propertyID: propertyID, district: metadata.district, surveyNumber: metadata.surveyNumber});
+		}
+
+		//Owner who placed the request holds the first share and pays registration fee in force at approval
+		let feeSchedule = await RegnetHelper.getFeeSchedule(ctx);
+		await RegnetHelper.chargeFee(ctx,newPropertyObject.owners[0].owner,RegnetHelper.FeeTypes.REGISTRATION_FEE,feeSchedule.registrationFee,propertyID);
+
+		//Mark registration request as approved
+		await RegnetHelper.closeRequest(ctx,propRegRequestKey,propRequest,RegnetHelper.RequestStatus.APPROVED);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.PROPERTY_REGISTRATION_APPROVED,{
+			keys: {request: propRegRequestKey, property: propertyKey, owners: newPropertyObject.owners.map(owner => owner.owner), surveyNumber: surveyNumberKey},
+			before: {requestStatus: RegnetHelper.RequestStatus.PENDING, metadata: propRequest.metadata || null},
+			after: {requestStatus: propRequest.requestStatus, status: newPropertyObject.status, metadata: metadata},
+			amounts: {price: newPropertyObject.price, registrationFee: feeSchedule.registrationFee},
+			assets: {property: newPropertyObject}
+		});
+
     //Return value of new property created
 		return newPropertyObject;
 	}
 
-  /**
-	 * View current state of property
+	/**
+	 * Reject a property registration request
 	 * @param ctx - The transaction context object
 	 * @param propertyID - ID of the property
+	 * @param reason - Reason for rejecting the request
 	 * @returns
 	 */
-	async viewProperty(ctx, propertyID) {
-		//Create composite key to fetch property data from network
-    const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+	async rejectPropertyRegistration(ctx, propertyID, reason) {
+		//Allow only registrars to reject new property registrartion requests
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can reject new property registration requests");
+		}
 
-    //Check if given property exists
-		if(!await RegnetHelper.isAssetExisting(ctx,propertyKey)){
-			throw new Error("No Property exists with given property ID.");
+		//Reason is mandatory so that owner can correct the request before placing it again
+		RegnetValidator.checkInputs({propertyID: propertyID, reason: reason});
+
+		//Create composite key for the property registration request to fetch it from network
+		const propRegRequestKey = RegnetHelper.getPropRegRequestKey(ctx,propertyID);
+
+		//Check if there is a request for given property
+		if(!await RegnetHelper.isAssetExisting(ctx,propRegRequestKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No registration request is available for given property!!!");
+		}
+
+		let propRequest = await RegnetHelper.getAsset(ctx,propRegRequestKey);
+
+		//Check if request is still awaiting approval
+		if(!RegnetHelper.isRequestPending(propRequest)){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Registration request for given property is already " + propRequest.requestStatus + "!!!");
+		}
+
+		//Mark registration request as rejected
+		await RegnetHelper.closeRequest(ctx,propRegRequestKey,propRequest,RegnetHelper.RequestStatus.REJECTED,reason);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.PROPERTY_REGISTRATION_REJECTED,{
+			keys: {request: propRegRequestKey},
+			before: {requestStatus: RegnetHelper.RequestStatus.PENDING},
+			after: {requestStatus: propRequest.requestStatus},
+			reason: reason
+		});
+
+		return propRequest;
+	}
+
+	/**
+	 * List pending property registration requests along with their age
+	 * @param ctx - The transaction context object
+	 * @param pageSize - Number of requests to be returned in a page
+	 * @param bookmark - Bookmark returned with previous page, empty for first page
+	 * @returns
+	 */
+	async listPendingPropertyRequests(ctx, pageSize, bookmark) {
+		//Allow only registrars to view registration work queue
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can list pending registration requests");
+		}
+
+		return await RegnetHelper.getPendingRequests(ctx,RegnetHelper.ObjectTypes.PROPERTY_REQUEST,pageSize,bookmark);
+	}
+
+	/**
+	 * Expire user and property registration requests which are pending for too long
+	 * @param ctx - The transaction context object
+	 * @param maxAgeInDays - Age in days after which a pending request expires
+	 * @returns
+	 */
+	async expirePendingRequests(ctx, maxAgeInDays) {
+		//Allow only registrars to expire registration requests
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can expire registration requests");
 		}
 
-		//Return value of property from blockchain
-    let propertyBuffer = await RegnetHelper.getAssetBuffer(ctx,propertyKey);
-		return JSON.parse(propertyBuffer.toString());
+		let maxAge = RegnetValidator.checkInputs({maxAgeInDays: maxAgeInDays}).maxAgeInDays;
+
+		//Expire both user and property registration requests
+		let expiredRequests = {
+			userRequests: await RegnetHelper.expireRequests(ctx,RegnetHelper.ObjectTypes.USER_REQUEST,maxAge),
+			propertyRequests: await RegnetHelper.expireRequests(ctx,RegnetHelper.ObjectTypes.PROPERTY_REQUEST,maxAge)
+		};
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.REGISTRATION_REQUESTS_EXPIRED,{
+			keys: expiredRequests,
+			before: {requestStatus: RegnetHelper.RequestStatus.PENDING},
+			after: {requestStatus: RegnetHelper.RequestStatus.EXPIRED}
+		});
+
+		//Return keys of expired requests
+		return expiredRequests;
+	}
+
+	/**
+	 * Set the fee schedule charged from now on
+	 * @param ctx - The transaction context object
+	 * @param feeSchedule - JSON object with registrationFee and stampDutyBands, each band with minPrice and rateInBasisPoints
+	 * @returns
+	 */
+	async setFeeSchedule(ctx, feeSchedule) {
+		//Allow only registrars to set fees
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can set the fee schedule");
+		}
+
+		let schedule = RegnetValidator.validate(RegnetValidator.Schemas.FEE_SCHEDULE,RegnetValidator.parseJSON(feeSchedule,"fee schedule"),"fee schedule");
+		let previousSchedule = await RegnetHelper.getFeeSchedule(ctx);
+
+		let newFeeSchedule = {
+			registrationFee: schedule.registrationFee,
+			stampDutyBands: schedule.stampDutyBands,
+			updatedBy: RegnetHelper.getActor(ctx),
+			updatedAt: RegnetHelper.getTxDate(ctx)
+		};
+
+		const feeScheduleKey = RegnetHelper.getFeeScheduleKey(ctx);
+		await RegnetHelper.putAssetData(ctx,feeScheduleKey,newFeeSchedule);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.FEE_SCHEDULE_UPDATED,{
+			keys: {feeSchedule: feeScheduleKey},
+			before: {registrationFee: previousSchedule.registrationFee, stampDutyBands: previousSchedule.stampDutyBands},
+			after: {registrationFee: newFeeSchedule.registrationFee, stampDutyBands: newFeeSchedule.stampDutyBands},
+			assets: {feeSchedule: newFeeSchedule}
+		});
+
+		return newFeeSchedule;
+	}
+
+	/**
+	 * Set the approval policy applied from now on to registrations awaiting approval
+	 * @param ctx - The transaction context object
+	 * @param approvalPolicy - JSON object with userApprovals and propertyApprovalBands, each band with minPrice and approvals
+	 * @returns
+	 */
+	async setApprovalPolicy(ctx, approvalPolicy) {
+		//Allow only registrars to set approval policy
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can set the approval policy");
+		}
+
+		let policy = RegnetValidator.validate(RegnetValidator.Schemas.APPROVAL_POLICY,RegnetValidator.parseJSON(approvalPolicy,"approval policy"),"approval policy");
+		let previousPolicy = await RegnetHelper.getApprovalPolicy(ctx);
+
+		let newApprovalPolicy = {
+			userApprovals: policy.userApprovals,
+			propertyApprovalBands: policy.propertyApprovalBands,
+			updatedBy: RegnetHelper.getActor(ctx),
+			updatedAt: RegnetHelper.getTxDate(ctx)
+		};
+
+		const approvalPolicyKey = RegnetHelper.getApprovalPolicyKey(ctx);
+		await RegnetHelper.putAssetData(ctx,approvalPolicyKey,newApprovalPolicy);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.APPROVAL_POLICY_UPDATED,{
+			keys: {approvalPolicy: approvalPolicyKey},
+			before: {userApprovals: previousPolicy.userApprovals, propertyApprovalBands: previousPolicy.propertyApprovalBands},
+			after: {userApprovals: newApprovalPolicy.userApprovals, propertyApprovalBands: newApprovalPolicy.propertyApprovalBands},
+			assets: {approvalPolicy: newApprovalPolicy}
+		});
+
+		return newApprovalPolicy;
+	}
+
+	/**
+	 * View the approval policy in force
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	async viewApprovalPolicy(ctx) {
+		return await RegnetHelper.getApprovalPolicy(ctx);
+	}
+
+	/**
+	 * List pending user and property registration requests with the approvals they still need
+	 * Each request shows the registrars who approved it so far and whether the calling registrar is one of them
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	async listOutstandingApprovals(ctx) {
+		//Allow only registrars to view approval work queue
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can list outstanding approvals");
+		}
+
+		let approvalPolicy = await RegnetHelper.getApprovalPolicy(ctx);
+		return {
+			userRequests: await RegnetHelper.getOutstandingApprovals(ctx,RegnetHelper.ObjectTypes.USER_REQUEST,approvalPolicy),
+			propertyRequests: await RegnetHelper.getOutstandingApprovals(ctx,RegnetHelper.ObjectTypes.PROPERTY_REQUEST,approvalPolicy)
+		};
+	}
+
+	/**
+	 * View the fee schedule in force
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	async viewFeeSchedule(ctx) {
+		return await RegnetHelper.getFeeSchedule(ctx);
+	}
+
+	/**
+	 * View balance of the government treasury account holding collected fees
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	async viewTreasury(ctx) {
+		//Allow only registrars to view treasury
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can view the treasury");
+		}
+
+		const treasuryKey = RegnetHelper.getTreasuryKey(ctx);
+
+		//Treasury is created when first fee is collected
+		if(!await RegnetHelper.isAssetExisting(ctx,treasuryKey)){
+			return {treasuryID: 'government', balance: 0};
+		}
+
+		return await RegnetHelper.getAsset(ctx,treasuryKey);
+	}
+
+	/**
+	 * List fees collected into the treasury, grouped by property
+	 * @param ctx - The transaction context object
+	 * @param pageSize - Number of fees to be returned in a page
+	 * @param bookmark - Bookmark returned with previous page, empty for first page
+	 * @returns
+	 */
+	async listFees(ctx, pageSize, bookmark) {
+		//Allow only registrars to view fee history
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can view fee history");
+		}
+
+		return await RegnetHelper.getAssetsPage(ctx,RegnetHelper.ObjectTypes.FEE,pageSize,bookmark);
+	}
+
+	/**
+	 * Set the secret user IDs are derived with, once after instantiating the chaincode
+	 * The key is passed through transient data under userIDKey as 32 random bytes in hex and kept in private data
+	 * collection. It cannot be changed since users are found by IDs derived with it
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	async setUserIDKey(ctx) {
+		//Allow only registrars to set the user ID key
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can set the user ID key");
+		}
+
+		let input = RegnetValidator.validate({userIDKey: RegnetValidator.Rules.USER_ID_KEY},
+			{userIDKey: RegnetHelper.getTransientValue(ctx,'userIDKey')},"transient data");
+		if(ctx.userIDKey){
+			throw new RegnetError(RegnetError.Codes.CONFLICT,"User ID key is already set. Changing it would make all users unreachable!!!");
+		}
+
+		await RegnetHelper.putUserIDKey(ctx,input.userIDKey);
+
+		//Only the fact that the key is set is published
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.USER_ID_KEY_SET,{
+			after: {userIDKeySet: true}
+		});
+
+		return {userIDKeySet: true};
+	}
+
+	/**
+	 * Migrate users and user registration requests whose keys are not derived with the user ID key
+	 * Records created before personal details were moved to private data carry them in world state, their personal
+	 * details are moved to private data collection. Records are re-keyed by User ID derived with the user ID key
+	 * and references to old user keys and IDs in all other assets are replaced, re-keying assets keyed by User ID
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	async migrateUserRecords(ctx) {
+		//Allow only registrars to migrate records
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can migrate user records");
+		}
+
+		let keyMapping = new Map();
+		let idMapping = new Map();
+		let ObjectTypes = RegnetHelper.ObjectTypes;
+
+		//Re-key users and user requests whose personal details are in world state or whose ID was derived otherwise
+		for(let objectType of [ObjectTypes.USER, ObjectTypes.USER_REQUEST]){
+			let assets = await RegnetHelper.getAllAssets(ctx,objectType);
+			for(let {key, value: asset} of assets){
+				let legacy = (asset.aadharNumber !== undefined);
+				let pii = legacy ? {aadharNumber: asset.aadharNumber, emailId: asset.emailId, phoneNumber: asset.phoneNumber} :
+					await RegnetHelper.getPII(ctx,key);
+				//Personal details of closed requests are not kept, hence they cannot be re-keyed
+				if(!pii){
+					continue;
+				}
+
+				let userID = RegnetHelper.getUserID(ctx,asset.name,pii.aadharNumber);
+				let newKey = ctx.stub.createCompositeKey(objectType,[userID]);
+				if(newKey === key){
+					continue;
+				}
+
+				delete asset.aadharNumber;
+				delete asset.emailId;
+				delete asset.phoneNumber;
+				asset.userID = userID;
+
+				//Personal details of closed requests are not carried over
+				if(objectType === ObjectTypes.USER || RegnetHelper.isRequestPending(asset)){
+					await RegnetHelper.putPII(ctx,newKey,pii);
+				}
+				if(!legacy){
+					await RegnetHelper.deletePII(ctx,key);
+				}
+				await RegnetHelper.putAssetData(ctx,newKey,asset);
+				await RegnetHelper.deleteAsset(ctx,key);
+				keyMapping.set(key,newKey);
+				//Names in keys of legacy users are not IDs, and replacing them would rewrite unrelated fields
+				if(objectType === ObjectTypes.USER && !legacy){
+					idMapping.set(ctx.stub.splitCompositeKey(key).attributes[0],userID);
+				}
+			}
+		}
+
+		//Replace old user keys and IDs wherever they are referenced, e.g. property owners, offer buyers and ledger entries
+		let updatedRecords = 0;
+		let referencingTypes = Object.values(ObjectTypes).filter(objectType => objectType !== ObjectTypes.USER && objectType !== ObjectTypes.USER_REQUEST);
+		for(let objectType of referencingTypes){
+			let assets = await RegnetHelper.getAllAssets(ctx,objectType);
+			for(let {key, value: asset} of assets){
+				let original = JSON.stringify(asset);
+				let migrated = JSON.parse(original, (field, value) => keyMapping.get(value) || idMapping.get(value) || value);
+				//Ledger entries are keyed by User ID
+				let newKey = ctx.stub.createCompositeKey(objectType,
+					ctx.stub.splitCompositeKey(key).attributes.map(attribute => idMapping.get(attribute) || attribute));
+				if(newKey !== key){
+					await RegnetHelper.deleteAsset(ctx,key);
+				}
+				if(newKey !== key || JSON.stringify(migrated) !== original){
+					await RegnetHelper.putAssetData(ctx,newKey,migrated);
+					updatedRecords++;
+				}
+			}
+		}
+
+		//Old keys embed Aadhar numbers, hence only new keys are published
+		let migration = {
+			migratedKeys: Array.from(keyMapping.values()),
+			updatedRecords: updatedRecords
+		};
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.USER_RECORDS_MIGRATED,{
+			keys: {migratedKeys: migration.migratedKeys},
+			amounts: {migratedKeys: migration.migratedKeys.length, updatedRecords: updatedRecords}
+		});
+
+		return migration;
+	}
+
+	/**
+	 * Upgrade a batch of assets of given type to the current schema version of the type, e.g. after upgrading chaincode
+	 * Invoke again with the returned bookmark until it is empty to migrate all assets of the type
+	 * @param ctx - The transaction context object
+	 * @param assetType - Type of assets to be migrated, e.g. property or request.user
+	 * @param pageSize - Maximum number of assets to be examined
+	 * @param bookmark - Bookmark returned by previous batch, empty for first batch
+	 * @returns
+	 */
+	async migrateAssets(ctx, assetType, pageSize, bookmark) {
+		//Allow only registrars to migrate assets
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can migrate assets");
+		}
+
+		let objectType = RegnetHelper.getObjectType(assetType);
+		let batchSize = RegnetHelper.getPageSize(pageSize);
+		let batch = await RegnetHelper.migrateAssets(ctx,objectType,batchSize,bookmark);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.ASSETS_MIGRATED,{
+			keys: {migrated: batch.migrated.map(entry => entry.key), failed: batch.failed.map(entry => entry.key)},
+			amounts: {migrated: batch.migrated.length, failed: batch.failed.length, upToDate: batch.upToDate},
+			after: {assetType: assetType, schemaVersion: RegnetHelper.getSchemaVersions()[assetType], bookmark: batch.bookmark}
+		});
+
+		return batch;
+	}
+
+	/**
+	 * View the current schema version of every asset type
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	async viewSchemaVersions(ctx) {
+		return RegnetHelper.getSchemaVersions();
+	}
+
+	/**
+	 * Create users of an existing registry in bulk, e.g. while onboarding a municipality
+	 * Records are passed as a JSON array through transient data under users, so that personal details never appear in
+	 * the block. Every record is reported as created, existing or failed, hence the import can safely be run again
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	async importUsers(ctx) {
+		//Allow only registrars to import users
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can import users");
+		}
+
+		let records = RegnetHelper.parseImportBatch(RegnetHelper.getTransientValue(ctx,"users"),"users");
+		let batch = await RegnetHelper.importRecords(records,record => RegnetRegistrarContract.importUser(ctx,record));
+
+		RegnetRegistrarContract.emitImportEvent(ctx,RegnetHelper.EventTypes.USERS_IMPORTED,batch);
+		return batch;
+	}
+
+	/**
+	 * Create properties of an existing registry in bulk, owners must have been imported or registered already
+	 * Every record is reported as created, existing or failed, hence the import can safely be run again
+	 * @param ctx - The transaction context object
+	 * @param properties - JSON array of properties, each with propertyID, price, owners with userID and share, metadata and
+	 * optionally consentThreshold and status
+	 * @returns
+	 */
+	async importProperties(ctx, properties) {
+		//Allow only registrars to import properties
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can import properties");
+		}
+
+		let records = RegnetHelper.parseImportBatch(properties,"properties");
+		let batch = await RegnetHelper.importRecords(records,record => RegnetRegistrarContract.importProperty(ctx,record));
+
+		RegnetRegistrarContract.emitImportEvent(ctx,RegnetHelper.EventTypes.PROPERTIES_IMPORTED,batch);
+		return batch;
+	}
+
+	/**
+	 * Export a page of users in the format accepted by importUsers, along with their user ID and balance
+	 * @param ctx - The transaction context object
+	 * @param pageSize - Maximum number of users to be returned
+	 * @param bookmark - Bookmark returned with previous page, empty for first page
+	 * @returns
+	 */
+	async exportUsers(ctx, pageSize, bookmark) {
+		//Allow only registrars to export users along with their personal details
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can export users");
+		}
+
+		let page = await RegnetHelper.getAssetsPage(ctx,RegnetHelper.ObjectTypes.USER,pageSize,bookmark);
+		let records = [];
+		for(let user of page.records){
+			let pii = await RegnetHelper.getPII(ctx,RegnetHelper.getUserKeyByID(ctx,user.userID)) || {};
+			records.push({
+				name: user.name,
+				aadharNumber: pii.aadharNumber || null,
+				emailId: pii.emailId || null,
+				phoneNumber: pii.phoneNumber || null,
+				userID: user.userID,
+				upgradCoins: user.upgradCoins
+			});
+		}
+		page.records = records;
+		return page;
+	}
+
+	/**
+	 * Export a page of properties in the format accepted by importProperties, retired properties are left out
+	 * @param ctx - The transaction context object
+	 * @param pageSize - Maximum number of properties to be returned
+	 * @param bookmark - Bookmark returned with previous page, empty for first page
+	 * @returns
+	 */
+	async exportProperties(ctx, pageSize, bookmark) {
+		//Allow only registrars to export properties
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can export properties");
+		}
+
+		let page = await RegnetHelper.getAssetsPage(ctx,RegnetHelper.ObjectTypes.PROPERTY,pageSize,bookmark,
+			property => property.status !== "retired");
+		page.records = page.records.map(property => ({
+			propertyID: property.propertyID,
+			price: property.price,
+			owners: RegnetHelper.getOwners(property).map(owner => ({userID: ctx.stub.splitCompositeKey(owner.owner).attributes[0], share: owner.share})),
+			consentThreshold: property.consentThreshold || RegnetHelper.FULL_CONSENT,
+			status: property.status,
+			//Properties registered before metadata was introduced carry none and have to be completed before importing them elsewhere
+			metadata: property.metadata || null
+		}));
+		return page;
+	}
+
+	/**
+	 * Freeze a property, e.g. on a court order or a fraud report, so that its owners can no longer act on it
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param caseReference - Reference of the court case or complaint
+	 * @param reason - Reason for freezing the property
+	 * @returns
+	 */
+	async freezeProperty(ctx, propertyID, caseReference, reason) {
+		//Allow only registrars to freeze properties
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can freeze properties");
+		}
+
+		return await RegnetRegistrarContract.changeRestriction(ctx,propertyID,"freeze",true,caseReference,reason);
+	}
+
+	/**
+	 * Lift the freeze on a property
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param caseReference - Reference of the court case or order lifting the freeze
+	 * @param reason - Reason for lifting the freeze
+	 * @returns
+	 */
+	async unfreezeProperty(ctx, propertyID, caseReference, reason) {
+		//Allow only registrars to unfreeze properties
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can unfreeze properties");
+		}
+
+		return await RegnetRegistrarContract.changeRestriction(ctx,propertyID,"freeze",false,caseReference,reason);
+	}
+
+	/**
+	 * Mark a property as under dispute so that its owners can no longer act on it until the dispute is resolved
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param caseReference - Reference of the court case or complaint
+	 * @param reason - Nature of the dispute
+	 * @returns
+	 */
+	async markPropertyDisputed(ctx, propertyID, caseReference, reason) {
+		//Allow only registrars to record disputes
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can mark properties as disputed");
+		}
+
+		return await RegnetRegistrarContract.changeRestriction(ctx,propertyID,"dispute",true,caseReference,reason);
+	}
+
+	/**
+	 * Resolve the dispute recorded on a property
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param caseReference - Reference of the court case or order resolving the dispute
+	 * @param reason - Outcome of the dispute
+	 * @returns
+	 */
+	async resolvePropertyDispute(ctx, propertyID, caseReference, reason) {
+		//Allow only registrars to resolve disputes
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can resolve property disputes");
+		}
+
+		return await RegnetRegistrarContract.changeRestriction(ctx,propertyID,"dispute",false,caseReference,reason);
+	}
+
+	/**
+	 * Transfer ownership of a property as ordered by a court, without any coins being paid
+	 * The transfer is executed whether or not the property is frozen or under dispute, open offers and lease offers are cancelled
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param caseReference - Reference of the court order
+	 * @param newOwners - JSON array of new owners with name, aadharNumber and percentage share adding up to 100, empty to
+	 * pass it as transient data
+	 * @param reason - Reason for the transfer
+	 * @returns
+	 */
+	async executeCourtOrderedTransfer(ctx, propertyID, caseReference, newOwners, reason) {
+		//Allow only registrars to execute court orders
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can execute court ordered transfers");
+		}
+
+		RegnetValidator.checkInputs({propertyID: propertyID, caseReference: caseReference, reason: reason});
+
+		const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+		let property = await RegnetRegistrarContract.getExistingProperty(ctx,propertyKey);
+		RegnetHelper.checkNotRetired(property);
+		let owners = await RegnetRegistrarContract.parseNewOwners(ctx,newOwners);
+
+		//Property leaves the market, hence release escrow of all open offers
+		let previous = {status: property.status, owners: RegnetHelper.getOwners(property)};
+		let cancelledOffers = await RegnetHelper.refundOffers(ctx,propertyID,RegnetHelper.OfferStatus.CANCELLED);
+		let cancelledLeases = await RegnetHelper.cancelLeaseOffers(ctx,propertyID);
+
+		RegnetHelper.setOwners(property,owners);
+		property.status = "registered";
+		property.updatedAt = RegnetHelper.getTxDate(ctx);
+		await RegnetHelper.putAssetData(ctx,propertyKey,property);
+
+		let intervention = await RegnetRegistrarContract.recordIntervention(ctx,propertyID,RegnetHelper.InterventionTypes.COURT_ORDERED_TRANSFER,
+			caseReference,reason,previous,{status: property.status, owners: owners});
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.COURT_ORDERED_TRANSFER,{
+			keys: {property: propertyKey, intervention: intervention.key, previousOwners: previous.owners.map(owner => owner.owner),
+				owners: owners.map(owner => owner.owner), cancelledOffers: cancelledOffers, cancelledLeases: cancelledLeases},
+			before: previous,
+			after: intervention.value.after,
+			assets: {property: property, intervention: intervention.value},
+			reason: reason
+		});
+
+		return property;
+	}
+
+	/**
+	 * View the audit trail of registrar interventions on a property
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @returns
+	 */
+	async viewInterventions(ctx, propertyID) {
+		RegnetValidator.checkInputs({propertyID: propertyID});
+
+		let interventions = await RegnetHelper.getAllAssets(ctx,RegnetHelper.ObjectTypes.INTERVENTION,[propertyID]);
+		return interventions
+			.map(intervention => intervention.value)
+			.sort((a, b) => new Date(a.performedAt) - new Date(b.performedAt));
+	}
+
+	/**
+	 * Approve a request to split or merge properties
+	 * Properties named in the request are retired and the new properties are created with lineage linking them both ways
+	 * @param ctx - The transaction context object
+	 * @param requestID - ID of the split or merger request
+	 * @returns
+	 */
+	async approvePropertyRestructure(ctx, requestID) {
+		//Allow only registrars to approve splits and mergers
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can approve split or merger of properties");
+		}
+
+		RegnetValidator.checkInputs({requestID: requestID});
+
+		const requestKey = RegnetHelper.getRestructureRequestKey(ctx,requestID);
+		let request = await RegnetHelper.getRestructureRequest(ctx,requestKey);
+		if(!RegnetHelper.isRequestPending(request)){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Split or merger request is already " + request.requestStatus + "!!!");
+		}
+
+		//Land can only be restructured with consent of all its owners
+		let consentedShare = RegnetHelper.getConsentedShare(request,request.consents);
+		if(consentedShare < RegnetHelper.FULL_CONSENT){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Split or merger request has consent of owners holding only " + consentedShare + "% of shares!!!");
+		}
+
+		//Properties may have been sold, encumbered or restricted since the request was placed
+		let parents = [];
+		for(let propertyID of request.parents){
+			const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+			let property = await RegnetRegistrarContract.getExistingProperty(ctx,propertyKey);
+			await RegnetHelper.checkRestructurable(ctx,property);
+			if(!RegnetHelper.isSameOwners(RegnetHelper.getOwners(property),request.owners)){
+				throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Owners of property " + propertyID + " have changed since the request was placed!!!");
+			}
+			parents.push({key: propertyKey, value: property});
+		}
+
+		//Retire properties and release their survey numbers so that new properties may take them over, lease offers lapse along with them
+		let childIDs = request.children.map(child => child.propertyID);
+		for(let {key, value: property} of parents){
+			await RegnetHelper.deleteAsset(ctx,RegnetHelper.getSurveyNumberKey(ctx,property.metadata.district,property.metadata.surveyNumber));
+			await RegnetHelper.cancelLeaseOffers(ctx,property.propertyID);
+
+			property.status = "retired";
+			property.children = childIDs;
+			property.retirementRequestID = requestID;
+			property.retiredAt = RegnetHelper.getTxDate(ctx);
+			property.updatedAt = RegnetHelper.getTxDate(ctx);
+			await RegnetHelper.putAssetData(ctx,key,property);
+		}
+
+		//Create new properties held by the same owners, their metadata is verified by the approving registrar
+		let children = [];
+		for(let child of request.children){
+			const propertyKey = RegnetHelper.getPropertyKey(ctx,child.propertyID);
+			await RegnetHelper.checkNewPropertyID(ctx,child.propertyID);
+			const surveyNumberKey = await RegnetHelper.checkSurveyNumber(ctx,child.metadata);
+
+			let newPropertyObject = new Property({
+				propertyID: child.propertyID,
+				owners: request.owners,
+				consentThreshold: child.consentThreshold,
+				price: child.price,
+				status: "registered",
+				metadata: child.metadata,
+				metadataVerifiedBy: RegnetHelper.getActor(ctx),
+				parents: request.parents,
+				originRequestID: requestID
+			},RegnetHelper.getTxDate(ctx));
+			await RegnetHelper.putAssetData(ctx,propertyKey,newPropertyObject);
+			await RegnetHelper.putAssetData(ctx,surveyNumberKey,{propertyID: child.propertyID, district: child.metadata.district, surveyNumber: child.metadata.surveyNumber});
+			children.push({key: propertyKey, value: newPropertyObject});
+		}
+
+		await RegnetHelper.closeRequest(ctx,requestKey,request,RegnetHelper.RequestStatus.APPROVED);
+
+		RegnetHelper.emitEvent(ctx,(request.restructureType === RegnetHelper.RestructureTypes.SPLIT) ?
+			RegnetHelper.EventTypes.PROPERTY_SPLIT : RegnetHelper.EventTypes.PROPERTIES_MERGED,{
+			keys: {request: requestKey, parents: parents.map(parent => parent.key), children: children.map(child => child.key)},
+			before: {requestStatus: RegnetHelper.RequestStatus.PENDING, status: "registered"},
+			after: {requestStatus: request.requestStatus, status: "retired"},
+			amounts: {parentPrices: parents.map(parent => parent.value.price), childPrices: children.map(child => child.value.price)},
+			assets: {parents: parents.map(parent => parent.value), children: children.map(child => child.value)}
+		});
+
+		return {parents: parents.map(parent => parent.value), children: children.map(child => child.value)};
+	}
+
+	/**
+	 * Reject a request to split or merge properties
+	 * @param ctx - The transaction context object
+	 * @param requestID - ID of the split or merger request
+	 * @param reason - Reason for rejecting the request
+	 * @returns
+	 */
+	async rejectPropertyRestructure(ctx, requestID, reason) {
+		//Allow only registrars to reject splits and mergers
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can reject split or merger of properties");
+		}
+
+		RegnetValidator.checkInputs({requestID: requestID, reason: reason});
+
+		const requestKey = RegnetHelper.getRestructureRequestKey(ctx,requestID);
+		let request = await RegnetHelper.getRestructureRequest(ctx,requestKey);
+		if(!RegnetHelper.isRequestPending(request)){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Split or merger request is already " + request.requestStatus + "!!!");
+		}
+
+		await RegnetHelper.closeRequest(ctx,requestKey,request,RegnetHelper.RequestStatus.REJECTED,reason);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.PROPERTY_RESTRUCTURE_REJECTED,{
+			keys: {request: requestKey},
+			before: {requestStatus: RegnetHelper.RequestStatus.PENDING},
+			after: {requestStatus: request.requestStatus},
+			reason: reason
+		});
+
+		return request;
+	}
+
+	/**
+	 * List pending requests to split or merge properties along with their age
+	 * @param ctx - The transaction context object
+	 * @param pageSize - Number of requests to be returned in a page
+	 * @param bookmark - Bookmark returned with previous page, empty for first page
+	 * @returns
+	 */
+	async listPendingRestructureRequests(ctx, pageSize, bookmark) {
+		//Allow only registrars to view restructuring work queue
+		if(!RegnetRegistrarContract.isRequestedByRegistrar(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of Registrar organization can list pending split and merger requests");
+		}
+
+		return await RegnetHelper.getPendingRequests(ctx,RegnetHelper.ObjectTypes.RESTRUCTURE_REQUEST,pageSize,bookmark);
+	}
+
+  /**
+	 * View current state of property
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @returns
+	 */
+	async viewProperty(ctx, propertyID) {
+		RegnetValidator.checkInputs({propertyID: propertyID});
+
+		//Create composite key to fetch property data from network
+    const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+
+    //Check if given property exists
+		if(!await RegnetHelper.isAssetExisting(ctx,propertyKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No Property exists with given property ID.");
+		}
+
+		//Return value of property from blockchain along with the liens held against it
+    let property = await RegnetHelper.getAsset(ctx,propertyKey);
+		property.encumbrances = (await RegnetHelper.getActiveLiens(ctx,propertyID)).map(lien => lien.value);
+		return property;
+	}
+
+	/**
+	 * Check a document against the hash recorded in metadata of property
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param documentName - titleDeed for title deed, otherwise name of a supporting document
+	 * @param documentHash - SHA-256 hash of the document to be checked
+	 * @returns
+	 */
+	async verifyPropertyDocument(ctx, propertyID, documentName, documentHash) {
+		let input = RegnetValidator.checkInputs({propertyID: propertyID, documentName: documentName, documentHash: documentHash});
+		let property = await this.viewProperty(ctx,propertyID);
+
+		return RegnetHelper.verifyDocumentHash(property,documentName,input.documentHash);
+	}
+
+	/**
+	 * View ownership history of property
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @returns
+	 */
+	async getPropertyHistory(ctx, propertyID) {
+		RegnetValidator.checkInputs({propertyID: propertyID});
+
+		//Create composite key to fetch property history from network
+		const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+
+		//Build chain of ownership entries from ledger history of property
+		let history = await RegnetHelper.getOwnershipHistory(ctx,propertyKey);
+		if(history.length === 0){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No history available for Property with given property ID.");
+		}
+
+		return history;
+	}
+
+	/**
+	 * View properties a property was carved out of and properties it was split or merged into
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @returns
+	 */
+	async getPropertyLineage(ctx, propertyID) {
+		RegnetValidator.checkInputs({propertyID: propertyID});
+
+		const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+		let property = await RegnetRegistrarContract.getExistingProperty(ctx,propertyKey);
+		return await RegnetHelper.getLineage(ctx,property);
+	}
+
+	/**
+	 * List all properties on the network page by page
+	 * @param ctx - The transaction context object
+	 * @param pageSize - Number of properties to be returned in a page
+	 * @param bookmark - Bookmark returned with previous page, empty for first page
+	 * @returns
+	 */
+	async listProperties(ctx, pageSize, bookmark) {
+		return await RegnetHelper.queryProperties(ctx,{},pageSize,bookmark);
+	}
+
+	/**
+	 * Query properties by owner, status and price range page by page
+	 * @param ctx - The transaction context object
+	 * @param queryString - JSON string with optional owner (or name and aadharNumber), status, minPrice and maxPrice
+	 * @param pageSize - Number of properties to be returned in a page
+	 * @param bookmark - Bookmark returned with previous page, empty for first page
+	 * @returns
+	 */
+	async queryProperties(ctx, queryString, pageSize, bookmark) {
+		let criteria = RegnetHelper.parseQueryCriteria(queryString);
+		return await RegnetHelper.queryProperties(ctx,criteria,pageSize,bookmark);
 	}
 
 }
@@ -0,0 +1,179 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const {FakeNetwork, AADHAR} = require('./fakes/network.js');
+const {FakeClientIdentity} = require('./fakes/ledger.js');
+const RegnetHelper = require('../utils.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+
+const APPROVAL_POLICY = {
+	userApprovals: 2,
+	propertyApprovalBands: [{minPrice: 5000, approvals: 3}, {minPrice: 1000, approvals: 2}]
+};
+
+describe('Registration approval policies', () => {
+	let network;
+	let checker;
+	let auditor;
+
+	beforeEach(async () => {
+		network = new FakeNetwork();
+		checker = new FakeClientIdentity('registrarMSP', 'checker');
+		auditor = new FakeClientIdentity('registrarMSP', 'auditor');
+		await network.registerUser('alice', 100);
+	});
+
+	const setApprovalPolicy = policy => network.asRegistrar('setApprovalPolicy', [JSON.stringify(policy)]);
+	const requestProperty = (propertyID, price) => network.asUser('alice', 'propertyRegistrationRequest',
+		['alice', AADHAR.alice, propertyID, String(price), '', '', network.metadataJSON(propertyID)]);
+	const approveProperty = (identity, propertyID, amendments) => network.ledger.submit(identity, network.registrar,
+		'approvePropertyRegistration', [propertyID, amendments ? JSON.stringify(amendments) : '']);
+	const outstanding = identity => network.ledger.evaluate(identity || network.registrarIdentity, network.registrar, 'listOutstandingApprovals', []);
+
+	describe('#setApprovalPolicy', () => {
+		it('should require a single approval until a policy is set', async () => {
+			(await network.ledger.evaluate(network.identity('alice'), network.registrar, 'viewApprovalPolicy', []))
+				.should.deep.equal({userApprovals: 1, propertyApprovalBands: []});
+		});
+
+		it('should store the policy with bands in ascending order of price', async () => {
+			let policy = await setApprovalPolicy(APPROVAL_POLICY);
+			policy.should.deep.include({
+				userApprovals: 2,
+				propertyApprovalBands: [{minPrice: 1000, approvals: 2}, {minPrice: 5000, approvals: 3}]
+			});
+			policy.updatedBy.id.should.equal(network.registrarIdentity.getID());
+
+			let event = network.ledger.lastEvent();
+			event.name.should.equal(RegnetHelper.EventTypes.APPROVAL_POLICY_UPDATED);
+			event.payload.before.should.deep.equal({userApprovals: 1, propertyApprovalBands: []});
+			event.payload.after.propertyApprovalBands.should.have.lengthOf(2);
+		});
+
+		it('should reject invalid policies and callers outside Registrar organization', async () => {
+			await setApprovalPolicy({userApprovals: 0, propertyApprovalBands: []}).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*userApprovals/);
+			await setApprovalPolicy({userApprovals: 11, propertyApprovalBands: []}).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*userApprovals/);
+			await setApprovalPolicy({userApprovals: 1, propertyApprovalBands: [{minPrice: 0, approvals: 0}]})
+				.should.be.rejectedWith(/REGNET_INVALID_INPUT: .*propertyApprovalBands/);
+			await setApprovalPolicy({userApprovals: 1, propertyApprovalBands: [{minPrice: 10, approvals: 2}, {minPrice: 10, approvals: 3}]})
+				.should.be.rejectedWith(/REGNET_INVALID_INPUT: .*propertyApprovalBands/);
+			await network.ledger.submit(network.identity('alice'), network.registrar, 'setApprovalPolicy', [JSON.stringify(APPROVAL_POLICY)])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+
+	describe('#approvePropertyRegistration', () => {
+		beforeEach(async () => {
+			await setApprovalPolicy(APPROVAL_POLICY);
+		});
+
+		it('should create a high-value property only once enough distinct registrars approve it', async () => {
+			await requestProperty('P1', 2000);
+
+			let request = await approveProperty(network.registrarIdentity, 'P1');
+			request.requestStatus.should.equal('pending');
+			request.requiredApprovals.should.equal(2);
+			request.approvals.map(approval => approval.approver.id).should.deep.equal([network.registrarIdentity.getID()]);
+			(network.getProperty('P1') === null).should.equal(true);
+
+			let event = network.ledger.lastEvent();
+			event.name.should.equal(RegnetHelper.EventTypes.REGISTRATION_APPROVAL_RECORDED);
+			event.payload.before.should.deep.equal({approvals: 0});
+			event.payload.after.should.deep.equal({approvals: 1});
+			event.payload.amounts.should.deep.equal({requiredApprovals: 2});
+
+			await approveProperty(network.registrarIdentity, 'P1').should.be.rejectedWith(/REGNET_CONFLICT: Registrar has already approved/);
+
+			let property = await approveProperty(checker, 'P1');
+			property.owners.should.deep.equal([{owner: network.userKey('alice'), share: 100}]);
+			network.ledger.lastEvent().name.should.equal(RegnetHelper.EventTypes.PROPERTY_REGISTRATION_APPROVED);
+			network.ledger.get(network.propertyRequestKey('P1')).approvals.should.have.lengthOf(2);
+		});
+
+		it('should apply the band of the property price', async () => {
+			await requestProperty('P1', 999);
+			await approveProperty(network.registrarIdentity, 'P1');
+			network.getProperty('P1').price.should.equal(999);
+
+			await requestProperty('P2', 5000);
+			await approveProperty(network.registrarIdentity, 'P2');
+			(await approveProperty(checker, 'P2')).requestStatus.should.equal('pending');
+			await approveProperty(auditor, 'P2');
+			network.getProperty('P2').price.should.equal(5000);
+		});
+
+		it('should collect approvals again once metadata is amended', async () => {
+			await requestProperty('P1', 2000);
+			await approveProperty(network.registrarIdentity, 'P1');
+
+			let request = await approveProperty(checker, 'P1', {area: 1300});
+			request.metadataAmendments.should.deep.equal({area: 1300});
+			request.approvals.map(approval => approval.approver.id).should.deep.equal([checker.getID()]);
+
+			await approveProperty(checker, 'P1').should.be.rejectedWith('REGNET_CONFLICT');
+			await approveProperty(checker, 'P1', {area: 'large'}).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*area/);
+			await approveProperty(network.registrarIdentity, 'P1');
+			network.getProperty('P1').metadata.area.should.equal(1300);
+		});
+
+		it('should let a single registrar reject a request awaiting other approvals', async () => {
+			await requestProperty('P1', 2000);
+			await approveProperty(network.registrarIdentity, 'P1');
+			let request = await network.ledger.submit(checker, network.registrar, 'rejectPropertyRegistration', ['P1', 'Forged title deed']);
+			request.requestStatus.should.equal('rejected');
+			await approveProperty(auditor, 'P1').should.be.rejectedWith('REGNET_INVALID_STATE');
+		});
+	});
+
+	describe('#approveNewUser', () => {
+		it('should create the user once enough distinct registrars approve', async () => {
+			await setApprovalPolicy(APPROVAL_POLICY);
+			await network.requestUser('bob');
+
+			let request = await network.asRegistrar('approveNewUser', ['bob', AADHAR.bob]);
+			request.should.deep.include({requestStatus: 'pending', requiredApprovals: 2});
+			(network.getUser('bob') === null).should.equal(true);
+
+			let user = await network.ledger.submit(checker, network.registrar, 'approveNewUser', ['bob', AADHAR.bob]);
+			user.name.should.equal('bob');
+			network.getUser('bob').upgradCoins.should.equal(0);
+		});
+	});
+
+	describe('#listOutstandingApprovals', () => {
+		it('should show approvals still needed and who gave the others', async () => {
+			await setApprovalPolicy(APPROVAL_POLICY);
+			await network.requestUser('bob');
+			await requestProperty('P1', 6000);
+			await requestProperty('P2', 100);
+			await network.asRegistrar('approveNewUser', ['bob', AADHAR.bob]);
+			await approveProperty(checker, 'P1');
+
+			let queue = await outstanding();
+			queue.userRequests.should.deep.equal([{
+				request: network.userRequestKey('bob'), name: 'bob', propertyID: undefined, price: undefined,
+				requiredApprovals: 2, approvedBy: [{mspId: 'registrarMSP', id: network.registrarIdentity.getID()}],
+				outstandingApprovals: 1, approvedByCaller: true
+			}]);
+			queue.propertyRequests.map(entry => [entry.propertyID, entry.price, entry.outstandingApprovals, entry.approvedByCaller])
+				.should.deep.equal([['P1', 6000, 2, false], ['P2', 100, 1, false]]);
+			(await outstanding(checker)).propertyRequests[0].approvedByCaller.should.equal(true);
+
+			//Next approval completes requests approved under a stricter policy
+			await setApprovalPolicy({userApprovals: 1, propertyApprovalBands: []});
+			(await outstanding()).propertyRequests[0].should.deep.include({requiredApprovals: 1, outstandingApprovals: 1});
+			await approveProperty(auditor, 'P1');
+			await approveProperty(auditor, 'P2');
+			await network.ledger.submit(auditor, network.registrar, 'approveNewUser', ['bob', AADHAR.bob]);
+			(await outstanding()).should.deep.equal({userRequests: [], propertyRequests: []});
+		});
+
+		it('should only be allowed to registrars', async () => {
+			await outstanding(network.identity('alice')).should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const {FakeNetwork, AADHAR} = require('./fakes/network.js');
+const {FakeClientIdentity} = require('./fakes/ledger.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+
+describe('RegnetBankContract', () => {
+	let network;
+
+	beforeEach(async () => {
+		network = new FakeNetwork();
+		await network.registerUser('alice', 500);
+	});
+
+	const asOutsider = (fn, args) => network.ledger.submit(network.outsider, network.bank, fn, args);
+
+	describe('#recordDeposit and #viewReceipt', () => {
+		it('should issue a receipt which can be viewed', async () => {
+			let receipt = await network.asBank('recordDeposit', ['DEP-1', 'alice', AADHAR.alice, '250']);
+			receipt.should.deep.include({receiptID: 'DEP-1', beneficiary: network.userKey('alice'), amount: 250, status: 'issued'});
+
+			let viewed = await network.ledger.evaluate(network.identity('alice'), network.bank, 'viewReceipt', ['DEP-1']);
+			viewed.amount.should.equal(250);
+		});
+
+		it('should accept Aadhar number of the depositor through transient data', async () => {
+			let receipt = await network.asBank('recordDeposit', ['DEP-1', 'alice', '', '250'], {aadharNumber: AADHAR.alice});
+			receipt.beneficiary.should.equal(network.userKey('alice'));
+		});
+
+		it('should reject duplicate receipts, unknown users and invalid amounts', async () => {
+			await network.asBank('recordDeposit', ['DEP-1', 'alice', AADHAR.alice, '250']);
+			await network.asBank('recordDeposit', ['DEP-1', 'alice', AADHAR.alice, '250']).should.be.rejectedWith('REGNET_CONFLICT');
+			await network.asBank('recordDeposit', ['DEP-2', 'bob', AADHAR.bob, '250']).should.be.rejectedWith('REGNET_NOT_FOUND');
+			await network.asBank('recordDeposit', ['DEP-2', 'alice', AADHAR.alice, '2.5']).should.be.rejectedWith('REGNET_INVALID_INPUT');
+			await network.ledger.evaluate(network.identity('alice'), network.bank, 'viewReceipt', ['DEP-9'])
+				.should.be.rejectedWith('REGNET_NOT_FOUND');
+		});
+
+		it('should only be allowed to bank identities', async () => {
+			await asOutsider('recordDeposit', ['DEP-1', 'alice', AADHAR.alice, '250']).should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.ledger.submit(network.registrarIdentity, network.bank, 'recordDeposit', ['DEP-1', 'alice', AADHAR.alice, '250'])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+
+		it('should ignore the bank role attribute of identities of other organizations', async () => {
+			let mallory = new FakeClientIdentity('usersMSP', 'mallory', {'regnet.role': 'bank'});
+			await network.ledger.submit(mallory, network.bank, 'recordDeposit', ['DEP-1', 'alice', AADHAR.alice, '250'])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+			network.getUser('alice').upgradCoins.should.equal(500);
+		});
+	});
+
+	describe('withdrawals', () => {
+		let withdrawal;
+
+		beforeEach(async () => {
+			withdrawal = await network.asUser('alice', 'requestWithdrawal', ['alice', AADHAR.alice, '200']);
+		});
+
+		it('should list requested withdrawals and complete them', async () => {
+			let pending = await network.ledger.evaluate(network.bankIdentity, network.bank, 'listPendingWithdrawals', ['', '']);
+			pending.records.map(record => record.withdrawalID).should.deep.equal([withdrawal.withdrawalID]);
+
+			let completed = await network.asBank('completeWithdrawal', [withdrawal.withdrawalID, 'NEFT-77']);
+			completed.should.deep.include({status: 'completed', bankReference: 'NEFT-77'});
+			network.getUser('alice').upgradCoins.should.equal(300);
+
+			pending = await network.ledger.evaluate(network.bankIdentity, network.bank, 'listPendingWithdrawals', ['', '']);
+			pending.records.should.deep.equal([]);
+		});
+
+		it('should refund coins of rejected withdrawals', async () => {
+			let rejected = await network.asBank('rejectWithdrawal', [withdrawal.withdrawalID, 'Account closed']);
+			rejected.should.deep.include({status: 'rejected', reason: 'Account closed'});
+			network.getUser('alice').upgradCoins.should.equal(500);
+			network.ledger.lastEvent().payload.amounts.should.deep.equal({amount: 200, balanceBefore: 300, balanceAfter: 500});
+		});
+
+		it('should process a withdrawal only once', async () => {
+			await network.asBank('completeWithdrawal', [withdrawal.withdrawalID, 'NEFT-77']);
+			await network.asBank('completeWithdrawal', [withdrawal.withdrawalID, 'NEFT-78']).should.be.rejectedWith(/REGNET_INVALID_STATE: .*completed/);
+			await network.asBank('rejectWithdrawal', [withdrawal.withdrawalID, 'Late']).should.be.rejectedWith('REGNET_INVALID_STATE');
+			await network.asBank('completeWithdrawal', ['unknown', 'NEFT-79']).should.be.rejectedWith('REGNET_NOT_FOUND');
+		});
+
+		it('should only be allowed to bank identities', async () => {
+			await asOutsider('completeWithdrawal', [withdrawal.withdrawalID, 'NEFT-77']).should.be.rejectedWith('REGNET_FORBIDDEN');
+			await asOutsider('rejectWithdrawal', [withdrawal.withdrawalID, 'No']).should.be.rejectedWith('REGNET_FORBIDDEN');
+			await asOutsider('listPendingWithdrawals', ['', '']).should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+});
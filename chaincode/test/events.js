@@ -0,0 +1,315 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const {FakeNetwork, AADHAR} = require('./fakes/network.js');
+const RegnetHelper = require('../utils.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+
+describe('Chaincode events', () => {
+	let network;
+
+	beforeEach(() => {
+		network = new FakeNetwork();
+	});
+
+	//Name and payload of the event set by the last committed transaction
+	const lastEvent = () => network.ledger.lastEvent();
+
+	it('should emit a versioned payload with actor and transaction details', async () => {
+		await network.requestUser('alice');
+
+		let {name, txId, payload} = lastEvent();
+		name.should.equal(RegnetHelper.EventTypes.USER_REGISTRATION_REQUESTED);
+		payload.should.deep.include({
+			version: 2,
+			eventType: name,
+			txId: txId,
+			timestamp: '2020-01-01T00:00:01.000Z',
+			actor: {mspId: 'usersMSP', id: network.identity('alice').getID()},
+			keys: {request: network.userRequestKey('alice')},
+			after: {requestStatus: 'pending'},
+			reason: null
+		});
+		payload.assets.request.name.should.equal('alice');
+		JSON.stringify(payload).should.not.contain(AADHAR.alice);
+	});
+
+	it('should emit an event when a user registration is approved', async () => {
+		await network.requestUser('alice');
+		await network.asRegistrar('approveNewUser', ['alice', AADHAR.alice]);
+
+		let {name, payload} = lastEvent();
+		name.should.equal(RegnetHelper.EventTypes.USER_REGISTRATION_APPROVED);
+		payload.keys.user.should.equal(network.userKey('alice'));
+		payload.before.should.deep.equal({requestStatus: 'pending'});
+		payload.after.should.deep.equal({requestStatus: 'approved'});
+		payload.amounts.should.deep.equal({upgradCoins: 0});
+	});
+
+	it('should emit an event with reason when a user registration is rejected', async () => {
+		await network.requestUser('alice');
+		await network.asRegistrar('rejectNewUser', ['alice', AADHAR.alice, 'Aadhar mismatch']);
+
+		let {name, payload} = lastEvent();
+		name.should.equal(RegnetHelper.EventTypes.USER_REGISTRATION_REJECTED);
+		payload.after.should.deep.equal({requestStatus: 'rejected'});
+		payload.reason.should.equal('Aadhar mismatch');
+	});
+
+	it('should emit an event when bank records a deposit', async () => {
+		await network.registerUser('alice');
+		await network.asBank('recordDeposit', ['DEP-1', 'alice', AADHAR.alice, '500']);
+
+		let {name, payload} = lastEvent();
+		name.should.equal(RegnetHelper.EventTypes.DEPOSIT_RECORDED);
+		payload.keys.should.deep.equal({
+			receipt: RegnetHelper.getReceiptKey(network.ctx, 'DEP-1'),
+			user: network.userKey('alice')
+		});
+		payload.after.should.deep.equal({receiptStatus: 'issued'});
+		payload.amounts.should.deep.equal({amount: 500});
+	});
+
+	it('should emit balances when an account is recharged', async () => {
+		await network.registerUser('alice');
+		await network.asBank('recordDeposit', ['DEP-1', 'alice', AADHAR.alice, '500']);
+		await network.asUser('alice', 'rechargeAccount', ['alice', AADHAR.alice, 'DEP-1']);
+
+		let {name, payload} = lastEvent();
+		name.should.equal(RegnetHelper.EventTypes.ACCOUNT_RECHARGED);
+		payload.before.should.deep.equal({receiptStatus: 'issued'});
+		payload.after.should.deep.equal({receiptStatus: 'redeemed'});
+		payload.amounts.should.deep.equal({amount: 500, balanceBefore: 0, balanceAfter: 500});
+		payload.assets.user.upgradCoins.should.equal(500);
+	});
+
+	it('should emit events for withdrawal request, payout and rejection', async () => {
+		await network.registerUser('alice', 1000);
+
+		let withdrawal = await network.asUser('alice', 'requestWithdrawal', ['alice', AADHAR.alice, '300']);
+		let event = lastEvent();
+		event.name.should.equal(RegnetHelper.EventTypes.WITHDRAWAL_REQUESTED);
+		event.payload.keys.withdrawal.should.equal(RegnetHelper.getWithdrawalKey(network.ctx, withdrawal.withdrawalID));
+		event.payload.amounts.should.deep.equal({amount: 300, balanceBefore: 1000, balanceAfter: 700});
+
+		await network.asBank('rejectWithdrawal', [withdrawal.withdrawalID, 'Account closed']);
+		event = lastEvent();
+		event.name.should.equal(RegnetHelper.EventTypes.WITHDRAWAL_REJECTED);
+		event.payload.after.should.deep.equal({withdrawalStatus: 'rejected'});
+		event.payload.amounts.should.deep.equal({amount: 300, balanceBefore: 700, balanceAfter: 1000});
+		event.payload.reason.should.equal('Account closed');
+
+		withdrawal = await network.asUser('alice', 'requestWithdrawal', ['alice', AADHAR.alice, '300']);
+		await network.asBank('completeWithdrawal', [withdrawal.withdrawalID, 'NEFT-42']);
+		event = lastEvent();
+		event.name.should.equal(RegnetHelper.EventTypes.WITHDRAWAL_COMPLETED);
+		event.payload.after.should.deep.equal({withdrawalStatus: 'completed'});
+		event.payload.assets.withdrawal.bankReference.should.equal('NEFT-42');
+	});
+
+	it('should emit events for property registration request, rejection and approval', async () => {
+		await network.registerUser('alice');
+		const request = () => network.asUser('alice', 'propertyRegistrationRequest',
+			['alice', AADHAR.alice, 'P1', '300', '', '', network.metadataJSON('P1')]);
+
+		await request();
+		let event = lastEvent();
+		event.name.should.equal(RegnetHelper.EventTypes.PROPERTY_REGISTRATION_REQUESTED);
+		event.payload.keys.owner.should.equal(network.userKey('alice'));
+		event.payload.amounts.should.deep.equal({price: 300});
+
+		await network.asRegistrar('rejectPropertyRegistration', ['P1', 'Survey number missing']);
+		event = lastEvent();
+		event.name.should.equal(RegnetHelper.EventTypes.PROPERTY_REGISTRATION_REJECTED);
+		event.payload.reason.should.equal('Survey number missing');
+
+		await request();
+		await network.asRegistrar('approvePropertyRegistration', ['P1']);
+		event = lastEvent();
+		event.name.should.equal(RegnetHelper.EventTypes.PROPERTY_REGISTRATION_APPROVED);
+		event.payload.keys.property.should.equal(network.propertyKey('P1'));
+		event.payload.after.should.deep.equal({requestStatus: 'approved', status: 'registered', metadata: event.payload.before.metadata});
+		event.payload.before.metadata.surveyNumber.should.equal('P1/1');
+		event.payload.assets.property.price.should.equal(300);
+	});
+
+	it('should emit before and after status when a property status is updated', async () => {
+		await network.registerUser('alice');
+		await network.registerProperty('alice', 'P1', 300);
+		await network.listForSale('alice', 'P1');
+
+		let {name, payload} = lastEvent();
+		name.should.equal(RegnetHelper.EventTypes.PROPERTY_STATUS_UPDATED);
+		payload.before.should.deep.equal({status: 'registered'});
+		payload.after.should.deep.equal({status: 'onSale'});
+	});
+
+	it('should emit ownership change and balances when a property is purchased', async () => {
+		await network.registerUser('alice');
+		await network.registerUser('bob', 1000);
+		await network.registerProperty('alice', 'P1', 300);
+		await network.listForSale('alice', 'P1');
+		await network.asUser('bob', 'purchaseProperty', ['P1', 'bob', AADHAR.bob]);
+
+		let {name, payload} = lastEvent();
+		name.should.equal(RegnetHelper.EventTypes.PROPERTY_PURCHASED);
+		payload.keys.should.deep.equal({
+			property: network.propertyKey('P1'),
+			buyer: network.userKey('bob'),
+			sellers: [network.userKey('alice')],
+			cancelledOffers: [],
+			cancelledLeases: []
+		});
+		payload.before.should.deep.equal({status: 'onSale', owners: [{owner: payload.keys.sellers[0], share: 100}]});
+		payload.after.should.deep.equal({status: 'registered', owners: [{owner: payload.keys.buyer, share: 100}]});
+		payload.amounts.should.deep.equal({
+			price: 300,
+			stampDuty: 0,
+			buyerBalance: 700,
+			proceeds: [{owner: payload.keys.sellers[0], amount: 300, balance: 300}],
+			lienPayoffs: []
+		});
+	});
+
+	it('should emit consent of co-owners and split proceeds of jointly held property', async () => {
+		await network.registerUser('alice');
+		await network.registerUser('carol');
+		await network.registerUser('bob', 1000);
+		await network.registerProperty('alice', 'P1', 301, [{name: 'carol', share: 40}]);
+
+		await network.listForSale('carol', 'P1');
+		let event = lastEvent();
+		event.name.should.equal(RegnetHelper.EventTypes.CONSENT_RECORDED);
+		event.payload.after.should.deep.equal({status: 'registered', pendingStatus: 'onSale'});
+		event.payload.amounts.should.deep.equal({consentedShare: 40, consentThreshold: 100});
+
+		await network.listForSale('alice', 'P1');
+		lastEvent().name.should.equal(RegnetHelper.EventTypes.PROPERTY_STATUS_UPDATED);
+
+		await network.asUser('bob', 'purchaseProperty', ['P1', 'bob', AADHAR.bob]);
+		lastEvent().payload.amounts.proceeds.should.deep.equal([
+			{owner: network.userKey('alice'), amount: 181, balance: 181},
+			{owner: network.userKey('carol'), amount: 120, balance: 120}
+		]);
+
+		await network.asUser('bob', 'transferShare', ['P1', 'bob', AADHAR.bob, 'carol', AADHAR.carol, '25']);
+		event = lastEvent();
+		event.name.should.equal(RegnetHelper.EventTypes.SHARE_TRANSFERRED);
+		event.payload.after.owners.should.deep.equal([
+			{owner: network.userKey('bob'), share: 75},
+			{owner: network.userKey('carol'), share: 25}
+		]);
+		event.payload.amounts.should.deep.equal({share: 25});
+	});
+
+	it('should emit events when offers are placed, withdrawn and accepted', async () => {
+		await network.registerUser('alice');
+		await network.registerUser('bob', 1000);
+		await network.registerProperty('alice', 'P1', 300);
+		await network.listForSale('alice', 'P1');
+
+		let offer = await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '250', '']);
+		let event = lastEvent();
+		event.name.should.equal(RegnetHelper.EventTypes.OFFER_PLACED);
+		event.payload.keys.offer.should.equal(network.offerKey('P1', offer.offerID));
+		event.payload.after.should.deep.equal({offerStatus: 'open'});
+		event.payload.amounts.should.deep.equal({amount: 250, stampDuty: 0, price: 300, buyerBalance: 750});
+
+		await network.asUser('bob', 'withdrawOffer', ['P1', offer.offerID, 'bob', AADHAR.bob]);
+		event = lastEvent();
+		event.name.should.equal(RegnetHelper.EventTypes.OFFER_WITHDRAWN);
+		event.payload.after.should.deep.equal({offerStatus: 'withdrawn'});
+		event.payload.amounts.should.deep.equal({amount: 250, stampDuty: 0, buyerBalance: 1000});
+
+		offer = await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '280', '7']);
+		await network.asUser('alice', 'acceptOffer', ['P1', offer.offerID, 'alice', AADHAR.alice]);
+		event = lastEvent();
+		event.name.should.equal(RegnetHelper.EventTypes.OFFER_ACCEPTED);
+		event.payload.before.should.deep.equal({status: 'onSale', owners: [{owner: event.payload.keys.sellers[0], share: 100}], offerStatus: 'open'});
+		event.payload.after.should.deep.equal({status: 'registered', owners: [{owner: event.payload.keys.buyer, share: 100}], offerStatus: 'accepted'});
+		event.payload.amounts.should.deep.equal({
+			price: 300,
+			amount: 280,
+			stampDuty: 0,
+			proceeds: [{owner: event.payload.keys.sellers[0], amount: 280, balance: 280}],
+			lienPayoffs: []
+		});
+	});
+
+	it('should emit cancelled offers when a property is taken off the market', async () => {
+		await network.registerUser('alice');
+		await network.registerUser('bob', 1000);
+		await network.registerProperty('alice', 'P1', 300);
+		await network.listForSale('alice', 'P1');
+		let offer = await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '250', '']);
+		await network.asUser('alice', 'updateProperty', ['P1', 'alice', AADHAR.alice, 'registered']);
+
+		lastEvent().payload.keys.cancelledOffers.should.deep.equal([network.offerKey('P1', offer.offerID)]);
+	});
+
+	it('should emit expired offers', async () => {
+		await network.asUser('alice', 'expireOffers', ['P1']);
+
+		let {name, payload} = lastEvent();
+		name.should.equal(RegnetHelper.EventTypes.OFFERS_EXPIRED);
+		payload.keys.should.deep.equal({property: network.propertyKey('P1'), expiredOffers: []});
+	});
+
+	it('should emit events when a user is bound to a new identity', async () => {
+		await network.registerUser('alice', 1000);
+		let events = network.ledger.events.length;
+
+		await network.asUser('alice-new', 'requestWithdrawal', ['alice', AADHAR.alice, '100']).should.be.rejectedWith(/not bound to the identity/);
+		network.ledger.events.length.should.equal(events);
+
+		await network.asUser('alice-new', 'requestIdentityRebind', ['alice', AADHAR.alice]);
+		let event = lastEvent();
+		event.name.should.equal(RegnetHelper.EventTypes.IDENTITY_REBIND_REQUESTED);
+		event.payload.after.should.deep.equal({identity: network.identity('alice').getID(), pendingIdentity: network.identity('alice-new').getID()});
+
+		await network.asRegistrar('approveIdentityRebind', ['alice', AADHAR.alice]);
+		event = lastEvent();
+		event.name.should.equal(RegnetHelper.EventTypes.IDENTITY_REBOUND);
+		event.payload.before.should.deep.equal({identity: network.identity('alice').getID()});
+		event.payload.after.should.deep.equal({identity: network.identity('alice-new').getID()});
+
+		await network.asUser('alice-new', 'requestWithdrawal', ['alice', AADHAR.alice, '100']);
+		await network.asUser('alice', 'requestWithdrawal', ['alice', AADHAR.alice, '100']).should.be.rejectedWith(/not bound to the identity/);
+	});
+
+	it('should emit reason when an identity rebind is rejected', async () => {
+		await network.registerUser('alice');
+		await network.asUser('mallory', 'requestIdentityRebind', ['alice', AADHAR.alice]);
+		await network.asRegistrar('rejectIdentityRebind', ['alice', AADHAR.alice, 'Not verified in person']);
+
+		let {name, payload} = lastEvent();
+		name.should.equal(RegnetHelper.EventTypes.IDENTITY_REBIND_REJECTED);
+		payload.before.should.deep.equal({identity: network.identity('alice').getID(), pendingIdentity: network.identity('mallory').getID()});
+		payload.after.should.deep.equal({identity: network.identity('alice').getID()});
+		payload.reason.should.equal('Not verified in person');
+	});
+
+	it('should emit new keys without Aadhar numbers when legacy user records are migrated', async () => {
+		let legacyKey = RegnetHelper.getLegacyUserKey(network.ctx, 'alice', AADHAR.alice);
+		network.ledger.seed(legacyKey, Object.assign({name: 'alice', upgradCoins: 10}, network.pii('alice')));
+		network.ledger.seed(network.propertyKey('P1'), {propertyID: 'P1', owner: legacyKey, price: 300, status: 'registered'});
+		await network.asRegistrar('migrateUserRecords', []);
+
+		let {name, payload} = lastEvent();
+		name.should.equal(RegnetHelper.EventTypes.USER_RECORDS_MIGRATED);
+		payload.keys.should.deep.equal({migratedKeys: [network.userKey('alice')]});
+		payload.amounts.should.deep.equal({migratedKeys: 1, updatedRecords: 1});
+		JSON.stringify(payload).should.not.contain(AADHAR.alice);
+		(network.ledger.get(legacyKey) === null).should.equal(true);
+	});
+
+	it('should not emit any event when a transaction fails', async () => {
+		await network.ledger.submit(network.registrarIdentity, network.user, 'requestNewUser', ['alice'], network.pii('alice'))
+			.should.be.rejectedWith('REGNET_FORBIDDEN');
+		network.ledger.events.should.have.length(0);
+	});
+});
@@ -0,0 +1,333 @@
+'use strict';
+
+const crypto = require('crypto');
+
+//Delimiters used by Fabric to build composite keys
+const COMPOSITE_KEY_NAMESPACE = '\u0000';
+const MIN_UNICODE_RUNE_VALUE = '\u0000';
+const MAX_UNICODE_RUNE_VALUE = '\u{10ffff}';
+
+//Transactions are stamped one second apart starting from 2020-01-01T00:00:00Z
+const GENESIS_TIME = Date.UTC(2020, 0, 1);
+
+//Build a protobuf style timestamp whose seconds behave like a Long
+function toTimestamp(milliseconds) {
+	let seconds = Math.floor(milliseconds / 1000);
+	return {
+		seconds: {low: seconds, high: 0, toNumber: () => seconds, toString: () => String(seconds)},
+		nanos: (milliseconds % 1000) * 1000000
+	};
+}
+
+//Build a state query iterator over given results the way fabric-shim returns them
+function createIterator(results) {
+	let index = 0;
+	let iterator = {
+		closed: false,
+		next: async () => (index < results.length) ? {value: results[index++], done: false} : {done: true},
+		close: async () => { iterator.closed = true; }
+	};
+	return iterator;
+}
+
+//In-memory implementation of fabric-shim ClientIdentity
+class FakeClientIdentity {
+	/**
+	 * @param mspId - MSP ID of the identity
+	 * @param commonName - Common name in the subject of the certificate
+	 * @param attributes - Object with attributes enrolled in the certificate
+	 */
+	constructor(mspId, commonName, attributes) {
+		this.mspId = mspId;
+		this.commonName = commonName;
+		this.attributes = attributes || {};
+	}
+
+	getMSPID() {
+		return this.mspId;
+	}
+
+	getID() {
+		return 'x509::/CN=' + this.commonName + '::/CN=ca.' + this.mspId;
+	}
+
+	getAttributeValue(name) {
+		return (name in this.attributes) ? this.attributes[name] : null;
+	}
+
+	assertAttributeValue(name, value) {
+		return this.getAttributeValue(name) === value;
+	}
+}
+
+//In-memory implementation of fabric-shim ChaincodeStub for a single transaction
+//Reads see only committed state like a peer simulating a transaction, writes are collected until commit
+class FakeChaincodeStub {
+	/**
+	 * @param ledger - Ledger holding committed state
+	 * @param txId - ID of the transaction
+	 * @param timestamp - Time of the transaction in milliseconds
+	 * @param transient - Object with transient data of the transaction
+	 */
+	constructor(ledger, txId, timestamp, transient) {
+		this.ledger = ledger;
+		this.txId = txId;
+		this.timestamp = timestamp;
+		this.transient = new Map(Object.entries(transient || {}).map(([name, value]) => [name, Buffer.from(value)]));
+		this.writes = new Map();
+		this.privateWrites = new Map();
+		this.event = null;
+		this.paginated = false;
+	}
+
+	getTxID() {
+		return this.txId;
+	}
+
+	getTxTimestamp() {
+		return toTimestamp(this.timestamp);
+	}
+
+	getTransient() {
+		return this.transient;
+	}
+
+	async getState(key) {
+		return this.ledger.state.has(key) ? this.ledger.state.get(key) : Buffer.from('');
+	}
+
+	async putState(key, value) {
+		this.writes.set(key, Buffer.from(value));
+	}
+
+	async deleteState(key) {
+		this.writes.set(key, null);
+	}
+
+	createCompositeKey(objectType, attributes) {
+		return COMPOSITE_KEY_NAMESPACE + objectType + MIN_UNICODE_RUNE_VALUE +
+			attributes.map(attribute => attribute + MIN_UNICODE_RUNE_VALUE).join('');
+	}
+
+	splitCompositeKey(compositeKey) {
+		let components = compositeKey.substring(1).split(MIN_UNICODE_RUNE_VALUE);
+		return {objectType: components[0], attributes: components.slice(1, -1)};
+	}
+
+	scan(startKey, endKey) {
+		return Array.from(this.ledger.state.keys())
+			.filter(key => key >= startKey && (endKey === '' || key < endKey))
+			.sort()
+			.map(key => ({key: key, value: this.ledger.state.get(key)}));
+	}
+
+	async getStateByRange(startKey, endKey) {
+		return createIterator(this.scan(startKey, endKey));
+	}
+
+	async getStateByPartialCompositeKey(objectType, attributes) {
+		let startKey = this.createCompositeKey(objectType, attributes);
+		return createIterator(this.scan(startKey, startKey + MAX_UNICODE_RUNE_VALUE));
+	}
+
+	async getStateByPartialCompositeKeyWithPagination(objectType, attributes, pageSize, bookmark) {
+		let startKey = this.createCompositeKey(objectType, attributes);
+		return this.getStateByRangeWithPagination(startKey, startKey + MAX_UNICODE_RUNE_VALUE, pageSize, bookmark);
+	}
+
+	async getStateByRangeWithPagination(startKey, endKey, pageSize, bookmark) {
+		//Peers refuse paginated queries in transactions that write, see FakeLedger.submit
+		this.paginated = true;
+		let results = this.scan(bookmark || startKey, endKey);
+		let page = results.slice(0, pageSize);
+		return {
+			iterator: createIterator(page),
+			metadata: {
+				fetched_records_count: page.length,
+				//Bookmark is the key to resume from, empty once there are no more records
+				bookmark: (results.length > pageSize) ? results[pageSize].key : ''
+			}
+		};
+	}
+
+	async getHistoryForKey(key) {
+		return createIterator((this.ledger.history.get(key) || []).slice());
+	}
+
+	async getPrivateData(collection, key) {
+		let data = this.ledger.privateData.get(collection);
+		return (data && data.has(key)) ? data.get(key) : Buffer.from('');
+	}
+
+	async putPrivateData(collection, key, value) {
+		this.privateWrites.set(collection + COMPOSITE_KEY_NAMESPACE + key, {collection: collection, key: key, value: Buffer.from(value)});
+	}
+
+	async deletePrivateData(collection, key) {
+		this.privateWrites.set(collection + COMPOSITE_KEY_NAMESPACE + key, {collection: collection, key: key, value: null});
+	}
+
+	setEvent(name, payload) {
+		//Fabric keeps only the last event set by a transaction
+		this.event = {name: name, payload: payload};
+	}
+}
+
+//In-memory ledger which runs contract transactions and commits the writes of successful ones
+class FakeLedger {
+	constructor() {
+		this.state = new Map();
+		this.privateData = new Map();
+		this.history = new Map();
+		this.events = [];
+		this.transactionCount = 0;
+		this.time = GENESIS_TIME;
+	}
+
+	/**
+	 * Build a transaction context for given identity as Fabric passes it to contract functions
+	 * @param identity - FakeClientIdentity submitting the transaction
+	 * @param transient - Object with transient data, optional
+	 * @returns
+	 */
+	createContext(identity, transient) {
+		this.transactionCount++;
+		this.time += 1000;
+		let txId = crypto.createHash('sha256').update('tx' + this.transactionCount).digest('hex');
+		return {
+			stub: new FakeChaincodeStub(this, txId, this.time, transient),
+			clientIdentity: identity
+		};
+	}
+
+	/**
+	 * Run a transaction and commit its writes and event if it succeeds
+	 * @param identity - FakeClientIdentity submitting the transaction
+	 * @param contract - Contract instance
+	 * @param fn - Name of the transaction function
+	 * @param args - Array of string arguments
+	 * @param transient - Object with transient data, optional
+	 * @returns
+	 */
+	async submit(identity, contract, fn, args, transient) {
+		let ctx = this.createContext(identity, transient);
+		await contract.beforeTransaction(ctx);
+		let result = await contract[fn](ctx, ...(args || []));
+		if(ctx.stub.paginated && (ctx.stub.writes.size > 0 || ctx.stub.privateWrites.size > 0)){
+			throw new Error('Paginated queries are not allowed in transactions that update the ledger');
+		}
+		this.commit(ctx.stub);
+		this.lastContext = ctx;
+		return result;
+	}
+
+	/**
+	 * Run a transaction without committing anything, the way clients evaluate queries
+	 * @param identity - FakeClientIdentity submitting the transaction
+	 * @param contract - Contract instance
+	 * @param fn - Name of the transaction function
+	 * @param args - Array of string arguments
+	 * @param transient - Object with transient data, optional
+	 * @returns
+	 */
+	async evaluate(identity, contract, fn, args, transient) {
+		let ctx = this.createContext(identity, transient);
+		this.lastContext = ctx;
+		await contract.beforeTransaction(ctx);
+		return await contract[fn](ctx, ...(args || []));
+	}
+
+	commit(stub) {
+		for(let [key, value] of stub.writes){
+			if(value === null){
+				this.state.delete(key);
+			} else {
+				this.state.set(key, value);
+			}
+			let history = this.history.get(key) || [];
+			history.push({
+				key: key,
+				tx_id: stub.txId,
+				value: value || Buffer.from(''),
+				timestamp: toTimestamp(stub.timestamp),
+				is_delete: value === null
+			});
+			this.history.set(key, history);
+		}
+		for(let {collection, key, value} of stub.privateWrites.values()){
+			let data = this.privateData.get(collection) || new Map();
+			if(value === null){
+				data.delete(key);
+			} else {
+				data.set(key, value);
+			}
+			this.privateData.set(collection, data);
+		}
+		if(stub.event){
+			this.events.push({txId: stub.txId, name: stub.event.name, payload: JSON.parse(stub.event.payload.toString())});
+		}
+	}
+
+	/**
+	 * Write an asset directly to committed state, e.g. to set up records written by older chaincode versions
+	 * @param key - Key of the asset
+	 * @param asset - Asset object
+	 * @returns
+	 */
+	seed(key, asset) {
+		let stub = new FakeChaincodeStub(this, 'seed' + this.history.size, this.time, {});
+		stub.writes.set(key, Buffer.from(JSON.stringify(asset)));
+		this.commit(stub);
+	}
+
+	/**
+	 * Write an entry of a private data collection directly, e.g. to set up secrets shared by the peers
+	 * @param collection - Name of the collection
+	 * @param key - Key of the entry
+	 * @param value - Value of the entry as string
+	 * @returns
+	 */
+	seedPrivate(collection, key, value) {
+		let data = this.privateData.get(collection) || new Map();
+		data.set(key, Buffer.from(value));
+		this.privateData.set(collection, data);
+	}
+
+	/**
+	 * Read an asset from committed state
+	 * @param key - Key of the asset
+	 * @returns
+	 */
+	get(key) {
+		return this.state.has(key) ? JSON.parse(this.state.get(key).toString()) : null;
+	}
+
+	/**
+	 * Read an entry of a private data collection
+	 * @param collection - Name of the collection
+	 * @param key - Key of the entry
+	 * @returns
+	 */
+	getPrivate(collection, key) {
+		let data = this.privateData.get(collection);
+		return (data && data.has(key)) ? JSON.parse(data.get(key).toString()) : null;
+	}
+
+	/**
+	 * Build a stub for computing keys outside of transactions
+	 * @returns
+	 */
+	keys() {
+		return new FakeChaincodeStub(this, '', this.time, {});
+	}
+
+	lastEvent() {
+		return this.events[this.events.length - 1];
+	}
+}
+
+module.exports = {
+	FakeLedger: FakeLedger,
+	FakeChaincodeStub: FakeChaincodeStub,
+	FakeClientIdentity: FakeClientIdentity
+};
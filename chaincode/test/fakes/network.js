@@ -0,0 +1,163 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const {FakeLedger, FakeClientIdentity} = require('./ledger.js');
+const RegnetUserContract = require('../../usercontract.js');
+const RegnetRegistrarContract = require('../../registrarcontract.js');
+const RegnetBankContract = require('../../bankcontract.js');
+const RegnetHelper = require('../../utils.js');
+
+//Aadhar numbers of the users taking part in tests
+const AADHAR = {
+	alice: '123456789012',
+	bob: '210987654321',
+	carol: '111122223333',
+	dave: '444455556666'
+};
+
+//Secret user IDs are derived with, as Registrar would set it through setUserIDKey
+const USER_ID_KEY = crypto.createHash('sha256').update('user ID key of the test network').digest('hex');
+
+//Property registration network running all contracts on an in-memory ledger
+class FakeNetwork {
+	/**
+	 * @param userIDKey - Secret user IDs are derived with, null for a network on which Registrar has not set it yet
+	 */
+	constructor(userIDKey) {
+		this.ledger = new FakeLedger();
+		this.user = new RegnetUserContract();
+		this.registrar = new RegnetRegistrarContract();
+		this.bank = new RegnetBankContract();
+		this.registrarIdentity = new FakeClientIdentity('registrarMSP', 'registrar');
+		this.bankIdentity = new FakeClientIdentity('bankMSP', 'bank', {'regnet.role': 'bank'});
+		this.lenderIdentity = new FakeClientIdentity('lenderMSP', 'lender', {'regnet.role': 'lender'});
+		this.outsider = new FakeClientIdentity('outsiderMSP', 'outsider');
+		this.userIDKey = (userIDKey === undefined) ? USER_ID_KEY : userIDKey;
+		if(this.userIDKey){
+			this.ledger.seedPrivate(RegnetHelper.PII_COLLECTION, RegnetHelper.USER_ID_KEY, this.userIDKey);
+		}
+		this.ctx = {stub: this.ledger.keys(), clientIdentity: this.registrarIdentity, userIDKey: this.userIDKey};
+	}
+
+	//Replace the user ID key, as if existing records had their IDs derived otherwise
+	replaceUserIDKey(userIDKey) {
+		this.ledger.seedPrivate(RegnetHelper.PII_COLLECTION, RegnetHelper.USER_ID_KEY, userIDKey);
+		this.userIDKey = userIDKey;
+		this.ctx.userIDKey = userIDKey;
+	}
+
+	//Identity of a member of User organization
+	identity(name) {
+		return new FakeClientIdentity('usersMSP', name);
+	}
+
+	//Transient personal details of a user
+	pii(name) {
+		return {aadharNumber: AADHAR[name], emailId: name + '@mail.com', phoneNumber: '9999999999'};
+	}
+
+	//Metadata of a property whose survey number is derived from its ID
+	metadata(propertyID) {
+		let hash = crypto.createHash('sha256');
+		return {
+			address: propertyID + ', MG Road',
+			district: 'Bengaluru Urban',
+			surveyNumber: propertyID + '/1',
+			area: 1200,
+			areaUnit: 'sqft',
+			propertyType: 'residential',
+			titleDeedHash: hash.update('title deed of ' + propertyID).digest('hex')
+		};
+	}
+
+	metadataJSON(propertyID) {
+		return JSON.stringify(this.metadata(propertyID));
+	}
+
+	userKey(name) {
+		return RegnetHelper.getUserKey(this.ctx, name, AADHAR[name]);
+	}
+
+	userRequestKey(name) {
+		return RegnetHelper.getUserRegRequestKey(this.ctx, name, AADHAR[name]);
+	}
+
+	propertyKey(propertyID) {
+		return RegnetHelper.getPropertyKey(this.ctx, propertyID);
+	}
+
+	propertyRequestKey(propertyID) {
+		return RegnetHelper.getPropRegRequestKey(this.ctx, propertyID);
+	}
+
+	offerKey(propertyID, offerID) {
+		return RegnetHelper.getOfferKey(this.ctx, propertyID, offerID);
+	}
+
+	//Submit a transaction of User contract as given user
+	asUser(name, fn, args, transient) {
+		return this.ledger.submit(this.identity(name), this.user, fn, args, transient);
+	}
+
+	//Submit a transaction of Registrar contract as registrar
+	asRegistrar(fn, args, transient) {
+		return this.ledger.submit(this.registrarIdentity, this.registrar, fn, args, transient);
+	}
+
+	//Submit a transaction of Bank contract as bank
+	asBank(fn, args, transient) {
+		return this.ledger.submit(this.bankIdentity, this.bank, fn, args, transient);
+	}
+
+	//Submit a transaction of Bank contract as lender
+	asLender(fn, args, transient) {
+		return this.ledger.submit(this.lenderIdentity, this.bank, fn, args, transient);
+	}
+
+	async requestUser(name) {
+		return await this.asUser(name, 'requestNewUser', [name], this.pii(name));
+	}
+
+	//Register and approve a user, optionally crediting coins through a bank deposit
+	async registerUser(name, coins) {
+		await this.requestUser(name);
+		await this.asRegistrar('approveNewUser', [name, AADHAR[name]]);
+		if(coins){
+			await this.deposit(name, coins);
+		}
+	}
+
+	async deposit(name, coins) {
+		let bankTransactionId = 'DEP-' + name + '-' + this.ledger.transactionCount;
+		await this.asBank('recordDeposit', [bankTransactionId, name, AADHAR[name], String(coins)]);
+		await this.asUser(name, 'rechargeAccount', [name, AADHAR[name], bankTransactionId]);
+	}
+
+	//Register and approve a property, optionally with co-owners given as name and share
+	async registerProperty(name, propertyID, price, coOwners, consentThreshold) {
+		let coOwnerList = coOwners ? JSON.stringify(coOwners.map(coOwner =>
+			({name: coOwner.name, aadharNumber: AADHAR[coOwner.name], share: coOwner.share}))) : '';
+		await this.asUser(name, 'propertyRegistrationRequest',
+			[name, AADHAR[name], propertyID, String(price), coOwnerList, consentThreshold || '', this.metadataJSON(propertyID)]);
+		await this.asRegistrar('approvePropertyRegistration', [propertyID]);
+	}
+
+	async listForSale(name, propertyID) {
+		await this.asUser(name, 'updateProperty', [propertyID, name, AADHAR[name], 'onSale']);
+	}
+
+	getUser(name) {
+		return this.ledger.get(this.userKey(name));
+	}
+
+	getProperty(propertyID) {
+		return this.ledger.get(this.propertyKey(propertyID));
+	}
+}
+
+module.exports = {
+	FakeNetwork: FakeNetwork,
+	AADHAR: AADHAR,
+	USER_ID_KEY: USER_ID_KEY
+};
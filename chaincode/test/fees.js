@@ -0,0 +1,178 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const {FakeNetwork, AADHAR} = require('./fakes/network.js');
+const RegnetHelper = require('../utils.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+
+//Flat fee of 50 coins, 5% stamp duty from 100 coins and 7.5% from 1000 coins
+const FEE_SCHEDULE = {
+	registrationFee: 50,
+	stampDutyBands: [{minPrice: 1000, rateInBasisPoints: 750}, {minPrice: 100, rateInBasisPoints: 500}]
+};
+
+describe('Fees and treasury', () => {
+	let network;
+
+	beforeEach(() => {
+		network = new FakeNetwork();
+	});
+
+	const evaluateAsRegistrar = (fn, args) => network.ledger.evaluate(network.registrarIdentity, network.registrar, fn, args);
+	const setFeeSchedule = schedule => network.asRegistrar('setFeeSchedule', [JSON.stringify(schedule)]);
+
+	describe('#setFeeSchedule and #viewFeeSchedule', () => {
+		it('should charge no fees until a schedule is set', async () => {
+			(await evaluateAsRegistrar('viewFeeSchedule', [])).should.deep.equal({registrationFee: 0, stampDutyBands: []});
+			(await evaluateAsRegistrar('viewTreasury', [])).should.deep.equal({treasuryID: 'government', balance: 0});
+		});
+
+		it('should store the schedule with bands in ascending order of price', async () => {
+			await setFeeSchedule(FEE_SCHEDULE);
+
+			let schedule = await network.ledger.evaluate(network.identity('alice'), network.registrar, 'viewFeeSchedule', []);
+			schedule.should.deep.include({
+				registrationFee: 50,
+				stampDutyBands: [{minPrice: 100, rateInBasisPoints: 500}, {minPrice: 1000, rateInBasisPoints: 750}]
+			});
+			let event = network.ledger.lastEvent();
+			event.name.should.equal(RegnetHelper.EventTypes.FEE_SCHEDULE_UPDATED);
+			event.payload.before.should.deep.equal({registrationFee: 0, stampDutyBands: []});
+			event.payload.after.registrationFee.should.equal(50);
+		});
+
+		it('should reject invalid schedules', async () => {
+			await network.asRegistrar('setFeeSchedule', ['{']).should.be.rejectedWith('REGNET_INVALID_INPUT');
+			await setFeeSchedule({registrationFee: -1, stampDutyBands: []}).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*registrationFee/);
+			await setFeeSchedule({registrationFee: 0, stampDutyBands: {}}).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*stampDutyBands/);
+			await setFeeSchedule({registrationFee: 0, stampDutyBands: [{minPrice: 0, rateInBasisPoints: 10001}]})
+				.should.be.rejectedWith(/REGNET_INVALID_INPUT: .*stampDutyBands/);
+			await setFeeSchedule({registrationFee: 0, stampDutyBands: [{minPrice: 0, rateInBasisPoints: 1}, {minPrice: 0, rateInBasisPoints: 2}]})
+				.should.be.rejectedWith(/REGNET_INVALID_INPUT: .*stampDutyBands/);
+			await setFeeSchedule({registrationFee: 0, stampDutyBands: [null]}).should.be.rejectedWith('REGNET_INVALID_INPUT');
+		});
+
+		it('should only be allowed to registrars', async () => {
+			await network.ledger.submit(network.outsider, network.registrar, 'setFeeSchedule', [JSON.stringify(FEE_SCHEDULE)])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.ledger.evaluate(network.outsider, network.registrar, 'viewTreasury', []).should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.ledger.evaluate(network.outsider, network.registrar, 'listFees', ['', '']).should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+
+	describe('registration fee', () => {
+		beforeEach(async () => {
+			await setFeeSchedule(FEE_SCHEDULE);
+			await network.registerUser('alice', 60);
+			await network.registerUser('bob');
+		});
+
+		it('should be charged from the owner placing the request when it is approved', async () => {
+			await network.registerProperty('alice', 'P1', 300, [{name: 'bob', share: 50}]);
+
+			network.getUser('alice').upgradCoins.should.equal(10);
+			network.getUser('bob').upgradCoins.should.equal(0);
+			network.ledger.lastEvent().payload.amounts.should.deep.equal({price: 300, registrationFee: 50});
+			(await evaluateAsRegistrar('viewTreasury', [])).balance.should.equal(50);
+
+			let fees = await evaluateAsRegistrar('listFees', ['', '']);
+			fees.records.should.have.lengthOf(1);
+			fees.records[0].should.deep.include({feeType: 'registrationFee', payer: network.userKey('alice'), propertyID: 'P1', amount: 50, treasuryBalance: 50});
+		});
+
+		it('should accumulate fees in the treasury', async () => {
+			await network.deposit('alice', 50);
+			await network.registerProperty('alice', 'P1', 300);
+			await network.registerProperty('alice', 'P2', 300);
+
+			(await evaluateAsRegistrar('viewTreasury', [])).balance.should.equal(100);
+			(await evaluateAsRegistrar('listFees', ['', ''])).records.map(fee => fee.treasuryBalance).should.deep.equal([50, 100]);
+		});
+
+		it('should keep the request pending when owner cannot pay the fee', async () => {
+			await network.asUser('alice', 'requestWithdrawal', ['alice', AADHAR.alice, '20']);
+			await network.asUser('alice', 'propertyRegistrationRequest', ['alice', AADHAR.alice, 'P1', '300', '', '', network.metadataJSON('P1')]);
+
+			await network.asRegistrar('approvePropertyRegistration', ['P1']).should.be.rejectedWith('REGNET_INSUFFICIENT_FUNDS');
+			network.ledger.get(network.propertyRequestKey('P1')).requestStatus.should.equal('pending');
+			(network.getProperty('P1') === null).should.equal(true);
+		});
+	});
+
+	describe('stamp duty', () => {
+		beforeEach(async () => {
+			await network.registerUser('alice');
+			await network.registerUser('bob', 1100);
+			await network.registerProperty('alice', 'P1', 1000);
+			await network.registerProperty('alice', 'P2', 50);
+			await network.listForSale('alice', 'P1');
+			await network.listForSale('alice', 'P2');
+			await setFeeSchedule(FEE_SCHEDULE);
+		});
+
+		it('should be charged from buyer at the rate of the band the price falls in', async () => {
+			await network.asUser('bob', 'purchaseProperty', ['P1', 'bob', AADHAR.bob]);
+
+			network.getUser('bob').upgradCoins.should.equal(25);
+			network.getUser('alice').upgradCoins.should.equal(1000);
+			network.ledger.lastEvent().payload.amounts.should.deep.include({price: 1000, stampDuty: 75, buyerBalance: 25});
+			(await evaluateAsRegistrar('viewTreasury', [])).balance.should.equal(75);
+		});
+
+		it('should not be charged below the lowest band', async () => {
+			await network.asUser('bob', 'purchaseProperty', ['P2', 'bob', AADHAR.bob]);
+			network.getUser('bob').upgradCoins.should.equal(1050);
+			(await evaluateAsRegistrar('listFees', ['', ''])).records.should.deep.equal([]);
+		});
+
+		it('should be covered by buyer balance along with the price', async () => {
+			await network.asUser('bob', 'requestWithdrawal', ['bob', AADHAR.bob, '30']);
+			await network.asUser('bob', 'purchaseProperty', ['P1', 'bob', AADHAR.bob])
+				.should.be.rejectedWith(/REGNET_INSUFFICIENT_FUNDS: .*stamp duty/);
+			await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '1000', ''])
+				.should.be.rejectedWith(/REGNET_INSUFFICIENT_FUNDS: .*stamp duty/);
+		});
+
+		it('should be held in escrow with an offer and refunded when offer is withdrawn', async () => {
+			let offer = await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '800', '']);
+			offer.stampDuty.should.equal(40);
+			network.getUser('bob').upgradCoins.should.equal(260);
+
+			await network.asUser('bob', 'withdrawOffer', ['P1', offer.offerID, 'bob', AADHAR.bob]);
+			network.getUser('bob').upgradCoins.should.equal(1100);
+			network.ledger.lastEvent().payload.amounts.should.deep.equal({amount: 800, stampDuty: 40, buyerBalance: 1100});
+		});
+
+		it('should be paid to treasury from escrow when offer is accepted', async () => {
+			let offer = await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '800', '']);
+
+			//Duty held in escrow is paid even if the schedule changes before acceptance
+			await setFeeSchedule({registrationFee: 0, stampDutyBands: []});
+			await network.asUser('alice', 'acceptOffer', ['P1', offer.offerID, 'alice', AADHAR.alice]);
+
+			network.getUser('bob').upgradCoins.should.equal(260);
+			network.getUser('alice').upgradCoins.should.equal(800);
+			network.ledger.lastEvent().payload.amounts.stampDuty.should.equal(40);
+			let fees = await evaluateAsRegistrar('listFees', ['', '']);
+			fees.records.map(fee => [fee.feeType, fee.payer, fee.amount]).should.deep.equal([['stampDuty', network.userKey('bob'), 40]]);
+		});
+
+		it('should not be charged on offers placed before fees were introduced', async () => {
+			network.ledger.seed(network.offerKey('P1', 'legacy'), {
+				offerID: 'legacy', propertyID: 'P1', buyer: network.userKey('bob'), amount: 100, status: 'open', expiresAt: null
+			});
+			network.ledger.seed(network.offerKey('P1', 'legacy2'), {
+				offerID: 'legacy2', propertyID: 'P1', buyer: network.userKey('alice'), amount: 10, status: 'open', expiresAt: null
+			});
+
+			await network.asUser('alice', 'acceptOffer', ['P1', 'legacy', 'alice', AADHAR.alice]);
+			network.ledger.lastEvent().payload.amounts.stampDuty.should.equal(0);
+			network.getUser('alice').upgradCoins.should.equal(110);
+			(await evaluateAsRegistrar('viewTreasury', [])).balance.should.equal(0);
+		});
+	});
+});
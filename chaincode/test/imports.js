@@ -0,0 +1,195 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const {FakeNetwork, AADHAR} = require('./fakes/network.js');
+const RegnetHelper = require('../utils.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+
+describe('Bulk import and export', () => {
+	let network;
+
+	beforeEach(() => {
+		network = new FakeNetwork();
+	});
+
+	const userID = name => RegnetHelper.getUserID(network.ctx, name, AADHAR[name]);
+	const importUsers = records => network.ledger.submit(network.registrarIdentity, network.registrar, 'importUsers', [],
+		{users: JSON.stringify(records)});
+	const importProperties = records => network.asRegistrar('importProperties', [JSON.stringify(records)]);
+	const exportPage = (fn, pageSize, bookmark) => network.ledger.evaluate(network.registrarIdentity, network.registrar, fn, [pageSize || '', bookmark || '']);
+	const title = (propertyID, owners, extra) => Object.assign({
+		propertyID: propertyID,
+		price: 500,
+		owners: owners.map(([name, share]) => ({userID: userID(name), share: share})),
+		metadata: network.metadata(propertyID)
+	}, extra);
+
+	describe('#importUsers', () => {
+		it('should create users with their personal details in private data', async () => {
+			let batch = await importUsers([
+				Object.assign({name: 'alice'}, network.pii('alice')),
+				Object.assign({name: 'bob'}, network.pii('bob'), {aadharNumber: '12345'}),
+				Object.assign({name: 'carol'}, network.pii('carol'))
+			]);
+			batch.should.deep.include({created: 2, existing: 0, failed: 1});
+			batch.results.map(result => [result.index, result.key, result.result]).should.deep.equal([
+				[0, network.userKey('alice'), 'created'], [1, null, 'failed'], [2, network.userKey('carol'), 'created']
+			]);
+			batch.results[1].reason.should.match(/REGNET_INVALID_INPUT: Invalid user. aadharNumber/);
+
+			let alice = network.getUser('alice');
+			alice.should.deep.include({name: 'alice', userID: userID('alice'), upgradCoins: 0, schemaVersion: 1});
+			(alice.identity === undefined).should.equal(true);
+			network.ledger.getPrivate('regnetUserPII', network.userKey('alice')).should.deep.equal(network.pii('alice'));
+
+			let event = network.ledger.lastEvent();
+			event.name.should.equal(RegnetHelper.EventTypes.USERS_IMPORTED);
+			event.payload.keys.should.deep.equal({created: [network.userKey('alice'), network.userKey('carol')]});
+			event.payload.amounts.should.deep.equal({created: 2, existing: 0, failed: 1});
+		});
+
+		it('should leave users imported before untouched when run again', async () => {
+			let alice = Object.assign({name: 'alice'}, network.pii('alice'));
+			await importUsers([alice]);
+			let imported = network.getUser('alice');
+
+			let batch = await importUsers([alice, Object.assign({name: 'bob'}, network.pii('bob')), alice]);
+			batch.results.map(result => result.result).should.deep.equal(['existing', 'created', 'existing']);
+			network.getUser('alice').should.deep.equal(imported);
+		});
+
+		it('should check user ID of exported users', async () => {
+			let batch = await importUsers([
+				Object.assign({name: 'alice', userID: userID('alice')}, network.pii('alice')),
+				Object.assign({name: 'bob', userID: userID('carol')}, network.pii('bob'))
+			]);
+			batch.results.map(result => result.result).should.deep.equal(['created', 'failed']);
+			batch.results[1].reason.should.match(/REGNET_INVALID_INPUT: User ID does not match/);
+		});
+
+		it('should let imported users bind their identity', async () => {
+			await importUsers([Object.assign({name: 'alice'}, network.pii('alice'))]);
+			await network.asUser('alice', 'requestIdentityRebind', ['alice', AADHAR.alice]);
+			let user = await network.asRegistrar('approveIdentityRebind', ['alice', AADHAR.alice]);
+			user.identity.should.equal(network.identity('alice').getID());
+		});
+
+		it('should reject malformed batches and callers outside Registrar organization', async () => {
+			await network.asRegistrar('importUsers', []).should.be.rejectedWith(/REGNET_INVALID_INPUT: Invalid users. users should be a valid JSON/);
+			await importUsers([]).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*JSON array of 1 to 500 records/);
+			await importUsers({name: 'alice'}).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*JSON array/);
+			await importUsers(new Array(501).fill({})).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*JSON array/);
+			await network.ledger.submit(network.identity('alice'), network.registrar, 'importUsers', [],
+				{users: JSON.stringify([network.pii('alice')])}).should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+
+	describe('#importProperties', () => {
+		beforeEach(async () => {
+			await importUsers(['alice', 'bob'].map(name => Object.assign({name: name}, network.pii(name))));
+		});
+
+		it('should create properties owned by existing users without charging fees', async () => {
+			await network.asRegistrar('setFeeSchedule', [JSON.stringify({registrationFee: 10, stampDutyBands: []})]);
+
+			let batch = await importProperties([
+				title('P1', [['alice', 60], ['bob', 40]], {consentThreshold: 60, status: 'onSale'}),
+				title('P2', [['bob', 100]])
+			]);
+			batch.should.deep.include({created: 2, existing: 0, failed: 0});
+
+			let property = network.getProperty('P1');
+			property.should.deep.include({price: 500, consentThreshold: 60, status: 'onSale', schemaVersion: 1});
+			property.owners.should.deep.equal([{owner: network.userKey('alice'), share: 60}, {owner: network.userKey('bob'), share: 40}]);
+			property.metadataVerifiedBy.id.should.equal(network.registrarIdentity.getID());
+			network.getProperty('P2').should.deep.include({consentThreshold: 100, status: 'registered'});
+			network.getUser('alice').upgradCoins.should.equal(0);
+
+			let event = network.ledger.lastEvent();
+			event.name.should.equal(RegnetHelper.EventTypes.PROPERTIES_IMPORTED);
+			event.payload.keys.created.should.deep.equal([network.propertyKey('P1'), network.propertyKey('P2')]);
+
+			(await importProperties([title('P1', [['alice', 100]])])).results[0].result.should.equal('existing');
+		});
+
+		it('should report records which cannot be imported', async () => {
+			await network.registerUser('carol');
+			await network.asUser('carol', 'propertyRegistrationRequest', ['carol', AADHAR.carol, 'P4', '300', '', '', network.metadataJSON('P4')]);
+
+			let batch = await importProperties([
+				title('P1', [['alice', 100]]),
+				title('P2', [['dave', 100]]),
+				title('P3', [['alice', 50], ['bob', 40]]),
+				title('P4', [['alice', 100]]),
+				title('P5', [['alice', 100]], {metadata: network.metadata('P1')}),
+				title('P6', [['alice', 100]], {status: 'retired'})
+			]);
+			batch.should.deep.include({created: 1, existing: 0, failed: 5});
+			batch.results.slice(1).map(result => result.reason.split(':')[0]).should.deep.equal([
+				'REGNET_NOT_FOUND', 'REGNET_INVALID_INPUT', 'REGNET_CONFLICT', 'REGNET_CONFLICT', 'REGNET_INVALID_INPUT'
+			]);
+			batch.results[1].reason.should.include(userID('dave'));
+			batch.results[4].reason.should.match(/Survey number P1\/1 .* already registered for property P1/);
+			for(let propertyID of ['P2', 'P3', 'P5', 'P6']){
+				(network.getProperty(propertyID) === null).should.equal(true);
+			}
+		});
+
+		it('should only be allowed to registrars', async () => {
+			await network.ledger.submit(network.identity('alice'), network.registrar, 'importProperties', [JSON.stringify([title('P1', [['alice', 100]])])])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.asRegistrar('importProperties', ['not json']).should.be.rejectedWith('REGNET_INVALID_INPUT');
+		});
+	});
+
+	describe('#exportUsers and #exportProperties', () => {
+		it('should export users page by page in the import format', async () => {
+			await network.registerUser('alice', 100);
+			await importUsers([Object.assign({name: 'bob'}, network.pii('bob'))]);
+			network.ledger.seed(RegnetHelper.getUserKeyByID(network.ctx, userID('carol')), {name: 'carol', userID: userID('carol'), upgradCoins: 0});
+
+			let first = await exportPage('exportUsers', '2');
+			let second = await exportPage('exportUsers', '2', first.bookmark);
+			second.bookmark.should.equal('');
+			let records = first.records.concat(second.records);
+			records.should.have.lengthOf(3);
+			records.find(record => record.name === 'alice').should.deep.equal(Object.assign({name: 'alice', userID: userID('alice'), upgradCoins: 100}, network.pii('alice')));
+			records.find(record => record.name === 'carol').should.deep.include({aadharNumber: null, emailId: null, phoneNumber: null});
+
+			//Exported records are accepted by import as they are
+			let batch = await importUsers(records.filter(record => record.name !== 'carol'));
+			batch.should.deep.include({created: 0, existing: 2, failed: 0});
+		});
+
+		it('should export live properties in the import format for another registry', async () => {
+			await network.registerUser('alice');
+			await network.registerUser('bob');
+			await network.registerProperty('alice', 'P1', 300, [{name: 'bob', share: 40}], 60);
+			network.ledger.seed(network.propertyKey('P2'), {propertyID: 'P2', owner: network.userKey('bob'), price: 200, status: 'registered'});
+			network.ledger.seed(network.propertyKey('P3'), Object.assign(title('P3', [['bob', 100]]), {status: 'retired'}));
+
+			let page = await exportPage('exportProperties');
+			page.records.should.deep.equal([
+				{propertyID: 'P1', price: 300, owners: [{userID: userID('alice'), share: 60}, {userID: userID('bob'), share: 40}],
+					consentThreshold: 60, status: 'registered', metadata: network.getProperty('P1').metadata},
+				{propertyID: 'P2', price: 200, owners: [{userID: userID('bob'), share: 100}], consentThreshold: 100, status: 'registered', metadata: null}
+			]);
+
+			//Another registry onboards the same users and titles
+			let users = (await exportPage('exportUsers')).records;
+			network = new FakeNetwork();
+			await importUsers(users);
+			(await importProperties(page.records.slice(0, 1))).created.should.equal(1);
+			network.getProperty('P1').owners.should.deep.equal([{owner: network.userKey('alice'), share: 60}, {owner: network.userKey('bob'), share: 40}]);
+		});
+
+		it('should only be allowed to registrars', async () => {
+			await network.ledger.evaluate(network.identity('alice'), network.registrar, 'exportUsers', ['', '']).should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.ledger.evaluate(network.identity('alice'), network.registrar, 'exportProperties', ['', '']).should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+});
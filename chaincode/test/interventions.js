@@ -0,0 +1,155 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const {FakeNetwork, AADHAR} = require('./fakes/network.js');
+const RegnetHelper = require('../utils.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+
+describe('Registrar interventions', () => {
+	let network;
+
+	beforeEach(async () => {
+		network = new FakeNetwork();
+		await network.registerUser('alice');
+		await network.registerUser('bob', 1000);
+		await network.registerUser('carol');
+		await network.registerProperty('alice', 'P1', 500);
+	});
+
+	const interventions = () => network.ledger.evaluate(network.identity('alice'), network.registrar, 'viewInterventions', ['P1']);
+	const newOwners = owners => JSON.stringify(owners.map(owner => ({name: owner.name, aadharNumber: AADHAR[owner.name], share: owner.share})));
+
+	describe('#freezeProperty and #unfreezeProperty', () => {
+		it('should block owners and buyers while property is frozen', async () => {
+			await network.listForSale('alice', 'P1');
+			let property = await network.asRegistrar('freezeProperty', ['P1', 'OS-12/2021', 'Fraud reported']);
+			property.freeze.should.deep.include({caseReference: 'OS-12/2021', reason: 'Fraud reported'});
+
+			let event = network.ledger.lastEvent();
+			event.name.should.equal(RegnetHelper.EventTypes.PROPERTY_FROZEN);
+			event.payload.before.should.deep.equal({freeze: null});
+			event.payload.reason.should.equal('Fraud reported');
+
+			await network.asUser('bob', 'purchaseProperty', ['P1', 'bob', AADHAR.bob]).should.be.rejectedWith(/REGNET_INVALID_STATE: .*frozen under case OS-12\/2021/);
+			await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '400', '']).should.be.rejectedWith('REGNET_INVALID_STATE');
+			await network.asUser('alice', 'updateProperty', ['P1', 'alice', AADHAR.alice, 'registered']).should.be.rejectedWith('REGNET_INVALID_STATE');
+
+			await network.asRegistrar('unfreezeProperty', ['P1', 'OS-12/2021', 'Complaint withdrawn']);
+			network.ledger.lastEvent().payload.after.should.deep.equal({freeze: null});
+			(network.getProperty('P1').freeze === undefined).should.equal(true);
+			await network.asUser('bob', 'purchaseProperty', ['P1', 'bob', AADHAR.bob]);
+		});
+
+		it('should reject freezing twice and lifting a freeze not in force', async () => {
+			await network.asRegistrar('unfreezeProperty', ['P1', 'OS-1', 'None']).should.be.rejectedWith(/REGNET_INVALID_STATE: Property is not frozen/);
+			await network.asRegistrar('freezeProperty', ['P1', 'OS-1', 'Fraud']);
+			await network.asRegistrar('freezeProperty', ['P1', 'OS-2', 'Fraud']).should.be.rejectedWith(/REGNET_INVALID_STATE: Property is already frozen/);
+			await network.asRegistrar('freezeProperty', ['P9', 'OS-1', 'Fraud']).should.be.rejectedWith('REGNET_NOT_FOUND');
+			await network.asRegistrar('freezeProperty', ['P1', '', 'Fraud']).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*caseReference/);
+		});
+	});
+
+	describe('#markPropertyDisputed and #resolvePropertyDispute', () => {
+		it('should block owners while property is under dispute', async () => {
+			await network.asRegistrar('markPropertyDisputed', ['P1', 'OS-7', 'Title contested by carol']);
+			network.ledger.lastEvent().name.should.equal(RegnetHelper.EventTypes.PROPERTY_DISPUTED);
+
+			await network.listForSale('alice', 'P1').should.be.rejectedWith(/REGNET_INVALID_STATE: .*under dispute in case OS-7/);
+			await network.asUser('alice', 'transferShare', ['P1', 'alice', AADHAR.alice, 'bob', AADHAR.bob, '10'])
+				.should.be.rejectedWith('REGNET_INVALID_STATE');
+			await network.asRegistrar('markPropertyDisputed', ['P1', 'OS-8', 'Again']).should.be.rejectedWith(/REGNET_INVALID_STATE: .*already under dispute/);
+
+			await network.asRegistrar('resolvePropertyDispute', ['P1', 'OS-7', 'Claim dismissed']);
+			network.ledger.lastEvent().name.should.equal(RegnetHelper.EventTypes.DISPUTE_RESOLVED);
+			await network.asRegistrar('resolvePropertyDispute', ['P1', 'OS-7', 'Again']).should.be.rejectedWith(/REGNET_INVALID_STATE: Property is not under dispute/);
+			await network.listForSale('alice', 'P1');
+		});
+
+		it('should block acceptance of offers placed before the dispute', async () => {
+			await network.listForSale('alice', 'P1');
+			let offer = await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '400', '']);
+			await network.asRegistrar('markPropertyDisputed', ['P1', 'OS-7', 'Title contested']);
+
+			await network.asUser('alice', 'acceptOffer', ['P1', offer.offerID, 'alice', AADHAR.alice]).should.be.rejectedWith('REGNET_INVALID_STATE');
+			await network.asUser('bob', 'withdrawOffer', ['P1', offer.offerID, 'bob', AADHAR.bob]);
+		});
+	});
+
+	describe('#executeCourtOrderedTransfer', () => {
+		it('should transfer ownership without payment and cancel open offers', async () => {
+			await network.listForSale('alice', 'P1');
+			await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '400', '']);
+			await network.asRegistrar('freezeProperty', ['P1', 'OS-7', 'Title contested']);
+
+			let property = await network.asRegistrar('executeCourtOrderedTransfer',
+				['P1', 'OS-7', newOwners([{name: 'carol', share: 70}, {name: 'alice', share: 30}]), 'Decree in favour of carol']);
+			property.owners.should.deep.equal([{owner: network.userKey('carol'), share: 70}, {owner: network.userKey('alice'), share: 30}]);
+			property.status.should.equal('registered');
+			property.freeze.caseReference.should.equal('OS-7');
+
+			network.getUser('alice').upgradCoins.should.equal(0);
+			network.getUser('carol').upgradCoins.should.equal(0);
+			network.getUser('bob').upgradCoins.should.equal(1000);
+
+			let event = network.ledger.lastEvent();
+			event.name.should.equal(RegnetHelper.EventTypes.COURT_ORDERED_TRANSFER);
+			event.payload.keys.previousOwners.should.deep.equal([network.userKey('alice')]);
+			event.payload.keys.cancelledOffers.should.have.lengthOf(1);
+			event.payload.before.should.deep.equal({status: 'onSale', owners: [{owner: network.userKey('alice'), share: 100}]});
+		});
+
+		it('should accept new owners through transient data', async () => {
+			let property = await network.asRegistrar('executeCourtOrderedTransfer', ['P1', 'OS-7', '', 'Decree'],
+				{newOwners: newOwners([{name: 'carol', share: 100}])});
+			property.owners.should.deep.equal([{owner: network.userKey('carol'), share: 100}]);
+
+			await network.asRegistrar('executeCourtOrderedTransfer', ['P1', 'OS-7', '', 'Decree']).should.be.rejectedWith('REGNET_INVALID_INPUT');
+		});
+
+		it('should reject owners which are unknown, repeated or do not add up to the whole property', async () => {
+			const transfer = owners => network.asRegistrar('executeCourtOrderedTransfer', ['P1', 'OS-7', owners, 'Decree']);
+
+			await transfer('{').should.be.rejectedWith('REGNET_INVALID_INPUT');
+			await transfer('[]').should.be.rejectedWith(/REGNET_INVALID_INPUT: .*non-empty JSON array/);
+			await transfer(newOwners([{name: 'carol', share: 90}])).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*add up to 100/);
+			await transfer(newOwners([{name: 'carol', share: 50}, {name: 'carol', share: 50}])).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*more than once/);
+			await transfer(newOwners([{name: 'dave', share: 100}])).should.be.rejectedWith('REGNET_NOT_FOUND');
+			await transfer(JSON.stringify([{name: 'carol', share: 100}])).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*aadharNumber/);
+			await network.asRegistrar('executeCourtOrderedTransfer', ['P9', 'OS-7', newOwners([{name: 'carol', share: 100}]), 'Decree'])
+				.should.be.rejectedWith('REGNET_NOT_FOUND');
+		});
+	});
+
+	it('should keep every intervention as an audit record', async () => {
+		//Interventions are listed in the order they were performed
+		await network.asRegistrar('freezeProperty', ['P1', 'OS-7', 'Fraud reported']);
+		await network.asRegistrar('markPropertyDisputed', ['P1', 'OS-7', 'Title contested']);
+		await network.asRegistrar('executeCourtOrderedTransfer', ['P1', 'OS-7', newOwners([{name: 'carol', share: 100}]), 'Decree']);
+		await network.asRegistrar('resolvePropertyDispute', ['P1', 'OS-7', 'Decree executed']);
+		await network.asRegistrar('unfreezeProperty', ['P1', 'OS-7', 'Decree executed']);
+
+		let trail = await interventions();
+		trail.map(entry => entry.interventionType).should.deep.equal(['freeze', 'dispute', 'courtOrderedTransfer', 'resolveDispute', 'unfreeze']);
+		trail.forEach(entry => entry.should.deep.include({propertyID: 'P1', caseReference: 'OS-7'}));
+		trail[0].performedBy.id.should.equal(network.registrarIdentity.getID());
+		trail[2].after.owners.should.deep.equal([{owner: network.userKey('carol'), share: 100}]);
+
+		//Restrictions no longer in force leave the new owner free to act
+		await network.listForSale('carol', 'P1');
+	});
+
+	it('should only be allowed to registrars', async () => {
+		const asUser = (fn, args) => network.ledger.submit(network.identity('alice'), network.registrar, fn, args);
+
+		await asUser('freezeProperty', ['P1', 'OS-7', 'Fraud']).should.be.rejectedWith('REGNET_FORBIDDEN');
+		await asUser('unfreezeProperty', ['P1', 'OS-7', 'Fraud']).should.be.rejectedWith('REGNET_FORBIDDEN');
+		await asUser('markPropertyDisputed', ['P1', 'OS-7', 'Fraud']).should.be.rejectedWith('REGNET_FORBIDDEN');
+		await asUser('resolvePropertyDispute', ['P1', 'OS-7', 'Fraud']).should.be.rejectedWith('REGNET_FORBIDDEN');
+		await asUser('executeCourtOrderedTransfer', ['P1', 'OS-7', newOwners([{name: 'alice', share: 100}]), 'Fraud'])
+			.should.be.rejectedWith('REGNET_FORBIDDEN');
+	});
+});
@@ -0,0 +1,286 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const {FakeNetwork, AADHAR} = require('./fakes/network.js');
+const RegnetHelper = require('../utils.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Leases', () => {
+	let network;
+
+	beforeEach(async () => {
+		network = new FakeNetwork();
+		await network.registerUser('alice');
+		await network.registerUser('bob', 1000);
+		await network.registerUser('carol', 1000);
+		await network.registerProperty('alice', 'P1', 500);
+		network.ledger.time = Date.UTC(2021, 0, 31, 10);
+	});
+
+	const offer = (owner, tenant, term, rent, deposit, propertyID) => network.asUser(owner, 'offerLease',
+		[propertyID || 'P1', owner, AADHAR[owner], tenant, AADHAR[tenant], String(term), String(rent), String(deposit)]);
+	const accept = (tenant, leaseID) => network.asUser(tenant, 'acceptLease', ['P1', leaseID, tenant, AADHAR[tenant]]);
+	const payRent = (tenant, leaseID) => network.asUser(tenant, 'payRent', ['P1', leaseID, tenant, AADHAR[tenant]]);
+	const terminate = (name, leaseID, reason) => network.asUser(name, 'terminateLease', ['P1', leaseID, name, AADHAR[name], reason || 'Moving out']);
+	const overdue = leaseID => network.ledger.evaluate(network.identity('bob'), network.user, 'viewOverdueRent', ['P1', leaseID]);
+	const leases = () => network.ledger.evaluate(network.identity('bob'), network.user, 'viewLeases', ['P1']);
+
+	describe('#addMonths', () => {
+		it('should keep the day of month, clamped to the end of shorter months', () => {
+			RegnetHelper.addMonths('2021-01-31T10:00:00Z', 1).toISOString().should.equal('2021-02-28T10:00:00.000Z');
+			RegnetHelper.addMonths('2020-01-31T10:00:00Z', 1).toISOString().should.equal('2020-02-29T10:00:00.000Z');
+			RegnetHelper.addMonths('2021-01-31T10:00:00Z', 3).toISOString().should.equal('2021-04-30T10:00:00.000Z');
+			RegnetHelper.addMonths('2021-11-15T00:00:00Z', 14).toISOString().should.equal('2023-01-15T00:00:00.000Z');
+		});
+	});
+
+	describe('#offerLease and #acceptLease', () => {
+		it('should lock the deposit and pay the first rent to the owner', async () => {
+			let lease = await offer('alice', 'bob', 12, 100, 200);
+			lease.should.deep.include({propertyID: 'P1', tenant: network.userKey('bob'), offeredBy: network.userKey('alice'),
+				termInMonths: 12, monthlyRent: 100, securityDeposit: 200, status: 'offered'});
+			network.ledger.lastEvent().name.should.equal(RegnetHelper.EventTypes.LEASE_OFFERED);
+
+			let accepted = await accept('bob', lease.leaseID);
+			accepted.status.should.equal('active');
+			accepted.startsAt.toISOString().should.equal('2021-01-31T10:00:02.000Z');
+			accepted.endsAt.toISOString().should.equal('2022-01-31T10:00:02.000Z');
+			accepted.payments.map(payment => [payment.period, payment.amount]).should.deep.equal([[1, 100]]);
+
+			network.getUser('bob').upgradCoins.should.equal(700);
+			network.getUser('alice').upgradCoins.should.equal(100);
+			network.getProperty('P1').lease.should.deep.equal({leaseID: lease.leaseID, tenant: network.userKey('bob'),
+				startsAt: '2021-01-31T10:00:02.000Z', endsAt: '2022-01-31T10:00:02.000Z'});
+
+			let event = network.ledger.lastEvent();
+			event.name.should.equal(RegnetHelper.EventTypes.LEASE_ACCEPTED);
+			event.payload.amounts.should.deep.include({securityDeposit: 200, rent: 100, tenantBalance: 700});
+			event.payload.amounts.receipts.should.deep.equal([{owner: network.userKey('alice'), amount: 100, balance: 100}]);
+		});
+
+		it('should accept Aadhar number of the tenant through transient data', async () => {
+			let lease = await network.asUser('alice', 'offerLease', ['P1', 'alice', AADHAR.alice, 'bob', '', '12', '100', '200'],
+				{tenantAadharNumber: AADHAR.bob});
+			lease.tenant.should.equal(network.userKey('bob'));
+		});
+
+		it('should split rent among co-owners by their shares', async () => {
+			await network.registerProperty('alice', 'P2', 500, [{name: 'carol', share: 30}], 60);
+			let lease = await offer('alice', 'bob', 6, 100, 0, 'P2');
+			await network.asUser('bob', 'acceptLease', ['P2', lease.leaseID, 'bob', AADHAR.bob]);
+
+			network.getUser('alice').upgradCoins.should.equal(70);
+			network.getUser('carol').upgradCoins.should.equal(1030);
+			await offer('carol', 'bob', 6, 100, 0, 'P2').should.be.rejectedWith(/REGNET_FORBIDDEN: .*consent threshold/);
+		});
+
+		it('should let the sole owner of a legacy property lease it', async () => {
+			network.ledger.seed(network.propertyKey('P3'), {propertyID: 'P3', owner: network.userKey('alice'), price: 300, status: 'registered'});
+			let lease = await offer('alice', 'bob', 6, 100, 0, 'P3');
+			lease.status.should.equal('offered');
+			let accepted = await network.asUser('bob', 'acceptLease', ['P3', lease.leaseID, 'bob', AADHAR.bob]);
+			accepted.status.should.equal('active');
+		});
+
+		it('should allow only one lease offer or lease at a time', async () => {
+			let lease = await offer('alice', 'bob', 12, 100, 200);
+			await offer('alice', 'carol', 12, 100, 200).should.be.rejectedWith(/REGNET_CONFLICT: .*already a lease offer/);
+			await accept('bob', lease.leaseID);
+			await offer('alice', 'carol', 12, 100, 200).should.be.rejectedWith(/REGNET_CONFLICT: Property is already leased/);
+			await accept('bob', lease.leaseID).should.be.rejectedWith(/REGNET_INVALID_STATE: Lease is active, not offered/);
+		});
+
+		it('should reject invalid offers and acceptances', async () => {
+			await offer('alice', 'alice', 12, 100, 200).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*tenant is one of the property owners/);
+			await offer('alice', 'dave', 12, 100, 200).should.be.rejectedWith(/REGNET_NOT_FOUND: Tenant/);
+			await offer('bob', 'carol', 12, 100, 200).should.be.rejectedWith(/REGNET_FORBIDDEN: Only Owner/);
+			await offer('alice', 'bob', 0, 100, 200).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*termInMonths/);
+			await offer('alice', 'bob', 361, 100, 200).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*termInMonths/);
+			await offer('alice', 'bob', 12, 0, 200).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*monthlyRent/);
+			await offer('alice', 'bob', 12, 100, -1).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*securityDeposit/);
+
+			let lease = await offer('alice', 'bob', 12, 600, 500);
+			await accept('carol', lease.leaseID).should.be.rejectedWith(/REGNET_FORBIDDEN: Only the tenant/);
+			await accept('bob', lease.leaseID).should.be.rejectedWith('REGNET_INSUFFICIENT_FUNDS');
+			await accept('bob', 'L9').should.be.rejectedWith('REGNET_NOT_FOUND');
+
+			await network.asRegistrar('freezeProperty', ['P1', 'OS-7', 'Fraud reported']);
+			await accept('bob', lease.leaseID).should.be.rejectedWith(/REGNET_INVALID_STATE: .*frozen/);
+			await offer('alice', 'carol', 12, 100, 200).should.be.rejectedWith(/REGNET_INVALID_STATE: .*frozen/);
+		});
+	});
+
+	describe('#cancelLeaseOffer', () => {
+		it('should let the owner withdraw or the tenant decline an offer', async () => {
+			let lease = await offer('alice', 'bob', 12, 100, 200);
+			await network.asUser('carol', 'cancelLeaseOffer', ['P1', lease.leaseID, 'carol', AADHAR.carol])
+				.should.be.rejectedWith(/REGNET_FORBIDDEN: Only Owner of the property or the tenant/);
+
+			let cancelled = await network.asUser('bob', 'cancelLeaseOffer', ['P1', lease.leaseID, 'bob', AADHAR.bob]);
+			cancelled.should.deep.include({status: 'cancelled', cancelledBy: network.userKey('bob')});
+			network.ledger.lastEvent().name.should.equal(RegnetHelper.EventTypes.LEASE_OFFER_CANCELLED);
+			await accept('bob', lease.leaseID).should.be.rejectedWith(/REGNET_INVALID_STATE: Lease is cancelled/);
+
+			let second = await offer('alice', 'carol', 12, 100, 200);
+			await network.asUser('alice', 'cancelLeaseOffer', ['P1', second.leaseID, 'alice', AADHAR.alice]);
+			(await leases()).map(entry => [entry.leaseID, entry.status]).should.deep.equal([[lease.leaseID, 'cancelled'], [second.leaseID, 'cancelled']]);
+			(network.getProperty('P1').lease === undefined).should.equal(true);
+		});
+	});
+
+	describe('Changes of ownership', () => {
+		const status = leaseID => network.ledger.get(RegnetHelper.getLeaseKey(network.ctx, 'P1', leaseID)).status;
+
+		it('should cancel lease offers of sellers once the property is sold', async () => {
+			let lease = await offer('alice', 'carol', 12, 100, 0);
+			await network.listForSale('alice', 'P1');
+			await network.asUser('bob', 'purchaseProperty', ['P1', 'bob', AADHAR.bob]);
+			network.ledger.lastEvent().payload.keys.cancelledLeases.should.deep.equal([RegnetHelper.getLeaseKey(network.ctx, 'P1', lease.leaseID)]);
+
+			await accept('carol', lease.leaseID).should.be.rejectedWith(/REGNET_INVALID_STATE: Lease is cancelled/);
+			network.getUser('bob').upgradCoins.should.equal(500);
+			network.getUser('carol').upgradCoins.should.equal(1000);
+		});
+
+		it('should cancel lease offers once shares are transferred or a court orders a transfer', async () => {
+			let lease = await offer('alice', 'carol', 12, 100, 0);
+			await network.asUser('alice', 'transferShare', ['P1', 'alice', AADHAR.alice, 'bob', AADHAR.bob, '10']);
+			status(lease.leaseID).should.equal('cancelled');
+
+			await network.asUser('alice', 'transferShare', ['P1', 'alice', AADHAR.alice, 'bob', AADHAR.bob, '90']);
+			lease = await offer('bob', 'carol', 12, 100, 0);
+			await network.asRegistrar('executeCourtOrderedTransfer', ['P1', 'OS-7',
+				JSON.stringify([{name: 'alice', aadharNumber: AADHAR.alice, share: 100}]), 'Sale deed set aside']);
+			status(lease.leaseID).should.equal('cancelled');
+			network.ledger.lastEvent().payload.keys.cancelledLeases.should.have.length(1);
+		});
+
+		it('should cancel lease offers of properties retired by a split', async () => {
+			let lease = await offer('alice', 'carol', 12, 100, 0);
+			let parts = [{propertyID: 'P1A', price: 100, area: 600, surveyNumber: 'P1A/1'}, {propertyID: 'P1B', price: 100, area: 600, surveyNumber: 'P1B/1'}];
+			let request = await network.asUser('alice', 'requestPropertySplit', ['P1', 'alice', AADHAR.alice, JSON.stringify(parts)]);
+			await network.asRegistrar('approvePropertyRestructure', [request.requestID]);
+			status(lease.leaseID).should.equal('cancelled');
+		});
+
+		it('should not accept lease offers of owners who no longer hold the consent threshold', async () => {
+			//Offers recorded before lease offers were cancelled on changes of ownership
+			const seedOffer = offeredBy => network.ledger.seed(RegnetHelper.getLeaseKey(network.ctx, 'P1', 'L1'), {leaseID: 'L1', propertyID: 'P1',
+				tenant: network.userKey('carol'), offeredBy: network.userKey(offeredBy), termInMonths: 12, monthlyRent: 100, securityDeposit: 0,
+				status: 'offered', payments: []});
+
+			seedOffer('bob');
+			await accept('carol', 'L1').should.be.rejectedWith(/REGNET_INVALID_STATE: Owner who offered the lease no longer holds/);
+
+			await network.asUser('alice', 'transferShare', ['P1', 'alice', AADHAR.alice, 'bob', AADHAR.bob, '10']);
+			seedOffer('alice');
+			await accept('carol', 'L1').should.be.rejectedWith(/REGNET_INVALID_STATE: Owner who offered the lease no longer holds/);
+		});
+	});
+
+	describe('#payRent and #viewOverdueRent', () => {
+		it('should track rent falling due month by month', async () => {
+			let lease = await offer('alice', 'bob', 3, 100, 200);
+			await accept('bob', lease.leaseID);
+			(await overdue(lease.leaseID)).should.deep.include({overduePeriods: [], overdueAmount: 0});
+
+			network.ledger.time = Date.UTC(2021, 2, 31, 12);
+			let due = await overdue(lease.leaseID);
+			due.overduePeriods.map(period => [period.period, period.dueAt.toISOString()]).should.deep.equal([
+				[2, '2021-02-28T10:00:02.000Z'], [3, '2021-03-31T10:00:02.000Z']
+			]);
+			due.overdueAmount.should.equal(200);
+
+			let paid = await payRent('bob', lease.leaseID);
+			paid.payments.map(payment => payment.period).should.deep.equal([1, 2]);
+			let event = network.ledger.lastEvent();
+			event.name.should.equal(RegnetHelper.EventTypes.RENT_PAID);
+			event.payload.amounts.should.deep.include({period: 2, rent: 100, tenantBalance: 600});
+			(await overdue(lease.leaseID)).overdueAmount.should.equal(100);
+
+			await payRent('bob', lease.leaseID);
+			await payRent('bob', lease.leaseID).should.be.rejectedWith(/REGNET_INVALID_STATE: Rent for the complete term/);
+			network.getUser('alice').upgradCoins.should.equal(300);
+		});
+
+		it('should pay rent to whoever owns the property when it falls due', async () => {
+			let lease = await offer('alice', 'bob', 12, 100, 0);
+			await accept('bob', lease.leaseID);
+			await network.listForSale('alice', 'P1');
+			await network.asUser('carol', 'purchaseProperty', ['P1', 'carol', AADHAR.carol]);
+			network.getProperty('P1').lease.leaseID.should.equal(lease.leaseID);
+
+			await payRent('bob', lease.leaseID);
+			network.getUser('carol').upgradCoins.should.equal(600);
+			network.getUser('alice').upgradCoins.should.equal(600);
+		});
+
+		it('should reject payments by others and beyond the balance', async () => {
+			let lease = await offer('alice', 'bob', 12, 400, 0);
+			await accept('bob', lease.leaseID);
+			await payRent('carol', lease.leaseID).should.be.rejectedWith(/REGNET_FORBIDDEN: Only the tenant/);
+			await payRent('bob', lease.leaseID);
+			await payRent('bob', lease.leaseID).should.be.rejectedWith('REGNET_INSUFFICIENT_FUNDS');
+		});
+	});
+
+	describe('#terminateLease', () => {
+		it('should settle overdue rent from the deposit and refund the rest', async () => {
+			let lease = await offer('alice', 'bob', 12, 100, 150);
+			await accept('bob', lease.leaseID);
+			network.ledger.time += 60 * DAY;
+
+			let terminated = await terminate('alice', lease.leaseID, 'Rent not paid');
+			terminated.status.should.equal('terminated');
+			terminated.settlement.should.deep.equal({settledPeriods: [2], rentDeducted: 100, refunded: 50, unpaidPeriods: [3]});
+			network.getUser('alice').upgradCoins.should.equal(200);
+			network.getUser('bob').upgradCoins.should.equal(800);
+			(network.getProperty('P1').lease === undefined).should.equal(true);
+
+			let event = network.ledger.lastEvent();
+			event.name.should.equal(RegnetHelper.EventTypes.LEASE_TERMINATED);
+			event.payload.after.should.deep.equal({leaseStatus: 'terminated', lease: null});
+			event.payload.reason.should.equal('Rent not paid');
+
+			await overdue(lease.leaseID).should.be.rejectedWith('REGNET_INVALID_STATE');
+			await payRent('bob', lease.leaseID).should.be.rejectedWith('REGNET_INVALID_STATE');
+			RegnetHelper.getOverdueRent(terminated, new Date()).should.deep.equal([]);
+			await offer('alice', 'carol', 12, 100, 200);
+		});
+
+		it('should refund the whole deposit when tenant leaves with rent paid up', async () => {
+			let lease = await offer('alice', 'bob', 12, 100, 200);
+			await accept('bob', lease.leaseID);
+			await terminate('carol', lease.leaseID).should.be.rejectedWith(/REGNET_FORBIDDEN: Only Owner of the property or the tenant/);
+			await network.asUser('bob', 'terminateLease', ['P1', lease.leaseID, 'bob', AADHAR.bob, '']).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*reason/);
+
+			let terminated = await terminate('bob', lease.leaseID);
+			terminated.settlement.should.deep.equal({settledPeriods: [], rentDeducted: 0, refunded: 200, unpaidPeriods: []});
+			network.getUser('bob').upgradCoins.should.equal(900);
+		});
+	});
+
+	it('should block splits and mergers of leased properties', async () => {
+		let lease = await offer('alice', 'bob', 12, 100, 200);
+		await accept('bob', lease.leaseID);
+		let parts = [{propertyID: 'P1A', price: 100, area: 600, surveyNumber: 'P1A/1'}, {propertyID: 'P1B', price: 100, area: 600, surveyNumber: 'P1B/1'}];
+		await network.asUser('alice', 'requestPropertySplit', ['P1', 'alice', AADHAR.alice, JSON.stringify(parts)])
+			.should.be.rejectedWith(/REGNET_INVALID_STATE: .*leased/);
+	});
+
+	it('should only be allowed to users', async () => {
+		const asOutsider = (fn, args) => network.ledger.submit(network.outsider, network.user, fn, args);
+
+		await asOutsider('offerLease', ['P1', 'alice', AADHAR.alice, 'bob', AADHAR.bob, '12', '100', '200']).should.be.rejectedWith('REGNET_FORBIDDEN');
+		await asOutsider('cancelLeaseOffer', ['P1', 'L1', 'alice', AADHAR.alice]).should.be.rejectedWith('REGNET_FORBIDDEN');
+		await asOutsider('acceptLease', ['P1', 'L1', 'bob', AADHAR.bob]).should.be.rejectedWith('REGNET_FORBIDDEN');
+		await asOutsider('payRent', ['P1', 'L1', 'bob', AADHAR.bob]).should.be.rejectedWith('REGNET_FORBIDDEN');
+		await asOutsider('terminateLease', ['P1', 'L1', 'bob', AADHAR.bob, 'Moving out']).should.be.rejectedWith('REGNET_FORBIDDEN');
+	});
+});
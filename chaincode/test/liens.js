@@ -0,0 +1,157 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const {FakeNetwork, AADHAR} = require('./fakes/network.js');
+const {FakeClientIdentity} = require('./fakes/ledger.js');
+const RegnetHelper = require('../utils.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Liens', () => {
+	let network;
+
+	beforeEach(async () => {
+		network = new FakeNetwork();
+		await network.registerUser('alice');
+		await network.registerUser('bob', 1000);
+		await network.registerUser('dave');
+		await network.registerProperty('alice', 'P1', 500);
+	});
+
+	const placeLien = (amount, validityInDays) => network.asLender('placeLien', ['P1', 'dave', AADHAR.dave, String(amount), validityInDays || '']);
+	const asRegistrar = (fn, args) => network.ledger.submit(network.registrarIdentity, network.bank, fn, args);
+	const viewProperty = contract => network.ledger.evaluate(network.identity('bob'), contract, 'viewProperty', ['P1']);
+
+	describe('#placeLien', () => {
+		it('should record the lien and list it with the property', async () => {
+			let lien = await placeLien(300);
+			lien.should.deep.include({propertyID: 'P1', holder: network.userKey('dave'), amount: 300, status: 'active', expiresAt: null});
+			lien.placedBy.id.should.equal(network.lenderIdentity.getID());
+
+			let event = network.ledger.lastEvent();
+			event.name.should.equal(RegnetHelper.EventTypes.LIEN_PLACED);
+			event.payload.keys.lien.should.equal(RegnetHelper.getLienKey(network.ctx, 'P1', lien.lienID));
+
+			await asRegistrar('placeLien', ['P1', 'dave', AADHAR.dave, '100', '30']);
+			network.ledger.lastEvent().payload.amounts.should.deep.equal({amount: 100, lienTotal: 400});
+
+			(await viewProperty(network.user)).encumbrances.map(entry => entry.amount).should.deep.equal([300, 100]);
+			(await viewProperty(network.registrar)).encumbrances.should.have.lengthOf(2);
+			(await network.ledger.evaluate(network.identity('bob'), network.bank, 'viewLiens', ['P1'])).should.have.lengthOf(2);
+		});
+
+		it('should accept Aadhar number of the holder through transient data', async () => {
+			let lien = await network.asLender('placeLien', ['P1', 'dave', '', '300', ''], {holderAadharNumber: AADHAR.dave});
+			lien.holder.should.equal(network.userKey('dave'));
+		});
+
+		it('should reject unknown properties and holders and invalid amounts', async () => {
+			await network.asLender('placeLien', ['P9', 'dave', AADHAR.dave, '300', '']).should.be.rejectedWith('REGNET_NOT_FOUND');
+			await network.asLender('placeLien', ['P1', 'carol', AADHAR.carol, '300', '']).should.be.rejectedWith(/REGNET_NOT_FOUND: .*holder/);
+			await placeLien(0).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*amount/);
+		});
+
+		it('should only be allowed to lenders and registrars', async () => {
+			await network.ledger.submit(network.identity('alice'), network.bank, 'placeLien', ['P1', 'dave', AADHAR.dave, '300', ''])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.ledger.submit(network.outsider, network.bank, 'placeLien', ['P1', 'dave', AADHAR.dave, '300', ''])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+
+		it('should ignore the lender role attribute of identities of other organizations', async () => {
+			let mallory = new FakeClientIdentity('usersMSP', 'mallory', {'regnet.role': 'lender'});
+			await network.ledger.submit(mallory, network.bank, 'placeLien', ['P1', 'dave', AADHAR.dave, '300', ''])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+
+	describe('#releaseLien', () => {
+		let lien;
+
+		beforeEach(async () => {
+			lien = await placeLien(600);
+		});
+
+		it('should release the lien so that property can be listed', async () => {
+			await network.listForSale('alice', 'P1').should.be.rejectedWith(/REGNET_INVALID_STATE: .*liens of 600/);
+
+			let released = await network.asLender('releaseLien', ['P1', lien.lienID, 'Loan repaid']);
+			released.should.deep.include({status: 'released', reason: 'Loan repaid'});
+			network.ledger.lastEvent().payload.after.should.deep.equal({lienStatus: 'released'});
+			(await viewProperty(network.user)).encumbrances.should.deep.equal([]);
+
+			await network.listForSale('alice', 'P1');
+			network.getProperty('P1').status.should.equal('onSale');
+		});
+
+		it('should let registrars release any lien but lenders only their own', async () => {
+			let otherLender = new FakeClientIdentity('lenderMSP', 'otherLender', {'regnet.role': 'lender'});
+			await network.ledger.submit(otherLender, network.bank, 'releaseLien', ['P1', lien.lienID, 'Not ours'])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+			let mallory = new FakeClientIdentity('usersMSP', 'mallory', {'regnet.role': 'lender'});
+			await network.ledger.submit(mallory, network.bank, 'releaseLien', ['P1', lien.lienID, 'Mine'])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.ledger.submit(network.identity('alice'), network.bank, 'releaseLien', ['P1', lien.lienID, 'Mine'])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+
+			await asRegistrar('releaseLien', ['P1', lien.lienID, 'Court order']);
+			await network.asLender('releaseLien', ['P1', lien.lienID, 'Again']).should.be.rejectedWith(/REGNET_INVALID_STATE: .*released/);
+			await network.asLender('releaseLien', ['P1', 'unknown', 'Loan repaid']).should.be.rejectedWith('REGNET_NOT_FOUND');
+		});
+	});
+
+	describe('sale of encumbered property', () => {
+		beforeEach(async () => {
+			await placeLien(300);
+			await network.listForSale('alice', 'P1');
+		});
+
+		it('should pay off liens from the price before crediting sellers', async () => {
+			await network.asUser('bob', 'purchaseProperty', ['P1', 'bob', AADHAR.bob]);
+
+			network.getUser('dave').upgradCoins.should.equal(300);
+			network.getUser('alice').upgradCoins.should.equal(200);
+			network.getUser('bob').upgradCoins.should.equal(500);
+
+			let amounts = network.ledger.lastEvent().payload.amounts;
+			amounts.proceeds.should.deep.equal([{owner: network.userKey('alice'), amount: 200, balance: 200}]);
+			amounts.lienPayoffs.map(payoff => [payoff.holder, payoff.amount, payoff.balance]).should.deep.equal([[network.userKey('dave'), 300, 300]]);
+
+			(await viewProperty(network.user)).encumbrances.should.deep.equal([]);
+			(await network.ledger.evaluate(network.identity('bob'), network.bank, 'viewLiens', ['P1']))[0].status.should.equal('paidOff');
+		});
+
+		it('should accept only offers covering the liens', async () => {
+			let low = await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '250', '']);
+			await network.asUser('alice', 'acceptOffer', ['P1', low.offerID, 'alice', AADHAR.alice])
+				.should.be.rejectedWith(/REGNET_INVALID_STATE: .*liens of 300/);
+
+			await network.asUser('bob', 'withdrawOffer', ['P1', low.offerID, 'bob', AADHAR.bob]);
+			let offer = await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '300', '']);
+			await network.asUser('alice', 'acceptOffer', ['P1', offer.offerID, 'alice', AADHAR.alice]);
+
+			network.getUser('dave').upgradCoins.should.equal(300);
+			network.getUser('alice').upgradCoins.should.equal(0);
+		});
+	});
+
+	describe('lapsed liens', () => {
+		it('should neither block listing nor be paid off', async () => {
+			await placeLien(600, '7');
+			await placeLien(100);
+			await network.listForSale('alice', 'P1').should.be.rejectedWith('REGNET_INVALID_STATE');
+
+			network.ledger.time += 7 * DAY;
+			await network.listForSale('alice', 'P1');
+			await network.asUser('bob', 'purchaseProperty', ['P1', 'bob', AADHAR.bob]);
+
+			network.getUser('dave').upgradCoins.should.equal(100);
+			network.getUser('alice').upgradCoins.should.equal(400);
+		});
+	});
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+const crypto = require('crypto');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const {FakeNetwork, AADHAR} = require('./fakes/network.js');
+const RegnetHelper = require('../utils.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+describe('Property metadata', () => {
+	let network;
+
+	beforeEach(async () => {
+		network = new FakeNetwork();
+		await network.registerUser('alice');
+		await network.registerUser('bob');
+	});
+
+	const requestProperty = (name, propertyID, metadata) => network.asUser(name, 'propertyRegistrationRequest',
+		[name, AADHAR[name], propertyID, '300', '', '', JSON.stringify(metadata)]);
+	const surveyNumberKey = (district, surveyNumber) => RegnetHelper.getSurveyNumberKey(network.ctx, district, surveyNumber);
+
+	describe('#propertyRegistrationRequest', () => {
+		it('should store validated metadata on the request', async () => {
+			let metadata = Object.assign(network.metadata('P1'), {area: '1200.5', titleDeedHash: network.metadata('P1').titleDeedHash.toUpperCase(), notes: 'x'});
+			let request = await requestProperty('alice', 'P1', metadata);
+
+			request.metadata.should.deep.equal(Object.assign(network.metadata('P1'), {area: 1200.5, supportingDocuments: null}));
+		});
+
+		it('should reject missing or invalid metadata', async () => {
+			await network.asUser('alice', 'propertyRegistrationRequest', ['alice', AADHAR.alice, 'P1', '300', '', ''])
+				.should.be.rejectedWith(/REGNET_INVALID_INPUT: .*property metadata/);
+			await requestProperty('alice', 'P1', Object.assign(network.metadata('P1'), {area: 0})).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*area/);
+			await requestProperty('alice', 'P1', Object.assign(network.metadata('P1'), {area: true})).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*area/);
+			await requestProperty('alice', 'P1', Object.assign(network.metadata('P1'), {areaUnit: 'yard'})).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*areaUnit/);
+			await requestProperty('alice', 'P1', Object.assign(network.metadata('P1'), {surveyNumber: '12 A'})).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*surveyNumber/);
+			await requestProperty('alice', 'P1', Object.assign(network.metadata('P1'), {titleDeedHash: 'abc'})).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*titleDeedHash/);
+			await requestProperty('alice', 'P1', Object.assign(network.metadata('P1'), {
+				supportingDocuments: [{name: 'survey', hash: sha256('a')}, {name: 'survey', hash: sha256('b')}]
+			})).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*supportingDocuments/);
+			await requestProperty('alice', 'P1', Object.assign(network.metadata('P1'), {supportingDocuments: [null]}))
+				.should.be.rejectedWith(/REGNET_INVALID_INPUT: .*supportingDocuments/);
+			await requestProperty('alice', 'P1', Object.assign(network.metadata('P1'), {supportingDocuments: {}}))
+				.should.be.rejectedWith(/REGNET_INVALID_INPUT: .*supportingDocuments/);
+		});
+
+		it('should reject a survey number already registered in the district', async () => {
+			await network.registerProperty('alice', 'P1', 300);
+
+			//District is compared case insensitively
+			let metadata = Object.assign(network.metadata('P2'), {district: ' bengaluru urban', surveyNumber: 'p1/1'});
+			await requestProperty('bob', 'P2', metadata).should.be.rejectedWith(/REGNET_CONFLICT: .*already registered for property P1/);
+
+			await requestProperty('bob', 'P2', Object.assign(metadata, {district: 'Mysuru'}));
+		});
+	});
+
+	describe('#approvePropertyRegistration', () => {
+		it('should record metadata as verified by the registrar and reserve the survey number', async () => {
+			await requestProperty('alice', 'P1', network.metadata('P1'));
+			await network.asRegistrar('approvePropertyRegistration', ['P1']);
+
+			let property = network.getProperty('P1');
+			property.metadata.surveyNumber.should.equal('P1/1');
+			property.metadataVerifiedBy.should.deep.equal({mspId: 'registrarMSP', id: network.registrarIdentity.getID()});
+			network.ledger.get(surveyNumberKey('Bengaluru Urban', 'P1/1')).should.deep.equal({propertyID: 'P1', district: 'Bengaluru Urban', surveyNumber: 'P1/1', schemaVersion: 1});
+			network.ledger.lastEvent().payload.keys.surveyNumber.should.equal(surveyNumberKey('Bengaluru Urban', 'P1/1'));
+		});
+
+		it('should apply amendments of the registrar', async () => {
+			await requestProperty('alice', 'P1', network.metadata('P1'));
+			await network.asRegistrar('approvePropertyRegistration', ['P1', JSON.stringify({area: 1150, surveyNumber: '88/2'})]);
+
+			network.getProperty('P1').metadata.should.deep.include({area: 1150, surveyNumber: '88/2', address: 'P1, MG Road'});
+			let payload = network.ledger.lastEvent().payload;
+			payload.before.metadata.area.should.equal(1200);
+			payload.after.metadata.area.should.equal(1150);
+			(network.ledger.get(surveyNumberKey('Bengaluru Urban', '88/2')) !== null).should.equal(true);
+		});
+
+		it('should reject invalid amendments and keep the request pending', async () => {
+			await requestProperty('alice', 'P1', network.metadata('P1'));
+			await network.asRegistrar('approvePropertyRegistration', ['P1', '[]']).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*JSON object/);
+			await network.asRegistrar('approvePropertyRegistration', ['P1', '{']).should.be.rejectedWith('REGNET_INVALID_INPUT');
+			await network.asRegistrar('approvePropertyRegistration', ['P1', JSON.stringify({areaUnit: 'yard'})])
+				.should.be.rejectedWith(/REGNET_INVALID_INPUT: .*areaUnit/);
+			network.ledger.get(network.propertyRequestKey('P1')).requestStatus.should.equal('pending');
+		});
+
+		it('should reject a survey number registered after the request was placed', async () => {
+			await requestProperty('alice', 'P1', network.metadata('P1'));
+			await requestProperty('bob', 'P2', network.metadata('P1'));
+			await network.asRegistrar('approvePropertyRegistration', ['P1']);
+
+			await network.asRegistrar('approvePropertyRegistration', ['P2']).should.be.rejectedWith('REGNET_CONFLICT');
+			await network.asRegistrar('approvePropertyRegistration', ['P2', JSON.stringify({surveyNumber: 'P2/1'})]);
+		});
+
+		it('should approve requests placed before metadata was introduced without metadata', async () => {
+			network.ledger.seed(network.propertyRequestKey('P1'), {
+				propertyID: 'P1', owners: [{owner: network.userKey('alice'), share: 100}], price: 300, status: 'registered', requestStatus: 'pending'
+			});
+			await network.asRegistrar('approvePropertyRegistration', ['P1']);
+
+			let property = network.getProperty('P1');
+			(property.metadata === undefined).should.equal(true);
+			(network.ledger.lastEvent().payload.keys.surveyNumber === null).should.equal(true);
+		});
+	});
+
+	describe('#verifyPropertyDocument', () => {
+		const documents = [{name: 'encumbranceCertificate', hash: sha256('encumbrance certificate')}];
+
+		beforeEach(async () => {
+			await requestProperty('alice', 'P1', Object.assign(network.metadata('P1'), {supportingDocuments: documents}));
+			await network.asRegistrar('approvePropertyRegistration', ['P1']);
+		});
+
+		const verifyAsUser = args => network.ledger.evaluate(network.identity('bob'), network.user, 'verifyPropertyDocument', args);
+		const verifyAsRegistrar = args => network.ledger.evaluate(network.registrarIdentity, network.registrar, 'verifyPropertyDocument', args);
+
+		it('should match the title deed and supporting documents by hash', async () => {
+			let titleDeedHash = network.metadata('P1').titleDeedHash;
+			(await verifyAsUser(['P1', 'titleDeed', titleDeedHash])).should.deep.equal({propertyID: 'P1', documentName: 'titleDeed', matches: true});
+			(await verifyAsUser(['P1', 'titleDeed', titleDeedHash.toUpperCase()])).matches.should.equal(true);
+			(await verifyAsUser(['P1', 'titleDeed', sha256('forged deed')])).matches.should.equal(false);
+			(await verifyAsRegistrar(['P1', 'encumbranceCertificate', documents[0].hash])).matches.should.equal(true);
+		});
+
+		it('should reject unknown documents, properties and invalid hashes', async () => {
+			await verifyAsUser(['P1', 'saleDeed', sha256('a')]).should.be.rejectedWith(/REGNET_NOT_FOUND: .*saleDeed/);
+			await verifyAsRegistrar(['P9', 'titleDeed', sha256('a')]).should.be.rejectedWith('REGNET_NOT_FOUND');
+			await verifyAsUser(['P1', 'titleDeed', 'abc']).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*documentHash/);
+
+			await network.registerProperty('bob', 'P2', 300);
+			await verifyAsUser(['P2', 'encumbranceCertificate', documents[0].hash]).should.be.rejectedWith('REGNET_NOT_FOUND');
+		});
+
+		it('should reject properties registered before metadata was introduced', async () => {
+			network.ledger.seed(network.propertyKey('P2'), {propertyID: 'P2', owner: network.userKey('alice'), price: 300, status: 'registered'});
+			await verifyAsUser(['P2', 'titleDeed', sha256('a')]).should.be.rejectedWith('REGNET_INVALID_STATE');
+			await verifyAsRegistrar(['P2', 'titleDeed', sha256('a')]).should.be.rejectedWith('REGNET_INVALID_STATE');
+		});
+	});
+});
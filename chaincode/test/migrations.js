@@ -0,0 +1,149 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const {FakeNetwork, AADHAR} = require('./fakes/network.js');
+const RegnetHelper = require('../utils.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+
+describe('Schema versions and migrations', () => {
+	let network;
+
+	beforeEach(async () => {
+		network = new FakeNetwork();
+		await network.registerUser('alice', 100);
+	});
+
+	const migrate = (assetType, pageSize, bookmark) => network.asRegistrar('migrateAssets', [assetType, pageSize || '', bookmark || '']);
+	const legacyProperty = propertyID => ({propertyID: propertyID, owner: network.userKey('alice'), price: 100, status: 'registered'});
+
+	describe('#viewSchemaVersions', () => {
+		it('should list the current schema version of every asset type', async () => {
+			let versions = await network.ledger.evaluate(network.identity('alice'), network.registrar, 'viewSchemaVersions', []);
+			versions.should.deep.include({'property': 1, 'request.property': 1, 'user': 1, 'request.user': 1, 'offer': 1});
+		});
+	});
+
+	describe('asset classes', () => {
+		it('should stamp new assets with their schema version and transaction time', async () => {
+			await network.registerProperty('alice', 'P1', 300);
+			let property = network.getProperty('P1');
+			property.schemaVersion.should.equal(1);
+			property.metadataVerifiedAt.should.equal(new Date(network.ledger.time).toISOString());
+			property.createdAt.should.equal(property.updatedAt);
+
+			let user = network.getUser('alice');
+			user.schemaVersion.should.equal(1);
+			(new Date(user.createdAt) < new Date(property.createdAt)).should.equal(true);
+		});
+
+		it('should upgrade legacy records whenever they are written again', async () => {
+			network.ledger.seed(network.propertyKey('P1'), legacyProperty('P1'));
+			await network.listForSale('alice', 'P1');
+			network.getProperty('P1').should.deep.include({schemaVersion: 1, consentThreshold: 100, status: 'onSale',
+				owners: [{owner: network.userKey('alice'), share: 100}]});
+			(network.getProperty('P1').owner === undefined).should.equal(true);
+		});
+
+		it('should refuse records written by a newer chaincode', async () => {
+			network.ledger.seed(network.propertyKey('P1'), Object.assign(legacyProperty('P1'), {schemaVersion: 99}));
+			await network.ledger.evaluate(network.identity('alice'), network.user, 'viewProperty', ['P1'])
+				.should.be.rejectedWith(/REGNET_INVALID_STATE: Asset was written with schema version 99/);
+			(await migrate('property')).failed.map(entry => entry.key).should.deep.equal([network.propertyKey('P1')]);
+		});
+	});
+
+	describe('#migrateAssets', () => {
+		it('should upgrade legacy properties and leave current ones untouched', async () => {
+			await network.registerProperty('alice', 'P1', 300);
+			network.ledger.seed(network.propertyKey('P2'), legacyProperty('P2'));
+			network.ledger.seed(network.propertyKey('P3'), Object.assign(legacyProperty('P3'),
+				{owners: [{owner: network.userKey('alice'), share: 100}], consentThreshold: 60}));
+
+			let batch = await migrate('property');
+			batch.should.deep.equal({
+				migrated: [
+					{key: network.propertyKey('P2'), fromVersion: 0, toVersion: 1},
+					{key: network.propertyKey('P3'), fromVersion: 0, toVersion: 1}
+				],
+				failed: [],
+				upToDate: 1,
+				bookmark: ''
+			});
+			network.getProperty('P2').should.deep.equal({propertyID: 'P2', price: 100, status: 'registered', consentThreshold: 100,
+				owners: [{owner: network.userKey('alice'), share: 100}], schemaVersion: 1});
+			network.getProperty('P3').consentThreshold.should.equal(60);
+
+			let event = network.ledger.lastEvent();
+			event.name.should.equal(RegnetHelper.EventTypes.ASSETS_MIGRATED);
+			event.payload.keys.should.deep.equal({migrated: [network.propertyKey('P2'), network.propertyKey('P3')], failed: []});
+			event.payload.amounts.should.deep.equal({migrated: 2, failed: 0, upToDate: 1});
+			event.payload.after.should.deep.equal({assetType: 'property', schemaVersion: 1, bookmark: ''});
+
+			(await migrate('property')).should.deep.include({migrated: [], upToDate: 3});
+		});
+
+		it('should give registration requests a status and owners', async () => {
+			network.ledger.seed(network.propertyRequestKey('P1'), legacyProperty('P1'));
+			network.ledger.seed(network.propertyRequestKey('P2'), Object.assign(legacyProperty('P2'),
+				{owners: [{owner: network.userKey('alice'), share: 100}], consentThreshold: 60, requestStatus: 'approved'}));
+			network.ledger.seed(network.userRequestKey('bob'), {name: 'bob', userID: RegnetHelper.getUserID(network.ctx, 'bob', AADHAR.bob)});
+
+			(await migrate('request.property')).migrated.should.have.lengthOf(2);
+			network.ledger.get(network.propertyRequestKey('P1')).should.deep.include({requestStatus: 'pending',
+				owners: [{owner: network.userKey('alice'), share: 100}]});
+			network.ledger.get(network.propertyRequestKey('P2')).should.deep.include({requestStatus: 'approved', consentThreshold: 60});
+
+			(await migrate('request.user')).migrated.should.have.lengthOf(1);
+			network.ledger.get(network.userRequestKey('bob')).should.deep.include({requestStatus: 'pending', schemaVersion: 1});
+		});
+
+		it('should stamp assets of types without migrations', async () => {
+			network.ledger.seed(network.offerKey('P1', 'O1'), {offerID: 'O1', propertyID: 'P1', amount: 10, status: 'open'});
+			(await migrate('offer')).migrated.should.deep.equal([{key: network.offerKey('P1', 'O1'), fromVersion: 0, toVersion: 1}]);
+			network.ledger.get(network.offerKey('P1', 'O1')).schemaVersion.should.equal(1);
+		});
+
+		it('should report records which cannot be upgraded and leave them as they are', async () => {
+			let legacyUser = Object.assign({name: 'bob', upgradCoins: 5}, network.pii('bob'));
+			network.ledger.seed(network.userKey('bob'), legacyUser);
+
+			let batch = await migrate('user');
+			batch.failed.should.have.lengthOf(1);
+			batch.failed[0].should.deep.include({key: network.userKey('bob')});
+			batch.failed[0].reason.should.match(/aadharNumber must not be stored on the public ledger/);
+			batch.upToDate.should.equal(1);
+			network.ledger.get(network.userKey('bob')).should.deep.equal(legacyUser);
+		});
+
+		it('should migrate in batches resuming after the bookmark', async () => {
+			for(let propertyID of ['P1', 'P2', 'P3']){
+				network.ledger.seed(network.propertyKey(propertyID), legacyProperty(propertyID));
+			}
+
+			let batch = await migrate('property', '2');
+			batch.migrated.map(entry => entry.key).should.deep.equal([network.propertyKey('P1'), network.propertyKey('P2')]);
+			batch.bookmark.should.equal(network.propertyKey('P2'));
+
+			batch = await migrate('property', '1', batch.bookmark);
+			batch.migrated.map(entry => entry.key).should.deep.equal([network.propertyKey('P3')]);
+			batch.bookmark.should.equal('');
+
+			//Bookmarks of other asset types start from the first or past the last property
+			batch = await migrate('property', '5', RegnetHelper.getOfferKey(network.ctx, 'P9', 'O1'));
+			batch.upToDate.should.equal(3);
+			batch = await migrate('property', '5', network.userKey('alice'));
+			batch.upToDate.should.equal(0);
+		});
+
+		it('should reject unknown asset types, invalid page sizes and callers outside Registrar organization', async () => {
+			await migrate('castle').should.be.rejectedWith(/REGNET_INVALID_INPUT: Invalid asset type. .*request.property/);
+			await migrate('property', '0').should.be.rejectedWith(/REGNET_INVALID_INPUT: Invalid page size/);
+			await network.ledger.submit(network.identity('alice'), network.registrar, 'migrateAssets', ['property', '', ''])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+});
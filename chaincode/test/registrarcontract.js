@@ -0,0 +1,328 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const {FakeNetwork, AADHAR} = require('./fakes/network.js');
+const RegnetHelper = require('../utils.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('RegnetRegistrarContract', () => {
+	let network;
+
+	beforeEach(() => {
+		network = new FakeNetwork();
+	});
+
+	const asOutsider = (fn, args) => network.ledger.submit(network.outsider, network.registrar, fn, args);
+
+	describe('#approveNewUser', () => {
+		it('should create the user bound to the identity which requested it', async () => {
+			await network.requestUser('alice');
+			let user = await network.asRegistrar('approveNewUser', ['alice', AADHAR.alice]);
+
+			user.should.deep.include({name: 'alice', upgradCoins: 0, identity: network.identity('alice').getID()});
+			user.should.not.have.property('aadharNumber');
+			network.ledger.get(network.userRequestKey('alice')).requestStatus.should.equal('approved');
+			network.ledger.getPrivate('regnetUserPII', network.userKey('alice')).should.deep.equal(network.pii('alice'));
+			(network.ledger.getPrivate('regnetUserPII', network.userRequestKey('alice')) === null).should.equal(true);
+			network.ledger.lastEvent().name.should.equal(RegnetHelper.EventTypes.USER_REGISTRATION_APPROVED);
+		});
+
+		it('should reject missing, closed and forbidden approvals', async () => {
+			await network.asRegistrar('approveNewUser', ['alice', AADHAR.alice]).should.be.rejectedWith('REGNET_NOT_FOUND');
+			await network.requestUser('alice');
+			await asOutsider('approveNewUser', ['alice', AADHAR.alice]).should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.asRegistrar('approveNewUser', ['alice', AADHAR.alice]);
+			await network.asRegistrar('approveNewUser', ['alice', AADHAR.alice]).should.be.rejectedWith(/REGNET_INVALID_STATE: .*already approved/);
+		});
+
+		it('should not overwrite an existing user', async () => {
+			await network.registerUser('alice');
+			let request = network.ledger.get(network.userRequestKey('alice'));
+			request.requestStatus = 'pending';
+			network.ledger.seed(network.userRequestKey('alice'), request);
+
+			await network.asRegistrar('approveNewUser', ['alice', AADHAR.alice]).should.be.rejectedWith('REGNET_CONFLICT');
+		});
+
+		it('should fail when personal details are not available', async () => {
+			await network.requestUser('alice');
+			network.ledger.privateData.get('regnetUserPII').delete(network.userRequestKey('alice'));
+
+			await network.asRegistrar('approveNewUser', ['alice', AADHAR.alice]).should.be.rejectedWith(/REGNET_NOT_FOUND: Personal details/);
+		});
+	});
+
+	describe('#rejectNewUser', () => {
+		it('should close the request with a reason and purge personal details', async () => {
+			await network.requestUser('alice');
+			let request = await network.asRegistrar('rejectNewUser', ['alice', AADHAR.alice, 'Blurred scan']);
+
+			request.should.deep.include({requestStatus: 'rejected', reason: 'Blurred scan'});
+			(network.ledger.getPrivate('regnetUserPII', network.userRequestKey('alice')) === null).should.equal(true);
+		});
+
+		it('should reject missing, closed, forbidden and unexplained rejections', async () => {
+			await network.asRegistrar('rejectNewUser', ['alice', AADHAR.alice, 'No'])
+				.should.be.rejectedWith('REGNET_NOT_FOUND');
+			await network.requestUser('alice');
+			await network.asRegistrar('rejectNewUser', ['alice', AADHAR.alice, ''])
+				.should.be.rejectedWith(/REGNET_INVALID_INPUT: .*reason/);
+			await asOutsider('rejectNewUser', ['alice', AADHAR.alice, 'No'])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.asRegistrar('rejectNewUser', ['alice', AADHAR.alice, 'No']);
+			await network.asRegistrar('rejectNewUser', ['alice', AADHAR.alice, 'No'])
+				.should.be.rejectedWith('REGNET_INVALID_STATE');
+		});
+	});
+
+	describe('#listPendingUserRequests and #listPendingPropertyRequests', () => {
+		it('should list only pending requests with their age', async () => {
+			await network.requestUser('alice');
+			await network.requestUser('bob');
+			await network.asRegistrar('approveNewUser', ['bob', AADHAR.bob]);
+			await network.asUser('bob', 'propertyRegistrationRequest', ['bob', AADHAR.bob, 'P1', '100', '', '', network.metadataJSON('P1')]);
+
+			let users = await network.ledger.evaluate(network.registrarIdentity, network.registrar, 'listPendingUserRequests', ['', '']);
+			users.records.map(request => request.name).should.deep.equal(['alice']);
+			users.records[0].should.have.property('ageInDays', 0);
+
+			let properties = await network.ledger.evaluate(network.registrarIdentity, network.registrar, 'listPendingPropertyRequests', ['10', '']);
+			properties.records.map(request => request.propertyID).should.deep.equal(['P1']);
+		});
+
+		it('should only be allowed to registrars', async () => {
+			await asOutsider('listPendingUserRequests', ['', '']).should.be.rejectedWith('REGNET_FORBIDDEN');
+			await asOutsider('listPendingPropertyRequests', ['', '']).should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+
+	describe('identity rebinding', () => {
+		beforeEach(async () => {
+			await network.registerUser('alice');
+			await network.asUser('alice-phone', 'requestIdentityRebind', ['alice', AADHAR.alice]);
+		});
+
+		it('should bind the user to the requested identity once approved', async () => {
+			let pending = await network.ledger.evaluate(network.registrarIdentity, network.registrar, 'listPendingIdentityRebinds', ['', '']);
+			pending.records.map(user => user.name).should.deep.equal(['alice']);
+
+			let user = await network.asRegistrar('approveIdentityRebind', ['alice', AADHAR.alice]);
+			user.identity.should.equal(network.identity('alice-phone').getID());
+			user.should.not.have.property('pendingIdentity');
+			await network.asUser('alice-phone', 'requestWithdrawal', ['alice', AADHAR.alice, '1'])
+				.should.be.rejectedWith('REGNET_INSUFFICIENT_FUNDS');
+			await network.asUser('alice', 'requestWithdrawal', ['alice', AADHAR.alice, '1'])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+
+		it('should keep the current identity when rejected', async () => {
+			let user = await network.asRegistrar('rejectIdentityRebind', ['alice', AADHAR.alice, 'Not verified']);
+			user.identity.should.equal(network.identity('alice').getID());
+			user.should.not.have.property('pendingIdentity');
+
+			await network.asRegistrar('approveIdentityRebind', ['alice', AADHAR.alice])
+				.should.be.rejectedWith(/REGNET_NOT_FOUND: No identity binding request/);
+		});
+
+		it('should reject unknown users and forbidden callers', async () => {
+			await network.asRegistrar('approveIdentityRebind', ['bob', AADHAR.bob]).should.be.rejectedWith('REGNET_NOT_FOUND');
+			await network.asRegistrar('rejectIdentityRebind', ['bob', AADHAR.bob, 'No']).should.be.rejectedWith('REGNET_NOT_FOUND');
+			await asOutsider('approveIdentityRebind', ['alice', AADHAR.alice]).should.be.rejectedWith('REGNET_FORBIDDEN');
+			await asOutsider('rejectIdentityRebind', ['alice', AADHAR.alice, 'No']).should.be.rejectedWith('REGNET_FORBIDDEN');
+			await asOutsider('listPendingIdentityRebinds', ['', '']).should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+
+	describe('#viewUser and #getUserHistory', () => {
+		it('should return user with personal details and history', async () => {
+			await network.registerUser('alice', 100);
+			let user = await network.ledger.evaluate(network.registrarIdentity, network.registrar, 'viewUser', ['alice', AADHAR.alice]);
+			user.should.deep.include({upgradCoins: 100, aadharNumber: AADHAR.alice});
+			let history = await network.ledger.evaluate(network.registrarIdentity, network.registrar, 'getUserHistory', ['alice', AADHAR.alice]);
+			history.length.should.equal(2);
+		});
+
+		it('should fail for unknown users', async () => {
+			await network.ledger.evaluate(network.registrarIdentity, network.registrar, 'viewUser', ['alice', AADHAR.alice])
+				.should.be.rejectedWith('REGNET_NOT_FOUND');
+			await network.ledger.evaluate(network.registrarIdentity, network.registrar, 'getUserHistory', ['alice', AADHAR.alice])
+				.should.be.rejectedWith('REGNET_NOT_FOUND');
+		});
+	});
+
+	describe('#approvePropertyRegistration and #rejectPropertyRegistration', () => {
+		beforeEach(async () => {
+			await network.registerUser('alice');
+			await network.asUser('alice', 'propertyRegistrationRequest', ['alice', AADHAR.alice, 'P1', '300', '', '', network.metadataJSON('P1')]);
+		});
+
+		it('should create the property from the request', async () => {
+			let property = await network.asRegistrar('approvePropertyRegistration', ['P1']);
+			property.should.deep.include({propertyID: 'P1', price: 300, status: 'registered', consentThreshold: 100});
+			network.ledger.get(network.propertyRequestKey('P1')).requestStatus.should.equal('approved');
+			await network.asRegistrar('approvePropertyRegistration', ['P1']).should.be.rejectedWith('REGNET_INVALID_STATE');
+			await network.asRegistrar('rejectPropertyRegistration', ['P1', 'Late']).should.be.rejectedWith('REGNET_INVALID_STATE');
+		});
+
+		it('should approve requests placed before joint ownership', async () => {
+			network.ledger.seed(network.propertyRequestKey('P2'), {
+				propertyID: 'P2', owner: network.userKey('alice'), price: 50, status: 'registered', requestStatus: 'pending'
+			});
+			let property = await network.asRegistrar('approvePropertyRegistration', ['P2']);
+			property.owners.should.deep.equal([{owner: network.userKey('alice'), share: 100}]);
+		});
+
+		it('should not overwrite an existing property', async () => {
+			network.ledger.seed(network.propertyKey('P1'), {propertyID: 'P1', price: 1, status: 'registered', owners: [{owner: 'x', share: 100}]});
+			await network.asRegistrar('approvePropertyRegistration', ['P1']).should.be.rejectedWith('REGNET_CONFLICT');
+		});
+
+		it('should close the request when rejected', async () => {
+			let request = await network.asRegistrar('rejectPropertyRegistration', ['P1', 'Survey number mismatch']);
+			request.should.deep.include({requestStatus: 'rejected', reason: 'Survey number mismatch'});
+			await network.asUser('alice', 'propertyRegistrationRequest', ['alice', AADHAR.alice, 'P1', '300', '', '', network.metadataJSON('P1')]);
+		});
+
+		it('should reject missing requests and forbidden callers', async () => {
+			await network.asRegistrar('approvePropertyRegistration', ['P9']).should.be.rejectedWith('REGNET_NOT_FOUND');
+			await network.asRegistrar('rejectPropertyRegistration', ['P9', 'No']).should.be.rejectedWith('REGNET_NOT_FOUND');
+			await asOutsider('approvePropertyRegistration', ['P1']).should.be.rejectedWith('REGNET_FORBIDDEN');
+			await asOutsider('rejectPropertyRegistration', ['P1', 'No']).should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+
+	describe('#expirePendingRequests', () => {
+		it('should expire only requests older than given age', async () => {
+			await network.registerUser('alice');
+			await network.asUser('alice', 'propertyRegistrationRequest', ['alice', AADHAR.alice, 'P1', '300', '', '', network.metadataJSON('P1')]);
+			network.ledger.time += 10 * DAY;
+			await network.requestUser('bob');
+			network.ledger.time += 5 * DAY;
+
+			let expired = await network.asRegistrar('expirePendingRequests', ['7']);
+			expired.should.deep.equal({userRequests: [], propertyRequests: [network.propertyRequestKey('P1')]});
+			network.ledger.get(network.propertyRequestKey('P1')).requestStatus.should.equal('expired');
+
+			expired = await network.asRegistrar('expirePendingRequests', ['1']);
+			expired.userRequests.should.deep.equal([network.userRequestKey('bob')]);
+			(network.ledger.getPrivate('regnetUserPII', network.userRequestKey('bob')) === null).should.equal(true);
+		});
+
+		it('should reject invalid ages and forbidden callers', async () => {
+			await network.asRegistrar('expirePendingRequests', ['0']).should.be.rejectedWith('REGNET_INVALID_INPUT');
+			await asOutsider('expirePendingRequests', ['7']).should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+
+	describe('#migrateUserRecords', () => {
+		const legacyKey = name => RegnetHelper.getLegacyUserKey(network.ctx, name, AADHAR[name]);
+		const legacyRequestKey = name => network.ctx.stub.createCompositeKey(RegnetHelper.ObjectTypes.USER_REQUEST, [name, AADHAR[name]]);
+
+		it('should move personal details to private data and replace old keys everywhere', async () => {
+			network.ledger.seed(legacyKey('alice'), Object.assign({name: 'alice', upgradCoins: 10}, network.pii('alice')));
+			network.ledger.seed(legacyRequestKey('alice'), Object.assign({name: 'alice', requestStatus: 'approved'}, network.pii('alice')));
+			network.ledger.seed(legacyRequestKey('bob'), Object.assign({name: 'bob', requestStatus: 'pending'}, network.pii('bob')));
+			network.ledger.seed(network.propertyKey('P1'), {propertyID: 'P1', price: 5, status: 'registered', owner: legacyKey('alice')});
+
+			let migration = await network.asRegistrar('migrateUserRecords', []);
+			migration.should.deep.equal({
+				migratedKeys: [network.userKey('alice'), network.userRequestKey('alice'), network.userRequestKey('bob')],
+				updatedRecords: 1
+			});
+
+			network.getUser('alice').should.deep.equal({name: 'alice', upgradCoins: 10, userID: RegnetHelper.getUserID(network.ctx, 'alice', AADHAR.alice), schemaVersion: 1});
+			(network.ledger.get(legacyKey('alice')) === null).should.equal(true);
+			network.getProperty('P1').owners.should.deep.equal([{owner: network.userKey('alice'), share: 100}]);
+			network.ledger.getPrivate('regnetUserPII', network.userKey('alice')).should.deep.equal(network.pii('alice'));
+			(network.ledger.getPrivate('regnetUserPII', network.userRequestKey('alice')) === null).should.equal(true);
+			network.ledger.getPrivate('regnetUserPII', network.userRequestKey('bob')).should.deep.equal(network.pii('bob'));
+
+			//Running the migration again has nothing left to do
+			(await network.asRegistrar('migrateUserRecords', [])).should.deep.equal({migratedKeys: [], updatedRecords: 0});
+		});
+
+		it('should re-key users whose IDs were derived with another key along with their ledger entries', async () => {
+			await network.registerUser('alice', 500);
+			await network.registerUser('bob');
+			await network.requestUser('carol');
+			await network.registerProperty('alice', 'P1', 100);
+			let oldKeys = [network.userKey('alice'), network.userKey('bob'), network.userRequestKey('carol')];
+			network.replaceUserIDKey('cd'.repeat(32));
+
+			let migration = await network.asRegistrar('migrateUserRecords', []);
+			migration.migratedKeys.should.have.members([network.userKey('alice'), network.userKey('bob'), network.userRequestKey('carol')]);
+			oldKeys.forEach(key => (network.ledger.get(key) === null).should.equal(true));
+			network.getUser('alice').should.deep.include({upgradCoins: 500, userID: RegnetHelper.getUserID(network.ctx, 'alice', AADHAR.alice)});
+			network.getProperty('P1').owners.should.deep.equal([{owner: network.userKey('alice'), share: 100}]);
+			network.ledger.getPrivate('regnetUserPII', network.userRequestKey('carol')).should.deep.equal(network.pii('carol'));
+			(network.ledger.getPrivate('regnetUserPII', oldKeys[2]) === null).should.equal(true);
+
+			let statement = await network.ledger.evaluate(network.identity('alice'), network.user, 'getAccountStatement',
+				['alice', AADHAR.alice, '', '', '', '']);
+			statement.records.length.should.not.equal(0);
+			(await network.asRegistrar('migrateUserRecords', [])).should.deep.equal({migratedKeys: [], updatedRecords: 0});
+		});
+
+		it('should only be allowed to registrars', async () => {
+			await asOutsider('migrateUserRecords', []).should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+
+	describe('#setUserIDKey', () => {
+		const userIDKey = 'ab'.repeat(32);
+		const setUserIDKey = (identity, key) => network.ledger.submit(identity, network.registrar, 'setUserIDKey', [], {userIDKey: key});
+
+		beforeEach(() => {
+			network = new FakeNetwork(null);
+		});
+
+		it('should keep the key in private data and publish only that it is set', async () => {
+			await network.requestUser('alice').should.be.rejectedWith(/REGNET_INVALID_STATE: User ID key has not been set/);
+
+			(await setUserIDKey(network.registrarIdentity, userIDKey)).should.deep.equal({userIDKeySet: true});
+			network.ledger.privateData.get('regnetUserPII').get('userIDKey').toString().should.equal(userIDKey);
+			let event = network.ledger.lastEvent();
+			event.name.should.equal(RegnetHelper.EventTypes.USER_ID_KEY_SET);
+			JSON.stringify(event.payload).should.not.include(userIDKey);
+
+			network.replaceUserIDKey(userIDKey);
+			(await network.requestUser('alice')).requestStatus.should.equal('pending');
+		});
+
+		it('should reject malformed keys, outsiders and changes of the key', async () => {
+			await setUserIDKey(network.outsider, userIDKey).should.be.rejectedWith('REGNET_FORBIDDEN');
+			await setUserIDKey(network.registrarIdentity, 'secret').should.be.rejectedWith(/REGNET_INVALID_INPUT: .*userIDKey/);
+			await setUserIDKey(network.registrarIdentity, userIDKey);
+			await setUserIDKey(network.registrarIdentity, 'cd'.repeat(32)).should.be.rejectedWith('REGNET_CONFLICT');
+		});
+	});
+
+	describe('property queries', () => {
+		beforeEach(async () => {
+			await network.registerUser('alice');
+			await network.registerProperty('alice', 'P1', 100);
+			await network.registerProperty('alice', 'P2', 200);
+		});
+
+		const evaluate = (fn, args) => network.ledger.evaluate(network.registrarIdentity, network.registrar, fn, args);
+
+		it('should view, list and query properties', async () => {
+			(await evaluate('viewProperty', ['P1'])).price.should.equal(100);
+			(await evaluate('getPropertyHistory', ['P1'])).length.should.equal(1);
+			(await evaluate('listProperties', ['', ''])).records.length.should.equal(2);
+			(await evaluate('queryProperties', [JSON.stringify({maxPrice: 150}), '', ''])).records.map(property => property.propertyID)
+				.should.deep.equal(['P1']);
+		});
+
+		it('should fail for unknown properties', async () => {
+			await evaluate('viewProperty', ['P9']).should.be.rejectedWith('REGNET_NOT_FOUND');
+			await evaluate('getPropertyHistory', ['P9']).should.be.rejectedWith('REGNET_NOT_FOUND');
+		});
+	});
+});
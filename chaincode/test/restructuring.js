@@ -0,0 +1,261 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const {FakeNetwork, AADHAR} = require('./fakes/network.js');
+const RegnetHelper = require('../utils.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+
+describe('Property splits and mergers', () => {
+	let network;
+
+	beforeEach(async () => {
+		network = new FakeNetwork();
+		await network.registerUser('alice');
+		await network.registerUser('bob', 1000);
+		await network.registerUser('carol');
+	});
+
+	const part = (propertyID, area, surveyNumber) => ({propertyID: propertyID, price: 100, area: area, surveyNumber: surveyNumber || propertyID + '/1'});
+	const requestSplit = (name, propertyID, parts) => network.asUser(name, 'requestPropertySplit', [propertyID, name, AADHAR[name], JSON.stringify(parts)]);
+	const requestMerger = (name, propertyIDs, newPropertyID, surveyNumber) => network.asUser(name, 'requestPropertyMerger',
+		[JSON.stringify(propertyIDs), name, AADHAR[name], newPropertyID, '900', surveyNumber || newPropertyID + '/1']);
+	const consent = (name, requestID) => network.asUser(name, 'consentToPropertyRestructure', [requestID, name, AADHAR[name]]);
+	const lineage = propertyID => network.ledger.evaluate(network.identity('bob'), network.user, 'getPropertyLineage', [propertyID]);
+	const surveyNumber = number => network.ledger.get(RegnetHelper.getSurveyNumberKey(network.ctx, 'Bengaluru Urban', number));
+
+	describe('#requestPropertySplit', () => {
+		beforeEach(async () => {
+			await network.registerProperty('alice', 'P1', 500, [{name: 'carol', share: 40}]);
+		});
+
+		it('should retire the property into parts held by the same owners once all owners consent', async () => {
+			let request = await requestSplit('alice', 'P1', [part('P1A', 700, 'P1/1'), part('P1B', 500.5 - 0.5)]);
+			request.should.deep.include({restructureType: 'split', parents: ['P1'], requestStatus: 'pending', consents: [network.userKey('alice')]});
+			request.children.map(child => [child.propertyID, child.metadata.area, child.metadata.surveyNumber, child.metadata.address])
+				.should.deep.equal([['P1A', 700, 'P1/1', 'P1, MG Road'], ['P1B', 500, 'P1B/1', 'P1, MG Road']]);
+			network.ledger.lastEvent().name.should.equal(RegnetHelper.EventTypes.PROPERTY_SPLIT_REQUESTED);
+
+			await network.asRegistrar('approvePropertyRestructure', [request.requestID]).should.be.rejectedWith(/REGNET_INVALID_STATE: .*only 60% of shares/);
+			await consent('carol', request.requestID);
+			network.ledger.lastEvent().payload.amounts.should.deep.equal({consentedShare: 100, consentThreshold: 100});
+
+			let result = await network.asRegistrar('approvePropertyRestructure', [request.requestID]);
+			result.children.map(child => child.propertyID).should.deep.equal(['P1A', 'P1B']);
+			network.getProperty('P1').should.deep.include({status: 'retired', children: ['P1A', 'P1B'], retirementRequestID: request.requestID});
+			network.getProperty('P1B').should.deep.include({status: 'registered', parents: ['P1'], originRequestID: request.requestID, price: 100, consentThreshold: 100,
+				owners: [{owner: network.userKey('alice'), share: 60}, {owner: network.userKey('carol'), share: 40}]});
+			network.getProperty('P1B').metadataVerifiedBy.id.should.equal(network.registrarIdentity.getID());
+
+			//Survey number of the retired property is taken over by the part which kept it
+			surveyNumber('P1/1').propertyID.should.equal('P1A');
+			surveyNumber('P1B/1').propertyID.should.equal('P1B');
+
+			let event = network.ledger.lastEvent();
+			event.name.should.equal(RegnetHelper.EventTypes.PROPERTY_SPLIT);
+			event.payload.keys.children.should.deep.equal([network.propertyKey('P1A'), network.propertyKey('P1B')]);
+			event.payload.amounts.should.deep.equal({parentPrices: [500], childPrices: [100, 100]});
+			(await network.ledger.evaluate(network.identity('alice'), network.user, 'viewRestructureRequest', [request.requestID])).requestStatus.should.equal('approved');
+		});
+
+		it('should reject parts which do not make up the property', async () => {
+			await requestSplit('alice', 'P1', [part('P1A', 1200)]).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*at least 2/);
+			await network.asUser('alice', 'requestPropertySplit', ['P1', 'alice', AADHAR.alice, '{']).should.be.rejectedWith('REGNET_INVALID_INPUT');
+			await requestSplit('alice', 'P1', [part('P1A', 700), part('P1B', 0)]).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*area/);
+			await requestSplit('alice', 'P1', [part('P1A', 700), part('P1A', 500, 'X/1')]).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*own property ID/);
+			await requestSplit('alice', 'P1', [part('P1A', 700, 'x/1'), part('P1B', 500, 'X/1')]).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*own property ID and survey number/);
+			await requestSplit('alice', 'P1', [part('P1A', 700), part('P1B', 400)]).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*1200 sqft/);
+		});
+
+		it('should reject property IDs and survey numbers already in use', async () => {
+			await network.registerProperty('bob', 'P2', 300);
+			await requestSplit('alice', 'P1', [part('P1A', 700), part('P2', 500)]).should.be.rejectedWith(/REGNET_CONFLICT: Property ID P2/);
+			await requestSplit('alice', 'P1', [part('P1A', 700), part('P1B', 500, 'P2/1')]).should.be.rejectedWith(/REGNET_CONFLICT: Survey number P2\/1/);
+
+			await network.asUser('bob', 'propertyRegistrationRequest', ['bob', AADHAR.bob, 'P3', '300', '', '', network.metadataJSON('P3')]);
+			await requestSplit('alice', 'P1', [part('P1A', 700), part('P3', 500)]).should.be.rejectedWith(/REGNET_CONFLICT: Property ID P3/);
+		});
+
+		it('should only allow owners to split registered properties which are neither restricted nor encumbered', async () => {
+			let parts = [part('P1A', 700), part('P1B', 500)];
+			await requestSplit('bob', 'P1', parts).should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.ledger.submit(network.outsider, network.user, 'requestPropertySplit', ['P1', 'alice', AADHAR.alice, JSON.stringify(parts)])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+			await requestSplit('alice', 'P9', parts).should.be.rejectedWith('REGNET_NOT_FOUND');
+
+			await network.asRegistrar('freezeProperty', ['P1', 'OS-1', 'Fraud']);
+			await requestSplit('alice', 'P1', parts).should.be.rejectedWith(/REGNET_INVALID_STATE: .*frozen/);
+			await network.asRegistrar('unfreezeProperty', ['P1', 'OS-1', 'Withdrawn']);
+
+			await network.asLender('placeLien', ['P1', 'bob', AADHAR.bob, '100', '']);
+			await requestSplit('alice', 'P1', parts).should.be.rejectedWith(/REGNET_INVALID_STATE: .*encumbered by liens/);
+
+			await network.registerProperty('bob', 'P2', 300);
+			await network.listForSale('bob', 'P2');
+			await requestSplit('bob', 'P2', parts).should.be.rejectedWith(/REGNET_INVALID_STATE: .*listed for sale/);
+
+			network.ledger.seed(network.propertyKey('P3'), {propertyID: 'P3', owner: network.userKey('bob'), price: 300, status: 'registered'});
+			await requestSplit('bob', 'P3', parts).should.be.rejectedWith(/REGNET_INVALID_STATE: .*no recorded metadata/);
+		});
+	});
+
+	describe('#requestPropertyMerger', () => {
+		beforeEach(async () => {
+			await network.registerProperty('bob', 'P1', 300);
+			await network.registerProperty('bob', 'P2', 400);
+		});
+
+		it('should combine properties of the same owner into one', async () => {
+			let request = await requestMerger('bob', ['P1', 'P2'], 'P12', 'P2/1');
+			network.ledger.lastEvent().name.should.equal(RegnetHelper.EventTypes.PROPERTY_MERGER_REQUESTED);
+			request.children[0].metadata.should.deep.include({area: 2400, surveyNumber: 'P2/1', address: 'P1, MG Road'});
+
+			await network.asRegistrar('approvePropertyRestructure', [request.requestID]);
+			network.ledger.lastEvent().name.should.equal(RegnetHelper.EventTypes.PROPERTIES_MERGED);
+			network.getProperty('P12').should.deep.include({price: 900, parents: ['P1', 'P2'], owners: [{owner: network.userKey('bob'), share: 100}]});
+			['P1', 'P2'].forEach(propertyID => network.getProperty(propertyID).children.should.deep.equal(['P12']));
+			surveyNumber('P2/1').propertyID.should.equal('P12');
+			(surveyNumber('P1/1') === null).should.equal(true);
+		});
+
+		it('should carry over the strictest consent threshold', async () => {
+			await network.registerProperty('alice', 'P3', 300, [{name: 'carol', share: 40}], '51');
+			await network.registerProperty('alice', 'P4', 300, [{name: 'carol', share: 40}], '60');
+
+			let request = await requestMerger('alice', ['P3', 'P4'], 'P34');
+			request.children[0].consentThreshold.should.equal(60);
+		});
+
+		it('should reject properties held or recorded differently', async () => {
+			await network.registerProperty('alice', 'P3', 300, [{name: 'bob', share: 50}]);
+			await requestMerger('bob', ['P1', 'P3'], 'P13').should.be.rejectedWith(/REGNET_INVALID_INPUT: .*same owners/);
+
+			await network.asUser('bob', 'propertyRegistrationRequest',
+				['bob', AADHAR.bob, 'P4', '300', '', '', JSON.stringify(Object.assign(network.metadata('P4'), {district: 'Mysuru'}))]);
+			await network.asRegistrar('approvePropertyRegistration', ['P4']);
+			await requestMerger('bob', ['P1', 'P4'], 'P14').should.be.rejectedWith(/REGNET_INVALID_INPUT: .*same district/);
+
+			await network.asUser('bob', 'propertyRegistrationRequest',
+				['bob', AADHAR.bob, 'P5', '300', '', '', JSON.stringify(Object.assign(network.metadata('P5'), {areaUnit: 'sqm'}))]);
+			await network.asRegistrar('approvePropertyRegistration', ['P5']);
+			await requestMerger('bob', ['P1', 'P5'], 'P15').should.be.rejectedWith(/REGNET_INVALID_INPUT: .*same unit/);
+		});
+
+		it('should reject invalid property lists, IDs in use and other callers', async () => {
+			await requestMerger('bob', ['P1'], 'P12').should.be.rejectedWith(/REGNET_INVALID_INPUT: .*propertyIDs/);
+			await requestMerger('bob', ['P1', 'P1'], 'P12').should.be.rejectedWith(/REGNET_INVALID_INPUT: .*propertyIDs/);
+			await requestMerger('bob', ['P1', 'P2'], 'P1').should.be.rejectedWith('REGNET_CONFLICT');
+			await requestMerger('alice', ['P1', 'P2'], 'P12').should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.ledger.submit(network.outsider, network.user, 'requestPropertyMerger', ['["P1","P2"]', 'bob', AADHAR.bob, 'P12', '900', 'P12/1'])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+
+	describe('#consentToPropertyRestructure', () => {
+		let request;
+
+		beforeEach(async () => {
+			await network.registerProperty('alice', 'P1', 500, [{name: 'carol', share: 40}]);
+			request = await requestSplit('alice', 'P1', [part('P1A', 700), part('P1B', 500)]);
+		});
+
+		it('should accept consent of every co-owner once', async () => {
+			await consent('alice', request.requestID).should.be.rejectedWith('REGNET_CONFLICT');
+			await consent('bob', request.requestID).should.be.rejectedWith('REGNET_FORBIDDEN');
+			await consent('carol', 'unknown').should.be.rejectedWith('REGNET_NOT_FOUND');
+			await network.ledger.submit(network.outsider, network.user, 'consentToPropertyRestructure', [request.requestID, 'carol', AADHAR.carol])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+
+			await network.asRegistrar('rejectPropertyRestructure', [request.requestID, 'Survey pending']);
+			await consent('carol', request.requestID).should.be.rejectedWith(/REGNET_INVALID_STATE: .*rejected/);
+		});
+	});
+
+	describe('#approvePropertyRestructure and #rejectPropertyRestructure', () => {
+		let request;
+
+		beforeEach(async () => {
+			await network.registerProperty('bob', 'P1', 500);
+			request = await requestSplit('bob', 'P1', [part('P1A', 700), part('P1B', 500)]);
+		});
+
+		it('should recheck properties changed since the request was placed', async () => {
+			await network.asUser('bob', 'transferShare', ['P1', 'bob', AADHAR.bob, 'carol', AADHAR.carol, '10']);
+			await network.asRegistrar('approvePropertyRestructure', [request.requestID]).should.be.rejectedWith(/REGNET_INVALID_STATE: .*Owners of property P1 have changed/);
+
+			await network.asUser('carol', 'transferShare', ['P1', 'carol', AADHAR.carol, 'bob', AADHAR.bob, '10']);
+			await network.listForSale('bob', 'P1');
+			await network.asRegistrar('approvePropertyRestructure', [request.requestID]).should.be.rejectedWith('REGNET_INVALID_STATE');
+
+			await network.asUser('bob', 'updateProperty', ['P1', 'bob', AADHAR.bob, 'registered']);
+			await network.registerProperty('alice', 'P1B', 300);
+			await network.asRegistrar('approvePropertyRestructure', [request.requestID]).should.be.rejectedWith('REGNET_CONFLICT');
+		});
+
+		it('should close rejected requests and list only pending ones', async () => {
+			let pending = await network.ledger.evaluate(network.registrarIdentity, network.registrar, 'listPendingRestructureRequests', ['', '']);
+			pending.records.map(record => record.requestID).should.deep.equal([request.requestID]);
+
+			let rejected = await network.asRegistrar('rejectPropertyRestructure', [request.requestID, 'Survey pending']);
+			rejected.should.deep.include({requestStatus: 'rejected', reason: 'Survey pending'});
+			network.ledger.lastEvent().name.should.equal(RegnetHelper.EventTypes.PROPERTY_RESTRUCTURE_REJECTED);
+
+			await network.asRegistrar('rejectPropertyRestructure', [request.requestID, 'Again']).should.be.rejectedWith('REGNET_INVALID_STATE');
+			await network.asRegistrar('approvePropertyRestructure', [request.requestID]).should.be.rejectedWith(/REGNET_INVALID_STATE: .*already rejected/);
+			await network.asRegistrar('approvePropertyRestructure', ['unknown']).should.be.rejectedWith('REGNET_NOT_FOUND');
+			network.getProperty('P1').status.should.equal('registered');
+			(await network.ledger.evaluate(network.registrarIdentity, network.registrar, 'listPendingRestructureRequests', ['', ''])).records.should.deep.equal([]);
+		});
+
+		it('should only be allowed to registrars', async () => {
+			const asUser = (fn, args) => network.ledger.submit(network.identity('bob'), network.registrar, fn, args);
+			await asUser('approvePropertyRestructure', [request.requestID]).should.be.rejectedWith('REGNET_FORBIDDEN');
+			await asUser('rejectPropertyRestructure', [request.requestID, 'No']).should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.ledger.evaluate(network.identity('bob'), network.registrar, 'listPendingRestructureRequests', ['', ''])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+
+	describe('retired properties', () => {
+		beforeEach(async () => {
+			await network.registerProperty('bob', 'P1', 500);
+			let request = await requestSplit('bob', 'P1', [part('P1A', 700), part('P1B', 500)]);
+			await network.asRegistrar('approvePropertyRestructure', [request.requestID]);
+		});
+
+		it('should no longer be sold, encumbered or transferred', async () => {
+			await network.listForSale('bob', 'P1').should.be.rejectedWith(/REGNET_INVALID_STATE: .*retired and carried forward as P1A, P1B/);
+			await network.asUser('bob', 'transferShare', ['P1', 'bob', AADHAR.bob, 'alice', AADHAR.alice, '10']).should.be.rejectedWith('REGNET_INVALID_STATE');
+			await network.asLender('placeLien', ['P1', 'alice', AADHAR.alice, '100', '']).should.be.rejectedWith('REGNET_INVALID_STATE');
+			await network.asRegistrar('executeCourtOrderedTransfer', ['P1', 'OS-1', JSON.stringify([{name: 'alice', aadharNumber: AADHAR.alice, share: 100}]), 'Decree'])
+				.should.be.rejectedWith('REGNET_INVALID_STATE');
+			await requestSplit('bob', 'P1', [part('P1C', 700), part('P1D', 500)]).should.be.rejectedWith('REGNET_INVALID_STATE');
+
+			//Parts are independent properties
+			await network.listForSale('bob', 'P1A');
+			await network.asUser('alice', 'placeOffer', ['P1A', 'alice', AADHAR.alice, '100', '']).should.be.rejectedWith('REGNET_INSUFFICIENT_FUNDS');
+		});
+
+		it('should be traced through lineage across generations', async () => {
+			let merger = await requestMerger('bob', ['P1A', 'P1B'], 'P2', 'P1/1');
+			await network.asRegistrar('approvePropertyRestructure', [merger.requestID]);
+
+			let fromRoot = await lineage('P1');
+			fromRoot.should.deep.include({propertyID: 'P1', parents: [], children: ['P1A', 'P1B'], ancestors: []});
+			//Merged property is reachable through both parts but listed once
+			fromRoot.descendants.map(entry => [entry.propertyID, entry.status]).should.deep.equal([['P1A', 'retired'], ['P1B', 'retired'], ['P2', 'registered']]);
+
+			let fromLeaf = await network.ledger.evaluate(network.registrarIdentity, network.registrar, 'getPropertyLineage', ['P2']);
+			fromLeaf.ancestors.map(entry => entry.propertyID).should.deep.equal(['P1A', 'P1B', 'P1']);
+			fromLeaf.ancestors[2].should.deep.include({parents: [], originRequestID: null});
+			fromLeaf.ancestors[0].originRequestID.should.equal(fromLeaf.ancestors[2].retirementRequestID);
+			fromLeaf.ancestors[0].retirementRequestID.should.equal(merger.requestID);
+			fromLeaf.descendants.should.deep.equal([]);
+
+			await lineage('P9').should.be.rejectedWith('REGNET_NOT_FOUND');
+		});
+	});
+});
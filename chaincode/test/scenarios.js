@@ -0,0 +1,129 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const {FakeNetwork, AADHAR} = require('./fakes/network.js');
+const RegnetHelper = require('../utils.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+
+describe('Property registration network', () => {
+	let network;
+
+	beforeEach(() => {
+		network = new FakeNetwork();
+	});
+
+	it('should register users and a property, list it and sell it', async () => {
+		await network.requestUser('alice');
+		await network.requestUser('bob');
+		await network.asRegistrar('approveNewUser', ['alice', AADHAR.alice]);
+		await network.asRegistrar('approveNewUser', ['bob', AADHAR.bob]);
+		await network.asBank('recordDeposit', ['DEP-1', 'bob', AADHAR.bob, '1000']);
+		await network.asUser('bob', 'rechargeAccount', ['bob', AADHAR.bob, 'DEP-1']);
+		await network.asUser('alice', 'propertyRegistrationRequest', ['alice', AADHAR.alice, 'P1', '600', '', '', network.metadataJSON('P1')]);
+		await network.asRegistrar('approvePropertyRegistration', ['P1']);
+		await network.asUser('alice', 'updateProperty', ['P1', 'alice', AADHAR.alice, 'onSale']);
+		await network.asUser('bob', 'purchaseProperty', ['P1', 'bob', AADHAR.bob]);
+
+		network.getProperty('P1').should.deep.include({status: 'registered', owners: [{owner: network.userKey('bob'), share: 100}]});
+		network.getUser('alice').upgradCoins.should.equal(600);
+		network.getUser('bob').upgradCoins.should.equal(400);
+
+		network.ledger.events.map(event => event.name).should.deep.equal([
+			'UserRegistrationRequested',
+			'UserRegistrationRequested',
+			'UserRegistrationApproved',
+			'UserRegistrationApproved',
+			'DepositRecorded',
+			'AccountRecharged',
+			'PropertyRegistrationRequested',
+			'PropertyRegistrationApproved',
+			'PropertyStatusUpdated',
+			'PropertyPurchased'
+		]);
+		network.ledger.events.forEach(event => event.payload.txId.should.equal(event.txId));
+
+		let history = await network.ledger.evaluate(network.identity('bob'), network.user, 'getPropertyHistory', ['P1']);
+		history.map(entry => entry.owners[0].owner).should.deep.equal([network.userKey('alice'), network.userKey('alice'), network.userKey('bob')]);
+		history.map(entry => entry.ownerChanged).should.deep.equal([true, false, true]);
+	});
+
+	it('should let a user bind an identity for records created before identities were bound', async () => {
+		//Users migrated from older chaincode versions are not bound to any identity
+		network.ledger.seed(network.userKey('alice'), {name: 'alice', userID: RegnetHelper.getUserID(network.ctx, 'alice', AADHAR.alice), upgradCoins: 100});
+		await network.asUser('alice', 'requestWithdrawal', ['alice', AADHAR.alice, '10']).should.be.rejectedWith('REGNET_FORBIDDEN');
+
+		let user = await network.asUser('alice', 'requestIdentityRebind', ['alice', AADHAR.alice]);
+		network.ledger.lastEvent().payload.before.should.deep.equal({identity: null});
+		await network.asRegistrar('rejectIdentityRebind', ['alice', AADHAR.alice, 'Visit the office']);
+		network.ledger.lastEvent().payload.after.should.deep.equal({identity: null});
+
+		await network.asUser('alice', 'requestIdentityRebind', ['alice', AADHAR.alice]);
+		user = await network.asRegistrar('approveIdentityRebind', ['alice', AADHAR.alice]);
+		network.ledger.lastEvent().payload.before.should.deep.equal({identity: null});
+		user.identity.should.equal(network.identity('alice').getID());
+		await network.asUser('alice', 'requestWithdrawal', ['alice', AADHAR.alice, '10']);
+	});
+
+	it('should share and sell a property registered before joint ownership', async () => {
+		await network.registerUser('alice');
+		await network.registerUser('bob');
+		await network.registerUser('carol', 1000);
+		network.ledger.seed(network.propertyKey('P1'), {propertyID: 'P1', owner: network.userKey('alice'), price: 501, status: 'registered'});
+
+		//Legacy properties require consent of all owners once shared
+		await network.asUser('alice', 'transferShare', ['P1', 'alice', AADHAR.alice, 'bob', AADHAR.bob, '60']);
+		await network.asUser('bob', 'updateProperty', ['P1', 'bob', AADHAR.bob, 'onSale']);
+		network.ledger.lastEvent().payload.amounts.should.deep.equal({consentedShare: 60, consentThreshold: 100});
+		await network.listForSale('alice', 'P1');
+
+		let offer = await network.asUser('carol', 'placeOffer', ['P1', 'carol', AADHAR.carol, '501', '']);
+		await network.asUser('alice', 'acceptOffer', ['P1', offer.offerID, 'alice', AADHAR.alice]);
+		network.ledger.lastEvent().payload.amounts.should.deep.equal({consentedShare: 40, consentThreshold: 100});
+		await network.asUser('bob', 'acceptOffer', ['P1', offer.offerID, 'bob', AADHAR.bob]);
+
+		//Coin left over by rounding goes to the largest shareholder
+		network.getUser('alice').upgradCoins.should.equal(200);
+		network.getUser('bob').upgradCoins.should.equal(301);
+		network.getProperty('P1').owners.should.deep.equal([{owner: network.userKey('carol'), share: 100}]);
+	});
+
+	it('should accept offers on a shared property registered before consent thresholds', async () => {
+		await network.registerUser('alice');
+		await network.registerUser('bob');
+		await network.registerUser('carol', 1000);
+		network.ledger.seed(network.propertyKey('P1'), {propertyID: 'P1', price: 500, status: 'onSale',
+			owners: [{owner: network.userKey('alice'), share: 60}, {owner: network.userKey('bob'), share: 40}]});
+
+		let offer = await network.asUser('carol', 'placeOffer', ['P1', 'carol', AADHAR.carol, '500', '']);
+		await network.asUser('alice', 'acceptOffer', ['P1', offer.offerID, 'alice', AADHAR.alice]);
+		network.ledger.lastEvent().payload.amounts.should.deep.equal({consentedShare: 60, consentThreshold: 100});
+	});
+
+	it('should list but never expire requests placed before request lifecycle', async () => {
+		network.ledger.seed(network.userRequestKey('alice'), {name: 'alice', userID: RegnetHelper.getUserID(network.ctx, 'alice', AADHAR.alice)});
+
+		let pending = await network.ledger.evaluate(network.registrarIdentity, network.registrar, 'listPendingUserRequests', ['', '']);
+		pending.records.map(request => request.ageInDays).should.deep.equal([null]);
+		(await network.asRegistrar('expirePendingRequests', ['1'])).userRequests.should.deep.equal([]);
+	});
+
+	it('should page through pending requests without skipping any', async () => {
+		for(let name of ['alice', 'bob', 'carol', 'dave']){
+			await network.requestUser(name);
+		}
+		await network.asRegistrar('rejectNewUser', ['carol', AADHAR.carol, 'Duplicate']);
+
+		let names = [];
+		let bookmark = '';
+		do {
+			let page = await network.ledger.evaluate(network.registrarIdentity, network.registrar, 'listPendingUserRequests', ['1', bookmark]);
+			names.push(...page.records.map(request => request.name));
+			bookmark = page.bookmark;
+		} while(bookmark !== '');
+		names.sort().should.deep.equal(['alice', 'bob', 'dave']);
+	});
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const {FakeNetwork, AADHAR} = require('./fakes/network.js');
+const RegnetHelper = require('../utils.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Coin transfers and account statements', () => {
+	let network;
+
+	beforeEach(async () => {
+		network = new FakeNetwork();
+		await network.registerUser('alice', 500);
+		await network.registerUser('bob');
+	});
+
+	const transfer = (from, to, amount) => network.asUser(from, 'transferCoins', [from, AADHAR[from], to, AADHAR[to], String(amount)]);
+	const statement = (name, fromDate, toDate, pageSize, bookmark) => network.ledger.evaluate(network.identity(name), network.user,
+		'getAccountStatement', [name, AADHAR[name], fromDate || '', toDate || '', pageSize || '', bookmark || '']);
+
+	describe('#transferCoins', () => {
+		it('should move coins between users and record both sides', async () => {
+			let sender = await transfer('alice', 'bob', 200);
+			sender.upgradCoins.should.equal(300);
+			network.getUser('bob').upgradCoins.should.equal(200);
+
+			let event = network.ledger.lastEvent();
+			event.name.should.equal(RegnetHelper.EventTypes.COINS_TRANSFERRED);
+			event.payload.keys.should.deep.equal({sender: network.userKey('alice'), recipient: network.userKey('bob')});
+			event.payload.amounts.should.deep.equal({amount: 200,
+				senderBalanceBefore: 500, senderBalanceAfter: 300, recipientBalanceBefore: 0, recipientBalanceAfter: 200});
+
+			(await statement('bob')).records.map(entry => [entry.entryType, entry.direction, entry.amount, entry.balance, entry.reference])
+				.should.deep.equal([['transfer', 'credit', 200, 200, {counterparty: network.userKey('alice')}]]);
+			(await statement('alice')).records.slice(-1)[0].should.deep.include({entryType: 'transfer', direction: 'debit', txId: event.txId});
+		});
+
+		it('should accept Aadhar number of the recipient through transient data', async () => {
+			await network.asUser('alice', 'transferCoins', ['alice', AADHAR.alice, 'bob', '', '200'], {recipientAadharNumber: AADHAR.bob});
+			network.getUser('bob').upgradCoins.should.equal(200);
+
+			await network.asUser('alice', 'transferCoins', ['alice', AADHAR.alice, 'bob', '', '200'])
+				.should.be.rejectedWith(/REGNET_INVALID_INPUT: .*recipientAadharNumber/);
+		});
+
+		it('should reject transfers exceeding the balance, to self and to unknown users', async () => {
+			await transfer('alice', 'bob', 501).should.be.rejectedWith('REGNET_INSUFFICIENT_FUNDS');
+			await transfer('alice', 'alice', 1).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*recipient/);
+			await transfer('alice', 'carol', 1).should.be.rejectedWith(/REGNET_NOT_FOUND: Recipient/);
+			await transfer('alice', 'bob', 0).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*amount/);
+		});
+
+		it('should only let users send coins from their own account', async () => {
+			await network.ledger.submit(network.identity('bob'), network.user, 'transferCoins', ['alice', AADHAR.alice, 'bob', AADHAR.bob, '100'])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.ledger.submit(network.outsider, network.user, 'transferCoins', ['alice', AADHAR.alice, 'bob', AADHAR.bob, '100'])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+
+	describe('#getAccountStatement', () => {
+		it('should list every change of balance in the order it was made', async () => {
+			await network.registerProperty('bob', 'P1', 300);
+			await network.listForSale('bob', 'P1');
+			let offer = await network.asUser('alice', 'placeOffer', ['P1', 'alice', AADHAR.alice, '250', '']);
+			await network.asUser('alice', 'withdrawOffer', ['P1', offer.offerID, 'alice', AADHAR.alice]);
+			await network.asUser('alice', 'purchaseProperty', ['P1', 'alice', AADHAR.alice]);
+			let withdrawal = await network.asUser('alice', 'requestWithdrawal', ['alice', AADHAR.alice, '100']);
+			await network.asBank('rejectWithdrawal', [withdrawal.withdrawalID, 'Account closed']);
+
+			let entries = (await statement('alice')).records;
+			entries.map(entry => [entry.entryType, entry.direction, entry.amount, entry.balance]).should.deep.equal([
+				['recharge', 'credit', 500, 500],
+				['offerEscrow', 'debit', 250, 250],
+				['offerRefund', 'credit', 250, 500],
+				['purchase', 'debit', 300, 200],
+				['withdrawal', 'debit', 100, 100],
+				['withdrawalRefund', 'credit', 100, 200]
+			]);
+			entries[3].reference.should.deep.equal({propertyID: 'P1'});
+			entries.forEach(entry => entry.userID.should.equal(network.getUser('alice').userID));
+
+			(await statement('bob')).records.map(entry => [entry.entryType, entry.amount, entry.reference])
+				.should.deep.equal([['saleProceeds', 300, {propertyID: 'P1', buyer: network.userKey('alice')}]]);
+		});
+
+		it('should record fees and lien payoffs', async () => {
+			await network.registerUser('dave');
+			await network.asRegistrar('setFeeSchedule', [JSON.stringify({registrationFee: 0, stampDutyBands: [{minPrice: 0, rateInBasisPoints: 1000}]})]);
+			await network.registerProperty('bob', 'P1', 300);
+			await network.asLender('placeLien', ['P1', 'dave', AADHAR.dave, '100', '']);
+			await network.listForSale('bob', 'P1');
+			await network.asUser('alice', 'purchaseProperty', ['P1', 'alice', AADHAR.alice]);
+
+			(await statement('alice')).records.map(entry => [entry.entryType, entry.amount, entry.balance]).should.deep.equal([
+				['recharge', 500, 500], ['purchase', 300, 200], ['fee', 30, 170]
+			]);
+			(await statement('dave')).records.map(entry => [entry.entryType, entry.amount]).should.deep.equal([['lienPayoff', 100]]);
+			(await statement('bob')).records.map(entry => [entry.entryType, entry.amount]).should.deep.equal([['saleProceeds', 200]]);
+		});
+
+		it('should filter entries by date and page through them', async () => {
+			network.ledger.time += 10 * DAY;
+			await transfer('alice', 'bob', 10);
+			network.ledger.time += 10 * DAY;
+			await transfer('alice', 'bob', 20);
+			await transfer('alice', 'bob', 30);
+
+			(await statement('bob', '2020-01-05')).records.map(entry => entry.amount).should.deep.equal([10, 20, 30]);
+			(await statement('bob', '2020-01-05', '2020-01-15')).records.map(entry => entry.amount).should.deep.equal([10]);
+			(await statement('bob', '', '2020-01-12T00:00:00Z')).records.map(entry => entry.amount).should.deep.equal([10]);
+
+			let amounts = [];
+			let bookmark = '';
+			do {
+				let page = await statement('alice', '', '', '2', bookmark);
+				page.records.length.should.be.at.most(2);
+				amounts.push(...page.records.map(entry => entry.amount));
+				bookmark = page.bookmark;
+			} while(bookmark !== '');
+			amounts.should.deep.equal([500, 10, 20, 30]);
+
+			//Bookmark of an entry outside the statement restarts it from its first entry
+			let bobsEntries = network.ledger.keys().createCompositeKey(RegnetHelper.ObjectTypes.LEDGER_ENTRY, [network.getUser('bob').userID]);
+			(await statement('alice', '', '', '1', bobsEntries)).records.map(entry => entry.amount).should.deep.equal([500]);
+			(await statement('bob', '2020-01-05', '2020-01-15', '', bobsEntries)).records.map(entry => entry.amount).should.deep.equal([10]);
+		});
+
+		it('should reject invalid periods and other callers', async () => {
+			await statement('alice', '2020-02-01', '2020-01-01').should.be.rejectedWith(/REGNET_INVALID_INPUT: .*before toDate/);
+			await statement('alice', 'yesterday').should.be.rejectedWith(/REGNET_INVALID_INPUT: .*fromDate/);
+			await statement('alice', '2020-13-45').should.be.rejectedWith(/REGNET_INVALID_INPUT: .*fromDate/);
+			await network.ledger.evaluate(network.identity('bob'), network.user, 'getAccountStatement', ['alice', AADHAR.alice, '', '', '', ''])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.ledger.evaluate(network.outsider, network.user, 'getAccountStatement', ['alice', AADHAR.alice, '', '', '', ''])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+});
@@ -0,0 +1,625 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+
+const {FakeNetwork, AADHAR} = require('./fakes/network.js');
+const RegnetHelper = require('../utils.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('RegnetUserContract', () => {
+	let network;
+
+	beforeEach(() => {
+		network = new FakeNetwork();
+	});
+
+	describe('#instantiate', () => {
+		it('should log a success message', async () => {
+			let log = sinon.stub(console, 'log');
+			try {
+				await network.asUser('alice', 'instantiate', []);
+				log.calledWith('Regnet Smart Contract Instantiated').should.equal(true);
+			} finally {
+				log.restore();
+			}
+		});
+	});
+
+	describe('#requestNewUser', () => {
+		it('should store a pending request without personal details and keep them in private data', async () => {
+			let request = await network.requestUser('alice');
+
+			request.should.deep.include({name: 'alice', requestStatus: 'pending', identity: network.identity('alice').getID()});
+			let stored = network.ledger.get(network.userRequestKey('alice'));
+			stored.should.not.have.any.keys('aadharNumber', 'emailId', 'phoneNumber');
+			network.ledger.getPrivate('regnetUserPII', network.userRequestKey('alice')).should.deep.equal(network.pii('alice'));
+		});
+
+		it('should only be allowed to members of User organization', async () => {
+			await network.ledger.submit(network.registrarIdentity, network.user, 'requestNewUser', ['alice'], network.pii('alice'))
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+
+		it('should validate personal details passed as transient data', async () => {
+			await network.asUser('alice', 'requestNewUser', ['alice'], {aadharNumber: '1234', emailId: 'alice', phoneNumber: '9999999999'})
+				.should.be.rejectedWith(/REGNET_INVALID_INPUT: .*aadharNumber.*emailId/);
+			await network.asUser('alice', 'requestNewUser', ['alice'])
+				.should.be.rejectedWith('REGNET_INVALID_INPUT');
+			await network.asUser('alice', 'requestNewUser', [''], network.pii('alice'))
+				.should.be.rejectedWith(/REGNET_INVALID_INPUT: .*name/);
+		});
+
+		it('should not accept a second request while one is pending or approved', async () => {
+			await network.requestUser('alice');
+			await network.requestUser('alice').should.be.rejectedWith('REGNET_CONFLICT');
+			await network.asRegistrar('approveNewUser', ['alice', AADHAR.alice]);
+			await network.requestUser('alice').should.be.rejectedWith('REGNET_CONFLICT');
+		});
+
+		it('should accept a new request once the previous one is rejected', async () => {
+			await network.requestUser('alice');
+			await network.asRegistrar('rejectNewUser', ['alice', AADHAR.alice, 'Blurred scan']);
+			let request = await network.requestUser('alice');
+			request.requestStatus.should.equal('pending');
+		});
+	});
+
+	describe('#viewUserRequest', () => {
+		it('should return request with personal details to the requesting user and registrars only', async () => {
+			await network.requestUser('alice');
+
+			let request = await network.ledger.evaluate(network.identity('alice'), network.user, 'viewUserRequest', ['alice', AADHAR.alice]);
+			request.should.deep.include(network.pii('alice'));
+			request = await network.ledger.evaluate(network.registrarIdentity, network.user, 'viewUserRequest', ['alice', AADHAR.alice]);
+			request.should.deep.include(network.pii('alice'));
+			request = await network.ledger.evaluate(network.identity('bob'), network.user, 'viewUserRequest', ['alice', AADHAR.alice]);
+			request.should.deep.include({name: 'alice', requestStatus: 'pending'});
+			request.should.not.have.any.keys('aadharNumber', 'emailId', 'phoneNumber');
+			await network.ledger.evaluate(network.outsider, network.user, 'viewUserRequest', ['alice', AADHAR.alice])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+
+		it('should fail for unknown requests', async () => {
+			await network.ledger.evaluate(network.identity('alice'), network.user, 'viewUserRequest', ['alice', AADHAR.alice])
+				.should.be.rejectedWith('REGNET_NOT_FOUND');
+		});
+	});
+
+	describe('#viewUser and #getUserHistory', () => {
+		it('should return user with personal details and its history', async () => {
+			await network.registerUser('alice', 500);
+
+			let user = await network.ledger.evaluate(network.identity('alice'), network.user, 'viewUser', ['alice', AADHAR.alice]);
+			user.should.deep.include({name: 'alice', upgradCoins: 500, emailId: 'alice@mail.com'});
+
+			let history = await network.ledger.evaluate(network.identity('alice'), network.user, 'getUserHistory', ['alice', AADHAR.alice]);
+			history.map(entry => entry.value.upgradCoins).should.deep.equal([0, 500]);
+		});
+
+		it('should not return personal details to other users', async () => {
+			await network.registerUser('alice', 500);
+
+			let user = await network.ledger.evaluate(network.identity('bob'), network.user, 'viewUser', ['alice', AADHAR.alice]);
+			user.should.deep.include({name: 'alice', upgradCoins: 500});
+			user.should.not.have.any.keys('aadharNumber', 'emailId', 'phoneNumber');
+		});
+
+		it('should accept Aadhar number through transient data', async () => {
+			await network.registerUser('alice');
+			let user = await network.ledger.evaluate(network.identity('alice'), network.user, 'viewUser', ['alice', ''], {aadharNumber: AADHAR.alice});
+			user.name.should.equal('alice');
+		});
+
+		it('should fail for unknown users', async () => {
+			await network.ledger.evaluate(network.identity('alice'), network.user, 'viewUser', ['alice', AADHAR.alice])
+				.should.be.rejectedWith('REGNET_NOT_FOUND');
+			await network.ledger.evaluate(network.identity('alice'), network.user, 'getUserHistory', ['alice', AADHAR.alice])
+				.should.be.rejectedWith('REGNET_NOT_FOUND');
+		});
+	});
+
+	describe('#rechargeAccount', () => {
+		beforeEach(async () => {
+			await network.registerUser('alice');
+			await network.registerUser('bob');
+			await network.asBank('recordDeposit', ['DEP-1', 'alice', AADHAR.alice, '500']);
+		});
+
+		it('should credit the receipt amount once', async () => {
+			await network.asUser('alice', 'rechargeAccount', ['alice', AADHAR.alice, 'DEP-1']);
+			network.getUser('alice').upgradCoins.should.equal(500);
+
+			await network.asUser('alice', 'rechargeAccount', ['alice', AADHAR.alice, 'DEP-1'])
+				.should.be.rejectedWith('REGNET_INVALID_STATE');
+		});
+
+		it('should reject unknown receipts and receipts of other users', async () => {
+			await network.asUser('alice', 'rechargeAccount', ['alice', AADHAR.alice, 'DEP-2'])
+				.should.be.rejectedWith('REGNET_NOT_FOUND');
+			await network.asUser('bob', 'rechargeAccount', ['bob', AADHAR.bob, 'DEP-1'])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+
+		it('should only be allowed to the user bound to the account', async () => {
+			await network.asUser('bob', 'rechargeAccount', ['alice', AADHAR.alice, 'DEP-1'])
+				.should.be.rejectedWith(/REGNET_FORBIDDEN: User .* not bound/);
+			await network.ledger.submit(network.registrarIdentity, network.user, 'rechargeAccount', ['alice', AADHAR.alice, 'DEP-1'])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.asUser('carol', 'rechargeAccount', ['carol', AADHAR.carol, 'DEP-1'])
+				.should.be.rejectedWith('REGNET_NOT_FOUND');
+		});
+	});
+
+	describe('#requestWithdrawal', () => {
+		it('should deduct coins and create a withdrawal', async () => {
+			await network.registerUser('alice', 500);
+			let withdrawal = await network.asUser('alice', 'requestWithdrawal', ['alice', AADHAR.alice, '200']);
+
+			withdrawal.should.deep.include({user: network.userKey('alice'), amount: 200, status: 'requested'});
+			network.getUser('alice').upgradCoins.should.equal(300);
+		});
+
+		it('should reject withdrawals above balance and invalid amounts', async () => {
+			await network.registerUser('alice', 500);
+			await network.asUser('alice', 'requestWithdrawal', ['alice', AADHAR.alice, '501'])
+				.should.be.rejectedWith('REGNET_INSUFFICIENT_FUNDS');
+			await network.asUser('alice', 'requestWithdrawal', ['alice', AADHAR.alice, '-1'])
+				.should.be.rejectedWith('REGNET_INVALID_INPUT');
+			await network.ledger.submit(network.outsider, network.user, 'requestWithdrawal', ['alice', AADHAR.alice, '1'])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+
+	describe('#requestIdentityRebind', () => {
+		it('should record the identity of the submitter as pending', async () => {
+			await network.registerUser('alice');
+			let user = await network.asUser('alice-phone', 'requestIdentityRebind', ['alice', AADHAR.alice]);
+			user.pendingIdentity.identity.should.equal(network.identity('alice-phone').getID());
+		});
+
+		it('should fail when submitter is already bound or user does not exist', async () => {
+			await network.registerUser('alice');
+			await network.asUser('alice', 'requestIdentityRebind', ['alice', AADHAR.alice])
+				.should.be.rejectedWith('REGNET_CONFLICT');
+			await network.asUser('bob', 'requestIdentityRebind', ['bob', AADHAR.bob])
+				.should.be.rejectedWith('REGNET_NOT_FOUND');
+			await network.ledger.submit(network.registrarIdentity, network.user, 'requestIdentityRebind', ['alice', AADHAR.alice])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+
+	describe('#propertyRegistrationRequest', () => {
+		beforeEach(async () => {
+			await network.registerUser('alice');
+			await network.registerUser('bob');
+		});
+
+		it('should store a pending request with the owner holding the complete share', async () => {
+			let request = await network.asUser('alice', 'propertyRegistrationRequest', ['alice', AADHAR.alice, 'P1', '300', '', '', network.metadataJSON('P1')]);
+
+			request.should.deep.include({
+				propertyID: 'P1',
+				owners: [{owner: network.userKey('alice'), share: 100}],
+				consentThreshold: 100,
+				price: 300,
+				requestStatus: 'pending'
+			});
+			await network.ledger.evaluate(network.identity('alice'), network.user, 'viewPropertyRequest', ['P1'])
+				.should.eventually.deep.include({propertyID: 'P1'});
+		});
+
+		it('should give the remaining share to the requesting owner', async () => {
+			let coOwners = JSON.stringify([{name: 'bob', aadharNumber: AADHAR.bob, share: 30}]);
+			let request = await network.asUser('alice', 'propertyRegistrationRequest', ['alice', AADHAR.alice, 'P1', '300', coOwners, '51', network.metadataJSON('P1')]);
+
+			request.owners.should.deep.equal([
+				{owner: network.userKey('alice'), share: 70},
+				{owner: network.userKey('bob'), share: 30}
+			]);
+			request.consentThreshold.should.equal(51);
+		});
+
+		it('should accept co-owners through transient data', async () => {
+			let coOwners = JSON.stringify([{name: 'bob', aadharNumber: AADHAR.bob, share: 30}]);
+			let request = await network.asUser('alice', 'propertyRegistrationRequest', ['alice', AADHAR.alice, 'P1', '300', '', '', network.metadataJSON('P1')],
+				{coOwners: coOwners});
+
+			request.owners.should.deep.equal([
+				{owner: network.userKey('alice'), share: 70},
+				{owner: network.userKey('bob'), share: 30}
+			]);
+		});
+
+		it('should reject prices which are not positive whole numbers', async () => {
+			for(let price of ['abc', '-5', '0', '']){
+				await network.asUser('alice', 'propertyRegistrationRequest', ['alice', AADHAR.alice, 'P1', price, '', '', network.metadataJSON('P1')])
+					.should.be.rejectedWith(/REGNET_INVALID_INPUT: .*price/);
+			}
+		});
+
+		it('should reject invalid co-owners', async () => {
+			let request = coOwners => network.asUser('alice', 'propertyRegistrationRequest', ['alice', AADHAR.alice, 'P1', '300', coOwners, '', network.metadataJSON('P1')]);
+
+			await request('{').should.be.rejectedWith(/REGNET_INVALID_INPUT: Invalid co-owners/);
+			await request('{}').should.be.rejectedWith(/REGNET_INVALID_INPUT: Invalid co-owners/);
+			await request(JSON.stringify([{name: 'bob', aadharNumber: AADHAR.bob, share: 0}])).should.be.rejectedWith(/REGNET_INVALID_INPUT: .*share/);
+			await request(JSON.stringify([{name: 'carol', aadharNumber: AADHAR.carol, share: 10}])).should.be.rejectedWith('REGNET_NOT_FOUND');
+			await request(JSON.stringify([{name: 'alice', aadharNumber: AADHAR.alice, share: 10}])).should.be.rejectedWith(/listed more than once/);
+			await request(JSON.stringify([{name: 'bob', aadharNumber: AADHAR.bob, share: 10}, {name: 'bob', aadharNumber: AADHAR.bob, share: 10}]))
+				.should.be.rejectedWith(/listed more than once/);
+			await request(JSON.stringify([{name: 'bob', aadharNumber: AADHAR.bob, share: 100}])).should.be.rejectedWith(/must leave a share/);
+		});
+
+		it('should reject consent thresholds below majority', async () => {
+			await network.asUser('alice', 'propertyRegistrationRequest', ['alice', AADHAR.alice, 'P1', '300', '', '50', network.metadataJSON('P1')])
+				.should.be.rejectedWith(/REGNET_INVALID_INPUT: .*consentThreshold/);
+		});
+
+		it('should reject duplicate requests and requests of other users', async () => {
+			await network.asUser('alice', 'propertyRegistrationRequest', ['alice', AADHAR.alice, 'P1', '300', '', '', network.metadataJSON('P1')]);
+			await network.asUser('bob', 'propertyRegistrationRequest', ['bob', AADHAR.bob, 'P1', '300', '', '', network.metadataJSON('P1')])
+				.should.be.rejectedWith('REGNET_CONFLICT');
+			await network.asUser('bob', 'propertyRegistrationRequest', ['alice', AADHAR.alice, 'P2', '300', '', '', network.metadataJSON('P2')])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.ledger.submit(network.registrarIdentity, network.user, 'propertyRegistrationRequest', ['alice', AADHAR.alice, 'P2', '300', '', '', network.metadataJSON('P2')])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.ledger.evaluate(network.identity('alice'), network.user, 'viewPropertyRequest', ['P2'])
+				.should.be.rejectedWith('REGNET_NOT_FOUND');
+		});
+	});
+
+	describe('#viewProperty, #getPropertyHistory, #listProperties and #queryProperties', () => {
+		beforeEach(async () => {
+			await network.registerUser('alice');
+			await network.registerUser('bob');
+			await network.registerProperty('alice', 'P1', 100);
+			await network.registerProperty('alice', 'P2', 200);
+			await network.registerProperty('bob', 'P3', 300);
+			await network.listForSale('alice', 'P2');
+		});
+
+		const evaluate = (fn, args) => network.ledger.evaluate(network.identity('alice'), network.user, fn, args);
+
+		it('should return a property and its ownership history', async () => {
+			(await evaluate('viewProperty', ['P2'])).status.should.equal('onSale');
+			let history = await evaluate('getPropertyHistory', ['P2']);
+			history.map(entry => entry.status).should.deep.equal(['registered', 'onSale']);
+			history.map(entry => entry.ownerChanged).should.deep.equal([true, false]);
+		});
+
+		it('should fail for unknown properties', async () => {
+			await evaluate('viewProperty', ['P9']).should.be.rejectedWith('REGNET_NOT_FOUND');
+			await evaluate('getPropertyHistory', ['P9']).should.be.rejectedWith('REGNET_NOT_FOUND');
+		});
+
+		it('should list properties page by page', async () => {
+			let page = await evaluate('listProperties', ['2', '']);
+			page.records.map(property => property.propertyID).should.deep.equal(['P1', 'P2']);
+			page = await evaluate('listProperties', ['2', page.bookmark]);
+			page.records.map(property => property.propertyID).should.deep.equal(['P3']);
+			page.bookmark.should.equal('');
+		});
+
+		it('should query properties by owner, status and price', async () => {
+			let query = async criteria => (await evaluate('queryProperties', [JSON.stringify(criteria), '', ''])).records.map(property => property.propertyID);
+
+			(await query({name: 'alice', aadharNumber: AADHAR.alice})).should.deep.equal(['P1', 'P2']);
+			(await query({owner: network.userKey('bob')})).should.deep.equal(['P3']);
+			(await query({status: 'onSale'})).should.deep.equal(['P2']);
+			(await query({minPrice: 150, maxPrice: '300'})).should.deep.equal(['P2', 'P3']);
+			(await evaluate('queryProperties', ['', '', ''])).records.length.should.equal(3);
+		});
+
+		it('should reject invalid queries and page sizes', async () => {
+			await evaluate('queryProperties', ['{', '', '']).should.be.rejectedWith('REGNET_INVALID_INPUT');
+			await evaluate('queryProperties', [JSON.stringify({minPrice: 'low'}), '', '']).should.be.rejectedWith('REGNET_INVALID_INPUT');
+			await evaluate('listProperties', ['0', '']).should.be.rejectedWith('REGNET_INVALID_INPUT');
+		});
+	});
+
+	describe('#updateProperty', () => {
+		beforeEach(async () => {
+			await network.registerUser('alice');
+			await network.registerUser('bob', 1000);
+			await network.registerUser('carol');
+			await network.registerProperty('alice', 'P1', 300);
+		});
+
+		it('should update status of a solely owned property', async () => {
+			await network.listForSale('alice', 'P1');
+			network.getProperty('P1').status.should.equal('onSale');
+		});
+
+		it('should reject invalid and unchanged status', async () => {
+			await network.asUser('alice', 'updateProperty', ['P1', 'alice', AADHAR.alice, 'sold'])
+				.should.be.rejectedWith('REGNET_INVALID_INPUT');
+			await network.asUser('alice', 'updateProperty', ['P1', 'alice', AADHAR.alice, 'registered'])
+				.should.be.rejectedWith('REGNET_INVALID_STATE');
+		});
+
+		it('should only allow owners of existing properties', async () => {
+			await network.asUser('bob', 'updateProperty', ['P1', 'bob', AADHAR.bob, 'onSale'])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.asUser('alice', 'updateProperty', ['P9', 'alice', AADHAR.alice, 'onSale'])
+				.should.be.rejectedWith('REGNET_NOT_FOUND');
+			await network.ledger.submit(network.registrarIdentity, network.user, 'updateProperty', ['P1', 'alice', AADHAR.alice, 'onSale'])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+
+		it('should apply the update once co-owners holding the threshold consent', async () => {
+			await network.registerProperty('alice', 'P2', 300, [{name: 'carol', share: 40}]);
+
+			await network.asUser('carol', 'updateProperty', ['P2', 'carol', AADHAR.carol, 'onSale']);
+			network.getProperty('P2').should.deep.include({status: 'registered', pendingStatusChange: {status: 'onSale', consents: [network.userKey('carol')]}});
+			await network.asUser('carol', 'updateProperty', ['P2', 'carol', AADHAR.carol, 'onSale'])
+				.should.be.rejectedWith('REGNET_CONFLICT');
+
+			await network.listForSale('alice', 'P2');
+			network.getProperty('P2').status.should.equal('onSale');
+			network.getProperty('P2').should.not.have.property('pendingStatusChange');
+		});
+
+		it('should discard consent given for a different status', async () => {
+			await network.registerProperty('alice', 'P2', 300, [{name: 'carol', share: 40}], '60');
+			await network.asUser('carol', 'updateProperty', ['P2', 'carol', AADHAR.carol, 'onSale']);
+			network.getProperty('P2').status.should.equal('registered');
+
+			//Alice alone holds the 60 percent threshold
+			await network.listForSale('alice', 'P2');
+			await network.asUser('carol', 'updateProperty', ['P2', 'carol', AADHAR.carol, 'registered']);
+			network.getProperty('P2').pendingStatusChange.status.should.equal('registered');
+			await network.asUser('alice', 'updateProperty', ['P2', 'alice', AADHAR.alice, 'registered']);
+			network.getProperty('P2').status.should.equal('registered');
+		});
+
+		it('should cancel open offers when property is taken off the market', async () => {
+			await network.listForSale('alice', 'P1');
+			let offer = await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '250', '']);
+
+			await network.asUser('alice', 'updateProperty', ['P1', 'alice', AADHAR.alice, 'registered']);
+			network.ledger.get(network.offerKey('P1', offer.offerID)).status.should.equal('cancelled');
+			network.getUser('bob').upgradCoins.should.equal(1000);
+		});
+	});
+
+	describe('#purchaseProperty', () => {
+		beforeEach(async () => {
+			await network.registerUser('alice');
+			await network.registerUser('bob', 1000);
+			await network.registerUser('carol', 1000);
+			await network.registerProperty('alice', 'P1', 300);
+		});
+
+		it('should transfer ownership and coins', async () => {
+			await network.listForSale('alice', 'P1');
+			await network.asUser('bob', 'purchaseProperty', ['P1', 'bob', AADHAR.bob]);
+
+			network.getProperty('P1').should.deep.include({status: 'registered', owners: [{owner: network.userKey('bob'), share: 100}]});
+			network.getUser('alice').upgradCoins.should.equal(300);
+			network.getUser('bob').upgradCoins.should.equal(700);
+		});
+
+		it('should refund open offers including those of the buyer', async () => {
+			await network.listForSale('alice', 'P1');
+			await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '100', '']);
+			await network.asUser('carol', 'placeOffer', ['P1', 'carol', AADHAR.carol, '200', '']);
+
+			await network.asUser('bob', 'purchaseProperty', ['P1', 'bob', AADHAR.bob]);
+			network.getUser('bob').upgradCoins.should.equal(700);
+			network.getUser('carol').upgradCoins.should.equal(1000);
+			network.ledger.lastEvent().payload.amounts.buyerBalance.should.equal(700);
+		});
+
+		it('should reject purchases of properties not on sale, by owners and without funds', async () => {
+			await network.asUser('bob', 'purchaseProperty', ['P1', 'bob', AADHAR.bob])
+				.should.be.rejectedWith('REGNET_INVALID_STATE');
+			await network.listForSale('alice', 'P1');
+			await network.asUser('alice', 'purchaseProperty', ['P1', 'alice', AADHAR.alice])
+				.should.be.rejectedWith(/buyer is already the property owner/);
+			await network.asUser('bob', 'requestWithdrawal', ['bob', AADHAR.bob, '800']);
+			await network.asUser('bob', 'purchaseProperty', ['P1', 'bob', AADHAR.bob])
+				.should.be.rejectedWith('REGNET_INSUFFICIENT_FUNDS');
+			await network.asUser('bob', 'purchaseProperty', ['P9', 'bob', AADHAR.bob])
+				.should.be.rejectedWith('REGNET_NOT_FOUND');
+			await network.ledger.submit(network.outsider, network.user, 'purchaseProperty', ['P1', 'bob', AADHAR.bob])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+
+		it('should split proceeds between co-owners', async () => {
+			await network.registerProperty('alice', 'P2', 301, [{name: 'carol', share: 40}], '51');
+			await network.listForSale('alice', 'P2');
+			await network.asUser('bob', 'purchaseProperty', ['P2', 'bob', AADHAR.bob]);
+
+			network.getUser('alice').upgradCoins.should.equal(181);
+			network.getUser('carol').upgradCoins.should.equal(1120);
+		});
+	});
+
+	describe('offers', () => {
+		beforeEach(async () => {
+			await network.registerUser('alice');
+			await network.registerUser('bob', 1000);
+			await network.registerUser('carol', 1000);
+			await network.registerProperty('alice', 'P1', 300);
+			await network.listForSale('alice', 'P1');
+		});
+
+		it('should move offered coins into escrow and list the offer', async () => {
+			let offer = await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '250', '7']);
+
+			offer.should.deep.include({buyer: network.userKey('bob'), amount: 250, status: 'open'});
+			new Date(offer.expiresAt).should.deep.equal(new Date(network.ledger.time + 7 * DAY));
+			network.getUser('bob').upgradCoins.should.equal(750);
+			let offers = await network.ledger.evaluate(network.identity('alice'), network.user, 'viewOffers', ['P1']);
+			offers.map(candidate => candidate.offerID).should.deep.equal([offer.offerID]);
+		});
+
+		it('should reject invalid offers', async () => {
+			const place = (name, amount, validity) => network.asUser(name, 'placeOffer', ['P1', name, AADHAR[name], amount, validity]);
+
+			await place('bob', '0', '').should.be.rejectedWith('REGNET_INVALID_INPUT');
+			await place('bob', '100', '-1').should.be.rejectedWith(/REGNET_INVALID_INPUT: .*validityInDays/);
+			await place('alice', '100', '').should.be.rejectedWith(/buyer is already the property owner/);
+			await place('bob', '1001', '').should.be.rejectedWith('REGNET_INSUFFICIENT_FUNDS');
+			await place('bob', '100', '');
+			await place('bob', '100', '').should.be.rejectedWith('REGNET_CONFLICT');
+			await network.ledger.submit(network.registrarIdentity, network.user, 'placeOffer', ['P1', 'bob', AADHAR.bob, '100', ''])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+
+			await network.asUser('alice', 'updateProperty', ['P1', 'alice', AADHAR.alice, 'registered']);
+			await place('bob', '100', '').should.be.rejectedWith('REGNET_INVALID_STATE');
+		});
+
+		it('should refund escrow when buyer withdraws an offer', async () => {
+			let offer = await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '250', '']);
+
+			await network.asUser('carol', 'withdrawOffer', ['P1', offer.offerID, 'carol', AADHAR.carol])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+			let withdrawn = await network.asUser('bob', 'withdrawOffer', ['P1', offer.offerID, 'bob', AADHAR.bob]);
+			withdrawn.status.should.equal('withdrawn');
+			network.getUser('bob').upgradCoins.should.equal(1000);
+
+			await network.asUser('bob', 'withdrawOffer', ['P1', offer.offerID, 'bob', AADHAR.bob])
+				.should.be.rejectedWith('REGNET_INVALID_STATE');
+			await network.asUser('bob', 'withdrawOffer', ['P1', 'unknown', 'bob', AADHAR.bob])
+				.should.be.rejectedWith('REGNET_NOT_FOUND');
+			await network.ledger.submit(network.outsider, network.user, 'withdrawOffer', ['P1', offer.offerID, 'bob', AADHAR.bob])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+
+		it('should settle the sale from escrow when an offer is accepted', async () => {
+			let bobOffer = await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '250', '']);
+			await network.asUser('carol', 'placeOffer', ['P1', 'carol', AADHAR.carol, '200', '']);
+
+			let property = await network.asUser('alice', 'acceptOffer', ['P1', bobOffer.offerID, 'alice', AADHAR.alice]);
+			property.owners.should.deep.equal([{owner: network.userKey('bob'), share: 100}]);
+			network.getUser('alice').upgradCoins.should.equal(250);
+			network.getUser('bob').upgradCoins.should.equal(750);
+			network.getUser('carol').upgradCoins.should.equal(1000);
+			network.ledger.get(network.offerKey('P1', bobOffer.offerID)).status.should.equal('accepted');
+		});
+
+		it('should reject acceptance by others, of expired offers and of properties off the market', async () => {
+			let offer = await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '250', '1']);
+			const accept = name => network.asUser(name, 'acceptOffer', ['P1', offer.offerID, name, AADHAR[name]]);
+
+			await accept('carol').should.be.rejectedWith('REGNET_FORBIDDEN');
+			await network.ledger.submit(network.registrarIdentity, network.user, 'acceptOffer', ['P1', offer.offerID, 'alice', AADHAR.alice])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+			network.ledger.time += 2 * DAY;
+			await accept('alice').should.be.rejectedWith(/REGNET_INVALID_STATE: Offer has expired/);
+
+			await network.asUser('alice', 'updateProperty', ['P1', 'alice', AADHAR.alice, 'registered']);
+			await accept('alice').should.be.rejectedWith('REGNET_INVALID_STATE');
+		});
+
+		it('should wait for consent of co-owners before accepting an offer', async () => {
+			await network.registerProperty('alice', 'P2', 300, [{name: 'carol', share: 50}], '');
+			await network.listForSale('alice', 'P2');
+			await network.asUser('carol', 'updateProperty', ['P2', 'carol', AADHAR.carol, 'onSale']);
+			let offer = await network.asUser('bob', 'placeOffer', ['P2', 'bob', AADHAR.bob, '250', '']);
+
+			let property = await network.asUser('alice', 'acceptOffer', ['P2', offer.offerID, 'alice', AADHAR.alice]);
+			property.status.should.equal('onSale');
+			network.ledger.get(network.offerKey('P2', offer.offerID)).consents.should.deep.equal([network.userKey('alice')]);
+
+			property = await network.asUser('carol', 'acceptOffer', ['P2', offer.offerID, 'carol', AADHAR.carol]);
+			property.status.should.equal('registered');
+		});
+
+		it('should refund offers past their validity', async () => {
+			let expiring = await network.asUser('bob', 'placeOffer', ['P1', 'bob', AADHAR.bob, '250', '1']);
+			await network.asUser('carol', 'placeOffer', ['P1', 'carol', AADHAR.carol, '200', '']);
+
+			(await network.asUser('alice', 'expireOffers', ['P1'])).should.deep.equal([]);
+			network.ledger.time += DAY;
+			(await network.asUser('alice', 'expireOffers', ['P1'])).should.deep.equal([network.offerKey('P1', expiring.offerID)]);
+			network.getUser('bob').upgradCoins.should.equal(1000);
+			network.getUser('carol').upgradCoins.should.equal(800);
+
+			await network.ledger.submit(network.outsider, network.user, 'expireOffers', ['P1'])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+	});
+
+	describe('#transferShare', () => {
+		beforeEach(async () => {
+			await network.registerUser('alice');
+			await network.registerUser('bob');
+			await network.registerUser('carol');
+			await network.registerProperty('alice', 'P1', 300, [{name: 'carol', share: 40}]);
+		});
+
+		const transfer = (from, to, share, propertyID) =>
+			network.asUser(from, 'transferShare', [propertyID || 'P1', from, AADHAR[from], to, AADHAR[to], share]);
+
+		it('should move share to a new co-owner', async () => {
+			let property = await transfer('alice', 'bob', '20');
+			property.owners.should.deep.equal([
+				{owner: network.userKey('alice'), share: 40},
+				{owner: network.userKey('carol'), share: 40},
+				{owner: network.userKey('bob'), share: 20}
+			]);
+		});
+
+		it('should accept Aadhar number of the recipient through transient data', async () => {
+			let property = await network.asUser('alice', 'transferShare', ['P1', 'alice', AADHAR.alice, 'bob', '', '20'], {recipientAadharNumber: AADHAR.bob});
+			property.owners.should.deep.include({owner: network.userKey('bob'), share: 20});
+
+			await network.asUser('alice', 'transferShare', ['P1', 'alice', AADHAR.alice, 'bob', '', '20'])
+				.should.be.rejectedWith(/REGNET_INVALID_INPUT: .*recipientAadharNumber/);
+		});
+
+		it('should merge share into an existing co-owner and drop owners without share', async () => {
+			let property = await transfer('carol', 'alice', '40');
+			property.owners.should.deep.equal([{owner: network.userKey('alice'), share: 100}]);
+		});
+
+		it('should report the shares held before a transfer to an existing co-owner', async () => {
+			await transfer('alice', 'carol', '10');
+			let event = network.ledger.lastEvent();
+			event.payload.before.owners.should.deep.equal([
+				{owner: network.userKey('alice'), share: 60},
+				{owner: network.userKey('carol'), share: 40}
+			]);
+			event.payload.after.owners.should.deep.equal([
+				{owner: network.userKey('alice'), share: 50},
+				{owner: network.userKey('carol'), share: 50}
+			]);
+		});
+
+		it('should reject invalid transfers', async () => {
+			await transfer('bob', 'carol', '10').should.be.rejectedWith('REGNET_FORBIDDEN');
+			await transfer('carol', 'bob', '50').should.be.rejectedWith(/does not hold enough share/);
+			await transfer('alice', 'alice', '10').should.be.rejectedWith(/recipient is the owner/);
+			await transfer('alice', 'dave', '10').should.be.rejectedWith('REGNET_NOT_FOUND');
+			await transfer('alice', 'bob', '10', 'P9').should.be.rejectedWith('REGNET_NOT_FOUND');
+			await transfer('alice', 'bob', '101').should.be.rejectedWith('REGNET_INVALID_INPUT');
+			await network.ledger.submit(network.outsider, network.user, 'transferShare', ['P1', 'alice', AADHAR.alice, 'bob', AADHAR.bob, '10'])
+				.should.be.rejectedWith('REGNET_FORBIDDEN');
+		});
+
+		it('should not transfer shares of a property on sale', async () => {
+			await network.asUser('carol', 'updateProperty', ['P1', 'carol', AADHAR.carol, 'onSale']);
+			await network.listForSale('alice', 'P1');
+			await transfer('alice', 'bob', '10').should.be.rejectedWith('REGNET_INVALID_STATE');
+		});
+	});
+
+	it('should not commit anything when a transaction fails', async () => {
+		await network.registerUser('alice', 100);
+		let events = network.ledger.events.length;
+
+		await network.asUser('alice', 'requestWithdrawal', ['alice', AADHAR.alice, '200']).should.be.rejected;
+		network.ledger.events.length.should.equal(events);
+		network.getUser('alice').upgradCoins.should.equal(100);
+		expect(RegnetHelper.getOwners({owner: 'legacy'})).to.deep.equal([{owner: 'legacy', share: 100}]);
+	});
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const {FakeLedger, FakeClientIdentity} = require('./fakes/ledger.js');
+const RegnetHelper = require('../utils.js');
+const {contracts} = require('../index.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('RegnetHelper', () => {
+	let ledger;
+	let identity;
+
+	beforeEach(() => {
+		ledger = new FakeLedger();
+		identity = new FakeClientIdentity('registrarMSP', 'registrar');
+	});
+
+	const property = (owner, price) => ({propertyID: 'P1', price: price, status: 'registered', owners: [{owner: owner, share: 100}]});
+
+	it('should export all contracts', () => {
+		contracts.map(contract => new contract().getName()).should.deep.equal([
+			'org.property-registration-network.regnet.usercontract',
+			'org.property-registration-network.regnet.registrarcontract',
+			'org.property-registration-network.regnet.bankcontract'
+		]);
+	});
+
+	it('should see writes and deletes made earlier in the same transaction', async () => {
+		let ctx = ledger.createContext(identity);
+		let propertyKey = RegnetHelper.getPropertyKey(ctx, 'P1');
+		ledger.seed(propertyKey, property('a', 10));
+
+		await RegnetHelper.deleteAsset(ctx, propertyKey);
+		(await RegnetHelper.isAssetExisting(ctx, propertyKey)).should.equal(false);
+		(await RegnetHelper.getAllAssets(ctx, RegnetHelper.ObjectTypes.PROPERTY)).should.deep.equal([]);
+
+		await RegnetHelper.putAssetData(ctx, propertyKey, property('b', 20));
+		(await RegnetHelper.getAllAssets(ctx, RegnetHelper.ObjectTypes.PROPERTY)).map(entry => entry.value.price).should.deep.equal([20]);
+	});
+
+	it('should build ownership history across deletes', async () => {
+		let ctx = ledger.createContext(identity);
+		let propertyKey = RegnetHelper.getPropertyKey(ctx, 'P1');
+		ledger.seed(propertyKey, property('a', 10));
+		await RegnetHelper.deleteAsset(ctx, propertyKey);
+		ledger.commit(ctx.stub);
+		ledger.seed(propertyKey, property('b', 10));
+
+		let history = await RegnetHelper.getOwnershipHistory(ledger.createContext(identity), propertyKey);
+		history.map(entry => [entry.isDelete, entry.owners[0].owner, entry.ownerChanged, entry.status])
+			.should.deep.equal([[false, 'a', true, 'registered'], [true, 'a', false, null], [false, 'b', true, 'registered']]);
+	});
+
+	it('should emit events with empty sections by default', () => {
+		let ctx = ledger.createContext(identity);
+		let payload = RegnetHelper.emitEvent(ctx, RegnetHelper.EventTypes.PROPERTY_PURCHASED, {});
+
+		payload.should.deep.include({eventType: 'PropertyPurchased', keys: {}, before: {}, after: {}, amounts: {}, assets: {}, reason: null});
+		payload.timestamp.should.deep.equal(new Date(ledger.time));
+		ctx.stub.event.name.should.equal('PropertyPurchased');
+	});
+
+	it('should split amounts in proportion to shares giving the remainder to the largest share', () => {
+		RegnetHelper.splitAmount([{owner: 'a', share: 30}, {owner: 'b', share: 70}], 101)
+			.should.deep.equal([{owner: 'a', amount: 30}, {owner: 'b', amount: 71}]);
+		RegnetHelper.splitAmount([{owner: 'a', share: 50}, {owner: 'b', share: 50}], 3)
+			.should.deep.equal([{owner: 'a', amount: 2}, {owner: 'b', amount: 1}]);
+	});
+
+	it('should read personal details only when transient data carries them', () => {
+		let ctx = ledger.createContext(identity, {aadharNumber: '123456789012'});
+		RegnetHelper.getTransientValue(ctx, 'aadharNumber').should.equal('123456789012');
+		expect(RegnetHelper.getTransientValue(ctx, 'emailId')).to.equal(undefined);
+	});
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+
+const RegnetError = require('../errors.js');
+const RegnetValidator = require('../validation.js');
+const RegnetHelper = require('../utils.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+//Return the error thrown by given function
+function getError(fn) {
+	try {
+		fn();
+	} catch(err) {
+		return err;
+	}
+	throw new Error("Expected function to throw");
+}
+
+describe('Input validation', () => {
+
+	it('should normalize valid inputs', () => {
+		RegnetValidator.checkInputs({
+			name: 'alice',
+			aadharNumber: '123456789012',
+			price: '300',
+			consentThreshold: '',
+			status: 'onSale'
+		}).should.deep.equal({name: 'alice', aadharNumber: '123456789012', price: 300, consentThreshold: null, status: 'onSale'});
+	});
+
+	it('should reject prices which are not positive whole numbers', () => {
+		for(let price of ['abc', '-5', '0', '2.5', '']){
+			let err = getError(() => RegnetValidator.checkInputs({price: price}));
+			err.should.be.instanceOf(RegnetError);
+			err.code.should.equal(RegnetError.Codes.INVALID_INPUT);
+			err.details.fields.map(field => field.field).should.deep.equal(['price']);
+		}
+	});
+
+	it('should report every invalid field of personal details', () => {
+		let err = getError(() => RegnetValidator.validate(RegnetValidator.Schemas.PII,
+			{aadharNumber: '1234', emailId: 'alice', phoneNumber: '9999999999'}, "transient data"));
+		err.code.should.equal(RegnetError.Codes.INVALID_INPUT);
+		err.details.fields.map(field => field.field).should.deep.equal(['aadharNumber', 'emailId']);
+	});
+
+	it('should reject IDs which cannot be used in composite keys', () => {
+		getError(() => RegnetValidator.checkInputs({propertyID: 'P\u00001'})).code.should.equal(RegnetError.Codes.INVALID_INPUT);
+		getError(() => RegnetValidator.checkInputs({propertyID: ''})).code.should.equal(RegnetError.Codes.INVALID_INPUT);
+	});
+
+	it('should reject owners whose shares do not add up to 100', () => {
+		let owners = RegnetValidator.Rules.owners();
+		expect(owners.parse([{owner: 'a', share: 60}, {owner: 'b', share: 40}])).to.not.equal(undefined);
+		expect(owners.parse([{owner: 'a', share: 60}, {owner: 'b', share: 30}])).to.equal(undefined);
+		expect(owners.parse([{owner: 'a', share: 50}, {owner: 'a', share: 50}])).to.equal(undefined);
+	});
+
+	it('should reject malformed structured values', () => {
+		let Rules = RegnetValidator.Rules;
+		expect(Rules.object().parse([])).to.equal(undefined);
+		expect(Rules.owners().parse({owner: 'a', share: 100})).to.equal(undefined);
+		expect(Rules.KEY.parse(42)).to.equal(undefined);
+		getError(() => RegnetValidator.validate(RegnetValidator.Schemas.PII, null, "transient data")).code.should.equal(RegnetError.Codes.INVALID_INPUT);
+		getError(() => RegnetValidator.checkInputs({unknownInput: 'x'})).message.should.equal('No validation rule defined for input unknownInput');
+	});
+
+	it('should prefix error code to message so that clients can extract it', () => {
+		let err = new RegnetError(RegnetError.Codes.NOT_FOUND, "No Property exists with given property ID.");
+		err.message.should.equal('REGNET_NOT_FOUND: No Property exists with given property ID.');
+		RegnetError.getCode('transaction returned with failure: ' + err.message).should.equal('REGNET_NOT_FOUND');
+		expect(RegnetError.getCode('Some other failure')).to.equal(null);
+		expect(RegnetError.getCode(undefined)).to.equal(null);
+	});
+});
+
+describe('Asset validation', () => {
+	let ctx;
+
+	beforeEach(() => {
+		ctx = {
+			stub: {
+				splitCompositeKey: sinon.stub().callsFake(key => ({objectType: key.split(':')[0], attributes: key.split(':').slice(1)})),
+				putState: sinon.stub().resolves(),
+				getState: sinon.stub().rejects(new Error('peer unavailable'))
+			}
+		};
+	});
+
+	it('should not write personal details of users to world state', async () => {
+		let user = {name: 'alice', userID: 'a'.repeat(64), upgradCoins: 0, aadharNumber: '123456789012'};
+		await RegnetHelper.putAssetData(ctx, RegnetHelper.ObjectTypes.USER + ':' + user.userID, user)
+			.should.be.rejectedWith(/REGNET_INVALID_INPUT: .*aadharNumber must not be stored on the public ledger/);
+		ctx.stub.putState.called.should.equal(false);
+	});
+
+	it('should not write properties with a negative price', async () => {
+		let property = {propertyID: 'P1', price: -5, status: 'registered', owners: [{owner: 'a', share: 100}]};
+		await RegnetHelper.putAssetData(ctx, RegnetHelper.ObjectTypes.PROPERTY + ':P1', property)
+			.should.be.rejectedWith(/REGNET_INVALID_INPUT: .*price/);
+	});
+
+	it('should report ledger failures instead of treating the asset as missing', async () => {
+		await RegnetHelper.getAssetBuffer(ctx, RegnetHelper.ObjectTypes.PROPERTY + ':P1')
+			.should.be.rejectedWith('REGNET_LEDGER_ERROR: Could not read asset from ledger. peer unavailable');
+	});
+});
@@ -2,6 +2,9 @@
 
 const {Contract} = require('fabric-contract-api');
 const RegnetHelper = require('./utils.js');
+const RegnetError = require('./errors.js');
+const RegnetValidator = require('./validation.js');
+const {UserRequest, PropertyRequest} = require('./assets.js');
 
 class RegnetUserContract extends Contract {
 
@@ -10,6 +13,94 @@ class RegnetUserContract extends Contract {
 		super('org.property-registration-network.regnet.usercontract');
 	}
 
+	/**
+	 * Load the user ID key before every transaction so that user keys can be built from names and Aadhar numbers
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	async beforeTransaction(ctx) {
+		await RegnetHelper.loadUserIDKey(ctx);
+	}
+
+	/**
+	 * Helper function to fetch an existing lease of a property
+	 * @param ctx - The transaction context object
+	 * @param leaseKey - Composite key of the lease
+	 * @param status - Status the lease is expected to be in
+	 * @returns
+	 */
+	static async getLease(ctx, leaseKey, status) {
+		if(!await RegnetHelper.isAssetExisting(ctx,leaseKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No Lease exists on given property with given lease ID.");
+		}
+
+		let lease = await RegnetHelper.getAsset(ctx,leaseKey);
+		if(lease.status !== status){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Lease is " + lease.status + ", not " + status + "!!!");
+		}
+		return lease;
+	}
+
+	/**
+	 * Helper function to fetch properties to be split or merged on behalf of one of their owners
+	 * @param ctx - The transaction context object
+	 * @param propertyIDs - IDs of the properties
+	 * @param ownerKey - Composite key of the owner placing the request
+	 * @returns
+	 */
+	static async getRestructurableProperties(ctx, propertyIDs, ownerKey) {
+		let properties = [];
+		for(let propertyID of propertyIDs){
+			let property = await RegnetUserContract.getExistingProperty(ctx,RegnetHelper.getPropertyKey(ctx,propertyID));
+			if(!RegnetHelper.isPropertyOwner(property,ownerKey)){
+				throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only Owner of the property is allowed to request its split or merger!!!");
+			}
+			await RegnetHelper.checkRestructurable(ctx,property);
+			properties.push(property);
+		}
+		return properties;
+	}
+
+	/**
+	 * Helper function to store a request to split or merge properties, to be approved by Registrar
+	 * Owner placing the request gives consent right away, rest of the co-owners consent separately
+	 * @param ctx - The transaction context object
+	 * @param restructureType - split or merge
+	 * @param properties - Properties to be retired
+	 * @param children - New properties to be created, each with propertyID, price, consentThreshold and metadata
+	 * @param ownerKey - Composite key of the owner placing the request
+	 * @returns
+	 */
+	static async placeRestructureRequest(ctx, restructureType, properties, children, ownerKey) {
+		const requestID = ctx.stub.getTxID();
+		const requestKey = RegnetHelper.getRestructureRequestKey(ctx,requestID);
+		let owners = RegnetHelper.getOwners(properties[0]);
+		let consents = [ownerKey];
+
+		let newRequest = {
+			requestID: requestID,
+			restructureType: restructureType,
+			parents: properties.map(property => property.propertyID),
+			owners: owners,
+			children: children,
+			requestedBy: ownerKey,
+			consents: consents,
+			requestStatus: RegnetHelper.RequestStatus.PENDING,
+			createdAt: RegnetHelper.getTxDate(ctx)
+		};
+		await RegnetHelper.putAssetData(ctx,requestKey,newRequest);
+
+		RegnetHelper.emitEvent(ctx,(restructureType === RegnetHelper.RestructureTypes.SPLIT) ?
+			RegnetHelper.EventTypes.PROPERTY_SPLIT_REQUESTED : RegnetHelper.EventTypes.PROPERTY_MERGER_REQUESTED,{
+			keys: {request: requestKey, owner: ownerKey, properties: properties.map(property => RegnetHelper.getPropertyKey(ctx,property.propertyID))},
+			after: {requestStatus: newRequest.requestStatus},
+			amounts: {consentedShare: RegnetHelper.getConsentedShare({owners: owners},consents), consentThreshold: RegnetHelper.FULL_CONSENT},
+			assets: {request: newRequest}
+		});
+
+		return newRequest;
+	}
+
 	/* ****** All custom functions are defined below ***** */
 
 	// This is a basic user defined function used at the time of instantiating the smart contract
@@ -27,40 +118,200 @@ class RegnetUserContract extends Contract {
 		return ctx.clientIdentity.getMSPID() === "usersMSP";
 	}
 
+	/**
+	 * Helper function to settle sale of a property whose price has already been collected from buyer
+	 * Pays off liens held against the property out of the sale amount, credits the rest to sellers
+	 * in proportion to their shares, cancels lease offers of the sellers and makes buyer the sole owner of property
+	 * @param ctx - The transaction context object
+	 * @param propertyKey - Composite key of the property being sold
+	 * @param property - Property object being sold
+	 * @param buyerKey - Composite key of the buyer
+	 * @param amount - Sale amount to be credited to sellers
+	 * @returns
+	 */
+	static async settleSale(ctx, propertyKey, property, buyerKey, amount) {
+		//Lien holders are paid before sellers
+		let {payoffs, remaining} = await RegnetHelper.payOffLiens(ctx,property.propertyID,amount);
+
+		//Split rest of sale amount between all co-owners who are selling the property
+		let proceeds = RegnetHelper.splitAmount(RegnetHelper.getOwners(property),remaining);
+
+		for(let proceed of proceeds){
+			//Get seller buffer and convert to JSON object
+			let seller = await RegnetHelper.getAsset(ctx,proceed.owner);
+
+			//Credit share of sale amount to seller
+			await RegnetHelper.adjustBalance(ctx,proceed.owner,seller,proceed.amount,RegnetHelper.EntryTypes.SALE_PROCEEDS,{propertyID: property.propertyID, buyer: buyerKey});
+			proceed.balance = seller.upgradCoins;
+		}
+
+		//Lease offers made by sellers are not binding on buyer
+		let cancelledLeases = await RegnetHelper.cancelLeaseOffers(ctx,property.propertyID);
+
+		//Update property status and make buyer as the onwer since purchase is now complete
+		RegnetHelper.setOwners(property,[{owner: buyerKey, share: 100}]);
+		property.status = "registered"; //Update property status to registered since it is now sold
+		property.updatedAt = RegnetHelper.getTxDate(ctx);
+
+		//Store updated property details back on ledger
+		await RegnetHelper.putAssetData(ctx,propertyKey,property);
+		return {proceeds: proceeds, lienPayoffs: payoffs, cancelledLeases: cancelledLeases};
+	}
+
+	/**
+	 * Helper function to parse co-owners of a property passed to a transaction as JSON string
+	 * @param ctx - The transaction context object
+	 * @param coOwners - JSON array of co-owners with name, aadharNumber and percentage share, empty to read it from
+	 * transient coOwners, with no co-owners if neither is given
+	 * @param ownerKey - Composite key of the owner placing the request who holds the remaining share
+	 * @returns
+	 */
+	static async parseCoOwners(ctx, coOwners, ownerKey) {
+		//Co-owners carry their Aadhar numbers, hence they can be kept out of the block by passing them as transient data
+		let json = coOwners || RegnetHelper.getTransientValue(ctx,"coOwners");
+		let coOwnerList = json ? RegnetValidator.parseJSON(json,"co-owners") : [];
+		if(!Array.isArray(coOwnerList)){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Invalid co-owners. Co-owners should be a JSON array of name, aadharNumber and share!!!");
+		}
+
+		let owners = [];
+		for(let entry of coOwnerList){
+			let coOwner = RegnetValidator.validate(RegnetValidator.Schemas.CO_OWNER,entry,"co-owner");
+			const coOwnerKey = RegnetHelper.getUserKey(ctx,coOwner.name,coOwner.aadharNumber);
+			await RegnetUserContract.getExistingUser(ctx,coOwnerKey,"Co-owner");
+
+			//Every owner must appear only once
+			if(coOwnerKey === ownerKey || owners.some(owner => owner.owner === coOwnerKey)){
+				throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Co-owner with given name and Aadhar number is listed more than once!!!");
+			}
+			owners.push({owner: coOwnerKey, share: coOwner.share});
+		}
+
+		//Owner placing the request holds the share not held by co-owners
+		let remainingShare = 100 - owners.reduce((total, owner) => total + owner.share, 0);
+		if(remainingShare <= 0){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Shares of co-owners must leave a share for the owner placing the request!!!");
+		}
+		return [{owner: ownerKey, share: remainingShare}].concat(owners);
+	}
+
+	/**
+	 * Helper function to fetch an existing user
+	 * @param ctx - The transaction context object
+	 * @param userKey - Composite key of the user
+	 * @param role - Role of the user in the transaction, used in error message
+	 * @returns
+	 */
+	static async getExistingUser(ctx, userKey, role) {
+		//Check if given user exists
+		if(!await RegnetHelper.isAssetExisting(ctx,userKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,role + " with given name and Aadhar number does not exist.");
+		}
+
+		return await RegnetHelper.getAsset(ctx,userKey);
+	}
+
+	/**
+	 * Helper function to fetch an existing user on whose behalf the transaction is submitted
+	 * @param ctx - The transaction context object
+	 * @param userKey - Composite key of the user
+	 * @param role - Role of the user in the transaction, used in error message
+	 * @returns
+	 */
+	static async getCallingUser(ctx, userKey, role) {
+		let user = await RegnetUserContract.getExistingUser(ctx,userKey,role);
+
+		//Users can act only through the certificate bound to them by Registrar
+		if(!RegnetHelper.isBoundToCaller(ctx,user)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,role + " with given name and Aadhar number is not bound to the identity submitting the transaction!!!");
+		}
+		return user;
+	}
+
+	/**
+	 * Helper function to fetch an existing property
+	 * @param ctx - The transaction context object
+	 * @param propertyKey - Composite key of the property
+	 * @returns
+	 */
+	static async getExistingProperty(ctx, propertyKey) {
+		//Check if given property exists
+		if(!await RegnetHelper.isAssetExisting(ctx,propertyKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No Property exists with given property ID.");
+		}
+
+		return await RegnetHelper.getAsset(ctx,propertyKey);
+	}
+
+	/**
+	 * Helper function to fetch an open offer on a property
+	 * @param ctx - The transaction context object
+	 * @param offerKey - Composite key of the offer
+	 * @returns
+	 */
+	static async getOpenOffer(ctx, offerKey) {
+		//Check if given offer exists
+		if(!await RegnetHelper.isAssetExisting(ctx,offerKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No Offer exists on given property with given offer ID.");
+		}
+
+		let offer = await RegnetHelper.getAsset(ctx,offerKey);
+
+		//Check if offer is still open
+		if(offer.status !== RegnetHelper.OfferStatus.OPEN){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Offer is already " + offer.status + "!!!");
+		}
+		return offer;
+	}
+
 	/**
 	 * Create a new user registration request on the network
+	 * Aadhar number, email ID and phone number are passed as transient data under aadharNumber, emailId and phoneNumber
+	 * so that they are kept only in the private data collection of Registrar and User organizations
 	 * @param ctx - The transaction context object
 	 * @param name - Name of the user
-	 * @param emailId - Email ID of the user
-	 * @param phoneNumber - Phone number of the user
-	 * @param aadharNumber - Aadhar card number of the user
 	 * @returns
 	 */
-	async requestNewUser(ctx, name, emailId, phoneNumber, aadharNumber) {
+	async requestNewUser(ctx, name) {
 		//Allow only users to invoke new user registrartion requests
 		if(!RegnetUserContract.isRequestedByUser(ctx)){
-			throw new Error("Only members of User organization can initiate new user registration requests");
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can initiate new user registration requests");
 		}
 
+		RegnetValidator.checkInputs({name: name});
+
+		//Read personal details of the user from transient data and validate their formats
+		let pii = RegnetValidator.validate(RegnetValidator.Schemas.PII,{
+			aadharNumber: RegnetHelper.getTransientValue(ctx,"aadharNumber"),
+			emailId: RegnetHelper.getTransientValue(ctx,"emailId"),
+			phoneNumber: RegnetHelper.getTransientValue(ctx,"phoneNumber")
+		},"transient data");
+
 		//Create a new composite key for the new user registration request
-		const userRegRequestKey = RegnetHelper.getUserRegRequestKey(ctx,name,aadharNumber);
+		const userRegRequestKey = RegnetHelper.getUserRegRequestKey(ctx,name,pii.aadharNumber);
 
-		//Check if there is already a request for given user
-		if(await RegnetHelper.isAssetExisting(ctx,userRegRequestKey)){
-			throw new Error("Registration request for given name and Aadhar number already placed");
+		//Check if there is already a request for given user, rejected or expired requests can be placed again
+		if(!await RegnetHelper.canPlaceRequest(ctx,userRegRequestKey)){
+			throw new RegnetError(RegnetError.Codes.CONFLICT,"Registration request for given name and Aadhar number already placed");
 		}
 
-		//Create a user registration request object to be stored in blockchain
-		let newUserRegReqObject = {
+		//Create a user registration request object to be stored in blockchain, without any personal details
+		let newUserRegReqObject = new UserRequest({
 			name: name,
-			emailId: emailId,
-			phoneNumber: phoneNumber,
-			aadharNumber: aadharNumber,
-			createdAt: new Date()
-		};
+			userID: RegnetHelper.getUserID(ctx,name,pii.aadharNumber),
+			identity: ctx.clientIdentity.getID(), //Certificate of the submitter is bound to the user on approval
+			requestStatus: RegnetHelper.RequestStatus.PENDING
+		},RegnetHelper.getTxDate(ctx));
 
-		//Store the user registration request to blockchain
+		//Store the user registration request to blockchain and personal details to private data collection
 		await RegnetHelper.putAssetData(ctx,userRegRequestKey,newUserRegReqObject);
+		await RegnetHelper.putPII(ctx,userRegRequestKey,pii);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.USER_REGISTRATION_REQUESTED,{
+			keys: {request: userRegRequestKey},
+			after: {requestStatus: newUserRegReqObject.requestStatus},
+			assets: {request: newUserRegReqObject}
+		});
 
 		//Return value of new user registration request created
 		return newUserRegReqObject;
@@ -71,39 +322,114 @@ class RegnetUserContract extends Contract {
 	 * @param ctx - The transaction context object
 	 * @param name - Name of the user
 	 * @param aadharNumber - Aadhar card number of the user
-	 * @param bankTransactionId - Transaction ID to determine number of coins to be recharged
+	 * @param bankTransactionId - ID of the deposit receipt issued by bank for the user
 	 * @returns
 	 */
 	async rechargeAccount(ctx, name, aadharNumber, bankTransactionId) {
 		//Allow only users to recharge their accounts
 		if(!RegnetUserContract.isRequestedByUser(ctx)){
-			throw new Error("Only members of User organization can recharge their accounts");
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can recharge their accounts");
 		}
 
-		//Validate the input Bank Transaction ID
-		if(bankTransactionId !== "upg100" && bankTransactionId !== "upg500" && bankTransactionId !== "upg1000"){
-			throw new Error("Invalid Bank Transaction ID");
-		}
+		RegnetValidator.checkInputs({name: name, aadharNumber: aadharNumber, bankTransactionId: bankTransactionId});
 
 		//Create composite key to fetch user data from network
     const userKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		let user = await RegnetUserContract.getCallingUser(ctx,userKey,"User");
 
-    //Check if given user exists
-		if(!await RegnetHelper.isAssetExisting(ctx,userKey)){
-			throw new Error("No User exists with given name and Aadhar number.");
+		//Create composite key to fetch deposit receipt recorded by bank
+		const receiptKey = RegnetHelper.getReceiptKey(ctx,bankTransactionId);
+
+		//Validate the input Bank Transaction ID against receipts recorded by bank
+		if(!await RegnetHelper.isAssetExisting(ctx,receiptKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"Invalid Bank Transaction ID");
 		}
 
-		//Get User buffer and convert to JSON object
-		let userBuffer = await RegnetHelper.getAssetBuffer(ctx,userKey);
-		let user = JSON.parse(userBuffer.toString());
+		let receipt = await RegnetHelper.getAsset(ctx,receiptKey);
 
-		//Update upgradCoins of user based on bankTransactionId
-		user.upgradCoins += (bankTransactionId === "upg100") ? 100 :
-												(bankTransactionId === "upg500") ? 500 : 1000;
-		user.updatedAt = new Date();
+		//Verify that receipt was issued for this user
+		if(receipt.beneficiary !== userKey){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Bank Transaction ID was not issued for given user!!!");
+		}
 
-		//Store updated user asset back on ledger
-		await RegnetHelper.putAssetData(ctx,userKey,user);
+		//Reject replay of a receipt which is already redeemed
+		if(receipt.status !== RegnetHelper.ReceiptStatus.ISSUED){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Bank Transaction ID has already been redeemed!!!");
+		}
+
+		//Update upgradCoins of user with amount deposited in bank
+		let balanceBefore = user.upgradCoins;
+		await RegnetHelper.adjustBalance(ctx,userKey,user,receipt.amount,RegnetHelper.EntryTypes.RECHARGE,{bankTransactionId: bankTransactionId});
+
+		//Mark receipt as redeemed so that it cannot be used again
+		receipt.status = RegnetHelper.ReceiptStatus.REDEEMED;
+		receipt.redeemedTxId = ctx.stub.getTxID();
+		receipt.redeemedAt = RegnetHelper.getTxDate(ctx);
+
+		//Store updated receipt back on ledger
+		await RegnetHelper.putAssetData(ctx,receiptKey,receipt);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.ACCOUNT_RECHARGED,{
+			keys: {user: userKey, receipt: receiptKey},
+			before: {receiptStatus: RegnetHelper.ReceiptStatus.ISSUED},
+			after: {receiptStatus: receipt.status},
+			amounts: {amount: receipt.amount, balanceBefore: balanceBefore, balanceAfter: user.upgradCoins},
+			assets: {user: user, receipt: receipt}
+		});
+	}
+
+	/**
+	 * Request withdrawal of upgrad coins from user account to be paid out by bank
+	 * @param ctx - The transaction context object
+	 * @param name - Name of the user
+	 * @param aadharNumber - Aadhar card number of the user
+	 * @param amount - Number of upgrad coins to be withdrawn
+	 * @returns
+	 */
+	async requestWithdrawal(ctx, name, aadharNumber, amount) {
+		//Allow only users to withdraw from their accounts
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can withdraw from their accounts");
+		}
+
+		let withdrawalAmount = RegnetValidator.checkInputs({name: name, aadharNumber: aadharNumber, amount: amount}).amount;
+
+		//Create composite key to fetch user data from network
+		const userKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		let user = await RegnetUserContract.getCallingUser(ctx,userKey,"User");
+
+		//Verify if user has sufficient balance to withdraw
+		if(user.upgradCoins < withdrawalAmount){
+			throw new RegnetError(RegnetError.Codes.INSUFFICIENT_FUNDS,"Sorry, user does not have sufficient account balance for the withdrawal!!!");
+		}
+
+		//Deduct coins right away so that they cannot be spent while bank processes the payout
+		//Create a withdrawal object identified by current transaction ID
+		const withdrawalID = ctx.stub.getTxID();
+		const withdrawalKey = RegnetHelper.getWithdrawalKey(ctx,withdrawalID);
+		let balanceBefore = user.upgradCoins;
+		await RegnetHelper.adjustBalance(ctx,userKey,user,-withdrawalAmount,RegnetHelper.EntryTypes.WITHDRAWAL,{withdrawalID: withdrawalID});
+
+		let newWithdrawalObject = {
+			withdrawalID: withdrawalID,
+			user: userKey,
+			amount: withdrawalAmount,
+			status: RegnetHelper.WithdrawalStatus.REQUESTED,
+			createdAt: RegnetHelper.getTxDate(ctx)
+		};
+
+		//Store new withdrawal on ledger
+		await RegnetHelper.putAssetData(ctx,withdrawalKey,newWithdrawalObject);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.WITHDRAWAL_REQUESTED,{
+			keys: {user: userKey, withdrawal: withdrawalKey},
+			after: {withdrawalStatus: newWithdrawalObject.status},
+			amounts: {amount: withdrawalAmount, balanceBefore: balanceBefore, balanceAfter: user.upgradCoins},
+			assets: {user: user, withdrawal: newWithdrawalObject}
+		});
+
+		//Return value of new withdrawal created
+		return newWithdrawalObject;
 	}
 
 	/**
@@ -114,219 +440,1396 @@ class RegnetUserContract extends Contract {
 	 * @returns
 	 */
 	async viewUser(ctx, name, aadharNumber) {
+		RegnetValidator.checkInputs({name: name, aadharNumber: aadharNumber});
+
 		//Create composite key to fetch user data from network
     const userKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
 
     //Check if given user exists
 		if(!await RegnetHelper.isAssetExisting(ctx,userKey)){
-			throw new Error("No User exists with given name and Aadhar number.");
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No User exists with given name and Aadhar number.");
 		}
 
-		//Return value of user from blockchain
-		let userBuffer = await RegnetHelper.getAssetBuffer(ctx,userKey);
-		return JSON.parse(userBuffer.toString());
+		//Return value of user from blockchain along with personal details for the user itself
+		return await RegnetHelper.withPII(ctx,userKey,await RegnetHelper.getAsset(ctx,userKey));
 	}
 
 	/**
-	 * Create a new property registration request on the network
+	 * View account statement of user listing every change of upgradCoins balance in the order it was made
 	 * @param ctx - The transaction context object
-	 * @param name - Name of the property onwer
-	 * @param aadharNumber - Aadhar card number of the property owner
-	 * @param propertyID - ID of the property to be registered
-	 * @param price - Price of the property to be registered
+	 * @param name - Name of the user
+	 * @param aadharNumber - Aadhar card number of the user
+	 * @param fromDate - Date from which entries are listed, e.g. 2021-04-01, from the first entry if empty
+	 * @param toDate - Date before which entries are listed, up to the last entry if empty
+	 * @param pageSize - Number of entries to be returned in a page
+	 * @param bookmark - Bookmark returned with previous page, empty for first page
 	 * @returns
 	 */
-	async propertyRegistrationRequest(ctx, name, aadharNumber, propertyID, price) {
-		//Allow only users to register properties
+	async getAccountStatement(ctx, name, aadharNumber, fromDate, toDate, pageSize, bookmark) {
+		//Allow only users to view their own statements
 		if(!RegnetUserContract.isRequestedByUser(ctx)){
-			throw new Error("Only members of User organization can register properties");
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can view account statements");
 		}
 
-		//Create composite key to fetch owner data from network
-    const ownerKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		let period = RegnetValidator.checkInputs({name: name, aadharNumber: aadharNumber, fromDate: fromDate, toDate: toDate});
+		if(period.fromDate && period.toDate && period.fromDate >= period.toDate){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Invalid statement period. fromDate should be before toDate!!!");
+		}
+
+		const userKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		let user = await RegnetUserContract.getCallingUser(ctx,userKey,"User");
+
+		return await RegnetHelper.getAccountStatement(ctx,user,period.fromDate,period.toDate,pageSize,bookmark);
+	}
 
-    //Check if given owner exists
-		if(!await RegnetHelper.isAssetExisting(ctx,ownerKey)){
-			throw new Error("Property registration request cannot be captured since Owner with given name and Aadhar number does not exist.");
+	/**
+	 * Transfer upgrad coins from account of a user to account of another user
+	 * @param ctx - The transaction context object
+	 * @param name - Name of the user sending the coins
+	 * @param aadharNumber - Aadhar card number of the user sending the coins
+	 * @param recipientName - Name of the user receiving the coins
+	 * @param recipientAadharNumber - Aadhar card number of the user receiving the coins, empty to pass it as transient data
+	 * @param amount - Number of upgrad coins to be transferred
+	 * @returns
+	 */
+	async transferCoins(ctx, name, aadharNumber, recipientName, recipientAadharNumber, amount) {
+		//Allow only users to transfer coins
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can transfer upgrad coins");
 		}
 
-		//Create a new composite key for the new property registration request
-		const propRegRequestKey = RegnetHelper.getPropRegRequestKey(ctx,propertyID);
+		let transferAmount = RegnetValidator.checkInputs({name: name, aadharNumber: aadharNumber,
+			recipientName: recipientName, recipientAadharNumber: recipientAadharNumber, amount: amount}).amount;
 
-		//Check if there is already a request for given property
-		if(await RegnetHelper.isAssetExisting(ctx,propRegRequestKey)){
-			throw new Error("There is already a registration request for given property");
+		//Coins can only be sent from the account of the calling user
+		const senderKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		let sender = await RegnetUserContract.getCallingUser(ctx,senderKey,"Sender");
+		const recipientKey = RegnetHelper.getUserKey(ctx,recipientName,recipientAadharNumber,"recipientAadharNumber");
+		let recipient = await RegnetUserContract.getExistingUser(ctx,recipientKey,"Recipient");
+
+		if(recipientKey === senderKey){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Invalid transfer, recipient is the user sending the coins!!!");
 		}
 
-		//Convert input property price from String to Integer
-		let propertyPrice = parseInt(price);
+		//Verify if sender has sufficient balance to transfer
+		if(sender.upgradCoins < transferAmount){
+			throw new RegnetError(RegnetError.Codes.INSUFFICIENT_FUNDS,"Sorry, sender does not have sufficient account balance for the transfer!!!");
+		}
 
-		//Create new property registration request object
-		let newPropRegRequest = {
-			propertyID: propertyID,
-			owner: ownerKey,
-			price: propertyPrice,
-			status: "registered" //New property is by default in registered state
-		};
+		//Debit sender and credit recipient, each side recording the other as counterparty
+		let senderBalanceBefore = sender.upgradCoins;
+		let recipientBalanceBefore = recipient.upgradCoins;
+		await RegnetHelper.adjustBalance(ctx,senderKey,sender,-transferAmount,RegnetHelper.EntryTypes.TRANSFER,{counterparty: recipientKey});
+		await RegnetHelper.adjustBalance(ctx,recipientKey,recipient,transferAmount,RegnetHelper.EntryTypes.TRANSFER,{counterparty: senderKey});
 
-		//Store property registrartion request on blockchain
-		await RegnetHelper.putAssetData(ctx,propRegRequestKey,newPropRegRequest);
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.COINS_TRANSFERRED,{
+			keys: {sender: senderKey, recipient: recipientKey},
+			amounts: {amount: transferAmount,
+				senderBalanceBefore: senderBalanceBefore, senderBalanceAfter: sender.upgradCoins,
+				recipientBalanceBefore: recipientBalanceBefore, recipientBalanceAfter: recipient.upgradCoins},
+			assets: {sender: sender, recipient: recipient}
+		});
 
-		//Return value of new property registration request created
-		return newPropRegRequest;
+		return sender;
 	}
 
 	/**
-	 * View current state of property
+	 * View modification history of user
 	 * @param ctx - The transaction context object
-	 * @param propertyID - ID of the property
+	 * @param name - Name of the user
+	 * @param aadharNumber - Aadhar card number of the user
 	 * @returns
 	 */
-	async viewProperty(ctx, propertyID) {
-		//Create composite key to fetch property data from network
-    const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+	async getUserHistory(ctx, name, aadharNumber) {
+		RegnetValidator.checkInputs({name: name, aadharNumber: aadharNumber});
 
-    //Check if given property exists
-		if(!await RegnetHelper.isAssetExisting(ctx,propertyKey)){
-			throw new Error("No Property exists with given property ID.");
+		//Create composite key to fetch user history from network
+		const userKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+
+		//Fetch all modifications of user from ledger
+		let history = await RegnetHelper.getAssetHistory(ctx,userKey);
+		if(history.length === 0){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No history available for User with given name and Aadhar number.");
 		}
 
-		//Return value of property from blockchain
-		let propertyBuffer = await RegnetHelper.getAssetBuffer(ctx,propertyKey);
-		return JSON.parse(propertyBuffer.toString());
+		return history;
 	}
 
 	/**
-	 * Update property status
+	 * View current state of user registration request
 	 * @param ctx - The transaction context object
-	 * @param propertyID - ID of the property
 	 * @param name - Name of the user
 	 * @param aadharNumber - Aadhar card number of the user
-	 * @param status - Status to be updated for the property
 	 * @returns
 	 */
-	async updateProperty(ctx, propertyID, name, aadharNumber, status) {
-		//Allow only users to update property status
-		if(!RegnetUserContract.isRequestedByUser(ctx)){
-			throw new Error("Only members of User organization can update property status");
-		}
+	async viewUserRequest(ctx, name, aadharNumber) {
+		RegnetValidator.checkInputs({name: name, aadharNumber: aadharNumber});
 
-		//Check if input status is valid
-		if(status !== "registered" && status !== "onSale"){
-			throw new Error("Invalid input status. Status should be either registered or onSale!!!");
-		}
-
-		//Create composite key to fetch Owner data from network
-    const ownerKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		//Create composite key to fetch user registration request from network
+		const userRegRequestKey = RegnetHelper.getUserRegRequestKey(ctx,name,aadharNumber);
 
-    //Check if given owner exists
-		if(!await RegnetHelper.isAssetExisting(ctx,ownerKey)){
-			throw new Error("Owner with given name and Aadhar number does not exist.");
+		//Check if there is a request for given user
+		if(!await RegnetHelper.isAssetExisting(ctx,userRegRequestKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No registration request is available for given name and Aadhar number!!!");
 		}
 
-		//Create composite key to fetch property data from network
-    const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+		//Return value of user registration request from blockchain along with personal details for the user itself
+		return await RegnetHelper.withPII(ctx,userRegRequestKey,await RegnetHelper.getAsset(ctx,userRegRequestKey));
+	}
 
-    //Check if given property exists
-		if(!await RegnetHelper.isAssetExisting(ctx,propertyKey)){
-			throw new Error("No Property exists with given property ID.");
+	/**
+	 * Request Registrar to bind a user to the identity submitting the transaction
+	 * Used when the certificate bound to the user is lost or rotated, or for users registered before identities were bound
+	 * @param ctx - The transaction context object
+	 * @param name - Name of the user
+	 * @param aadharNumber - Aadhar card number of the user
+	 * @returns
+	 */
+	async requestIdentityRebind(ctx, name, aadharNumber) {
+		//Allow only users to request binding of their identities
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can request binding of their identities");
 		}
 
-		//Get property buffer and convert to JSON object
-		let propertyBuffer = await RegnetHelper.getAssetBuffer(ctx,propertyKey);
-		let property = JSON.parse(propertyBuffer.toString());
+		RegnetValidator.checkInputs({name: name, aadharNumber: aadharNumber});
 
-		//Verify if status update request is initiated by property owner
-		if(property.owner !== ownerKey){
-			throw new Error("Only Owner of the property is allowed to updated its status!!!");
-		}
+		const userKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		let user = await RegnetUserContract.getExistingUser(ctx,userKey,"User");
 
-		//Verify that input status is not same as property status
-		if(property.status === status){
-			throw new Error("Input status is same as property status. No update performed!!!")
+		//Nothing to rebind if submitter is already bound to the user
+		if(RegnetHelper.isBoundToCaller(ctx,user)){
+			throw new RegnetError(RegnetError.Codes.CONFLICT,"User with given name and Aadhar number is already bound to the identity submitting the transaction!!!");
 		}
 
-		//Update property Status
-		property.status = status;
-		property.updatedAt = new Date();
+		//Registrar verifies the user off-chain before approving, a newer request replaces the pending one
+		user.pendingIdentity = {
+			identity: ctx.clientIdentity.getID(),
+			requestedAt: RegnetHelper.getTxDate(ctx)
+		};
+		await RegnetHelper.putAssetData(ctx,userKey,user);
 
-		//Update property back on ledger
-	  await RegnetHelper.putAssetData(ctx,propertyKey,property);
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.IDENTITY_REBIND_REQUESTED,{
+			keys: {user: userKey},
+			before: {identity: user.identity || null},
+			after: {identity: user.identity || null, pendingIdentity: user.pendingIdentity.identity},
+			assets: {user: user}
+		});
+
+		return user;
 	}
 
 	/**
-	 * Purchase property
+	 * Create a new property registration request on the network
 	 * @param ctx - The transaction context object
-	 * @param propertyID - ID of the property
-	 * @param name - Name of the buyer
-	 * @param aadharNumber - Aadhar card number of the buyer
+	 * @param name - Name of the property onwer
+	 * @param aadharNumber - Aadhar card number of the property owner
+	 * @param propertyID - ID of the property to be registered
+	 * @param price - Price of the property to be registered
+	 * @param coOwners - JSON array of co-owners with name, aadharNumber and percentage share, empty for sole ownership or
+	 * to pass it as transient data
+	 * @param consentThreshold - Percentage of shares whose consent is needed to list the property, all co-owners if not given
+	 * @param metadata - JSON object with address, district, surveyNumber, area, areaUnit, propertyType, titleDeedHash and supportingDocuments
 	 * @returns
 	 */
-	async purchaseProperty(ctx, propertyID, name, aadharNumber) {
-		//Allow only users to purchase property
+	async propertyRegistrationRequest(ctx, name, aadharNumber, propertyID, price, coOwners, consentThreshold, metadata) {
+		//Allow only users to register properties
 		if(!RegnetUserContract.isRequestedByUser(ctx)){
-			throw new Error("Only members of User organization can purchase property");
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can register properties");
 		}
 
-		//Create composite key to fetch Buyer data from network
-    const buyerKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		let input = RegnetValidator.checkInputs({name: name, aadharNumber: aadharNumber, propertyID: propertyID, price: price, consentThreshold: consentThreshold});
 
-    //Check if Buyer exists
-		if(!await RegnetHelper.isAssetExisting(ctx,buyerKey)){
-			throw new Error("Buyer with given name and Aadhar number does not exist.");
-		}
+		//Create composite key to fetch owner data from network
+    const ownerKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		await RegnetUserContract.getCallingUser(ctx,ownerKey,"Owner");
 
-		//Create composite key to fetch property data from network
-    const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+		//Create a new composite key for the new property registration request
+		const propRegRequestKey = RegnetHelper.getPropRegRequestKey(ctx,propertyID);
 
-    //Check if given property exists
-		if(!await RegnetHelper.isAssetExisting(ctx,propertyKey)){
-			throw new Error("No Property exists with given property ID.");
+		//Check if there is already a request for given property, rejected or expired requests can be placed again
+		if(!await RegnetHelper.canPlaceRequest(ctx,propRegRequestKey)){
+			throw new RegnetError(RegnetError.Codes.CONFLICT,"There is already a registration request for given property");
 		}
 
-		//Get property buffer and convert to JSON object
-		let propertyBuffer = await RegnetHelper.getAssetBuffer(ctx,propertyKey);
-		let property = JSON.parse(propertyBuffer.toString());
-
-		//Verify if property is currently listed for sale
-		if(property.status !== "onSale"){
-			throw new Error("Sorry, given property is currently not listed for sale!!!");
-		}
+		let propertyPrice = input.price;
 
-		//Verify that buyer and property owner are not same
-		if(property.owner === buyerKey){
-			throw new Error("Invalid purchase attempt, buyer is already the property owner!!!");
-		}
+		//Land must be identified by metadata whose survey number is not registered for another property yet
+		let propertyMetadata = RegnetHelper.buildMetadata(RegnetValidator.parseJSON(metadata,"property metadata"));
+		await RegnetHelper.checkSurveyNumber(ctx,propertyMetadata);
 
-		//Get buyer buffer and convert to JSON object
-		let buyerBuffer = await RegnetHelper.getAssetBuffer(ctx,buyerKey);
-		let buyer = JSON.parse(buyerBuffer.toString());
+		//Build owners along with their shares, consent threshold must be a majority of shares
+		let owners = await RegnetUserContract.parseCoOwners(ctx,coOwners,ownerKey);
+		let threshold = input.consentThreshold || RegnetHelper.FULL_CONSENT;
 
-		//Verify if buyer has sufficient balance to purchase the property
-		if(buyer.upgradCoins < property.price){
-			throw new Error("Sorry, buyer does not have sufficient account balance to purchase the property. Recharge the buyer account!!!");
-		}
+		//Create new property registration request object
+		let newPropRegRequest = new PropertyRequest({
+			propertyID: propertyID,
+			owner: ownerKey,
+			owners: owners,
+			consentThreshold: threshold,
+			price: propertyPrice,
+			metadata: propertyMetadata,
+			status: "registered", //New property is by default in registered state
+			requestStatus: RegnetHelper.RequestStatus.PENDING
+		},RegnetHelper.getTxDate(ctx));
 
-		//Get seller buffer and convert to JSON object
-		let sellerKey = property.owner;
-		let sellerBuffer = await RegnetHelper.getAssetBuffer(ctx,sellerKey);
-		let seller = JSON.parse(sellerBuffer.toString());
+		//Store property registrartion request on blockchain
+		await RegnetHelper.putAssetData(ctx,propRegRequestKey,newPropRegRequest);
 
-		//Deduct property price from buyer account and credit them to seller who is selling the property
-		buyer.upgradCoins -= property.price;
-		buyer.updatedAt = new Date();
-		seller.upgradCoins += property.price;
-		seller.updatedAt = new Date();
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.PROPERTY_REGISTRATION_REQUESTED,{
+			keys: {request: propRegRequestKey, owner: ownerKey},
+			after: {requestStatus: newPropRegRequest.requestStatus},
+			amounts: {price: propertyPrice},
+			assets: {request: newPropRegRequest}
+		});
 
-		//Update property status and make buyer as the onwer since purchase is now complete
-		property.owner = buyerKey;
-		property.status = "registered"; //Update property status to registered since it is now sold
-		property.updatedAt = new Date();
+		//Return value of new property registration request created
+		return newPropRegRequest;
+	}
 
-		//Store updated seller, buyer and property details back on ledger
-	  await RegnetHelper.putAssetData(ctx,sellerKey,seller);
-		await RegnetHelper.putAssetData(ctx,buyerKey,buyer);
-		await RegnetHelper.putAssetData(ctx,propertyKey,property);
+	/**
+	 * View current state of property registration request
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @returns
+	 */
+	async viewPropertyRequest(ctx, propertyID) {
+		RegnetValidator.checkInputs({propertyID: propertyID});
+
+		//Create composite key to fetch property registration request from network
+		const propRegRequestKey = RegnetHelper.getPropRegRequestKey(ctx,propertyID);
+
+		//Check if there is a request for given property
+		if(!await RegnetHelper.isAssetExisting(ctx,propRegRequestKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No registration request is available for given property!!!");
+		}
+
+		//Return value of property registration request from blockchain
+		return await RegnetHelper.getAsset(ctx,propRegRequestKey);
+	}
+
+	/**
+	 * View current state of property
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @returns
+	 */
+	async viewProperty(ctx, propertyID) {
+		RegnetValidator.checkInputs({propertyID: propertyID});
+
+		//Create composite key to fetch property data from network
+    const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+
+    //Check if given property exists
+		if(!await RegnetHelper.isAssetExisting(ctx,propertyKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No Property exists with given property ID.");
+		}
+
+		//Return value of property from blockchain along with the liens held against it
+		let property = await RegnetHelper.getAsset(ctx,propertyKey);
+		property.encumbrances = (await RegnetHelper.getActiveLiens(ctx,propertyID)).map(lien => lien.value);
+		return property;
+	}
+
+	/**
+	 * Check a document against the hash recorded in metadata of property
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param documentName - titleDeed for title deed, otherwise name of a supporting document
+	 * @param documentHash - SHA-256 hash of the document to be checked
+	 * @returns
+	 */
+	async verifyPropertyDocument(ctx, propertyID, documentName, documentHash) {
+		let input = RegnetValidator.checkInputs({propertyID: propertyID, documentName: documentName, documentHash: documentHash});
+
+		const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+		let property = await RegnetUserContract.getExistingProperty(ctx,propertyKey);
+
+		return RegnetHelper.verifyDocumentHash(property,documentName,input.documentHash);
+	}
+
+	/**
+	 * View ownership history of property
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @returns
+	 */
+	async getPropertyHistory(ctx, propertyID) {
+		RegnetValidator.checkInputs({propertyID: propertyID});
+
+		//Create composite key to fetch property history from network
+		const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+
+		//Build chain of ownership entries from ledger history of property
+		let history = await RegnetHelper.getOwnershipHistory(ctx,propertyKey);
+		if(history.length === 0){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No history available for Property with given property ID.");
+		}
+
+		return history;
+	}
+
+	/**
+	 * List all properties on the network page by page
+	 * @param ctx - The transaction context object
+	 * @param pageSize - Number of properties to be returned in a page
+	 * @param bookmark - Bookmark returned with previous page, empty for first page
+	 * @returns
+	 */
+	async listProperties(ctx, pageSize, bookmark) {
+		return await RegnetHelper.queryProperties(ctx,{},pageSize,bookmark);
+	}
+
+	/**
+	 * Query properties by owner, status and price range page by page
+	 * @param ctx - The transaction context object
+	 * @param queryString - JSON string with optional owner (or name and aadharNumber), status, minPrice and maxPrice
+	 * @param pageSize - Number of properties to be returned in a page
+	 * @param bookmark - Bookmark returned with previous page, empty for first page
+	 * @returns
+	 */
+	async queryProperties(ctx, queryString, pageSize, bookmark) {
+		let criteria = RegnetHelper.parseQueryCriteria(queryString);
+		return await RegnetHelper.queryProperties(ctx,criteria,pageSize,bookmark);
+	}
+
+	/**
+	 * Update property status
+	 * For jointly held property the update is recorded as consent of the co-owner
+	 * and applied once consenting co-owners hold the consent threshold of shares
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param name - Name of the user
+	 * @param aadharNumber - Aadhar card number of the user
+	 * @param status - Status to be updated for the property
+	 * @returns
+	 */
+	async updateProperty(ctx, propertyID, name, aadharNumber, status) {
+		//Allow only users to update property status
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can update property status");
+		}
+
+		RegnetValidator.checkInputs({propertyID: propertyID, name: name, aadharNumber: aadharNumber, status: status});
+
+		//Create composite key to fetch Owner data from network
+    const ownerKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		await RegnetUserContract.getCallingUser(ctx,ownerKey,"Owner");
+
+		//Create composite key to fetch property data from network
+    const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+
+    //Check if given property exists
+		if(!await RegnetHelper.isAssetExisting(ctx,propertyKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No Property exists with given property ID.");
+		}
+
+		//Get property buffer and convert to JSON object
+		let property = await RegnetHelper.getAsset(ctx,propertyKey);
+
+		//Verify if status update request is initiated by property owner
+		if(!RegnetHelper.isPropertyOwner(property,ownerKey)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only Owner of the property is allowed to updated its status!!!");
+		}
+
+		//Frozen and disputed properties cannot change hands or leave the market
+		RegnetHelper.checkNotRestricted(property);
+
+		//Verify that input status is not same as property status
+		if(property.status === status){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Input status is same as property status. No update performed!!!")
+		}
+
+		//Liens are paid off from the sale, hence property can be listed only at a price covering them
+		if(status === "onSale"){
+			let liens = await RegnetHelper.getActiveLiens(ctx,propertyID);
+			let lienTotal = liens.reduce((total, lien) => total + lien.value.amount, 0);
+			if(lienTotal > property.price){
+				throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Price of the property does not cover the liens of " + lienTotal + " held against it. Liens must be released before listing it for sale!!!");
+			}
+		}
+
+		//Consent collected for a different status is discarded
+		if(!property.pendingStatusChange || property.pendingStatusChange.status !== status){
+			property.pendingStatusChange = {status: status, consents: []};
+		}
+
+		//Record consent and wait for remaining co-owners if threshold is not reached yet
+		if(!RegnetHelper.addConsent(property,property.pendingStatusChange.consents,ownerKey)){
+			await RegnetHelper.putAssetData(ctx,propertyKey,property);
+
+			//Writing the property upgraded it, hence properties registered before consent thresholds carry one by now
+			RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.CONSENT_RECORDED,{
+				keys: {property: propertyKey, owner: ownerKey},
+				before: {status: property.status},
+				after: {status: property.status, pendingStatus: status},
+				amounts: {
+					consentedShare: RegnetHelper.getConsentedShare(property,property.pendingStatusChange.consents),
+					consentThreshold: property.consentThreshold
+				},
+				assets: {property: property}
+			});
+			return;
+		}
+
+		//Update property Status
+		delete property.pendingStatusChange;
+		let previousStatus = property.status;
+		property.status = status;
+		property.updatedAt = RegnetHelper.getTxDate(ctx);
+
+		//Update property back on ledger
+	  await RegnetHelper.putAssetData(ctx,propertyKey,property);
+
+		//Taking property off the market cancels all open offers and releases their escrow
+		let cancelledOffers = [];
+		if(status === "registered"){
+			cancelledOffers = await RegnetHelper.refundOffers(ctx,propertyID,RegnetHelper.OfferStatus.CANCELLED);
+		}
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.PROPERTY_STATUS_UPDATED,{
+			keys: {property: propertyKey, owner: ownerKey, cancelledOffers: cancelledOffers},
+			before: {status: previousStatus},
+			after: {status: property.status},
+			assets: {property: property}
+		});
+	}
+
+	/**
+	 * Purchase property
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param name - Name of the buyer
+	 * @param aadharNumber - Aadhar card number of the buyer
+	 * @returns
+	 */
+	async purchaseProperty(ctx, propertyID, name, aadharNumber) {
+		//Allow only users to purchase property
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can purchase property");
+		}
+
+		RegnetValidator.checkInputs({propertyID: propertyID, name: name, aadharNumber: aadharNumber});
+
+		//Create composite key to fetch Buyer data from network
+    const buyerKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		let buyer = await RegnetUserContract.getCallingUser(ctx,buyerKey,"Buyer");
+
+		//Create composite key to fetch property data from network
+    const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+
+    //Check if given property exists
+		if(!await RegnetHelper.isAssetExisting(ctx,propertyKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND,"No Property exists with given property ID.");
+		}
+
+		//Get property buffer and convert to JSON object
+		let property = await RegnetHelper.getAsset(ctx,propertyKey);
+
+		//Verify if property is currently listed for sale
+		if(property.status !== "onSale"){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Sorry, given property is currently not listed for sale!!!");
+		}
+
+		//Verify that buyer is not one of the property owners
+		if(RegnetHelper.isPropertyOwner(property,buyerKey)){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Invalid purchase attempt, buyer is already the property owner!!!");
+		}
+		RegnetHelper.checkNotRestricted(property);
+
+		//Buyer pays stamp duty on the price in addition to the price
+		let feeSchedule = await RegnetHelper.getFeeSchedule(ctx);
+		let stampDuty = RegnetHelper.getStampDuty(feeSchedule,property.price);
+
+		//Verify if buyer has sufficient balance to purchase the property
+		if(buyer.upgradCoins < property.price + stampDuty){
+			throw new RegnetError(RegnetError.Codes.INSUFFICIENT_FUNDS,"Sorry, buyer does not have sufficient account balance to purchase the property and pay stamp duty. Recharge the buyer account!!!");
+		}
+
+		//Deduct property price from buyer account
+		let sellers = RegnetHelper.getOwners(property);
+		await RegnetHelper.adjustBalance(ctx,buyerKey,buyer,-property.price,RegnetHelper.EntryTypes.PURCHASE,{propertyID: propertyID});
+
+		//Deduct stamp duty from buyer account and credit it to treasury
+		await RegnetHelper.chargeFee(ctx,buyerKey,RegnetHelper.FeeTypes.STAMP_DUTY,stampDuty,propertyID);
+
+		//Property is sold at listed price, hence release escrow of all open offers
+		let cancelledOffers = await RegnetHelper.refundOffers(ctx,propertyID,RegnetHelper.OfferStatus.CANCELLED);
+
+		//Pay off liens, credit rest of price to sellers and transfer ownership to buyer
+		let {proceeds, lienPayoffs, cancelledLeases} = await RegnetUserContract.settleSale(ctx,propertyKey,property,buyerKey,property.price);
+
+		//Read buyer again since an offer placed by buyer may have been refunded
+		buyer = await RegnetHelper.getAsset(ctx,buyerKey);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.PROPERTY_PURCHASED,{
+			keys: {property: propertyKey, buyer: buyerKey, sellers: sellers.map(seller => seller.owner), cancelledOffers: cancelledOffers,
+				cancelledLeases: cancelledLeases},
+			before: {status: "onSale", owners: sellers},
+			after: {status: property.status, owners: property.owners},
+			amounts: {price: property.price, stampDuty: stampDuty, buyerBalance: buyer.upgradCoins, proceeds: proceeds, lienPayoffs: lienPayoffs},
+			assets: {property: property, buyer: buyer}
+		});
+	}
+
+	/**
+	 * Place an offer to purchase a property listed for sale, moving the offered coins into escrow
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param name - Name of the buyer
+	 * @param aadharNumber - Aadhar card number of the buyer
+	 * @param amount - Number of upgrad coins offered, may be below the listed price
+	 * @param validityInDays - Number of days after which offer expires, offer never expires if not given
+	 * @returns
+	 */
+	async placeOffer(ctx, propertyID, name, aadharNumber, amount, validityInDays) {
+		//Allow only users to place offers
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can place offers on property");
+		}
+
+		let input = RegnetValidator.checkInputs({propertyID: propertyID, name: name, aadharNumber: aadharNumber, amount: amount, validityInDays: validityInDays});
+		let offerAmount = input.amount;
+		let validity = input.validityInDays;
+
+		//Fetch buyer and property data from network
+		const buyerKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		let buyer = await RegnetUserContract.getCallingUser(ctx,buyerKey,"Buyer");
+		const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+		let property = await RegnetUserContract.getExistingProperty(ctx,propertyKey);
+
+		//Verify if property is currently listed for sale
+		if(property.status !== "onSale"){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Sorry, given property is currently not listed for sale!!!");
+		}
+
+		//Verify that buyer is not one of the property owners
+		if(RegnetHelper.isPropertyOwner(property,buyerKey)){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Invalid offer, buyer is already the property owner!!!");
+		}
+		RegnetHelper.checkNotRestricted(property);
+
+		//A buyer can have only one open offer on a property at a time
+		let offers = await RegnetHelper.getAllAssets(ctx,RegnetHelper.ObjectTypes.OFFER,[propertyID]);
+		if(offers.some(({value: offer}) => offer.buyer === buyerKey && offer.status === RegnetHelper.OfferStatus.OPEN)){
+			throw new RegnetError(RegnetError.Codes.CONFLICT,"Buyer already has an open offer on given property. Withdraw it before placing a new one!!!");
+		}
+
+		//Stamp duty on the offered amount is held in escrow along with it and is paid to treasury once offer is accepted
+		let feeSchedule = await RegnetHelper.getFeeSchedule(ctx);
+		let stampDuty = RegnetHelper.getStampDuty(feeSchedule,offerAmount);
+
+		//Verify if buyer has sufficient balance to back the offer
+		if(buyer.upgradCoins < offerAmount + stampDuty){
+			throw new RegnetError(RegnetError.Codes.INSUFFICIENT_FUNDS,"Sorry, buyer does not have sufficient account balance to place the offer and pay stamp duty. Recharge the buyer account!!!");
+		}
+
+		//Move offered coins and stamp duty from buyer account into escrow held by the offer
+		const offerID = ctx.stub.getTxID();
+		const offerKey = RegnetHelper.getOfferKey(ctx,propertyID,offerID);
+		await RegnetHelper.adjustBalance(ctx,buyerKey,buyer,-(offerAmount + stampDuty),RegnetHelper.EntryTypes.OFFER_ESCROW,{propertyID: propertyID, offerID: offerID});
+
+		let createdAt = RegnetHelper.getTxDate(ctx);
+		let newOfferObject = {
+			offerID: offerID,
+			propertyID: propertyID,
+			buyer: buyerKey,
+			amount: offerAmount,
+			stampDuty: stampDuty,
+			status: RegnetHelper.OfferStatus.OPEN,
+			expiresAt: validity ? new Date(createdAt.getTime() + validity * 24 * 60 * 60 * 1000) : null,
+			createdAt: createdAt
+		};
+
+		//Store new offer on ledger
+		await RegnetHelper.putAssetData(ctx,offerKey,newOfferObject);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.OFFER_PLACED,{
+			keys: {offer: offerKey, property: propertyKey, buyer: buyerKey},
+			after: {offerStatus: newOfferObject.status},
+			amounts: {amount: offerAmount, stampDuty: stampDuty, price: property.price, buyerBalance: buyer.upgradCoins},
+			assets: {offer: newOfferObject, buyer: buyer}
+		});
+
+		//Return value of new offer created
+		return newOfferObject;
+	}
+
+	/**
+	 * Withdraw an open offer and refund the escrowed coins to buyer
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param offerID - ID of the offer
+	 * @param name - Name of the buyer
+	 * @param aadharNumber - Aadhar card number of the buyer
+	 * @returns
+	 */
+	async withdrawOffer(ctx, propertyID, offerID, name, aadharNumber) {
+		//Allow only users to withdraw offers
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can withdraw offers on property");
+		}
+
+		RegnetValidator.checkInputs({propertyID: propertyID, offerID: offerID, name: name, aadharNumber: aadharNumber});
+
+		const buyerKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		await RegnetUserContract.getCallingUser(ctx,buyerKey,"Buyer");
+		const offerKey = RegnetHelper.getOfferKey(ctx,propertyID,offerID);
+		let offer = await RegnetUserContract.getOpenOffer(ctx,offerKey);
+
+		//Verify if withdrawal is initiated by the buyer who placed the offer
+		if(offer.buyer !== buyerKey){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only the buyer who placed the offer is allowed to withdraw it!!!");
+		}
+
+		await RegnetHelper.refundOffers(ctx,propertyID,RegnetHelper.OfferStatus.WITHDRAWN,candidate => candidate.offerID === offerID);
+
+		//Read updated offer and buyer to be returned and published
+		offer = await RegnetHelper.getAsset(ctx,offerKey);
+		let buyer = await RegnetHelper.getAsset(ctx,buyerKey);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.OFFER_WITHDRAWN,{
+			keys: {offer: offerKey, property: RegnetHelper.getPropertyKey(ctx,propertyID), buyer: buyerKey},
+			before: {offerStatus: RegnetHelper.OfferStatus.OPEN},
+			after: {offerStatus: offer.status},
+			amounts: {amount: offer.amount, stampDuty: offer.stampDuty || 0, buyerBalance: buyer.upgradCoins},
+			assets: {offer: offer, buyer: buyer}
+		});
+
+		return offer;
+	}
+
+	/**
+	 * Accept an open offer, settling the sale from escrow and refunding all other open offers
+	 * For jointly held property acceptance is recorded as consent of the co-owner
+	 * and the sale is settled once consenting co-owners hold the consent threshold of shares
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param offerID - ID of the offer to be accepted
+	 * @param name - Name of the property owner
+	 * @param aadharNumber - Aadhar card number of the property owner
+	 * @returns
+	 */
+	async acceptOffer(ctx, propertyID, offerID, name, aadharNumber) {
+		//Allow only users to accept offers
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can accept offers on property");
+		}
+
+		RegnetValidator.checkInputs({propertyID: propertyID, offerID: offerID, name: name, aadharNumber: aadharNumber});
+
+		const ownerKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		await RegnetUserContract.getCallingUser(ctx,ownerKey,"Owner");
+		const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+		let property = await RegnetUserContract.getExistingProperty(ctx,propertyKey);
+
+		//Verify if acceptance is initiated by property owner
+		if(!RegnetHelper.isPropertyOwner(property,ownerKey)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only Owner of the property is allowed to accept offers!!!");
+		}
+
+		//Verify if property is still listed for sale
+		if(property.status !== "onSale"){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Sorry, given property is currently not listed for sale!!!");
+		}
+		RegnetHelper.checkNotRestricted(property);
+
+		const offerKey = RegnetHelper.getOfferKey(ctx,propertyID,offerID);
+		let offer = await RegnetUserContract.getOpenOffer(ctx,offerKey);
+
+		//Expired offers can only be refunded
+		if(RegnetHelper.isOfferExpired(offer,RegnetHelper.getTxDate(ctx))){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Offer has expired and can no longer be accepted!!!");
+		}
+
+		//Record consent and wait for remaining co-owners if threshold is not reached yet
+		offer.consents = offer.consents || [];
+		if(!RegnetHelper.addConsent(property,offer.consents,ownerKey)){
+			await RegnetHelper.putAssetData(ctx,offerKey,offer);
+
+			RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.CONSENT_RECORDED,{
+				keys: {property: propertyKey, offer: offerKey, owner: ownerKey},
+				before: {offerStatus: offer.status},
+				after: {offerStatus: offer.status, pendingOfferStatus: RegnetHelper.OfferStatus.ACCEPTED},
+				amounts: {
+					consentedShare: RegnetHelper.getConsentedShare(property,offer.consents),
+					consentThreshold: property.consentThreshold || RegnetHelper.FULL_CONSENT
+				},
+				assets: {offer: offer}
+			});
+			return property;
+		}
+
+		//Mark offer as accepted, its escrow is paid out to sellers
+		let sellers = RegnetHelper.getOwners(property);
+		offer.status = RegnetHelper.OfferStatus.ACCEPTED;
+		offer.closedAt = RegnetHelper.getTxDate(ctx);
+		await RegnetHelper.putAssetData(ctx,offerKey,offer);
+
+		//Release escrow of all other open offers since property is now sold
+		let cancelledOffers = await RegnetHelper.refundOffers(ctx,propertyID,RegnetHelper.OfferStatus.CANCELLED);
+
+		//Pay off liens, credit rest of escrowed amount to sellers and transfer ownership to buyer
+		let {proceeds, lienPayoffs, cancelledLeases} = await RegnetUserContract.settleSale(ctx,propertyKey,property,offer.buyer,offer.amount);
+
+		//Pay stamp duty held in escrow to treasury, offers placed before fees were introduced carry none
+		let stampDuty = offer.stampDuty || 0;
+		await RegnetHelper.creditTreasury(ctx,offer.buyer,RegnetHelper.FeeTypes.STAMP_DUTY,stampDuty,propertyID);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.OFFER_ACCEPTED,{
+			keys: {offer: offerKey, property: propertyKey, buyer: offer.buyer, sellers: sellers.map(seller => seller.owner), cancelledOffers: cancelledOffers,
+				cancelledLeases: cancelledLeases},
+			before: {status: "onSale", owners: sellers, offerStatus: RegnetHelper.OfferStatus.OPEN},
+			after: {status: property.status, owners: property.owners, offerStatus: offer.status},
+			amounts: {price: property.price, amount: offer.amount, stampDuty: stampDuty, proceeds: proceeds, lienPayoffs: lienPayoffs},
+			assets: {offer: offer, property: property}
+		});
+
+		return property;
+	}
+
+	/**
+	 * Expire offers on a property which have passed their validity and refund their escrow
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @returns
+	 */
+	async expireOffers(ctx, propertyID) {
+		//Allow only users to expire offers
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can expire offers on property");
+		}
+
+		RegnetValidator.checkInputs({propertyID: propertyID});
+
+		let now = RegnetHelper.getTxDate(ctx);
+		let expiredOffers = await RegnetHelper.refundOffers(ctx,propertyID,RegnetHelper.OfferStatus.EXPIRED,
+			offer => RegnetHelper.isOfferExpired(offer,now));
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.OFFERS_EXPIRED,{
+			keys: {property: RegnetHelper.getPropertyKey(ctx,propertyID), expiredOffers: expiredOffers},
+			before: {offerStatus: RegnetHelper.OfferStatus.OPEN},
+			after: {offerStatus: RegnetHelper.OfferStatus.EXPIRED}
+		});
+
+		//Return keys of expired offers
+		return expiredOffers;
+	}
+
+	/**
+	 * View all offers placed on a property
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @returns
+	 */
+	async viewOffers(ctx, propertyID) {
+		RegnetValidator.checkInputs({propertyID: propertyID});
+
+		let offers = await RegnetHelper.getAllAssets(ctx,RegnetHelper.ObjectTypes.OFFER,[propertyID]);
+		return offers.map(offer => offer.value);
+	}
+
+	/**
+	 * Transfer part or whole of a co-owner's share in a property to another user
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param name - Name of the co-owner transferring the share
+	 * @param aadharNumber - Aadhar card number of the co-owner transferring the share
+	 * @param recipientName - Name of the user receiving the share
+	 * @param recipientAadharNumber - Aadhar card number of the user receiving the share, empty to pass it as transient data
+	 * @param share - Percentage share to be transferred
+	 * @returns
+	 */
+	async transferShare(ctx, propertyID, name, aadharNumber, recipientName, recipientAadharNumber, share) {
+		//Allow only users to transfer shares
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can transfer property shares");
+		}
+
+		let transferredShare = RegnetValidator.checkInputs({propertyID: propertyID, name: name, aadharNumber: aadharNumber,
+			recipientName: recipientName, recipientAadharNumber: recipientAadharNumber, share: share}).share;
+
+		const ownerKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		await RegnetUserContract.getCallingUser(ctx,ownerKey,"Owner");
+		const recipientKey = RegnetHelper.getUserKey(ctx,recipientName,recipientAadharNumber,"recipientAadharNumber");
+		await RegnetUserContract.getExistingUser(ctx,recipientKey,"Recipient");
+
+		const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+		let property = await RegnetUserContract.getExistingProperty(ctx,propertyKey);
+
+		//Verify if transfer is initiated by a co-owner holding enough share
+		let owners = RegnetHelper.getOwners(property);
+		let donor = owners.find(owner => owner.owner === ownerKey);
+		if(!donor){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only Owner of the property is allowed to transfer its share!!!");
+		}
+		if(donor.share < transferredShare){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Owner does not hold enough share in the property to transfer!!!");
+		}
+		if(recipientKey === ownerKey){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Invalid transfer, recipient is the owner transferring the share!!!");
+		}
+
+		//Ownership cannot change while buyers are making offers on the property
+		if(property.status === "onSale"){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Shares of a property listed for sale cannot be transferred. Take the property off the market first!!!");
+		}
+		RegnetHelper.checkNotRestricted(property);
+
+		//Move share from donor to recipient, dropping donor once the complete share is transferred. Owners are copied
+		//so that the previous owners reported by the event keep their shares
+		let previousOwners = owners;
+		let newOwners = owners
+			.map(owner => (owner.owner === ownerKey) ? {owner: owner.owner, share: owner.share - transferredShare} : {...owner})
+			.filter(owner => owner.share > 0);
+		let recipient = newOwners.find(owner => owner.owner === recipientKey);
+		if(recipient){
+			recipient.share += transferredShare;
+		} else {
+			newOwners.push({owner: recipientKey, share: transferredShare});
+		}
+
+		//Lease offers were made on behalf of the previous owners
+		let cancelledLeases = await RegnetHelper.cancelLeaseOffers(ctx,propertyID);
+
+		RegnetHelper.setOwners(property,newOwners);
+		property.updatedAt = RegnetHelper.getTxDate(ctx);
+		await RegnetHelper.putAssetData(ctx,propertyKey,property);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.SHARE_TRANSFERRED,{
+			keys: {property: propertyKey, owner: ownerKey, recipient: recipientKey, cancelledLeases: cancelledLeases},
+			before: {owners: previousOwners},
+			after: {owners: newOwners},
+			amounts: {share: transferredShare},
+			assets: {property: property}
+		});
+
+		return property;
+	}
+
+	/**
+	 * Offer a lease of a property to a tenant, the lease comes into force once the tenant accepts it
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param name - Name of the owner
+	 * @param aadharNumber - Aadhar card number of the owner
+	 * @param tenantName - Name of the tenant
+	 * @param tenantAadharNumber - Aadhar card number of the tenant, empty to pass it as transient data
+	 * @param termInMonths - Number of months the lease runs for
+	 * @param monthlyRent - Rent in upgrad coins payable at the start of every month
+	 * @param securityDeposit - Upgrad coins locked from tenant account for the term of the lease
+	 * @returns
+	 */
+	async offerLease(ctx, propertyID, name, aadharNumber, tenantName, tenantAadharNumber, termInMonths, monthlyRent, securityDeposit) {
+		//Allow only users to lease their properties
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can lease properties");
+		}
+
+		let input = RegnetValidator.checkInputs({propertyID: propertyID, name: name, aadharNumber: aadharNumber,
+			tenantName: tenantName, tenantAadharNumber: tenantAadharNumber,
+			termInMonths: termInMonths, monthlyRent: monthlyRent, securityDeposit: securityDeposit});
+
+		const ownerKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		await RegnetUserContract.getCallingUser(ctx,ownerKey,"Owner");
+		const tenantKey = RegnetHelper.getUserKey(ctx,tenantName,tenantAadharNumber,"tenantAadharNumber");
+		await RegnetUserContract.getExistingUser(ctx,tenantKey,"Tenant");
+
+		const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+		let property = await RegnetUserContract.getExistingProperty(ctx,propertyKey);
+
+		//Lease binds all co-owners, hence the owner offering it must hold the consent threshold of shares
+		let lessor = RegnetHelper.getOwners(property).find(owner => owner.owner === ownerKey);
+		if(!lessor){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only Owner of the property is allowed to lease it!!!");
+		}
+		if(lessor.share < (property.consentThreshold || RegnetHelper.FULL_CONSENT)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only an owner holding at least the consent threshold of shares is allowed to lease the property!!!");
+		}
+		if(RegnetHelper.isPropertyOwner(property,tenantKey)){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Invalid lease, tenant is one of the property owners!!!");
+		}
+		RegnetHelper.checkNotRestricted(property);
+
+		//Property can be leased to one tenant at a time
+		if(property.lease){
+			throw new RegnetError(RegnetError.Codes.CONFLICT,"Property is already leased. Terminate the lease before offering a new one!!!");
+		}
+		let leases = await RegnetHelper.getAllAssets(ctx,RegnetHelper.ObjectTypes.LEASE,[propertyID]);
+		if(leases.some(({value: lease}) => lease.status === RegnetHelper.LeaseStatus.OFFERED)){
+			throw new RegnetError(RegnetError.Codes.CONFLICT,"There is already a lease offer on given property. Cancel it before offering a new one!!!");
+		}
+
+		const leaseID = ctx.stub.getTxID();
+		const leaseKey = RegnetHelper.getLeaseKey(ctx,propertyID,leaseID);
+		let newLeaseObject = {
+			leaseID: leaseID,
+			propertyID: propertyID,
+			tenant: tenantKey,
+			offeredBy: ownerKey,
+			termInMonths: input.termInMonths,
+			monthlyRent: input.monthlyRent,
+			securityDeposit: input.securityDeposit,
+			status: RegnetHelper.LeaseStatus.OFFERED,
+			payments: [],
+			createdAt: RegnetHelper.getTxDate(ctx)
+		};
+		await RegnetHelper.putAssetData(ctx,leaseKey,newLeaseObject);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.LEASE_OFFERED,{
+			keys: {lease: leaseKey, property: propertyKey, owner: ownerKey, tenant: tenantKey},
+			after: {leaseStatus: newLeaseObject.status},
+			amounts: {monthlyRent: newLeaseObject.monthlyRent, securityDeposit: newLeaseObject.securityDeposit},
+			assets: {lease: newLeaseObject}
+		});
+
+		return newLeaseObject;
+	}
+
+	/**
+	 * Cancel a lease offer which the tenant has not accepted yet, either by an owner or by the tenant declining it
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param leaseID - ID of the lease
+	 * @param name - Name of the owner or tenant
+	 * @param aadharNumber - Aadhar card number of the owner or tenant
+	 * @returns
+	 */
+	async cancelLeaseOffer(ctx, propertyID, leaseID, name, aadharNumber) {
+		//Allow only users to cancel lease offers
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can cancel lease offers");
+		}
+
+		RegnetValidator.checkInputs({propertyID: propertyID, leaseID: leaseID, name: name, aadharNumber: aadharNumber});
+
+		const userKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		await RegnetUserContract.getCallingUser(ctx,userKey,"User");
+		const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+		let property = await RegnetUserContract.getExistingProperty(ctx,propertyKey);
+		const leaseKey = RegnetHelper.getLeaseKey(ctx,propertyID,leaseID);
+		let lease = await RegnetUserContract.getLease(ctx,leaseKey,RegnetHelper.LeaseStatus.OFFERED);
+
+		if(lease.tenant !== userKey && !RegnetHelper.isPropertyOwner(property,userKey)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only Owner of the property or the tenant is allowed to cancel a lease offer!!!");
+		}
+
+		lease.status = RegnetHelper.LeaseStatus.CANCELLED;
+		lease.cancelledBy = userKey;
+		lease.closedAt = RegnetHelper.getTxDate(ctx);
+		await RegnetHelper.putAssetData(ctx,leaseKey,lease);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.LEASE_OFFER_CANCELLED,{
+			keys: {lease: leaseKey, property: propertyKey, cancelledBy: userKey},
+			before: {leaseStatus: RegnetHelper.LeaseStatus.OFFERED},
+			after: {leaseStatus: lease.status},
+			assets: {lease: lease}
+		});
+
+		return lease;
+	}
+
+	/**
+	 * Accept a lease offer, locking the security deposit and paying rent of the first month from tenant account
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param leaseID - ID of the lease
+	 * @param name - Name of the tenant
+	 * @param aadharNumber - Aadhar card number of the tenant
+	 * @returns
+	 */
+	async acceptLease(ctx, propertyID, leaseID, name, aadharNumber) {
+		//Allow only users to accept leases
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can accept leases");
+		}
+
+		RegnetValidator.checkInputs({propertyID: propertyID, leaseID: leaseID, name: name, aadharNumber: aadharNumber});
+
+		const tenantKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		let tenant = await RegnetUserContract.getCallingUser(ctx,tenantKey,"Tenant");
+		const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+		let property = await RegnetUserContract.getExistingProperty(ctx,propertyKey);
+		const leaseKey = RegnetHelper.getLeaseKey(ctx,propertyID,leaseID);
+		let lease = await RegnetUserContract.getLease(ctx,leaseKey,RegnetHelper.LeaseStatus.OFFERED);
+
+		if(lease.tenant !== tenantKey){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only the tenant named in the lease is allowed to accept it!!!");
+		}
+		RegnetHelper.checkNotRestricted(property);
+
+		//Lease binds all co-owners only while the owner who offered it still holds the consent threshold of shares
+		let lessor = RegnetHelper.getOwners(property).find(owner => owner.owner === lease.offeredBy);
+		if(!lessor || lessor.share < (property.consentThreshold || RegnetHelper.FULL_CONSENT)){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Owner who offered the lease no longer holds the consent threshold of shares in the property!!!");
+		}
+
+		//Verify if tenant has sufficient balance for the security deposit and rent of the first month
+		if(tenant.upgradCoins < lease.securityDeposit + lease.monthlyRent){
+			throw new RegnetError(RegnetError.Codes.INSUFFICIENT_FUNDS,"Sorry, tenant does not have sufficient account balance for the security deposit and first rent. Recharge the tenant account!!!");
+		}
+
+		//Lock security deposit in the lease and pay rent of the first month to owners
+		lease.status = RegnetHelper.LeaseStatus.ACTIVE;
+		lease.startsAt = RegnetHelper.getTxDate(ctx);
+		lease.endsAt = RegnetHelper.addMonths(lease.startsAt,lease.termInMonths);
+		lease.acceptedAt = RegnetHelper.getTxDate(ctx);
+		await RegnetHelper.adjustBalance(ctx,tenantKey,tenant,-lease.securityDeposit,RegnetHelper.EntryTypes.LEASE_DEPOSIT,{propertyID: propertyID, leaseID: leaseID});
+		await RegnetHelper.adjustBalance(ctx,tenantKey,tenant,-lease.monthlyRent,RegnetHelper.EntryTypes.RENT,{propertyID: propertyID, leaseID: leaseID, period: 1});
+		let receipts = await RegnetHelper.creditRent(ctx,property,lease,lease.monthlyRent,1);
+		await RegnetHelper.putAssetData(ctx,leaseKey,lease);
+
+		//Mark property as leased so that it is sold subject to the lease
+		property.lease = {leaseID: leaseID, tenant: tenantKey, startsAt: lease.startsAt, endsAt: lease.endsAt};
+		property.updatedAt = RegnetHelper.getTxDate(ctx);
+		await RegnetHelper.putAssetData(ctx,propertyKey,property);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.LEASE_ACCEPTED,{
+			keys: {lease: leaseKey, property: propertyKey, tenant: tenantKey},
+			before: {leaseStatus: RegnetHelper.LeaseStatus.OFFERED, lease: null},
+			after: {leaseStatus: lease.status, lease: property.lease},
+			amounts: {securityDeposit: lease.securityDeposit, rent: lease.monthlyRent, tenantBalance: tenant.upgradCoins, receipts: receipts},
+			assets: {lease: lease, property: property}
+		});
+
+		return lease;
+	}
+
+	/**
+	 * Pay rent of the earliest unpaid month of an active lease to current owners of the property
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param leaseID - ID of the lease
+	 * @param name - Name of the tenant
+	 * @param aadharNumber - Aadhar card number of the tenant
+	 * @returns
+	 */
+	async payRent(ctx, propertyID, leaseID, name, aadharNumber) {
+		//Allow only users to pay rent
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can pay rent");
+		}
+
+		RegnetValidator.checkInputs({propertyID: propertyID, leaseID: leaseID, name: name, aadharNumber: aadharNumber});
+
+		const tenantKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		let tenant = await RegnetUserContract.getCallingUser(ctx,tenantKey,"Tenant");
+		const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+		let property = await RegnetUserContract.getExistingProperty(ctx,propertyKey);
+		const leaseKey = RegnetHelper.getLeaseKey(ctx,propertyID,leaseID);
+		let lease = await RegnetUserContract.getLease(ctx,leaseKey,RegnetHelper.LeaseStatus.ACTIVE);
+
+		if(lease.tenant !== tenantKey){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only the tenant of the lease is allowed to pay its rent!!!");
+		}
+
+		//Rent is paid month by month in order, tenant may pay ahead of the due date
+		let nextPeriod = RegnetHelper.getRentSchedule(lease).find(period => !period.paidAt);
+		if(!nextPeriod){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Rent for the complete term of the lease has already been paid!!!");
+		}
+		if(tenant.upgradCoins < lease.monthlyRent){
+			throw new RegnetError(RegnetError.Codes.INSUFFICIENT_FUNDS,"Sorry, tenant does not have sufficient account balance to pay the rent. Recharge the tenant account!!!");
+		}
+
+		await RegnetHelper.adjustBalance(ctx,tenantKey,tenant,-lease.monthlyRent,RegnetHelper.EntryTypes.RENT,{propertyID: propertyID, leaseID: leaseID, period: nextPeriod.period});
+		let receipts = await RegnetHelper.creditRent(ctx,property,lease,lease.monthlyRent,nextPeriod.period);
+		lease.updatedAt = RegnetHelper.getTxDate(ctx);
+		await RegnetHelper.putAssetData(ctx,leaseKey,lease);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.RENT_PAID,{
+			keys: {lease: leaseKey, property: propertyKey, tenant: tenantKey, owners: receipts.map(receipt => receipt.owner)},
+			amounts: {period: nextPeriod.period, dueAt: nextPeriod.dueAt, rent: lease.monthlyRent, tenantBalance: tenant.upgradCoins, receipts: receipts},
+			assets: {lease: lease}
+		});
+
+		return lease;
+	}
+
+	/**
+	 * Terminate an active lease, either by an owner or by the tenant, and settle the security deposit
+	 * Overdue rent is paid to owners out of the deposit, month by month as far as it covers, and the rest is refunded to the tenant
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param leaseID - ID of the lease
+	 * @param name - Name of the owner or tenant
+	 * @param aadharNumber - Aadhar card number of the owner or tenant
+	 * @param reason - Reason for the termination
+	 * @returns
+	 */
+	async terminateLease(ctx, propertyID, leaseID, name, aadharNumber, reason) {
+		//Allow only users to terminate leases
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can terminate leases");
+		}
+
+		RegnetValidator.checkInputs({propertyID: propertyID, leaseID: leaseID, name: name, aadharNumber: aadharNumber, reason: reason});
+
+		const userKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		await RegnetUserContract.getCallingUser(ctx,userKey,"User");
+		const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+		let property = await RegnetUserContract.getExistingProperty(ctx,propertyKey);
+		const leaseKey = RegnetHelper.getLeaseKey(ctx,propertyID,leaseID);
+		let lease = await RegnetUserContract.getLease(ctx,leaseKey,RegnetHelper.LeaseStatus.ACTIVE);
+
+		if(lease.tenant !== userKey && !RegnetHelper.isPropertyOwner(property,userKey)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only Owner of the property or the tenant is allowed to terminate the lease!!!");
+		}
+
+		//Settle overdue rent out of the deposit
+		let deposit = lease.securityDeposit;
+		let settledPeriods = [];
+		for(let period of RegnetHelper.getOverdueRent(lease,RegnetHelper.getTxDate(ctx))){
+			if(deposit < period.amount){
+				break;
+			}
+			await RegnetHelper.creditRent(ctx,property,lease,period.amount,period.period);
+			deposit -= period.amount;
+			settledPeriods.push(period.period);
+		}
+		let unpaidPeriods = RegnetHelper.getOverdueRent(lease,RegnetHelper.getTxDate(ctx)).map(period => period.period);
+
+		//Refund rest of the deposit to tenant
+		let tenant = await RegnetHelper.getAsset(ctx,lease.tenant);
+		await RegnetHelper.adjustBalance(ctx,lease.tenant,tenant,deposit,RegnetHelper.EntryTypes.LEASE_DEPOSIT_REFUND,{propertyID: propertyID, leaseID: leaseID});
+
+		lease.status = RegnetHelper.LeaseStatus.TERMINATED;
+		lease.settlement = {settledPeriods: settledPeriods, rentDeducted: lease.securityDeposit - deposit, refunded: deposit, unpaidPeriods: unpaidPeriods};
+		lease.terminatedBy = userKey;
+		lease.reason = reason;
+		lease.closedAt = RegnetHelper.getTxDate(ctx);
+		await RegnetHelper.putAssetData(ctx,leaseKey,lease);
+
+		let previousLease = property.lease;
+		delete property.lease;
+		property.updatedAt = RegnetHelper.getTxDate(ctx);
+		await RegnetHelper.putAssetData(ctx,propertyKey,property);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.LEASE_TERMINATED,{
+			keys: {lease: leaseKey, property: propertyKey, tenant: lease.tenant, terminatedBy: userKey},
+			before: {leaseStatus: RegnetHelper.LeaseStatus.ACTIVE, lease: previousLease},
+			after: {leaseStatus: lease.status, lease: null},
+			amounts: Object.assign({securityDeposit: lease.securityDeposit, tenantBalance: tenant.upgradCoins}, lease.settlement),
+			assets: {lease: lease, property: property},
+			reason: reason
+		});
+
+		return lease;
+	}
+
+	/**
+	 * View all leases ever offered on a property, oldest first
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @returns
+	 */
+	async viewLeases(ctx, propertyID) {
+		RegnetValidator.checkInputs({propertyID: propertyID});
+
+		let leases = await RegnetHelper.getAllAssets(ctx,RegnetHelper.ObjectTypes.LEASE,[propertyID]);
+		return leases
+			.map(lease => lease.value)
+			.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+	}
+
+	/**
+	 * View months of an active lease whose rent is due but not paid
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @param leaseID - ID of the lease
+	 * @returns
+	 */
+	async viewOverdueRent(ctx, propertyID, leaseID) {
+		RegnetValidator.checkInputs({propertyID: propertyID, leaseID: leaseID});
+
+		const leaseKey = RegnetHelper.getLeaseKey(ctx,propertyID,leaseID);
+		let lease = await RegnetUserContract.getLease(ctx,leaseKey,RegnetHelper.LeaseStatus.ACTIVE);
+		let overduePeriods = RegnetHelper.getOverdueRent(lease,RegnetHelper.getTxDate(ctx));
+		return {
+			propertyID: propertyID,
+			leaseID: leaseID,
+			tenant: lease.tenant,
+			overduePeriods: overduePeriods,
+			overdueAmount: overduePeriods.reduce((total, period) => total + period.amount, 0)
+		};
+	}
+
+	/**
+	 * Request split of a property into several new properties, e.g. to divide land between heirs
+	 * New properties are held by the owners of the property and it is retired once Registrar approves the split
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property to be split
+	 * @param name - Name of the owner placing the request
+	 * @param aadharNumber - Aadhar card number of the owner placing the request
+	 * @param parts - JSON array of new properties with propertyID, price, area and surveyNumber, areas adding up to area of the property
+	 * @returns
+	 */
+	async requestPropertySplit(ctx, propertyID, name, aadharNumber, parts) {
+		//Allow only users to request splits
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can request split of properties");
+		}
+
+		RegnetValidator.checkInputs({propertyID: propertyID, name: name, aadharNumber: aadharNumber});
+
+		const ownerKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		await RegnetUserContract.getCallingUser(ctx,ownerKey,"Owner");
+		let [property] = await RegnetUserContract.getRestructurableProperties(ctx,[propertyID],ownerKey);
+
+		let partList = RegnetValidator.parseJSON(parts,"parts");
+		if(!Array.isArray(partList) || partList.length < 2){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Invalid parts. Parts should be a JSON array of at least 2 new properties!!!");
+		}
+		partList = partList.map(part => RegnetValidator.validate(RegnetValidator.Schemas.PROPERTY_PART,part,"part"));
+
+		//Every part is a distinct plot and together they make up the whole property
+		if(new Set(partList.map(part => part.propertyID)).size !== partList.length ||
+			new Set(partList.map(part => part.surveyNumber.toUpperCase())).size !== partList.length){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Every part should have its own property ID and survey number!!!");
+		}
+		let totalArea = partList.reduce((total, part) => total + part.area, 0);
+		if(Math.abs(totalArea - property.metadata.area) > 1e-6){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Areas of parts must add up to area of the property, i.e. " +
+				property.metadata.area + " " + property.metadata.areaUnit + "!!!");
+		}
+
+		//Parts take over location, title deed and documents of the property, one of them may keep its survey number
+		let children = [];
+		for(let part of partList){
+			let metadata = Object.assign({},property.metadata,{area: part.area, surveyNumber: part.surveyNumber});
+			await RegnetHelper.checkNewPropertyID(ctx,part.propertyID);
+			await RegnetHelper.checkSurveyNumber(ctx,metadata,[propertyID]);
+			children.push({
+				propertyID: part.propertyID,
+				price: part.price,
+				consentThreshold: property.consentThreshold,
+				metadata: metadata
+			});
+		}
+
+		return await RegnetUserContract.placeRestructureRequest(ctx,RegnetHelper.RestructureTypes.SPLIT,[property],children,ownerKey);
+	}
+
+	/**
+	 * Request merger of adjacent properties held by the same owners into a single new property
+	 * Properties are retired once Registrar approves the merger
+	 * @param ctx - The transaction context object
+	 * @param propertyIDs - JSON array of IDs of the properties to be merged
+	 * @param name - Name of the owner placing the request
+	 * @param aadharNumber - Aadhar card number of the owner placing the request
+	 * @param newPropertyID - ID of the merged property
+	 * @param price - Price of the merged property
+	 * @param surveyNumber - Survey number of the merged property, may be one of the survey numbers of the merged properties
+	 * @returns
+	 */
+	async requestPropertyMerger(ctx, propertyIDs, name, aadharNumber, newPropertyID, price, surveyNumber) {
+		//Allow only users to request mergers
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can request merger of properties");
+		}
+
+		let input = RegnetValidator.checkInputs({name: name, aadharNumber: aadharNumber, newPropertyID: newPropertyID, price: price, surveyNumber: surveyNumber});
+		let ids = RegnetValidator.validate({propertyIDs: RegnetValidator.Rules.ids(2)},
+			{propertyIDs: RegnetValidator.parseJSON(propertyIDs,"property IDs")},"input").propertyIDs;
+
+		const ownerKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		await RegnetUserContract.getCallingUser(ctx,ownerKey,"Owner");
+		let properties = await RegnetUserContract.getRestructurableProperties(ctx,ids,ownerKey);
+
+		//Only plots held alike and recorded alike can be combined
+		let [first] = properties;
+		if(!properties.every(property => RegnetHelper.isSameOwners(RegnetHelper.getOwners(property),RegnetHelper.getOwners(first)))){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Only properties held by the same owners in the same shares can be merged!!!");
+		}
+		if(!properties.every(property => property.metadata.district.trim().toUpperCase() === first.metadata.district.trim().toUpperCase() &&
+			property.metadata.areaUnit === first.metadata.areaUnit)){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,"Only properties in the same district with area recorded in the same unit can be merged!!!");
+		}
+
+		//Merged property takes over location, title deed and documents of the first property
+		let metadata = Object.assign({},first.metadata,{
+			area: properties.reduce((total, property) => total + property.metadata.area, 0),
+			surveyNumber: input.surveyNumber
+		});
+		await RegnetHelper.checkNewPropertyID(ctx,newPropertyID);
+		await RegnetHelper.checkSurveyNumber(ctx,metadata,ids);
+
+		let children = [{
+			propertyID: newPropertyID,
+			price: input.price,
+			//Strictest consent threshold of the merged properties carries over
+			consentThreshold: Math.max(...properties.map(property => property.consentThreshold)),
+			metadata: metadata
+		}];
+
+		return await RegnetUserContract.placeRestructureRequest(ctx,RegnetHelper.RestructureTypes.MERGE,properties,children,ownerKey);
+	}
+
+	/**
+	 * Give consent of a co-owner to a request to split or merge properties
+	 * Registrar can approve the request once all co-owners have given their consent
+	 * @param ctx - The transaction context object
+	 * @param requestID - ID of the split or merger request
+	 * @param name - Name of the co-owner
+	 * @param aadharNumber - Aadhar card number of the co-owner
+	 * @returns
+	 */
+	async consentToPropertyRestructure(ctx, requestID, name, aadharNumber) {
+		//Allow only users to give consent
+		if(!RegnetUserContract.isRequestedByUser(ctx)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only members of User organization can consent to split or merger of properties");
+		}
+
+		RegnetValidator.checkInputs({requestID: requestID, name: name, aadharNumber: aadharNumber});
+
+		const ownerKey = RegnetHelper.getUserKey(ctx,name,aadharNumber);
+		await RegnetUserContract.getCallingUser(ctx,ownerKey,"Owner");
+		const requestKey = RegnetHelper.getRestructureRequestKey(ctx,requestID);
+		let request = await RegnetHelper.getRestructureRequest(ctx,requestKey);
+
+		if(!RegnetHelper.isRequestPending(request)){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE,"Split or merger request is already " + request.requestStatus + "!!!");
+		}
+		if(!RegnetHelper.isPropertyOwner(request,ownerKey)){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN,"Only Owners of the properties are allowed to consent to their split or merger!!!");
+		}
+
+		RegnetHelper.addConsent(request,request.consents,ownerKey);
+		request.updatedAt = RegnetHelper.getTxDate(ctx);
+		await RegnetHelper.putAssetData(ctx,requestKey,request);
+
+		RegnetHelper.emitEvent(ctx,RegnetHelper.EventTypes.CONSENT_RECORDED,{
+			keys: {request: requestKey, owner: ownerKey},
+			amounts: {consentedShare: RegnetHelper.getConsentedShare(request,request.consents), consentThreshold: RegnetHelper.FULL_CONSENT},
+			assets: {request: request}
+		});
+
+		return request;
+	}
+
+	/**
+	 * View current state of a request to split or merge properties
+	 * @param ctx - The transaction context object
+	 * @param requestID - ID of the split or merger request
+	 * @returns
+	 */
+	async viewRestructureRequest(ctx, requestID) {
+		RegnetValidator.checkInputs({requestID: requestID});
+		return await RegnetHelper.getRestructureRequest(ctx,RegnetHelper.getRestructureRequestKey(ctx,requestID));
+	}
+
+	/**
+	 * View properties a property was carved out of and properties it was split or merged into
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property
+	 * @returns
+	 */
+	async getPropertyLineage(ctx, propertyID) {
+		RegnetValidator.checkInputs({propertyID: propertyID});
+
+		const propertyKey = RegnetHelper.getPropertyKey(ctx,propertyID);
+		let property = await RegnetUserContract.getExistingProperty(ctx,propertyKey);
+		return await RegnetHelper.getLineage(ctx,property);
 	}
 
 }
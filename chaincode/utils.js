@@ -1,31 +1,1734 @@
 'use strict';
 
+const crypto = require('crypto');
+const RegnetError = require('./errors.js');
+const RegnetValidator = require('./validation.js');
+const {RegnetAsset, UserRequest, User, PropertyRequest, Property} = require('./assets.js');
+
+//Common prefix of all object types
+const OBJECT_TYPE_PREFIX = 'org.property-registration-network.regnet.';
+
+//Object types used to construct composite keys of assets stored on ledger
+const ObjectTypes = {
+	USER_REQUEST: 'org.property-registration-network.regnet.request.user',
+	USER: 'org.property-registration-network.regnet.user',
+	PROPERTY_REQUEST: 'org.property-registration-network.regnet.request.property',
+	RESTRUCTURE_REQUEST: 'org.property-registration-network.regnet.request.restructure',
+	PROPERTY: 'org.property-registration-network.regnet.property',
+	RECEIPT: 'org.property-registration-network.regnet.receipt',
+	WITHDRAWAL: 'org.property-registration-network.regnet.withdrawal',
+	OFFER: 'org.property-registration-network.regnet.offer',
+	FEE_SCHEDULE: 'org.property-registration-network.regnet.feeschedule',
+	APPROVAL_POLICY: 'org.property-registration-network.regnet.approvalpolicy',
+	TREASURY: 'org.property-registration-network.regnet.treasury',
+	FEE: 'org.property-registration-network.regnet.fee',
+	SURVEY_NUMBER: 'org.property-registration-network.regnet.surveynumber',
+	LIEN: 'org.property-registration-network.regnet.lien',
+	INTERVENTION: 'org.property-registration-network.regnet.intervention',
+	LEDGER_ENTRY: 'org.property-registration-network.regnet.ledgerentry',
+	LEASE: 'org.property-registration-network.regnet.lease'
+};
+
+//Lifecycle states of bank deposit receipts
+const ReceiptStatus = {
+	ISSUED: 'issued',
+	REDEEMED: 'redeemed'
+};
+
+//Lifecycle states of purchase offers placed on properties listed for sale
+const OfferStatus = {
+	OPEN: 'open',
+	ACCEPTED: 'accepted',
+	WITHDRAWN: 'withdrawn',
+	EXPIRED: 'expired',
+	CANCELLED: 'cancelled'
+};
+
+//Lifecycle states of withdrawals of upgrad coins
+const WithdrawalStatus = {
+	REQUESTED: 'requested',
+	COMPLETED: 'completed',
+	REJECTED: 'rejected'
+};
+
+//Lifecycle states of liens held against properties, an active lien also lapses once past its expiry time
+const LienStatus = {
+	ACTIVE: 'active',
+	RELEASED: 'released',
+	PAID_OFF: 'paidOff'
+};
+
+//Lifecycle states of lease agreements, an offered lease becomes active once the tenant accepts it
+const LeaseStatus = {
+	OFFERED: 'offered',
+	ACTIVE: 'active',
+	CANCELLED: 'cancelled',
+	TERMINATED: 'terminated'
+};
+
+//Kinds of registrar interventions on properties acting on court orders or fraud reports
+const InterventionTypes = {
+	FREEZE: 'freeze',
+	UNFREEZE: 'unfreeze',
+	DISPUTE: 'dispute',
+	RESOLVE_DISPUTE: 'resolveDispute',
+	COURT_ORDERED_TRANSFER: 'courtOrderedTransfer'
+};
+
+//Kinds of restructuring of land, a split carves a property into several and a merger combines several into one
+const RestructureTypes = {
+	SPLIT: 'split',
+	MERGE: 'merge'
+};
+
+//Reasons for which upgradCoins balance of a user changes, recorded on every entry of the account statement
+const EntryTypes = {
+	RECHARGE: 'recharge',
+	WITHDRAWAL: 'withdrawal',
+	WITHDRAWAL_REFUND: 'withdrawalRefund',
+	TRANSFER: 'transfer',
+	PURCHASE: 'purchase',
+	SALE_PROCEEDS: 'saleProceeds',
+	OFFER_ESCROW: 'offerEscrow',
+	OFFER_REFUND: 'offerRefund',
+	LIEN_PAYOFF: 'lienPayoff',
+	FEE: 'fee',
+	RENT: 'rent',
+	LEASE_DEPOSIT: 'leaseDeposit',
+	LEASE_DEPOSIT_REFUND: 'leaseDepositRefund'
+};
+
+//Kinds of fees collected into the treasury
+const FeeTypes = {
+	REGISTRATION_FEE: 'registrationFee',
+	STAMP_DUTY: 'stampDuty'
+};
+
+//Outcomes of records of a bulk import, records created by an earlier run of the same import are reported as existing
+const ImportResults = {
+	CREATED: 'created',
+	EXISTING: 'existing',
+	FAILED: 'failed'
+};
+
+//Lifecycle states of user and property registration requests
+const RequestStatus = {
+	PENDING: 'pending',
+	APPROVED: 'approved',
+	REJECTED: 'rejected',
+	EXPIRED: 'expired'
+};
+
+//Version of the payload format of chaincode events, to be incremented on incompatible changes
+const EVENT_SCHEMA_VERSION = 2;
+
+//Types of chaincode events emitted on state transitions
+const EventTypes = {
+	USER_REGISTRATION_REQUESTED: 'UserRegistrationRequested',
+	USER_REGISTRATION_APPROVED: 'UserRegistrationApproved',
+	USER_REGISTRATION_REJECTED: 'UserRegistrationRejected',
+	ACCOUNT_RECHARGED: 'AccountRecharged',
+	PROPERTY_REGISTRATION_REQUESTED: 'PropertyRegistrationRequested',
+	PROPERTY_REGISTRATION_APPROVED: 'PropertyRegistrationApproved',
+	PROPERTY_REGISTRATION_REJECTED: 'PropertyRegistrationRejected',
+	REGISTRATION_REQUESTS_EXPIRED: 'RegistrationRequestsExpired',
+	PROPERTY_STATUS_UPDATED: 'PropertyStatusUpdated',
+	PROPERTY_PURCHASED: 'PropertyPurchased',
+	DEPOSIT_RECORDED: 'DepositRecorded',
+	WITHDRAWAL_REQUESTED: 'WithdrawalRequested',
+	WITHDRAWAL_COMPLETED: 'WithdrawalCompleted',
+	WITHDRAWAL_REJECTED: 'WithdrawalRejected',
+	OFFER_PLACED: 'OfferPlaced',
+	OFFER_WITHDRAWN: 'OfferWithdrawn',
+	OFFER_ACCEPTED: 'OfferAccepted',
+	OFFERS_EXPIRED: 'OffersExpired',
+	CONSENT_RECORDED: 'ConsentRecorded',
+	SHARE_TRANSFERRED: 'ShareTransferred',
+	USER_RECORDS_MIGRATED: 'UserRecordsMigrated',
+	USER_ID_KEY_SET: 'UserIDKeySet',
+	ASSETS_MIGRATED: 'AssetsMigrated',
+	USERS_IMPORTED: 'UsersImported',
+	PROPERTIES_IMPORTED: 'PropertiesImported',
+	IDENTITY_REBIND_REQUESTED: 'IdentityRebindRequested',
+	IDENTITY_REBOUND: 'IdentityRebound',
+	IDENTITY_REBIND_REJECTED: 'IdentityRebindRejected',
+	FEE_SCHEDULE_UPDATED: 'FeeScheduleUpdated',
+	APPROVAL_POLICY_UPDATED: 'ApprovalPolicyUpdated',
+	REGISTRATION_APPROVAL_RECORDED: 'RegistrationApprovalRecorded',
+	LIEN_PLACED: 'LienPlaced',
+	LIEN_RELEASED: 'LienReleased',
+	PROPERTY_FROZEN: 'PropertyFrozen',
+	PROPERTY_UNFROZEN: 'PropertyUnfrozen',
+	PROPERTY_DISPUTED: 'PropertyDisputed',
+	DISPUTE_RESOLVED: 'DisputeResolved',
+	COURT_ORDERED_TRANSFER: 'CourtOrderedTransfer',
+	COINS_TRANSFERRED: 'CoinsTransferred',
+	PROPERTY_SPLIT_REQUESTED: 'PropertySplitRequested',
+	PROPERTY_MERGER_REQUESTED: 'PropertyMergerRequested',
+	PROPERTY_SPLIT: 'PropertySplit',
+	PROPERTIES_MERGED: 'PropertiesMerged',
+	PROPERTY_RESTRUCTURE_REJECTED: 'PropertyRestructureRejected',
+	LEASE_OFFERED: 'LeaseOffered',
+	LEASE_OFFER_CANCELLED: 'LeaseOfferCancelled',
+	LEASE_ACCEPTED: 'LeaseAccepted',
+	RENT_PAID: 'RentPaid',
+	LEASE_TERMINATED: 'LeaseTerminated'
+};
+
+//Percentage of ownership shares whose consent is needed by default, i.e. consent of all co-owners
+const FULL_CONSENT = 100;
+
+//Number of milliseconds in a day, used to compute age of requests
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+//Organizations enrolling identities of each role. Any CA can issue the regnet.role attribute, e.g. the one of User
+//organization enrolling ordinary users, hence the attribute is honoured only for members of these organizations
+const ROLE_MSPS = {bank: 'bankMSP', lender: 'lenderMSP'};
+
+//Private data collection holding Aadhar number, email ID and phone number of users
+//Readable only by members of Registrar, User, Bank and Lender organizations, see collections_config.json
+const PII_COLLECTION = 'regnetUserPII';
+const PII_READERS = ['registrarMSP', 'usersMSP', 'bankMSP', 'lenderMSP'];
+
+//Key in the private data collection of the secret user IDs are derived with. Without it, IDs on the public ledger
+//could be recomputed from a name by trying every Aadhar number
+const USER_ID_KEY = 'userIDKey';
+
+//Name under which title deed hash is verified, supporting documents are verified by their own names
+const TITLE_DEED = 'titleDeed';
+
+//Fees charged until Registrar sets a fee schedule
+const DEFAULT_FEE_SCHEDULE = {registrationFee: 0, stampDutyBands: []};
+
+//Approvals needed until Registrar sets an approval policy, a single registrar approves any registration
+const DEFAULT_APPROVAL_POLICY = {userApprovals: 1, propertyApprovalBands: []};
+
+//Government treasury account into which all fees are credited
+const TREASURY_ID = 'government';
+
+//Stamp duty rates are expressed in basis points, i.e. hundredths of a percent
+const BASIS_POINTS = 10000;
+
+//Number of records returned in a page when caller does not specify page size
+const DEFAULT_PAGE_SIZE = 10;
+
+//Number of records accepted by a single bulk import, larger registries are imported in several transactions
+const MAX_IMPORT_RECORDS = 500;
+
+//Lowest and highest code points, a range query starting at key + MIN skips the key and one ending at prefix + MAX covers the prefix
+const MIN_UNICODE_RUNE_VALUE = '\u0000';
+const MAX_UNICODE_RUNE_VALUE = '\u{10ffff}';
+
+//Classes describing shape and schema version of assets, assets of other types are described by RegnetAsset
+const AssetClasses = {
+	[ObjectTypes.USER_REQUEST]: UserRequest,
+	[ObjectTypes.USER]: User,
+	[ObjectTypes.PROPERTY_REQUEST]: PropertyRequest,
+	[ObjectTypes.PROPERTY]: Property
+};
+
+//Schemas of assets checked before every write, personal details must never reach the public ledger
+const Rules = RegnetValidator.Rules;
+const AssetSchemas = {
+	[ObjectTypes.USER_REQUEST]: {
+		name: Rules.NAME,
+		userID: Rules.USER_ID,
+		identity: Rules.optional(Rules.IDENTITY),
+		requestStatus: Rules.oneOf(Object.values(RequestStatus)),
+		aadharNumber: Rules.absent(),
+		emailId: Rules.absent(),
+		phoneNumber: Rules.absent()
+	},
+	[ObjectTypes.USER]: {
+		name: Rules.NAME,
+		userID: Rules.USER_ID,
+		identity: Rules.optional(Rules.IDENTITY),
+		pendingIdentity: Rules.optional(Rules.object()),
+		upgradCoins: Rules.wholeNumber(0),
+		aadharNumber: Rules.absent(),
+		emailId: Rules.absent(),
+		phoneNumber: Rules.absent()
+	},
+	[ObjectTypes.PROPERTY_REQUEST]: {
+		propertyID: Rules.ID,
+		price: Rules.PRICE,
+		//Requests placed before joint ownership was introduced name a single owner
+		owners: Rules.optional(Rules.owners()),
+		owner: Rules.optional(Rules.KEY),
+		consentThreshold: Rules.optional(Rules.wholeNumber(51, FULL_CONSENT)),
+		//Requests placed before metadata was introduced carry none
+		metadata: Rules.optional(Rules.object()),
+		//Corrections of metadata made by registrars while approvals are being collected
+		metadataAmendments: Rules.optional(Rules.object()),
+		requestStatus: Rules.oneOf(Object.values(RequestStatus))
+	},
+	[ObjectTypes.PROPERTY]: {
+		propertyID: Rules.ID,
+		price: Rules.PRICE,
+		//Retired properties have been split or merged into other properties
+		status: Rules.oneOf(["registered", "onSale", "retired"]),
+		//Properties registered before joint ownership was introduced carry a single owner
+		owners: Rules.optional(Rules.owners()),
+		owner: Rules.optional(Rules.KEY),
+		consentThreshold: Rules.optional(Rules.wholeNumber(51, FULL_CONSENT)),
+		metadata: Rules.optional(Rules.object()),
+		//Restrictions imposed by registrar, absent while property is unrestricted
+		freeze: Rules.optional(Rules.object()),
+		dispute: Rules.optional(Rules.object()),
+		//Lease in force, absent while property is not leased
+		lease: Rules.optional(Rules.object()),
+		//Lineage of properties created or retired by a split or merger
+		parents: Rules.optional(Rules.ids(1)),
+		children: Rules.optional(Rules.ids(1))
+	},
+	[ObjectTypes.RESTRUCTURE_REQUEST]: {
+		requestID: Rules.ID,
+		restructureType: Rules.oneOf(Object.values(RestructureTypes)),
+		parents: Rules.ids(1),
+		owners: Rules.owners(),
+		requestedBy: Rules.KEY,
+		requestStatus: Rules.oneOf(Object.values(RequestStatus))
+	},
+	[ObjectTypes.SURVEY_NUMBER]: {
+		propertyID: Rules.ID
+	},
+	[ObjectTypes.FEE_SCHEDULE]: RegnetValidator.Schemas.FEE_SCHEDULE,
+	[ObjectTypes.APPROVAL_POLICY]: RegnetValidator.Schemas.APPROVAL_POLICY,
+	[ObjectTypes.TREASURY]: {
+		treasuryID: Rules.oneOf([TREASURY_ID]),
+		balance: Rules.wholeNumber(0)
+	},
+	[ObjectTypes.FEE]: {
+		feeID: Rules.ID,
+		feeType: Rules.oneOf(Object.values(FeeTypes)),
+		payer: Rules.KEY,
+		propertyID: Rules.ID,
+		amount: Rules.wholeNumber(1)
+	},
+	[ObjectTypes.LIEN]: {
+		lienID: Rules.ID,
+		propertyID: Rules.ID,
+		holder: Rules.KEY,
+		amount: Rules.wholeNumber(1),
+		status: Rules.oneOf(Object.values(LienStatus))
+	},
+	[ObjectTypes.INTERVENTION]: {
+		interventionID: Rules.ID,
+		propertyID: Rules.ID,
+		interventionType: Rules.oneOf(Object.values(InterventionTypes)),
+		caseReference: Rules.text(100),
+		reason: Rules.text(500)
+	},
+	[ObjectTypes.LEASE]: {
+		leaseID: Rules.ID,
+		propertyID: Rules.ID,
+		tenant: Rules.KEY,
+		offeredBy: Rules.KEY,
+		termInMonths: Rules.LEASE_TERM,
+		monthlyRent: Rules.wholeNumber(1),
+		securityDeposit: Rules.wholeNumber(0),
+		status: Rules.oneOf(Object.values(LeaseStatus))
+	},
+	[ObjectTypes.LEDGER_ENTRY]: {
+		userID: Rules.USER_ID,
+		user: Rules.KEY,
+		entryType: Rules.oneOf(Object.values(EntryTypes)),
+		direction: Rules.oneOf(["credit", "debit"]),
+		amount: Rules.wholeNumber(1),
+		balance: Rules.wholeNumber(0),
+		reference: Rules.object()
+	}
+};
+
 //This class contains all helper utility functions like fetching data from ledger, verifying data existence...
 class RegnetHelper {
   /**
 	 * Helper function to get asset data buffer from ledger
 	 * @param ctx - The transaction context object
-	 * @param assetKey - Composite key of asset to be fetched
+	 * @param assetKey - Composite key of asset to be fetched
+	 * @returns
+	 */
+	static async getAssetBuffer(ctx, assetKey) {
+		//Ledger reads do not reflect writes of the current transaction, hence serve those from transaction cache
+		if(ctx.writeCache && ctx.writeCache.has(assetKey)){
+			return ctx.writeCache.get(assetKey);
+		}
+
+		//Fetch asset details with given key, failures of the peer are reported instead of being mistaken for a missing asset
+		return await ctx.stub
+									.getState(assetKey)
+									.catch(err => {
+										throw new RegnetError(RegnetError.Codes.LEDGER_ERROR, "Could not read asset from ledger. " + err.message);
+									});
+	}
+
+	/**
+	 * Helper function to fetch an asset from ledger
+	 * @param ctx - The transaction context object
+	 * @param assetKey - Composite key of asset to be fetched
+	 * @returns
+	 */
+	static async getAsset(ctx, assetKey) {
+		let assetBuffer = await RegnetHelper.getAssetBuffer(ctx, assetKey);
+		return RegnetHelper.deserialize(ctx, assetKey, assetBuffer);
+	}
+
+	/**
+	 * Helper function to get the class describing assets stored under given key
+	 * @param ctx - The transaction context object
+	 * @param assetKey - Composite key of the asset
+	 * @returns
+	 */
+	static getAssetClass(ctx, assetKey) {
+		let {objectType} = ctx.stub.splitCompositeKey(assetKey);
+		return AssetClasses[objectType] || RegnetAsset;
+	}
+
+	/**
+	 * Helper function to convert an asset to the buffer stored on ledger
+	 * Assets of older schema versions are upgraded first, hence every write leaves the asset at current version of its type
+	 * @param ctx - The transaction context object
+	 * @param assetKey - Composite key of the asset
+	 * @param asset - Asset object
+	 * @returns
+	 */
+	static serialize(ctx, assetKey, asset) {
+		RegnetHelper.getAssetClass(ctx, assetKey).upgrade(asset);
+		return Buffer.from(JSON.stringify(asset));
+	}
+
+	/**
+	 * Helper function to convert a buffer read from ledger to an asset
+	 * Records of older schema versions are returned as they are until they are written again or migrateAssets upgrades
+	 * them, records of newer versions are refused as this chaincode cannot know their shape
+	 * @param ctx - The transaction context object
+	 * @param assetKey - Composite key of the asset
+	 * @param buffer - Buffer read from ledger
+	 * @returns
+	 */
+	static deserialize(ctx, assetKey, buffer) {
+		let asset = JSON.parse(buffer.toString('utf8'));
+		let assetClass = RegnetHelper.getAssetClass(ctx, assetKey);
+		if(asset.schemaVersion > assetClass.SCHEMA_VERSION){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE, "Asset was written with schema version " + asset.schemaVersion +
+				" while this chaincode supports up to version " + assetClass.SCHEMA_VERSION + ". Upgrade the chaincode!!!");
+		}
+		return asset;
+	}
+
+	/**
+	 * Helper function to get time of the current transaction
+	 * Time proposed by the client is the same on all endorsing peers, unlike clocks of the peers
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	static getTxDate(ctx) {
+		return RegnetHelper.toDate(ctx.stub.getTxTimestamp());
+	}
+
+	/**
+	 * Helper function to put asset data on ledger
+	 * @param ctx - The transaction context object
+	 * @param assetKey - Composite key of asset to be created or updated
+	 * @param assetData - Asset data to put on ledger
+	 * @returns
+	 */
+	static async putAssetData(ctx, assetKey, assetData) {
+		//Convert input JSON object to buffer, upgrading it to current schema version first
+		let dataBuffer = RegnetHelper.serialize(ctx, assetKey, assetData);
+
+		//Validate asset against schema of its object type, if any
+		let {objectType} = ctx.stub.splitCompositeKey(assetKey);
+		if(AssetSchemas[objectType]){
+			RegnetValidator.validate(AssetSchemas[objectType], assetData, objectType.split('regnet.').pop());
+		}
+
+		//Store the asset to blockchain
+		await ctx.stub.putState(assetKey, dataBuffer);
+
+		//Remember the write so that later reads in the same transaction see updated asset
+		ctx.writeCache = ctx.writeCache || new Map();
+		ctx.writeCache.set(assetKey, dataBuffer);
+	}
+
+	/**
+	 * Helper function to delete asset from ledger
+	 * @param ctx - The transaction context object
+	 * @param assetKey - Composite key of asset to be deleted
+	 * @returns
+	 */
+	static async deleteAsset(ctx, assetKey) {
+		await ctx.stub.deleteState(assetKey);
+
+		//Remember the deletion so that later reads in the same transaction do not find the asset
+		ctx.writeCache = ctx.writeCache || new Map();
+		ctx.writeCache.set(assetKey, Buffer.from(''));
+	}
+
+	/**
+	 * Helper function to read all key-value pairs from a state query iterator
+	 * @param ctx - The transaction context object
+	 * @param iterator - State query iterator returned by the stub
+	 * @returns
+	 */
+	static async getAllResults(ctx, iterator) {
+		let results = [];
+
+		//Iterate through all records and convert each one to JSON object
+		while(true){
+			let res = await iterator.next();
+			if(res.value){
+				results.push({
+					key: res.value.key,
+					value: RegnetHelper.deserialize(ctx, res.value.key, res.value.value)
+				});
+			}
+			if(res.done){
+				await iterator.close();
+				return results;
+			}
+		}
+	}
+
+	/**
+	 * Helper function to validate page size and fall back to default when it is not provided
+	 * @param pageSize - Page size passed to a transaction
+	 * @returns
+	 */
+	static getPageSize(pageSize) {
+		let size = (pageSize === undefined || pageSize === '') ? DEFAULT_PAGE_SIZE : Number(pageSize);
+		if(!Number.isInteger(size) || size <= 0){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT, "Invalid page size. Page size should be a positive integer!!!");
+		}
+		return size;
+	}
+
+	/**
+	 * Helper function to fetch a page of assets of given object type matching a filter
+	 * Pages are read through partial composite key scans so that they work with LevelDB as well as CouchDB
+	 * @param ctx - The transaction context object
+	 * @param objectType - Object type of assets to be scanned
+	 * @param pageSize - Maximum number of matching assets to be returned
+	 * @param bookmark - Bookmark returned with previous page, empty for first page
+	 * @param filter - Function deciding whether an asset is to be included in the page, all assets if not given
+	 * @param attributes - Leading attributes of composite keys to be scanned, all assets of the type if not given
+	 * @returns
+	 */
+	static async getAssetsPage(ctx, objectType, pageSize, bookmark, filter, attributes) {
+		let size = RegnetHelper.getPageSize(pageSize);
+		let records = [];
+		let nextBookmark = bookmark || '';
+		let exhausted = false;
+
+		//Keep scanning until page is full, fetching only as many records as are still required
+		//so that bookmark never skips a matching record
+		while(records.length < size && !exhausted){
+			let requested = size - records.length;
+			let {iterator, metadata} = await ctx.stub.getStateByPartialCompositeKeyWithPagination(objectType, attributes || [], requested, nextBookmark);
+			let results = await RegnetHelper.getAllResults(ctx, iterator);
+
+			results.filter(result => !filter || filter(result.value)).forEach(result => records.push(result.value));
+			nextBookmark = metadata.bookmark;
+			//Peers return an empty bookmark after the last record, scanning again would restart from the first one
+			exhausted = metadata.fetched_records_count < requested || !nextBookmark;
+		}
+
+		return {
+			records: records,
+			fetchedRecordsCount: records.length,
+			//Empty bookmark indicates that there are no more pages
+			bookmark: exhausted ? '' : nextBookmark
+		};
+	}
+
+	/**
+	 * Helper function to fetch a page of properties matching given criteria
+	 * @param ctx - The transaction context object
+	 * @param criteria - Object with optional owner, name and aadharNumber of owner, status, minPrice and maxPrice
+	 * @param pageSize - Maximum number of properties to be returned
+	 * @param bookmark - Bookmark returned with previous page, empty for first page
+	 * @returns
+	 */
+	static async queryProperties(ctx, criteria, pageSize, bookmark) {
+		//Owner can be given either as user key or as name and Aadhar number of the user
+		let owner = criteria.owner;
+		if(!owner && criteria.name && criteria.aadharNumber){
+			owner = RegnetHelper.getUserKey(ctx, criteria.name, criteria.aadharNumber);
+		}
+
+		let minPrice = (criteria.minPrice === undefined) ? -Infinity : Number(criteria.minPrice);
+		let maxPrice = (criteria.maxPrice === undefined) ? Infinity : Number(criteria.maxPrice);
+		if(isNaN(minPrice) || isNaN(maxPrice)){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT, "Invalid price range. Minimum and maximum price should be numbers!!!");
+		}
+
+		return await RegnetHelper.getAssetsPage(ctx, ObjectTypes.PROPERTY, pageSize, bookmark, property =>
+			(!owner || RegnetHelper.isPropertyOwner(property, owner)) &&
+			(!criteria.status || property.status === criteria.status) &&
+			property.price >= minPrice &&
+			property.price <= maxPrice
+		);
+	}
+
+	/**
+	 * Helper function to parse query criteria passed to a transaction as JSON string
+	 * @param queryString - JSON string of query criteria, may be empty
+	 * @returns
+	 */
+	static parseQueryCriteria(queryString) {
+		if(!queryString){
+			return {};
+		}
+		return RegnetValidator.parseJSON(queryString, "query");
+	}
+
+	/**
+	 * Helper function to fetch all assets of given object type from ledger
+	 * Unlike paginated scans this can be used in transactions that update the ledger
+	 * @param ctx - The transaction context object
+	 * @param objectType - Object type of assets to be fetched
+	 * @param attributes - Leading attributes of composite keys to be matched, all assets of the type if not given
+	 * @returns
+	 */
+	static async getAllAssets(ctx, objectType, attributes) {
+		let iterator = await ctx.stub.getStateByPartialCompositeKey(objectType, attributes || []);
+		let results = await RegnetHelper.getAllResults(ctx, iterator);
+
+		//Reflect writes and deletions made earlier in the same transaction
+		if(!ctx.writeCache){
+			return results;
+		}
+		return results
+			.map(result => ctx.writeCache.has(result.key) ? {key: result.key, buffer: ctx.writeCache.get(result.key)} : result)
+			.filter(result => !result.buffer || result.buffer.length !== 0)
+			.map(result => result.buffer ? {key: result.key, value: RegnetHelper.deserialize(ctx, result.key, result.buffer)} : result);
+	}
+
+	/**
+	 * Helper function to get the object type of assets of given type, e.g. property or request.user
+	 * @param assetType - Object type without the common prefix of all object types
+	 * @returns
+	 */
+	static getObjectType(assetType) {
+		let objectType = Object.values(ObjectTypes).find(type => type === OBJECT_TYPE_PREFIX + assetType);
+		if(!objectType){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT, "Invalid asset type. Asset type should be one of " +
+				Object.values(ObjectTypes).map(type => type.substring(OBJECT_TYPE_PREFIX.length)).join(', ') + "!!!");
+		}
+		return objectType;
+	}
+
+	/**
+	 * Helper function to list the current schema version of every asset type
+	 * @returns
+	 */
+	static getSchemaVersions() {
+		let versions = {};
+		for(let objectType of Object.values(ObjectTypes)){
+			versions[objectType.substring(OBJECT_TYPE_PREFIX.length)] = (AssetClasses[objectType] || RegnetAsset).SCHEMA_VERSION;
+		}
+		return versions;
+	}
+
+	/**
+	 * Helper function to upgrade a batch of assets of given object type to the current schema version of the type
+	 * Assets are examined in key order starting after bookmark. Paginated queries cannot be used in transactions that
+	 * write, hence the bookmark is the key of the last asset examined and the range query starts right after it
+	 * Assets which cannot be upgraded are reported and left as they are
+	 * @param ctx - The transaction context object
+	 * @param objectType - Object type of assets to be upgraded
+	 * @param batchSize - Maximum number of assets to be examined
+	 * @param bookmark - Bookmark returned with previous batch, empty for first batch
+	 * @returns
+	 */
+	static async migrateAssets(ctx, objectType, batchSize, bookmark) {
+		let assetClass = AssetClasses[objectType] || RegnetAsset;
+		let batch = {migrated: [], failed: [], upToDate: 0, bookmark: ''};
+		let lastKey = null;
+		let examined = 0;
+
+		//Bookmarks outside the keys of the object type cannot move the range onto assets of other types
+		const prefix = ctx.stub.createCompositeKey(objectType, []);
+		const startKey = (bookmark && bookmark > prefix) ? bookmark + MIN_UNICODE_RUNE_VALUE : prefix;
+		let iterator = await ctx.stub.getStateByRange(startKey, prefix + MAX_UNICODE_RUNE_VALUE);
+		while(true){
+			let res = await iterator.next();
+			if(res.value){
+				//Another asset remains after a full batch, next batch resumes after the last asset examined
+				if(examined === batchSize){
+					batch.bookmark = lastKey;
+					break;
+				}
+				examined++;
+				lastKey = res.value.key;
+
+				try {
+					let asset = RegnetHelper.deserialize(ctx, res.value.key, res.value.value);
+					let version = asset.schemaVersion || 0;
+					if(version === assetClass.SCHEMA_VERSION){
+						batch.upToDate++;
+					} else {
+						await RegnetHelper.putAssetData(ctx, res.value.key, asset);
+						batch.migrated.push({key: res.value.key, fromVersion: version, toVersion: assetClass.SCHEMA_VERSION});
+					}
+				} catch(err) {
+					batch.failed.push({key: res.value.key, reason: err.message});
+				}
+			}
+			if(res.done){
+				break;
+			}
+		}
+		await iterator.close();
+		return batch;
+	}
+
+	/**
+	 * Helper function to parse records passed to a bulk import
+	 * @param json - JSON array of records
+	 * @param label - Name of the records used in error message
+	 * @returns
+	 */
+	static parseImportBatch(json, label) {
+		let records = RegnetValidator.parseJSON(json, label);
+		if(!Array.isArray(records) || records.length === 0 || records.length > MAX_IMPORT_RECORDS){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT, "Invalid " + label + ". " + label + " should be a JSON array of 1 to " + MAX_IMPORT_RECORDS + " records!!!");
+		}
+		return records;
+	}
+
+	/**
+	 * Helper function to import records one by one, a record which cannot be imported is reported and does not stop the
+	 * others. Records are fully checked before they are written, hence a failed record leaves nothing behind
+	 * @param records - Records to be imported
+	 * @param importRecord - Async function importing a record and returning its key and result, throwing if it fails
+	 * @returns
+	 */
+	static async importRecords(records, importRecord) {
+		let batch = {created: 0, existing: 0, failed: 0, results: []};
+		for(let index = 0; index < records.length; index++){
+			let result;
+			try {
+				result = Object.assign({index: index}, await importRecord(records[index]));
+			} catch(err) {
+				result = {index: index, key: null, result: ImportResults.FAILED, reason: err.message};
+			}
+			batch[result.result]++;
+			batch.results.push(result);
+		}
+		return batch;
+	}
+
+	/**
+	 * Helper function to get identity of the submitter of current transaction
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	static getActor(ctx) {
+		return {
+			mspId: ctx.clientIdentity.getMSPID(),
+			id: ctx.clientIdentity.getID()
+		};
+	}
+
+	/**
+	 * Helper function to check if a registration request is still awaiting registrar action
+	 * Requests created before request lifecycle was introduced do not carry a status and are treated as pending
+	 * @param request - User or property registration request object
+	 * @returns
+	 */
+	static isRequestPending(request) {
+		return !request.requestStatus || request.requestStatus === RequestStatus.PENDING;
+	}
+
+	/**
+	 * Helper function to check if a new request may be placed in place of an existing one
+	 * Only requests which were rejected or have expired can be placed again
+	 * @param ctx - The transaction context object
+	 * @param requestKey - Composite key of the registration request
+	 * @returns
+	 */
+	static async canPlaceRequest(ctx, requestKey) {
+		if(!await RegnetHelper.isAssetExisting(ctx, requestKey)){
+			return true;
+		}
+		let request = await RegnetHelper.getAsset(ctx, requestKey);
+		return request.requestStatus === RequestStatus.REJECTED || request.requestStatus === RequestStatus.EXPIRED;
+	}
+
+	/**
+	 * Helper function to move a registration request to a terminal state
+	 * @param ctx - The transaction context object
+	 * @param requestKey - Composite key of the registration request
+	 * @param request - Registration request object
+	 * @param requestStatus - Terminal state of the request
+	 * @param reason - Reason for rejection or expiry, if any
+	 * @returns
+	 */
+	static async closeRequest(ctx, requestKey, request, requestStatus, reason) {
+		request.requestStatus = requestStatus;
+		request.reason = reason || null;
+		request.processedBy = RegnetHelper.getActor(ctx);
+		request.processedAt = RegnetHelper.getTxDate(ctx);
+		await RegnetHelper.putAssetData(ctx, requestKey, request);
+
+		//Personal details of closed user registration requests are no longer needed
+		if(request.userID){
+			await RegnetHelper.deletePII(ctx, requestKey);
+		}
+		return request;
+	}
+
+	/**
+	 * Helper function to fetch the approval policy in force
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	static async getApprovalPolicy(ctx) {
+		const approvalPolicyKey = RegnetHelper.getApprovalPolicyKey(ctx);
+		if(!await RegnetHelper.isAssetExisting(ctx, approvalPolicyKey)){
+			return Object.assign({}, DEFAULT_APPROVAL_POLICY);
+		}
+		return await RegnetHelper.getAsset(ctx, approvalPolicyKey);
+	}
+
+	/**
+	 * Helper function to compute number of distinct registrars who must approve a registration request
+	 * Property registrations need approvals of the highest band starting at or below their price
+	 * @param approvalPolicy - Approval policy in force
+	 * @param request - User or property registration request object
+	 * @returns
+	 */
+	static getRequiredApprovals(approvalPolicy, request) {
+		if(request.userID){
+			return approvalPolicy.userApprovals;
+		}
+		let bands = approvalPolicy.propertyApprovalBands.filter(band => band.minPrice <= request.price);
+		return bands.length === 0 ? 1 : bands[bands.length - 1].approvals;
+	}
+
+	/**
+	 * Helper function to record approval of the submitting registrar on a registration request
+	 * Each registrar identity approves a request once, returns true once enough registrars have approved it
+	 * @param ctx - The transaction context object
+	 * @param request - User or property registration request object
+	 * @param requiredApprovals - Number of approvals needed before the request is approved
+	 * @returns
+	 */
+	static addApproval(ctx, request, requiredApprovals) {
+		let approver = RegnetHelper.getActor(ctx);
+		let approvals = request.approvals || [];
+		if(approvals.some(approval => approval.approver.mspId === approver.mspId && approval.approver.id === approver.id)){
+			throw new RegnetError(RegnetError.Codes.CONFLICT, "Registrar has already approved this request. Approval of another registrar is needed!!!");
+		}
+
+		approvals.push({approver: approver, approvedAt: RegnetHelper.getTxDate(ctx)});
+		request.approvals = approvals;
+		request.requiredApprovals = requiredApprovals;
+		return approvals.length >= requiredApprovals;
+	}
+
+	/**
+	 * Helper function to list pending registration requests of given type along with approvals they still need
+	 * @param ctx - The transaction context object
+	 * @param objectType - Object type of registration requests to be listed
+	 * @param approvalPolicy - Approval policy in force
+	 * @returns
+	 */
+	static async getOutstandingApprovals(ctx, objectType, approvalPolicy) {
+		let requests = await RegnetHelper.getAllAssets(ctx, objectType);
+		let actor = RegnetHelper.getActor(ctx);
+
+		return requests
+			.filter(({value: request}) => RegnetHelper.isRequestPending(request))
+			.map(({key, value: request}) => {
+				let approvals = request.approvals || [];
+				let requiredApprovals = RegnetHelper.getRequiredApprovals(approvalPolicy, request);
+				return {
+					request: key,
+					name: request.name,
+					propertyID: request.propertyID,
+					price: request.price,
+					requiredApprovals: requiredApprovals,
+					approvedBy: approvals.map(approval => approval.approver),
+					//Approval policy may have been lowered since, the next approval then completes the request
+					outstandingApprovals: Math.max(requiredApprovals - approvals.length, 1),
+					approvedByCaller: approvals.some(approval => approval.approver.mspId === actor.mspId && approval.approver.id === actor.id)
+				};
+			});
+	}
+
+	/**
+	 * Helper function to compute age of a registration request in days
+	 * @param request - Registration request object
+	 * @param now - Date against which age is computed
+	 * @returns
+	 */
+	static getRequestAgeInDays(request, now) {
+		//Requests created before request lifecycle was introduced do not carry creation time
+		if(!request.createdAt){
+			return null;
+		}
+		return Math.floor((now - new Date(request.createdAt)) / MILLISECONDS_PER_DAY);
+	}
+
+	/**
+	 * Helper function to fetch a page of pending registration requests along with their age
+	 * @param ctx - The transaction context object
+	 * @param objectType - Object type of registration requests to be listed
+	 * @param pageSize - Maximum number of requests to be returned
+	 * @param bookmark - Bookmark returned with previous page, empty for first page
+	 * @returns
+	 */
+	static async getPendingRequests(ctx, objectType, pageSize, bookmark) {
+		let page = await RegnetHelper.getAssetsPage(ctx, objectType, pageSize, bookmark, RegnetHelper.isRequestPending);
+		let now = RegnetHelper.getTxDate(ctx);
+		page.records.forEach(request => {
+			request.ageInDays = RegnetHelper.getRequestAgeInDays(request, now);
+		});
+		return page;
+	}
+
+	/**
+	 * Helper function to expire all pending registration requests of given type older than given age
+	 * @param ctx - The transaction context object
+	 * @param objectType - Object type of registration requests to be expired
+	 * @param maxAgeInDays - Age in days after which a pending request expires
+	 * @returns
+	 */
+	static async expireRequests(ctx, objectType, maxAgeInDays) {
+		let requests = await RegnetHelper.getAllAssets(ctx, objectType);
+		let now = RegnetHelper.getTxDate(ctx);
+		let expiredKeys = [];
+
+		for(let {key, value: request} of requests){
+			let age = RegnetHelper.getRequestAgeInDays(request, now);
+			if(RegnetHelper.isRequestPending(request) && age !== null && age >= maxAgeInDays){
+				await RegnetHelper.closeRequest(ctx, key, request, RequestStatus.EXPIRED, "Request expired after " + maxAgeInDays + " days");
+				expiredKeys.push(key);
+			}
+		}
+		return expiredKeys;
+	}
+
+	/**
+	 * Helper function to check if the submitter carries given role attribute in its enrollment certificate
+	 * The attribute counts only when the submitter is a member of the organization enrolling identities of that role
+	 * @param ctx - The transaction context object
+	 * @param role - Expected value of regnet.role attribute
+	 * @returns
+	 */
+	static hasRole(ctx, role) {
+		return ctx.clientIdentity.getMSPID() === ROLE_MSPS[role] && ctx.clientIdentity.assertAttributeValue('regnet.role', role);
+	}
+
+	/**
+	 * Helper function to check if a user is bound to the identity submitting the transaction
+	 * Identity is the subject and issuer of the certificate, hence it survives re-enrollment with the same subject
+	 * @param ctx - The transaction context object
+	 * @param user - User object
+	 * @returns
+	 */
+	static isBoundToCaller(ctx, user) {
+		return !!user.identity && user.identity === ctx.clientIdentity.getID();
+	}
+
+	/**
+	 * Helper function to get owners of a property along with their percentage shares
+	 * Properties registered before joint ownership was introduced carry a single owner holding the complete share
+	 * @param property - Property object
+	 * @returns
+	 */
+	static getOwners(property) {
+		return property.owners || [{owner: property.owner, share: 100}];
+	}
+
+	/**
+	 * Helper function to replace owners of a property
+	 * @param property - Property object
+	 * @param owners - Array of owner keys along with their percentage shares
+	 * @returns
+	 */
+	static setOwners(property, owners) {
+		property.owners = owners;
+		delete property.owner;
+		//Any consent collected from previous owners is no longer valid
+		delete property.pendingStatusChange;
+	}
+
+	/**
+	 * Helper function to check if given user is one of the owners of a property
+	 * @param property - Property object
+	 * @param userKey - Composite key of the user
+	 * @returns
+	 */
+	static isPropertyOwner(property, userKey) {
+		return RegnetHelper.getOwners(property).some(owner => owner.owner === userKey);
+	}
+
+	/**
+	 * Helper function to compute total share of the owners who have given their consent
+	 * @param property - Property object
+	 * @param consents - Array of keys of the owners who have given their consent
+	 * @returns
+	 */
+	static getConsentedShare(property, consents) {
+		return RegnetHelper.getOwners(property)
+			.filter(owner => consents.includes(owner.owner))
+			.reduce((total, owner) => total + owner.share, 0);
+	}
+
+	/**
+	 * Helper function to record consent of a co-owner for an action on property
+	 * @param property - Property object
+	 * @param consents - Array of keys of the owners who have already given their consent
+	 * @param ownerKey - Composite key of the owner giving consent
+	 * @returns
+	 */
+	static addConsent(property, consents, ownerKey) {
+		if(consents.includes(ownerKey)){
+			throw new RegnetError(RegnetError.Codes.CONFLICT, "Owner has already given consent for this action!!!");
+		}
+		consents.push(ownerKey);
+
+		//Action can be performed once consenting owners together hold the required share
+		let threshold = property.consentThreshold || FULL_CONSENT;
+		return RegnetHelper.getConsentedShare(property, consents) >= threshold;
+	}
+
+	/**
+	 * Helper function to split an amount between owners of a property in proportion to their shares
+	 * Amounts are whole coins, remainder left by rounding down goes to the owner with largest share
+	 * @param owners - Array of owner keys along with their percentage shares
+	 * @param amount - Amount to be split
+	 * @returns
+	 */
+	static splitAmount(owners, amount) {
+		let parts = owners.map(owner => ({owner: owner.owner, amount: Math.floor(amount * owner.share / 100)}));
+		let remainder = amount - parts.reduce((total, part) => total + part.amount, 0);
+		let largest = owners.reduce((max, owner, index) => (owner.share > owners[max].share) ? index : max, 0);
+		parts[largest].amount += remainder;
+		return parts;
+	}
+
+	/**
+	 * Helper function to check if an offer has passed its expiry time
+	 * @param offer - Purchase offer object
+	 * @param now - Date against which expiry is checked
+	 * @returns
+	 */
+	static isOfferExpired(offer, now) {
+		return !!offer.expiresAt && new Date(offer.expiresAt) <= now;
+	}
+
+	/**
+	 * Helper function to close open offers of a property and refund escrowed coins to their buyers
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property whose offers are to be closed
+	 * @param offerStatus - Terminal state of the closed offers
+	 * @param predicate - Function deciding whether an open offer is to be closed, all open offers if not given
+	 * @returns
+	 */
+	static async refundOffers(ctx, propertyID, offerStatus, predicate) {
+		let offers = await RegnetHelper.getAllAssets(ctx, ObjectTypes.OFFER, [propertyID]);
+		let refundedOffers = [];
+
+		for(let {key, value: offer} of offers){
+			if(offer.status !== OfferStatus.OPEN || (predicate && !predicate(offer))){
+				continue;
+			}
+
+			//Release escrowed coins back to buyer, offers placed before fees were introduced carry no stamp duty in escrow
+			let buyer = await RegnetHelper.getAsset(ctx, offer.buyer);
+			await RegnetHelper.adjustBalance(ctx, offer.buyer, buyer, offer.amount + (offer.stampDuty || 0), EntryTypes.OFFER_REFUND,
+				{propertyID: propertyID, offerID: offer.offerID});
+
+			offer.status = offerStatus;
+			offer.closedAt = RegnetHelper.getTxDate(ctx);
+			await RegnetHelper.putAssetData(ctx, key, offer);
+			refundedOffers.push(key);
+		}
+		return refundedOffers;
+	}
+
+	/**
+	 * Helper function to cancel lease offers of a property which tenants have not accepted yet
+	 * Lease offers bind the owners who made them, hence they lapse once owners change or the property is retired
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property whose lease offers are to be cancelled
+	 * @returns
+	 */
+	static async cancelLeaseOffers(ctx, propertyID) {
+		let leases = await RegnetHelper.getAllAssets(ctx, ObjectTypes.LEASE, [propertyID]);
+		let cancelledLeases = [];
+
+		for(let {key, value: lease} of leases){
+			if(lease.status !== LeaseStatus.OFFERED){
+				continue;
+			}
+			lease.status = LeaseStatus.CANCELLED;
+			lease.closedAt = RegnetHelper.getTxDate(ctx);
+			await RegnetHelper.putAssetData(ctx, key, lease);
+			cancelledLeases.push(key);
+		}
+		return cancelledLeases;
+	}
+
+	/**
+	 * Helper function to verify that owners may act on a property, i.e. it is neither frozen nor under dispute
+	 * @param property - Property object
+	 * @returns
+	 */
+	static checkNotRestricted(property) {
+		RegnetHelper.checkNotRetired(property);
+		if(property.freeze){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE, "Property is frozen under case " + property.freeze.caseReference + "!!!");
+		}
+		if(property.dispute){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE, "Property is under dispute in case " + property.dispute.caseReference + "!!!");
+		}
+	}
+
+	/**
+	 * Helper function to verify that a property has not been retired by a split or merger
+	 * @param property - Property object
+	 * @returns
+	 */
+	static checkNotRetired(property) {
+		if(property.status === "retired"){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE, "Property has been retired and carried forward as " + property.children.join(", ") + "!!!");
+		}
+	}
+
+	/**
+	 * Helper function to verify that a property may be split or merged
+	 * Only registered properties which are neither restricted nor encumbered can be restructured
+	 * @param ctx - The transaction context object
+	 * @param property - Property object
+	 * @returns
+	 */
+	static async checkRestructurable(ctx, property) {
+		RegnetHelper.checkNotRestricted(property);
+		if(property.status !== "registered"){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE, "Property " + property.propertyID + " is listed for sale. Take it off the market before splitting or merging it!!!");
+		}
+		//Properties registered before metadata was introduced have no recorded area to be divided
+		if(!property.metadata){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE, "Property " + property.propertyID + " has no recorded metadata and cannot be split or merged!!!");
+		}
+		if((await RegnetHelper.getActiveLiens(ctx, property.propertyID)).length > 0){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE, "Property " + property.propertyID + " is encumbered by liens. Liens must be released before splitting or merging it!!!");
+		}
+		if(property.lease){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE, "Property " + property.propertyID + " is leased. Lease must be terminated before splitting or merging it!!!");
+		}
+	}
+
+	/**
+	 * Helper function to verify that a property ID is free to be given to a new property
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the new property
+	 * @returns
+	 */
+	static async checkNewPropertyID(ctx, propertyID) {
+		if(await RegnetHelper.isAssetExisting(ctx, RegnetHelper.getPropertyKey(ctx, propertyID)) ||
+			!await RegnetHelper.canPlaceRequest(ctx, RegnetHelper.getPropRegRequestKey(ctx, propertyID))){
+			throw new RegnetError(RegnetError.Codes.CONFLICT, "Property ID " + propertyID + " is already registered or requested!!!");
+		}
+	}
+
+	/**
+	 * Helper function to check if two lists of owners hold the same shares, irrespective of their order
+	 * @param owners - Array of owner keys along with their percentage shares
+	 * @param otherOwners - Array of owner keys along with their percentage shares
+	 * @returns
+	 */
+	static isSameOwners(owners, otherOwners) {
+		const normalize = list => JSON.stringify(list.map(owner => [owner.owner, owner.share]).sort());
+		return normalize(owners) === normalize(otherOwners);
+	}
+
+	/**
+	 * Helper function to follow lineage of a property created or retired by splits and mergers
+	 * @param ctx - The transaction context object
+	 * @param property - Property object
+	 * @returns
+	 */
+	static async getLineage(ctx, property) {
+		//Walk links in given direction breadth first, a property reachable along two paths is listed once
+		const follow = async (link) => {
+			let visited = [property.propertyID];
+			let queue = (property[link] || []).slice();
+			let related = [];
+			while(queue.length > 0){
+				let propertyID = queue.shift();
+				if(visited.includes(propertyID)){
+					continue;
+				}
+				visited.push(propertyID);
+
+				let relative = await RegnetHelper.getAsset(ctx, RegnetHelper.getPropertyKey(ctx, propertyID));
+				related.push({
+					propertyID: relative.propertyID,
+					status: relative.status,
+					parents: relative.parents || [],
+					children: relative.children || [],
+					originRequestID: relative.originRequestID || null,
+					retirementRequestID: relative.retirementRequestID || null
+				});
+				queue.push(...(relative[link] || []));
+			}
+			return related;
+		};
+
+		return {
+			propertyID: property.propertyID,
+			parents: property.parents || [],
+			children: property.children || [],
+			ancestors: await follow("parents"),
+			descendants: await follow("children")
+		};
+	}
+
+	/**
+	 * Helper function to fetch an existing request to split or merge properties
+	 * @param ctx - The transaction context object
+	 * @param requestKey - Composite key of the request
+	 * @returns
+	 */
+	static async getRestructureRequest(ctx, requestKey) {
+		if(!await RegnetHelper.isAssetExisting(ctx, requestKey)){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND, "No split or merger request exists with given request ID!!!");
+		}
+
+		return await RegnetHelper.getAsset(ctx, requestKey);
+	}
+
+	/**
+	 * Helper function to add calendar months to a date, clamping to the last day of shorter months
+	 * @param date - Date to which months are added
+	 * @param months - Number of months to be added
+	 * @returns
+	 */
+	static addMonths(date, months) {
+		let start = new Date(date);
+		let day = start.getUTCDate();
+		let result = new Date(start.getTime());
+		result.setUTCDate(1);
+		result.setUTCMonth(result.getUTCMonth() + months);
+		let lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+		result.setUTCDate(Math.min(day, lastDay));
+		return result;
+	}
+
+	/**
+	 * Helper function to build rent schedule of an active lease
+	 * Rent of every monthly period is due in advance at the start of the period, first period is paid on acceptance
+	 * @param lease - Lease object
+	 * @returns
+	 */
+	static getRentSchedule(lease) {
+		let schedule = [];
+		for(let period = 1; period <= lease.termInMonths; period++){
+			let payment = lease.payments.find(entry => entry.period === period);
+			schedule.push({
+				period: period,
+				dueAt: RegnetHelper.addMonths(lease.startsAt, period - 1),
+				amount: lease.monthlyRent,
+				paidAt: payment ? payment.paidAt : null
+			});
+		}
+		return schedule;
+	}
+
+	/**
+	 * Helper function to list rent periods of a lease which are due but not paid
+	 * @param lease - Lease object
+	 * @param now - Date against which periods are checked
+	 * @returns
+	 */
+	static getOverdueRent(lease, now) {
+		if(lease.status !== LeaseStatus.ACTIVE){
+			return [];
+		}
+		return RegnetHelper.getRentSchedule(lease).filter(period => !period.paidAt && period.dueAt <= now);
+	}
+
+	/**
+	 * Helper function to credit rent of a lease to current owners of the leased property in proportion to their shares
+	 * Property sold during the lease is transferred subject to it, hence rent always goes to its current owners
+	 * @param ctx - The transaction context object
+	 * @param property - Leased property object
+	 * @param lease - Lease object
+	 * @param amount - Amount of rent
+	 * @param period - Rent period paid for
 	 * @returns
 	 */
-	static async getAssetBuffer(ctx, assetKey) {
-		//Fetch asset details with given key
-		return await ctx.stub
-									.getState(assetKey)
-									.catch(err => console.log(err));
+	static async creditRent(ctx, property, lease, amount, period) {
+		let receipts = RegnetHelper.splitAmount(RegnetHelper.getOwners(property), amount);
+		for(let receipt of receipts){
+			let owner = await RegnetHelper.getAsset(ctx, receipt.owner);
+			await RegnetHelper.adjustBalance(ctx, receipt.owner, owner, receipt.amount, EntryTypes.RENT,
+				{propertyID: lease.propertyID, leaseID: lease.leaseID, period: period});
+			receipt.balance = owner.upgradCoins;
+		}
+
+		lease.payments.push({period: period, amount: amount, paidAt: RegnetHelper.getTxDate(ctx), txId: ctx.stub.getTxID()});
+		return receipts;
 	}
 
 	/**
-	 * Helper function to put asset data on ledger
+	 * Helper function to check if a lien still encumbers its property
+	 * @param lien - Lien object
+	 * @param now - Date against which expiry is checked
+	 * @returns
+	 */
+	static isLienActive(lien, now) {
+		return lien.status === LienStatus.ACTIVE && !(lien.expiresAt && new Date(lien.expiresAt) <= now);
+	}
+
+	/**
+	 * Helper function to fetch liens encumbering a property, oldest lien first
 	 * @param ctx - The transaction context object
-	 * @param assetKey - Composite key of asset to be created or updated
-	 * @param assetData - Asset data to put on ledger
+	 * @param propertyID - ID of the property
 	 * @returns
 	 */
-	static async putAssetData(ctx, assetKey, assetData) {
-		//Convert input JSON object to buffer and store it to blockchain
-		let dataBuffer = Buffer.from(JSON.stringify(assetData));
-		await ctx.stub.putState(assetKey, dataBuffer);
+	static async getActiveLiens(ctx, propertyID) {
+		let now = RegnetHelper.getTxDate(ctx);
+		let liens = await RegnetHelper.getAllAssets(ctx, ObjectTypes.LIEN, [propertyID]);
+		return liens
+			.filter(({value: lien}) => RegnetHelper.isLienActive(lien, now))
+			.sort((a, b) => new Date(a.value.createdAt) - new Date(b.value.createdAt));
+	}
+
+	/**
+	 * Helper function to pay off all active liens of a property out of its sale amount
+	 * Sale cannot go through if the amount does not cover the liens
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property being sold
+	 * @param amount - Sale amount out of which liens are paid off
+	 * @returns
+	 */
+	static async payOffLiens(ctx, propertyID, amount) {
+		let liens = await RegnetHelper.getActiveLiens(ctx, propertyID);
+		let total = liens.reduce((sum, {value: lien}) => sum + lien.amount, 0);
+		if(total > amount){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE, "Sale amount does not cover the liens of " + total + " held against the property. Liens must be released before the sale!!!");
+		}
+
+		let payoffs = [];
+		for(let {key, value: lien} of liens){
+			//Credit lien amount to the lien holder
+			let holder = await RegnetHelper.getAsset(ctx, lien.holder);
+			await RegnetHelper.adjustBalance(ctx, lien.holder, holder, lien.amount, EntryTypes.LIEN_PAYOFF, {propertyID: propertyID, lienID: lien.lienID});
+
+			lien.status = LienStatus.PAID_OFF;
+			lien.closedAt = RegnetHelper.getTxDate(ctx);
+			await RegnetHelper.putAssetData(ctx, key, lien);
+			payoffs.push({lien: key, holder: lien.holder, amount: lien.amount, balance: holder.upgradCoins});
+		}
+		return {payoffs: payoffs, remaining: amount - total};
+	}
+
+	/**
+	 * Helper function to validate metadata of a property, fields not part of property metadata are dropped
+	 * @param metadata - Object with address, district, surveyNumber, area, areaUnit, propertyType, titleDeedHash and supportingDocuments
+	 * @returns
+	 */
+	static buildMetadata(metadata) {
+		let schema = RegnetValidator.Schemas.PROPERTY_METADATA;
+		let valid = RegnetValidator.validate(schema, metadata, "property metadata");
+		let result = {};
+		for(let field of Object.keys(schema)){
+			result[field] = (valid[field] === undefined) ? null : valid[field];
+		}
+		return result;
+	}
+
+	/**
+	 * Helper function to verify that survey number in given metadata is not registered for a property yet
+	 * @param ctx - The transaction context object
+	 * @param metadata - Metadata of the property
+	 * @param releasedBy - IDs of properties being retired whose survey numbers may be taken over, if any
+	 * @returns
+	 */
+	static async checkSurveyNumber(ctx, metadata, releasedBy) {
+		const surveyNumberKey = RegnetHelper.getSurveyNumberKey(ctx, metadata.district, metadata.surveyNumber);
+		if(!await RegnetHelper.isAssetExisting(ctx, surveyNumberKey)){
+			return surveyNumberKey;
+		}
+
+		let registration = await RegnetHelper.getAsset(ctx, surveyNumberKey);
+		if((releasedBy || []).includes(registration.propertyID)){
+			return surveyNumberKey;
+		}
+		throw new RegnetError(RegnetError.Codes.CONFLICT, "Survey number " + metadata.surveyNumber + " in " + metadata.district + " is already registered for property " + registration.propertyID + "!!!");
+	}
+
+	/**
+	 * Helper function to compare hash of a document with the one recorded in metadata of a property
+	 * @param property - Property object
+	 * @param documentName - titleDeed for title deed, otherwise name of a supporting document
+	 * @param documentHash - SHA-256 hash of the document to be verified
+	 * @returns
+	 */
+	static verifyDocumentHash(property, documentName, documentHash) {
+		//Properties registered before metadata was introduced carry no document hashes
+		if(!property.metadata){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE, "No documents are recorded for given property!!!");
+		}
+
+		let recordedHash = (documentName === TITLE_DEED) ? property.metadata.titleDeedHash :
+			(property.metadata.supportingDocuments || []).filter(document => document.name === documentName).map(document => document.hash)[0];
+		if(!recordedHash){
+			throw new RegnetError(RegnetError.Codes.NOT_FOUND, "No document named " + documentName + " is recorded for given property!!!");
+		}
+
+		return {
+			propertyID: property.propertyID,
+			documentName: documentName,
+			matches: recordedHash === documentHash
+		};
+	}
+
+	/**
+	 * Helper function to change upgradCoins balance of a user and record the change on the user's account statement
+	 * Entries are keyed by User ID and transaction time so that a statement is read in chronological order
+	 * @param ctx - The transaction context object
+	 * @param userKey - Composite key of the user
+	 * @param user - User object, updated in place and stored on ledger
+	 * @param amount - Number of coins credited, negative for debits
+	 * @param entryType - Reason for the change from EntryTypes
+	 * @param reference - Object identifying what the change relates to, e.g. propertyID, offerID or counterparty
+	 * @returns
+	 */
+	static async adjustBalance(ctx, userKey, user, amount, entryType, reference) {
+		user.upgradCoins += amount;
+		user.updatedAt = RegnetHelper.getTxDate(ctx);
+		await RegnetHelper.putAssetData(ctx, userKey, user);
+
+		//Nothing is recorded when no coins actually move, e.g. a co-owner's share of proceeds rounds down to zero
+		if(amount === 0){
+			return null;
+		}
+
+		//A transaction may change the balance of the same user more than once, e.g. price and stamp duty
+		ctx.ledgerEntryCount = (ctx.ledgerEntryCount || 0) + 1;
+		let timestamp = RegnetHelper.getTxDate(ctx);
+		let entry = {
+			userID: user.userID,
+			user: userKey,
+			entryType: entryType,
+			direction: (amount > 0) ? "credit" : "debit",
+			amount: Math.abs(amount),
+			balance: user.upgradCoins,
+			reference: reference,
+			txId: ctx.stub.getTxID(),
+			createdAt: timestamp
+		};
+		const entryKey = ctx.stub.createCompositeKey(ObjectTypes.LEDGER_ENTRY,
+			[user.userID, timestamp.toISOString(), ctx.stub.getTxID(), String(ctx.ledgerEntryCount)]);
+		await RegnetHelper.putAssetData(ctx, entryKey, entry);
+		return entry;
+	}
+
+	/**
+	 * Helper function to fetch a page of the account statement of a user
+	 * @param ctx - The transaction context object
+	 * @param user - User object
+	 * @param fromDate - Date from which entries are included, from the first entry if not given
+	 * @param toDate - Date before which entries are included, up to the last entry if not given
+	 * @param pageSize - Maximum number of entries to be returned
+	 * @param bookmark - Bookmark returned with previous page, empty for first page
+	 * @returns
+	 */
+	static async getAccountStatement(ctx, user, fromDate, toDate, pageSize, bookmark) {
+		//Entries are keyed by user ID and ISO timestamp, hence the period maps onto a range of keys
+		const prefix = ctx.stub.createCompositeKey(ObjectTypes.LEDGER_ENTRY, [user.userID]);
+		const startKey = fromDate ? prefix + fromDate.toISOString() : prefix;
+		const endKey = toDate ? prefix + toDate.toISOString() : prefix + MAX_UNICODE_RUNE_VALUE;
+
+		//Bookmarks outside the range cannot move the page onto entries of other users or periods
+		let size = RegnetHelper.getPageSize(pageSize);
+		let start = (bookmark && bookmark >= startKey && bookmark < endKey) ? bookmark : '';
+		let {iterator, metadata} = await ctx.stub.getStateByRangeWithPagination(startKey, endKey, size, start);
+		let records = (await RegnetHelper.getAllResults(ctx, iterator)).map(result => result.value);
+
+		return {
+			records: records,
+			fetchedRecordsCount: records.length,
+			//Empty bookmark indicates that there are no more pages
+			bookmark: (metadata.fetched_records_count < size) ? '' : metadata.bookmark
+		};
+	}
+
+	/**
+	 * Helper function to fetch the fee schedule in force, no fees are charged until Registrar sets one
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	static async getFeeSchedule(ctx) {
+		const feeScheduleKey = RegnetHelper.getFeeScheduleKey(ctx);
+		if(!await RegnetHelper.isAssetExisting(ctx, feeScheduleKey)){
+			return Object.assign({}, DEFAULT_FEE_SCHEDULE);
+		}
+		return await RegnetHelper.getAsset(ctx, feeScheduleKey);
+	}
+
+	/**
+	 * Helper function to compute stamp duty payable on a sale
+	 * Rate of the highest band starting at or below the sale amount applies to the whole amount, rounded down to whole coins
+	 * @param feeSchedule - Fee schedule in force
+	 * @param amount - Sale amount
+	 * @returns
+	 */
+	static getStampDuty(feeSchedule, amount) {
+		let bands = feeSchedule.stampDutyBands.filter(band => band.minPrice <= amount);
+		if(bands.length === 0){
+			return 0;
+		}
+		return Math.floor(amount * bands[bands.length - 1].rateInBasisPoints / BASIS_POINTS);
+	}
+
+	/**
+	 * Helper function to credit a fee to the treasury and record it in fee history
+	 * Used directly when the fee was already collected from payer, e.g. stamp duty held in escrow of an offer
+	 * @param ctx - The transaction context object
+	 * @param payerKey - Composite key of the user paying the fee
+	 * @param feeType - Kind of fee from FeeTypes
+	 * @param amount - Amount of the fee
+	 * @param propertyID - ID of the property for which fee is paid
+	 * @returns
+	 */
+	static async creditTreasury(ctx, payerKey, feeType, amount, propertyID) {
+		if(amount === 0){
+			return null;
+		}
+
+		const treasuryKey = RegnetHelper.getTreasuryKey(ctx);
+		let treasury = {treasuryID: TREASURY_ID, balance: 0, createdAt: RegnetHelper.getTxDate(ctx)};
+		if(await RegnetHelper.isAssetExisting(ctx, treasuryKey)){
+			treasury = await RegnetHelper.getAsset(ctx, treasuryKey);
+		}
+		treasury.balance += amount;
+		treasury.updatedAt = RegnetHelper.getTxDate(ctx);
+		await RegnetHelper.putAssetData(ctx, treasuryKey, treasury);
+
+		let fee = {
+			feeID: ctx.stub.getTxID(),
+			feeType: feeType,
+			payer: payerKey,
+			propertyID: propertyID,
+			amount: amount,
+			treasuryBalance: treasury.balance,
+			chargedAt: RegnetHelper.getTxDate(ctx)
+		};
+		await RegnetHelper.putAssetData(ctx, RegnetHelper.getFeeKey(ctx, propertyID, fee.feeID, feeType), fee);
+		return fee;
+	}
+
+	/**
+	 * Helper function to deduct a fee from account of a user and credit it to the treasury
+	 * @param ctx - The transaction context object
+	 * @param payerKey - Composite key of the user paying the fee
+	 * @param feeType - Kind of fee from FeeTypes
+	 * @param amount - Amount of the fee
+	 * @param propertyID - ID of the property for which fee is paid
+	 * @returns
+	 */
+	static async chargeFee(ctx, payerKey, feeType, amount, propertyID) {
+		let payer = await RegnetHelper.getAsset(ctx, payerKey);
+		if(payer.upgradCoins < amount){
+			throw new RegnetError(RegnetError.Codes.INSUFFICIENT_FUNDS, "Sorry, user does not have sufficient account balance to pay " + feeType + " of " + amount + ". Recharge the user account!!!");
+		}
+
+		if(amount > 0){
+			await RegnetHelper.adjustBalance(ctx, payerKey, payer, -amount, EntryTypes.FEE, {propertyID: propertyID, feeType: feeType});
+		}
+		return await RegnetHelper.creditTreasury(ctx, payerKey, feeType, amount, propertyID);
+	}
+
+	/**
+	 * Helper function to read a value passed to the transaction as transient data
+	 * @param ctx - The transaction context object
+	 * @param name - Name of the transient field
+	 * @returns
+	 */
+	static getTransientValue(ctx, name) {
+		let transientMap = ctx.stub.getTransient();
+		let value = transientMap && transientMap.get(name);
+		return value ? value.toString('utf8') : undefined;
+	}
+
+	/**
+	 * Helper function to store personal details of a user in private data collection
+	 * @param ctx - The transaction context object
+	 * @param assetKey - Composite key of the user or user registration request
+	 * @param pii - Object with aadharNumber, emailId and phoneNumber of the user
+	 * @returns
+	 */
+	static async putPII(ctx, assetKey, pii) {
+		await ctx.stub.putPrivateData(PII_COLLECTION, assetKey, Buffer.from(JSON.stringify(pii)));
+	}
+
+	/**
+	 * Helper function to read personal details of a user from private data collection
+	 * @param ctx - The transaction context object
+	 * @param assetKey - Composite key of the user or user registration request
+	 * @returns
+	 */
+	static async getPII(ctx, assetKey) {
+		let piiBuffer = await ctx.stub.getPrivateData(PII_COLLECTION, assetKey);
+		return (piiBuffer && piiBuffer.length !== 0) ? JSON.parse(piiBuffer.toString()) : null;
+	}
+
+	/**
+	 * Helper function to load the user ID key from private data collection into the transaction context
+	 * Called before every transaction so that user keys can be built synchronously. Only members of the collection
+	 * can read it, for others and until Registrar sets it the key is left empty
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	static async loadUserIDKey(ctx) {
+		ctx.userIDKey = null;
+		if(PII_READERS.includes(ctx.clientIdentity.getMSPID())){
+			let keyBuffer = await ctx.stub.getPrivateData(PII_COLLECTION, USER_ID_KEY);
+			ctx.userIDKey = (keyBuffer && keyBuffer.length !== 0) ? keyBuffer.toString() : null;
+		}
+	}
+
+	/**
+	 * Helper function to store the user ID key in private data collection
+	 * @param ctx - The transaction context object
+	 * @param userIDKey - Secret of 32 bytes in hex
+	 * @returns
+	 */
+	static async putUserIDKey(ctx, userIDKey) {
+		await ctx.stub.putPrivateData(PII_COLLECTION, USER_ID_KEY, Buffer.from(userIDKey));
+		ctx.userIDKey = userIDKey;
+	}
+
+	/**
+	 * Helper function to remove personal details of a user from private data collection
+	 * @param ctx - The transaction context object
+	 * @param assetKey - Composite key of the user or user registration request
+	 * @returns
+	 */
+	static async deletePII(ctx, assetKey) {
+		await ctx.stub.deletePrivateData(PII_COLLECTION, assetKey);
+	}
+
+	/**
+	 * Helper function to add personal details to a user or user registration request for registrars and for the user
+	 * itself, i.e. the identity bound to the user or which placed the request. Other callers get the public object
+	 * @param ctx - The transaction context object
+	 * @param assetKey - Composite key of the user or user registration request
+	 * @param asset - Public user or user registration request object
+	 * @returns
+	 */
+	static async withPII(ctx, assetKey, asset) {
+		if(ctx.clientIdentity.getMSPID() !== 'registrarMSP' && !RegnetHelper.isBoundToCaller(ctx, asset)){
+			return asset;
+		}
+		let pii = await RegnetHelper.getPII(ctx, assetKey);
+		return Object.assign({}, asset, pii);
+	}
+
+	/**
+	 * Helper function to emit a chaincode event describing a state transition
+	 * Fabric delivers only one event per transaction, hence this is to be called once at the end of a transaction
+	 * @param ctx - The transaction context object
+	 * @param eventType - Type of the event from EventTypes
+	 * @param details - Object with optional keys, before, after, amounts, assets and reason of the transition
+	 * @returns
+	 */
+	static emitEvent(ctx, eventType, details) {
+		let payload = {
+			version: EVENT_SCHEMA_VERSION,
+			eventType: eventType,
+			txId: ctx.stub.getTxID(),
+			timestamp: RegnetHelper.getTxDate(ctx),
+			actor: RegnetHelper.getActor(ctx),
+			keys: details.keys || {},
+			before: details.before || {},
+			after: details.after || {},
+			amounts: details.amounts || {},
+			assets: details.assets || {},
+			reason: details.reason || null
+		};
+		ctx.stub.setEvent(eventType, Buffer.from(JSON.stringify(payload)));
+		return payload;
+	}
+
+	/**
+	 * Helper function to convert a ledger timestamp into a Date object
+	 * @param timestamp - Protobuf timestamp with seconds and nanos fields
+	 * @returns
+	 */
+	static toDate(timestamp) {
+		//Seconds may be a Long object, hence convert it through its string value
+		let milliseconds = Number(timestamp.seconds.toString()) * 1000 + Math.round(timestamp.nanos / 1000000);
+		return new Date(milliseconds);
+	}
+
+	/**
+	 * Helper function to fetch the complete modification history of an asset from ledger
+	 * @param ctx - The transaction context object
+	 * @param assetKey - Composite key of asset whose history is to be fetched
+	 * @returns
+	 */
+	static async getAssetHistory(ctx, assetKey) {
+		let iterator = await ctx.stub.getHistoryForKey(assetKey);
+		let history = [];
+
+		//Iterate through all modifications of the asset and convert each one to JSON object
+		while(true){
+			let res = await iterator.next();
+			if(res.value){
+				let modification = res.value;
+				history.push({
+					txId: modification.tx_id,
+					timestamp: RegnetHelper.toDate(modification.timestamp),
+					isDelete: modification.is_delete,
+					//Deleted entries do not carry any asset value
+					value: modification.is_delete ? null : JSON.parse(modification.value.toString('utf8'))
+				});
+			}
+			if(res.done){
+				await iterator.close();
+				break;
+			}
+		}
+
+		//Return history in chronological order irrespective of the order used by the peer
+		return history.sort((a, b) => a.timestamp - b.timestamp);
+	}
+
+	/**
+	 * Helper function to build ownership chain of a property from its ledger history
+	 * @param ctx - The transaction context object
+	 * @param propertyKey - Composite key of the property
+	 * @returns
+	 */
+	static async getOwnershipHistory(ctx, propertyKey) {
+		let history = await RegnetHelper.getAssetHistory(ctx, propertyKey);
+		let previousOwners = null;
+
+		return history.map(entry => {
+			//Deleted entries retain the last known owners so that chain remains continuous
+			let owners = entry.isDelete ? previousOwners : RegnetHelper.getOwners(entry.value);
+			let ownershipEntry = {
+				txId: entry.txId,
+				timestamp: entry.timestamp,
+				isDelete: entry.isDelete,
+				owners: owners,
+				ownerChanged: JSON.stringify(owners) !== JSON.stringify(previousOwners),
+				status: entry.isDelete ? null : entry.value.status,
+				price: entry.isDelete ? null : entry.value.price
+			};
+			previousOwners = owners;
+			return ownershipEntry;
+		});
 	}
 
   /**
@@ -48,7 +1751,7 @@ class RegnetHelper {
 	 * @returns
 	 */
 	static getUserRegRequestKey(ctx, name, aadharNumber) {
-		return ctx.stub.createCompositeKey('org.property-registration-network.regnet.request.user', [name + '-' + aadharNumber]);
+		return ctx.stub.createCompositeKey(ObjectTypes.USER_REQUEST, [RegnetHelper.getUserID(ctx, name, aadharNumber)]);
 	}
 
 	/**
@@ -56,10 +1759,61 @@ class RegnetHelper {
 	 * @param ctx - The transaction context object
 	 * @param name - Name of the user
 	 * @param aadharNumber - Aadhar card number of the user
+	 * @param transientField - Transient field holding the Aadhar number when it is empty, aadharNumber if not given
+	 * @returns
+	 */
+	static getUserKey(ctx, name, aadharNumber, transientField) {
+		return ctx.stub.createCompositeKey(ObjectTypes.USER, [RegnetHelper.getUserID(ctx, name, aadharNumber, transientField)]);
+	}
+
+	/**
+	 * Helper function to construct User composite key from opaque User ID, e.g. of an owner in an imported property
+	 * @param ctx - The transaction context object
+	 * @param userID - Opaque ID of the user
+	 * @returns
+	 */
+	static getUserKeyByID(ctx, userID) {
+		return ctx.stub.createCompositeKey(ObjectTypes.USER, [userID]);
+	}
+
+	/**
+	 * Helper function to construct opaque User ID used in public keys in place of name and Aadhar number
+	 * ID is an HMAC keyed with the user ID key loaded before the transaction, see loadUserIDKey
+	 * Aadhar number can be passed through transient data instead of transaction arguments, under aadharNumber for the
+	 * acting user and under the name of the argument for counterparties, e.g. recipientAadharNumber
+	 * @param ctx - The transaction context object
+	 * @param name - Name of the user
+	 * @param aadharNumber - Aadhar card number of the user, empty to read it from transient data
+	 * @param transientField - Transient field holding the Aadhar number when it is empty, aadharNumber if not given
+	 * @returns
+	 */
+	static getUserID(ctx, name, aadharNumber, transientField) {
+		if(!PII_READERS.includes(ctx.clientIdentity.getMSPID())){
+			throw new RegnetError(RegnetError.Codes.FORBIDDEN, "Only members of organizations reading personal details can identify users by name and Aadhar number!!!");
+		}
+		if(!ctx.userIDKey){
+			throw new RegnetError(RegnetError.Codes.INVALID_STATE, "User ID key has not been set. Registrar must set it before users can be identified!!!");
+		}
+		let aadhar = aadharNumber;
+		if(!aadhar){
+			//Arguments are validated by transactions, transient data is validated here
+			let field = transientField || 'aadharNumber';
+			aadhar = RegnetValidator.validate({[field]: Rules.AADHAR_NUMBER},
+				{[field]: RegnetHelper.getTransientValue(ctx, field)}, "transient data")[field];
+		}
+		return crypto.createHmac('sha256', Buffer.from(ctx.userIDKey, 'hex')).update(name + '-' + aadhar).digest('hex');
+	}
+
+	/**
+	 * Helper function to construct User composite key used before keys were made opaque
+	 * Only to be used to migrate existing records
+	 * @param ctx - The transaction context object
+	 * @param name - Name of the user
+	 * @param aadharNumber - Aadhar card number of the user
 	 * @returns
 	 */
-	static getUserKey(ctx, name, aadharNumber) {
-		return ctx.stub.createCompositeKey('org.property-registration-network.regnet.user', [name + '-' + aadharNumber]);
+	static getLegacyUserKey(ctx, name, aadharNumber) {
+		return ctx.stub.createCompositeKey(ObjectTypes.USER, [name + '-' + aadharNumber]);
 	}
 
   /**
@@ -69,7 +1823,7 @@ class RegnetHelper {
 	 * @returns
 	 */
 	static getPropRegRequestKey(ctx, propertyID) {
-		return ctx.stub.createCompositeKey('org.property-registration-network.regnet.request.property', [propertyID]);
+		return ctx.stub.createCompositeKey(ObjectTypes.PROPERTY_REQUEST, [propertyID]);
 	}
 
 	/**
@@ -79,9 +1833,157 @@ class RegnetHelper {
 	 * @returns
 	 */
 	static getPropertyKey(ctx, propertyID) {
-		return ctx.stub.createCompositeKey('org.property-registration-network.regnet.property', [propertyID]);
+		return ctx.stub.createCompositeKey(ObjectTypes.PROPERTY, [propertyID]);
+	}
+
+	/**
+	 * Helper function to construct composite key of a request to split or merge properties
+	 * @param ctx - The transaction context object
+	 * @param requestID - ID of the request
+	 * @returns
+	 */
+	static getRestructureRequestKey(ctx, requestID) {
+		return ctx.stub.createCompositeKey(ObjectTypes.RESTRUCTURE_REQUEST, [requestID]);
+	}
+
+	/**
+	 * Helper function to construct bank deposit Receipt composite key
+	 * @param ctx - The transaction context object
+	 * @param receiptID - ID of the deposit receipt issued by bank
+	 * @returns
+	 */
+	static getReceiptKey(ctx, receiptID) {
+		return ctx.stub.createCompositeKey(ObjectTypes.RECEIPT, [receiptID]);
+	}
+
+	/**
+	 * Helper function to construct Withdrawal composite key
+	 * @param ctx - The transaction context object
+	 * @param withdrawalID - ID of the withdrawal
+	 * @returns
+	 */
+	static getWithdrawalKey(ctx, withdrawalID) {
+		return ctx.stub.createCompositeKey(ObjectTypes.WITHDRAWAL, [withdrawalID]);
+	}
+
+	/**
+	 * Helper function to construct purchase Offer composite key
+	 * Offers are keyed by property first so that all offers of a property can be scanned together
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property on which offer is placed
+	 * @param offerID - ID of the offer
+	 * @returns
+	 */
+	static getOfferKey(ctx, propertyID, offerID) {
+		return ctx.stub.createCompositeKey(ObjectTypes.OFFER, [propertyID, offerID]);
+	}
+
+	/**
+	 * Helper function to construct Lien composite key
+	 * Liens are keyed by property first so that all liens of a property can be scanned together
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the encumbered property
+	 * @param lienID - ID of the lien
+	 * @returns
+	 */
+	static getLienKey(ctx, propertyID, lienID) {
+		return ctx.stub.createCompositeKey(ObjectTypes.LIEN, [propertyID, lienID]);
+	}
+
+	/**
+	 * Helper function to construct Lease composite key
+	 * Leases are keyed by property first so that all leases of a property can be scanned together
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the leased property
+	 * @param leaseID - ID of the lease
+	 * @returns
+	 */
+	static getLeaseKey(ctx, propertyID, leaseID) {
+		return ctx.stub.createCompositeKey(ObjectTypes.LEASE, [propertyID, leaseID]);
+	}
+
+	/**
+	 * Helper function to construct Intervention composite key
+	 * Interventions are keyed by property first so that the audit trail of a property can be scanned together
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property intervened on
+	 * @param interventionID - ID of the intervention
+	 * @returns
+	 */
+	static getInterventionKey(ctx, propertyID, interventionID) {
+		return ctx.stub.createCompositeKey(ObjectTypes.INTERVENTION, [propertyID, interventionID]);
+	}
+
+	/**
+	 * Helper function to construct composite key of the survey number index
+	 * District and survey number are compared case insensitively
+	 * @param ctx - The transaction context object
+	 * @param district - District in which the property lies
+	 * @param surveyNumber - Survey or plot number of the property
+	 * @returns
+	 */
+	static getSurveyNumberKey(ctx, district, surveyNumber) {
+		return ctx.stub.createCompositeKey(ObjectTypes.SURVEY_NUMBER, [district.trim().toUpperCase(), surveyNumber.toUpperCase()]);
+	}
+
+	/**
+	 * Helper function to construct composite key of the fee schedule, there is a single fee schedule in force
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	static getFeeScheduleKey(ctx) {
+		return ctx.stub.createCompositeKey(ObjectTypes.FEE_SCHEDULE, ['current']);
+	}
+
+	/**
+	 * Helper function to construct composite key of the approval policy, there is a single approval policy in force
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	static getApprovalPolicyKey(ctx) {
+		return ctx.stub.createCompositeKey(ObjectTypes.APPROVAL_POLICY, ['current']);
+	}
+
+	/**
+	 * Helper function to construct composite key of the government treasury account
+	 * @param ctx - The transaction context object
+	 * @returns
+	 */
+	static getTreasuryKey(ctx) {
+		return ctx.stub.createCompositeKey(ObjectTypes.TREASURY, [TREASURY_ID]);
+	}
+
+	/**
+	 * Helper function to construct Fee composite key
+	 * Fees are keyed by property first so that fee history of a property can be scanned together
+	 * @param ctx - The transaction context object
+	 * @param propertyID - ID of the property for which fee is paid
+	 * @param feeID - ID of the transaction charging the fee
+	 * @param feeType - Kind of fee, a transaction may charge more than one
+	 * @returns
+	 */
+	static getFeeKey(ctx, propertyID, feeID, feeType) {
+		return ctx.stub.createCompositeKey(ObjectTypes.FEE, [propertyID, feeID, feeType]);
 	}
 
 }
 
+RegnetHelper.ObjectTypes = ObjectTypes;
+RegnetHelper.RequestStatus = RequestStatus;
+RegnetHelper.ReceiptStatus = ReceiptStatus;
+RegnetHelper.WithdrawalStatus = WithdrawalStatus;
+RegnetHelper.OfferStatus = OfferStatus;
+RegnetHelper.LienStatus = LienStatus;
+RegnetHelper.LeaseStatus = LeaseStatus;
+RegnetHelper.InterventionTypes = InterventionTypes;
+RegnetHelper.RestructureTypes = RestructureTypes;
+RegnetHelper.FeeTypes = FeeTypes;
+RegnetHelper.ImportResults = ImportResults;
+RegnetHelper.EntryTypes = EntryTypes;
+RegnetHelper.FULL_CONSENT = FULL_CONSENT;
+RegnetHelper.TITLE_DEED = TITLE_DEED;
+RegnetHelper.PII_COLLECTION = PII_COLLECTION;
+RegnetHelper.USER_ID_KEY = USER_ID_KEY;
+RegnetHelper.EventTypes = EventTypes;
+
 module.exports = RegnetHelper;
@@ -0,0 +1,383 @@
+'use strict';
+
+const RegnetError = require('./errors.js');
+
+//Formats of identity and contact details of users
+const AADHAR_PATTERN = /^\d{12}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^(\+91)?\d{10}$/;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+//Survey and plot numbers such as 123/4A or 56-B
+const SURVEY_NUMBER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9\/-]{0,63}$/;
+
+//Units in which area of a property is recorded and kinds of property
+const AREA_UNITS = ["sqft", "sqm", "acre", "hectare"];
+const PROPERTY_TYPES = ["residential", "commercial", "agricultural", "industrial", "plot"];
+
+//IDs become attributes of composite keys, hence they are restricted to printable characters without spaces
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.:\/-]{0,127}$/;
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
+/* ****** Rules return normalized value of a valid field and undefined for an invalid field ***** */
+
+//Rule for a non-empty text without control characters
+function text(maxLength) {
+	return {
+		description: "should be a non-empty text of at most " + maxLength + " characters",
+		parse: value => (typeof value === 'string' && value.trim() !== '' && value.length <= maxLength && !CONTROL_CHARACTERS.test(value)) ? value : undefined
+	};
+}
+
+//Rule for a text matching given pattern
+function pattern(regex, description) {
+	return {
+		description: description,
+		parse: value => (typeof value === 'string' && regex.test(value)) ? value : undefined
+	};
+}
+
+//Rule for a whole number passed as number or string, converted to number
+function wholeNumber(min, max) {
+	return {
+		description: "should be a whole number " + ((max === undefined) ? "of at least " + min : "between " + min + " and " + max),
+		parse: value => {
+			let number = (value === '' || value === null || typeof value === 'boolean') ? NaN : Number(value);
+			return (Number.isInteger(number) && number >= min && (max === undefined || number <= max)) ? number : undefined;
+		}
+	};
+}
+
+//Rule for a positive number, fractions allowed, passed as number or string, converted to number
+function positiveNumber() {
+	return {
+		description: "should be a positive number",
+		parse: value => {
+			let number = (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) ? Number(value) : NaN;
+			return (Number.isFinite(number) && number > 0) ? number : undefined;
+		}
+	};
+}
+
+//Rule for a date passed as ISO 8601 text, e.g. 2021-03-31 or 2021-03-31T10:00:00Z, converted to Date
+function date() {
+	return {
+		description: "should be a date in ISO 8601 format",
+		parse: value => {
+			let parsed = (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) ? new Date(value) : null;
+			return (parsed && !isNaN(parsed.getTime())) ? parsed : undefined;
+		}
+	};
+}
+
+//Rule for a SHA-256 hash in hex, normalized to lower case
+function sha256() {
+	return {
+		description: "should be a SHA-256 hash in hex",
+		parse: value => (typeof value === 'string' && SHA256_PATTERN.test(value.toLowerCase())) ? value.toLowerCase() : undefined
+	};
+}
+
+//Rule for one of given values
+function oneOf(values) {
+	return {
+		description: "should be one of " + values.join(", "),
+		parse: value => values.includes(value) ? value : undefined
+	};
+}
+
+//Rule for a plain object
+function object() {
+	return {
+		description: "should be an object",
+		parse: value => (typeof value === 'object' && value !== null && !Array.isArray(value)) ? value : undefined
+	};
+}
+
+//Rule allowing a field to be left empty, empty fields are normalized to null
+function optional(rule) {
+	return {
+		description: rule.description + " when given",
+		parse: value => (value === undefined || value === null || value === '') ? null : rule.parse(value)
+	};
+}
+
+//Rule for a field which must not be present, e.g. personal details on public assets
+function absent() {
+	return {
+		description: "must not be stored on the public ledger",
+		parse: value => (value === undefined) ? null : undefined
+	};
+}
+
+//Rule for owners of a property, every owner appears once and shares add up to 100
+//Owners are identified by their user keys unless another field is given, e.g. userID in imported records
+function owners(field) {
+	let share = wholeNumber(1, 100);
+	let ownerField = field || 'owner';
+	return {
+		description: "should be a list of distinct owners with whole percentage shares adding up to 100",
+		parse: value => {
+			if(!Array.isArray(value) || value.length === 0){
+				return undefined;
+			}
+			let keys = value.map(owner => owner && owner[ownerField]);
+			let valid = value.every(owner => owner && typeof owner[ownerField] === 'string' && owner[ownerField] !== '' && share.parse(owner.share) === owner.share) &&
+				new Set(keys).size === keys.length &&
+				value.reduce((total, owner) => total + owner.share, 0) === 100;
+			return valid ? value : undefined;
+		}
+	};
+}
+
+//Rule for supporting documents of a property, each a distinct name along with SHA-256 hash of the document
+function documents() {
+	let name = text(100);
+	let hash = sha256();
+	return {
+		description: "should be a list of documents with distinct name and SHA-256 hash",
+		parse: value => {
+			if(!Array.isArray(value)){
+				return undefined;
+			}
+			let valid = value.every(document => document && name.parse(document.name) !== undefined && hash.parse(document.hash) !== undefined) &&
+				new Set(value.map(document => document.name)).size === value.length;
+			return valid ? value.map(document => ({name: document.name, hash: hash.parse(document.hash)})) : undefined;
+		}
+	};
+}
+
+//Rule for a list of distinct IDs, e.g. properties being merged or from which a property was carved out
+function ids(minLength) {
+	let id = pattern(ID_PATTERN, "");
+	return {
+		description: "should be a list of at least " + minLength + " distinct IDs",
+		parse: value => (Array.isArray(value) && value.length >= minLength && value.every(entry => id.parse(entry) !== undefined) &&
+			new Set(value).size === value.length) ? value : undefined
+	};
+}
+
+//Rule for price bands, each band applies its value from its minimum price onwards
+//Bands are normalized to ascending order of minimum price
+function priceBands(field, rule) {
+	let minPrice = wholeNumber(0);
+	return {
+		description: "should be a list of bands with distinct whole number minPrice and " + field + " which " + rule.description,
+		parse: value => {
+			if(!Array.isArray(value)){
+				return undefined;
+			}
+			let valid = value.every(band => band && minPrice.parse(band.minPrice) === band.minPrice && rule.parse(band[field]) === band[field]) &&
+				new Set(value.map(band => band.minPrice)).size === value.length;
+			return valid ? value.map(band => ({minPrice: band.minPrice, [field]: band[field]})).sort((a, b) => a.minPrice - b.minPrice) : undefined;
+		}
+	};
+}
+
+//Rule for stamp duty bands of a fee schedule
+function stampDutyBands() {
+	return priceBands('rateInBasisPoints', wholeNumber(0, 10000));
+}
+
+const Rules = {
+	text: text,
+	pattern: pattern,
+	wholeNumber: wholeNumber,
+	oneOf: oneOf,
+	object: object,
+	optional: optional,
+	absent: absent,
+	owners: owners,
+	positiveNumber: positiveNumber,
+	sha256: sha256,
+	date: date,
+	documents: documents,
+	stampDutyBands: stampDutyBands,
+	priceBands: priceBands,
+	ids: ids,
+	NAME: text(100),
+	AADHAR_NUMBER: pattern(AADHAR_PATTERN, "should be a 12 digit number"),
+	EMAIL_ID: pattern(EMAIL_PATTERN, "should be a valid email address"),
+	PHONE_NUMBER: pattern(PHONE_PATTERN, "should be a 10 digit number, optionally prefixed with +91"),
+	USER_ID: pattern(SHA256_PATTERN, "should be a SHA-256 hash in hex"),
+	//Secret user IDs are derived with, random so that it cannot be guessed from its hash in private data
+	USER_ID_KEY: pattern(SHA256_PATTERN, "should be 32 random bytes in hex"),
+	ID: pattern(ID_PATTERN, "should be 1 to 128 letters, digits or _ . : / - starting with a letter or digit"),
+	IDENTITY: text(4096),
+	//Composite keys are delimited by control characters, hence they are only checked to be non-empty
+	KEY: {
+		description: "should be a composite key",
+		parse: value => (typeof value === 'string' && value !== '') ? value : undefined
+	},
+	PRICE: wholeNumber(1),
+	//Leases run for whole months, at most 30 years
+	LEASE_TERM: wholeNumber(1, 360),
+	//Number of distinct registrars who must approve a registration
+	APPROVALS: wholeNumber(1, 10),
+	SURVEY_NUMBER: pattern(SURVEY_NUMBER_PATTERN, "should be 1 to 64 letters, digits, / or - starting with a letter or digit")
+};
+
+//Rules applied to transaction arguments, looked up by argument name
+const InputRules = {
+	name: Rules.NAME,
+	//Aadhar numbers may be left empty to pass them through transient data under the argument name
+	aadharNumber: optional(Rules.AADHAR_NUMBER),
+	emailId: Rules.EMAIL_ID,
+	phoneNumber: Rules.PHONE_NUMBER,
+	recipientName: Rules.NAME,
+	recipientAadharNumber: optional(Rules.AADHAR_NUMBER),
+	holderName: Rules.NAME,
+	holderAadharNumber: optional(Rules.AADHAR_NUMBER),
+	propertyID: Rules.ID,
+	offerID: Rules.ID,
+	lienID: Rules.ID,
+	requestID: Rules.ID,
+	newPropertyID: Rules.ID,
+	surveyNumber: Rules.SURVEY_NUMBER,
+	leaseID: Rules.ID,
+	tenantName: Rules.NAME,
+	tenantAadharNumber: optional(Rules.AADHAR_NUMBER),
+	termInMonths: Rules.LEASE_TERM,
+	monthlyRent: wholeNumber(1),
+	securityDeposit: wholeNumber(0),
+	withdrawalID: Rules.ID,
+	bankTransactionId: Rules.ID,
+	bankReference: text(100),
+	reason: text(500),
+	caseReference: text(100),
+	price: Rules.PRICE,
+	amount: wholeNumber(1),
+	share: wholeNumber(1, 100),
+	consentThreshold: optional(wholeNumber(51, 100)),
+	validityInDays: optional(wholeNumber(1)),
+	maxAgeInDays: wholeNumber(1),
+	status: oneOf(["registered", "onSale"]),
+	documentName: text(100),
+	documentHash: sha256(),
+	fromDate: optional(date()),
+	toDate: optional(date())
+};
+
+//Schemas of structured values passed to transactions
+const Schemas = {
+	CO_OWNER: {
+		name: Rules.NAME,
+		aadharNumber: Rules.AADHAR_NUMBER,
+		share: wholeNumber(1, 100)
+	},
+	PII: {
+		aadharNumber: Rules.AADHAR_NUMBER,
+		emailId: Rules.EMAIL_ID,
+		phoneNumber: Rules.PHONE_NUMBER
+	},
+	PROPERTY_METADATA: {
+		address: text(500),
+		district: text(100),
+		surveyNumber: Rules.SURVEY_NUMBER,
+		area: positiveNumber(),
+		areaUnit: oneOf(AREA_UNITS),
+		propertyType: oneOf(PROPERTY_TYPES),
+		titleDeedHash: sha256(),
+		supportingDocuments: optional(documents())
+	},
+	//Part of a property allotted to a new property when it is split
+	PROPERTY_PART: {
+		propertyID: Rules.ID,
+		price: Rules.PRICE,
+		area: positiveNumber(),
+		surveyNumber: Rules.SURVEY_NUMBER
+	},
+	FEE_SCHEDULE: {
+		registrationFee: wholeNumber(0),
+		stampDutyBands: stampDutyBands()
+	},
+	APPROVAL_POLICY: {
+		userApprovals: Rules.APPROVALS,
+		propertyApprovalBands: priceBands('approvals', Rules.APPROVALS)
+	},
+	//Records of existing land registries onboarded in bulk, user ID is present in exported records
+	IMPORTED_USER: {
+		name: Rules.NAME,
+		aadharNumber: Rules.AADHAR_NUMBER,
+		emailId: Rules.EMAIL_ID,
+		phoneNumber: Rules.PHONE_NUMBER,
+		userID: optional(Rules.USER_ID)
+	},
+	IMPORTED_PROPERTY: {
+		propertyID: Rules.ID,
+		price: Rules.PRICE,
+		owners: owners('userID'),
+		consentThreshold: InputRules.consentThreshold,
+		status: optional(InputRules.status),
+		metadata: object()
+	}
+};
+
+//This class validates transaction inputs and assets against schemas and reports failures as coded errors
+class RegnetValidator {
+	/**
+	 * Validate an object against a schema
+	 * Fields not listed in the schema are left as they are
+	 * @param schema - Object mapping field names to rules
+	 * @param value - Object to be validated
+	 * @param label - Name of the validated object used in error message
+	 * @returns
+	 */
+	static validate(schema, value, label) {
+		if(typeof value !== 'object' || value === null){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT, "Invalid " + label + ". " + label + " should be an object!!!");
+		}
+
+		let normalized = Object.assign({}, value);
+		let errors = [];
+		for(let field of Object.keys(schema)){
+			let parsed = schema[field].parse(value[field]);
+			if(parsed === undefined){
+				errors.push({field: field, message: field + " " + schema[field].description});
+			} else if(field in value){
+				normalized[field] = parsed;
+			}
+		}
+
+		if(errors.length > 0){
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT,
+				"Invalid " + label + ". " + errors.map(error => error.message).join("; ") + "!!!", {fields: errors});
+		}
+		return normalized;
+	}
+
+	/**
+	 * Validate transaction arguments by their names and return their normalized values
+	 * @param inputs - Object mapping argument names to values passed to the transaction
+	 * @returns
+	 */
+	static checkInputs(inputs) {
+		let schema = {};
+		for(let field of Object.keys(inputs)){
+			if(!InputRules[field]){
+				throw new Error("No validation rule defined for input " + field);
+			}
+			schema[field] = InputRules[field];
+		}
+		return RegnetValidator.validate(schema, inputs, "input");
+	}
+
+	/**
+	 * Parse a JSON string passed to a transaction
+	 * @param json - JSON string
+	 * @param label - Name of the value used in error message
+	 * @returns
+	 */
+	static parseJSON(json, label) {
+		try {
+			return JSON.parse(json);
+		} catch(err) {
+			throw new RegnetError(RegnetError.Codes.INVALID_INPUT, "Invalid " + label + ". " + label + " should be a valid JSON string!!!");
+		}
+	}
+}
+
+RegnetValidator.Rules = Rules;
+RegnetValidator.Schemas = Schemas;
+
+module.exports = RegnetValidator;
@@ -0,0 +1,124 @@
+'use strict';
+
+const express = require('express');
+const GatewayError = require('./errors.js');
+const {Routes} = require('./routes.js');
+const {buildSpec} = require('./openapi.js');
+
+//Header carrying the Aadhar number of the acting user on GET requests
+const AADHAR_HEADER = 'x-regnet-aadhar-number';
+
+//Aadhar number of the acting user is passed as transient data, contracts read it from there when the argument is empty
+const AADHAR_ARGUMENT = 'aadharNumber';
+
+//Arguments carrying Aadhar numbers of other users, passed as transient data under the argument name in the same way
+const COUNTERPARTY_ARGUMENTS = ['recipientAadharNumber', 'tenantAadharNumber', 'holderAadharNumber', 'coOwners', 'newOwners'];
+
+/**
+ * Helper function to convert a value received over HTTP into a transaction argument, structured values are passed as JSON
+ * @param value - Value from path, query string or body
+ * @returns
+ */
+function toArgument(value) {
+	if(value === undefined || value === null){
+		return '';
+	}
+	return (typeof value === 'object') ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Helper function to build the transaction invocation for a request
+ * @param route - Route matched by the request
+ * @param req - Express request
+ * @param identities - Wallet identities of the authenticated caller by organization, null for unauthenticated callers
+ * @returns
+ */
+function toInvocation(route, req, identities) {
+	if(!identities){
+		throw new GatewayError(GatewayError.Codes.UNAUTHENTICATED, "Request should carry credentials of a caller known to the gateway!!!");
+	}
+	//Callers act only with the identity they were authenticated for, never with one named in the request
+	let identity = identities[route.contract.org];
+	if(!identity){
+		throw new GatewayError(GatewayError.Codes.FORBIDDEN, "Caller has no identity in wallet of " + route.contract.org + " organization!!!");
+	}
+
+	let input = (route.method === 'get') ? req.query : req.body;
+	let transient = {};
+	for(let field of route.transient){
+		transient[field] = toArgument(input[field]);
+	}
+
+	let args = route.args.map(arg => {
+		if(arg === AADHAR_ARGUMENT){
+			transient[AADHAR_ARGUMENT] = toArgument((route.method === 'get') ? req.get(AADHAR_HEADER) : input[arg]);
+			return '';
+		}
+		if(COUNTERPARTY_ARGUMENTS.includes(arg)){
+			transient[arg] = toArgument(input[arg]);
+			return '';
+		}
+		return toArgument((arg in req.params) ? req.params[arg] : input[arg]);
+	});
+
+	return {
+		org: route.contract.org,
+		identity: identity,
+		contract: route.contract.name,
+		transaction: route.transaction,
+		args: args,
+		transient: transient
+	};
+}
+
+/**
+ * Create the REST application on top of a gateway to the network
+ * @param gateway - Object with async submit and evaluate functions taking an invocation with org, identity, contract,
+ * transaction, args and transient, and returning the parsed result of the transaction
+ * @param authenticate - Function taking an express request and returning, or resolving to, the wallet identities of the
+ * authenticated caller by organization, e.g. {users: 'alice'}, or null to reject the request, see auth.js
+ * @returns
+ */
+function createApp(gateway, authenticate) {
+	//Wallet identities act on behalf of users, hence the gateway does not serve callers it cannot authenticate
+	if(typeof authenticate !== 'function'){
+		throw new Error("Gateway requires a function authenticating its callers!!!");
+	}
+
+	let app = express();
+	app.use(express.json());
+
+	let spec = buildSpec();
+	app.get('/openapi.json', (req, res) => res.json(spec));
+
+	for(let route of Routes){
+		//Errors of authentication, of building the invocation and of the network are passed on to the error handler
+		app[route.method](route.path, (req, res, next) => {
+			Promise.resolve(req)
+				.then(authenticate)
+				.then(identities => {
+					let invocation = toInvocation(route, req, identities);
+					return route.submit ? gateway.submit(invocation) : gateway.evaluate(invocation);
+				})
+				.then(value => res.json(value === undefined ? null : value), next);
+		});
+	}
+
+	app.use((req, res, next) => {
+		next(new GatewayError(GatewayError.Codes.NOT_FOUND, "No route for " + req.method + " " + req.path + "!!!"));
+	});
+
+	//Errors of the contracts and of the gateway are reported with their code, malformed JSON bodies are rejected by express
+	app.use((err, req, res, next) => {
+		let error = (err.type === 'entity.parse.failed') ? new GatewayError(GatewayError.Codes.INVALID_JSON, "Request body should be valid JSON!!!") : err;
+		let {status, body} = GatewayError.toResponse(error);
+		res.status(status).json(body);
+	});
+
+	return app;
+}
+
+module.exports = {
+	createApp: createApp,
+	AADHAR_HEADER: AADHAR_HEADER
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Helper function to hash an API key the way it is listed in the keys file
+ * @param apiKey - API key sent by the caller
+ * @returns
+ */
+function hashApiKey(apiKey) {
+	return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Create a hook authenticating callers by the API key they send as bearer token in the Authorization header
+ * Keys are listed by their SHA-256 hash, so that the keys file does not hold credentials a reader could replay
+ * @param keys - Object mapping SHA-256 of each API key in hex to the wallet identities of its caller by organization,
+ * e.g. {"users": "alice"}
+ * @returns
+ */
+function apiKeyAuthenticator(keys) {
+	return req => {
+		let match = /^Bearer (\S+)$/.exec(req.get('authorization') || '');
+		if(!match){
+			return null;
+		}
+		let hash = hashApiKey(match[1]);
+		return Object.prototype.hasOwnProperty.call(keys, hash) ? keys[hash] : null;
+	};
+}
+
+module.exports = {
+	apiKeyAuthenticator: apiKeyAuthenticator,
+	hashApiKey: hashApiKey
+};
@@ -0,0 +1,72 @@
+'use strict';
+
+const RegnetError = require('regnet/errors.js');
+
+//Codes of errors raised by the gateway itself, before a transaction reaches the network
+const ErrorCodes = {
+	UNAUTHENTICATED: 'GATEWAY_UNAUTHENTICATED',
+	FORBIDDEN: 'GATEWAY_FORBIDDEN',
+	UNKNOWN_IDENTITY: 'GATEWAY_UNKNOWN_IDENTITY',
+	NOT_FOUND: 'GATEWAY_NOT_FOUND',
+	INVALID_JSON: 'GATEWAY_INVALID_JSON',
+	NETWORK_ERROR: 'GATEWAY_NETWORK_ERROR'
+};
+
+//HTTP status codes of errors raised by regnet contracts and by the gateway
+const StatusCodes = {
+	[RegnetError.Codes.INVALID_INPUT]: 400,
+	[RegnetError.Codes.FORBIDDEN]: 403,
+	[RegnetError.Codes.NOT_FOUND]: 404,
+	[RegnetError.Codes.CONFLICT]: 409,
+	[RegnetError.Codes.INVALID_STATE]: 409,
+	[RegnetError.Codes.INSUFFICIENT_FUNDS]: 422,
+	[RegnetError.Codes.LEDGER_ERROR]: 503,
+	[ErrorCodes.UNAUTHENTICATED]: 401,
+	[ErrorCodes.FORBIDDEN]: 403,
+	[ErrorCodes.UNKNOWN_IDENTITY]: 401,
+	[ErrorCodes.NOT_FOUND]: 404,
+	[ErrorCodes.INVALID_JSON]: 400,
+	[ErrorCodes.NETWORK_ERROR]: 502
+};
+
+//Error raised by the gateway along with a code identifying the kind of failure
+class GatewayError extends Error {
+	/**
+	 * Create a new coded error
+	 * @param code - One of the error codes
+	 * @param message - Description of the failure
+	 * @returns
+	 */
+	constructor(code, message) {
+		super(code + ': ' + message);
+		this.name = 'GatewayError';
+		this.code = code;
+	}
+
+	/**
+	 * Helper function to convert an error into the HTTP status and body sent to the client
+	 * Contracts prefix their messages with an error code, which survives however the peer wraps the message.
+	 * Any other failure, e.g. an unreachable peer or an endorsement failure, is reported as a network error
+	 * @param err - Error raised by the gateway or returned by the network
+	 * @returns
+	 */
+	static toResponse(err) {
+		let code = err.code || RegnetError.getCode(err.message);
+		if(!StatusCodes[code]){
+			code = ErrorCodes.NETWORK_ERROR;
+		}
+
+		//Message is reported from the error code onwards, dropping the prefix added by the peer
+		let start = err.message.indexOf(code + ': ');
+		let message = (start === -1) ? err.message : err.message.substring(start + code.length + 2);
+		return {
+			status: StatusCodes[code],
+			body: {error: {code: code, message: message}}
+		};
+	}
+}
+
+GatewayError.Codes = ErrorCodes;
+GatewayError.StatusCodes = StatusCodes;
+
+module.exports = GatewayError;
@@ -0,0 +1,79 @@
+'use strict';
+
+const GatewayError = require('./errors.js');
+
+//Gateway submitting transactions to the network with identities of the wallet of each organization
+class FabricGateway {
+	/**
+	 * @param config - Object with connectionProfile, wallets mapping organization to wallet directory, channel, chaincode
+	 * and discovery options
+	 * @param fabric - fabric-network module, i.e. an object with FileSystemWallet and Gateway classes
+	 */
+	constructor(config, fabric) {
+		this.config = config;
+		this.fabric = fabric;
+		this.wallets = {};
+		for(let org of Object.keys(config.wallets)){
+			this.wallets[org] = new fabric.FileSystemWallet(config.wallets[org]);
+		}
+	}
+
+	/**
+	 * Helper function to run a transaction through a new connection made with the identity of the invocation
+	 * @param invocation - Object with org, identity, contract, transaction, args and transient
+	 * @param submit - True to submit the transaction to the orderer, false to evaluate it on a peer
+	 * @returns
+	 */
+	async invoke(invocation, submit) {
+		//Identity is looked up only in the wallet of the organization owning the contract
+		let wallet = this.wallets[invocation.org];
+		if(!wallet || !await wallet.exists(invocation.identity)){
+			throw new GatewayError(GatewayError.Codes.UNKNOWN_IDENTITY, "No identity " + invocation.identity + " in wallet of " + invocation.org + " organization!!!");
+		}
+
+		let gateway = new this.fabric.Gateway();
+		try {
+			await gateway.connect(this.config.connectionProfile, {
+				wallet: wallet,
+				identity: invocation.identity,
+				discovery: this.config.discovery
+			});
+			let network = await gateway.getNetwork(this.config.channel);
+			let transaction = network.getContract(this.config.chaincode, invocation.contract).createTransaction(invocation.transaction);
+
+			let transient = {};
+			for(let field of Object.keys(invocation.transient)){
+				transient[field] = Buffer.from(invocation.transient[field]);
+			}
+			if(Object.keys(transient).length > 0){
+				transaction.setTransient(transient);
+			}
+
+			let result = submit ? await transaction.submit(...invocation.args) : await transaction.evaluate(...invocation.args);
+			//Contracts return JSON, transactions returning nothing give an empty buffer
+			return (result && result.length > 0) ? JSON.parse(result.toString('utf8')) : null;
+		} finally {
+			gateway.disconnect();
+		}
+	}
+
+	/**
+	 * Submit a transaction to be endorsed, ordered and committed
+	 * @param invocation - Object with org, identity, contract, transaction, args and transient
+	 * @returns
+	 */
+	async submit(invocation) {
+		return await this.invoke(invocation, true);
+	}
+
+	/**
+	 * Evaluate a transaction on a peer without committing it
+	 * @param invocation - Object with org, identity, contract, transaction, args and transient
+	 * @returns
+	 */
+	async evaluate(invocation) {
+		return await this.invoke(invocation, false);
+	}
+}
+
+module.exports = FabricGateway;
@@ -0,0 +1,134 @@
+'use strict';
+
+const {Contracts, Routes} = require('./routes.js');
+const GatewayError = require('./errors.js');
+const {version} = require('./package.json');
+
+//Schemas of transaction arguments by name, arguments not listed here are strings
+const ArgumentSchemas = {
+	price: {type: 'integer', minimum: 1},
+	amount: {type: 'integer', minimum: 1},
+	share: {type: 'integer', minimum: 1, maximum: 100},
+	consentThreshold: {type: 'integer', minimum: 51, maximum: 100},
+	validityInDays: {type: 'integer', minimum: 1},
+	termInMonths: {type: 'integer', minimum: 1, maximum: 360},
+	monthlyRent: {type: 'integer', minimum: 1},
+	securityDeposit: {type: 'integer', minimum: 0},
+	maxAgeInDays: {type: 'integer', minimum: 1},
+	pageSize: {type: 'integer', minimum: 1},
+	fromDate: {type: 'string', format: 'date'},
+	toDate: {type: 'string', format: 'date'},
+	status: {type: 'string', enum: ['registered', 'onSale']},
+	coOwners: {type: 'array', items: {type: 'object'}},
+	parts: {type: 'array', items: {type: 'object'}},
+	newOwners: {type: 'array', items: {type: 'object'}},
+	properties: {type: 'array', items: {type: 'object'}},
+	users: {type: 'array', items: {type: 'object'}},
+	propertyIDs: {type: 'array', items: {type: 'string'}},
+	metadata: {type: 'object'},
+	metadataAmendments: {type: 'object'},
+	queryString: {type: 'object'},
+	feeSchedule: {type: 'object'},
+	approvalPolicy: {type: 'object'}
+};
+
+/**
+ * Helper function to get schema of a transaction argument
+ * @param name - Name of the argument
+ * @returns
+ */
+function argumentSchema(name) {
+	return ArgumentSchemas[name] || {type: 'string'};
+}
+
+/**
+ * Helper function to describe the operation of a route
+ * @param route - Route of the gateway
+ * @returns
+ */
+function toOperation(route) {
+	let pathParams = (route.path.match(/:\w+/g) || []).map(param => param.substring(1));
+	let fields = route.args.filter(arg => !pathParams.includes(arg));
+	let isRegistrar = route.contract === Contracts.REGISTRAR;
+
+	let parameters = [];
+	pathParams.forEach(name => parameters.push({in: 'path', name: name, required: true, schema: argumentSchema(name)}));
+
+	let operation = {
+		operationId: isRegistrar ? 'registrar' + route.transaction.charAt(0).toUpperCase() + route.transaction.substring(1) : route.transaction,
+		tags: [isRegistrar ? 'registrar' : route.path.split('/')[1]],
+		summary: route.summary,
+		description: "Invokes " + route.transaction + " of " + route.contract.name + (route.submit ? "" : " on a peer"),
+		parameters: parameters
+	};
+
+	//Aadhar number of the acting user is sent in a header on GET requests and in the body otherwise
+	if(route.method === 'get'){
+		fields.forEach(name => {
+			parameters.push((name === 'aadharNumber') ?
+				{in: 'header', name: 'X-Regnet-Aadhar-Number', required: true, schema: {type: 'string', pattern: '^\\d{12}$'}} :
+				{in: 'query', name: name, required: false, schema: argumentSchema(name)});
+		});
+	} else if(fields.length > 0 || route.transient.length > 0){
+		let properties = {};
+		fields.concat(route.transient).forEach(name => { properties[name] = argumentSchema(name); });
+		operation.requestBody = {required: true, content: {'application/json': {schema: {type: 'object', properties: properties}}}};
+	}
+
+	operation.responses = {'200': {description: "Result returned by the transaction", content: {'application/json': {schema: {}}}}};
+	Array.from(new Set(Object.values(GatewayError.StatusCodes))).sort((a, b) => a - b).forEach(status => {
+		operation.responses[String(status)] = {$ref: '#/components/responses/Error'};
+	});
+	return operation;
+}
+
+/**
+ * Build the OpenAPI description of all routes of the gateway
+ * @returns
+ */
+function buildSpec() {
+	let paths = {};
+	for(let route of Routes){
+		let path = route.path.replace(/:(\w+)/g, '{$1}');
+		paths[path] = paths[path] || {};
+		paths[path][route.method] = toOperation(route);
+	}
+
+	return {
+		openapi: '3.0.3',
+		info: {
+			title: "Property Registration Network REST gateway",
+			version: version,
+			description: "Transactions of the user and registrar contracts of regnet. Errors carry the code of the contract, e.g. REGNET_NOT_FOUND, or of the gateway"
+		},
+		paths: paths,
+		//Callers are authenticated with API keys and act with the identity of the wallet their key is mapped to
+		security: [{apiKey: []}],
+		components: {
+			securitySchemes: {
+				apiKey: {type: 'http', scheme: 'bearer', description: "API key issued to the caller by the operator of the gateway"}
+			},
+			schemas: {
+				Error: {
+					type: 'object',
+					properties: {
+						error: {
+							type: 'object',
+							properties: {
+								code: {type: 'string', enum: Object.keys(GatewayError.StatusCodes)},
+								message: {type: 'string'}
+							}
+						}
+					}
+				}
+			},
+			responses: {
+				Error: {description: "Failure along with its code", content: {'application/json': {schema: {$ref: '#/components/schemas/Error'}}}}
+			}
+		}
+	};
+}
+
+module.exports = {
+	buildSpec: buildSpec
+};
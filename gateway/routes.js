@@ -0,0 +1,177 @@
+'use strict';
+
+//Contracts exposed by the gateway along with the organisation whose wallet holds the identities invoking them
+const Contracts = {
+	USER: {name: 'org.property-registration-network.regnet.usercontract', org: 'users'},
+	REGISTRAR: {name: 'org.property-registration-network.regnet.registrarcontract', org: 'registrar'}
+};
+
+/**
+ * Helper function to describe a route mapped to a transaction
+ * Arguments are read from the path parameter of the same name, otherwise from the query string of GET requests and from
+ * the JSON body of other requests. GET requests are evaluated on a peer, other requests are submitted to the orderer
+ * @param method - HTTP method
+ * @param path - Express path of the route
+ * @param contract - Contract implementing the transaction
+ * @param transaction - Name of the transaction
+ * @param args - Names of the transaction arguments in order
+ * @param summary - Short description of the route
+ * @param options - Optional object with transient, names of body fields passed as transient data, and submit, to
+ * evaluate a POST request which only reads the ledger
+ * @returns
+ */
+function route(method, path, contract, transaction, args, summary, options) {
+	return Object.assign({
+		method: method,
+		path: path,
+		contract: contract,
+		transaction: transaction,
+		args: args,
+		summary: summary,
+		transient: [],
+		submit: method !== 'get'
+	}, options);
+}
+
+const USER = Contracts.USER;
+const REGISTRAR = Contracts.REGISTRAR;
+
+//Arguments naming the user who performs a transaction on own behalf
+const ACTOR = ['name', 'aadharNumber'];
+
+//Static paths are listed before parameterised paths sharing their prefix, e.g. /users/requests before /users/:name
+const Routes = [
+	//Users
+	route('post', '/users/requests', USER, 'requestNewUser', ['name'], "Request registration of a new user",
+		{transient: ['aadharNumber', 'emailId', 'phoneNumber']}),
+	route('get', '/users/requests/:name', USER, 'viewUserRequest', ACTOR, "View registration request of a user"),
+	route('get', '/users/:name', USER, 'viewUser', ACTOR, "View a user"),
+	route('get', '/users/:name/history', USER, 'getUserHistory', ACTOR, "View history of a user"),
+	route('get', '/users/:name/statement', USER, 'getAccountStatement', ACTOR.concat(['fromDate', 'toDate', 'pageSize', 'bookmark']),
+		"View a page of the account statement of a user"),
+	route('post', '/users/:name/recharge', USER, 'rechargeAccount', ACTOR.concat(['bankTransactionId']), "Recharge account with a bank deposit"),
+	route('post', '/users/:name/withdrawals', USER, 'requestWithdrawal', ACTOR.concat(['amount']), "Request withdrawal of upgradCoins"),
+	route('post', '/users/:name/transfers', USER, 'transferCoins', ACTOR.concat(['recipientName', 'recipientAadharNumber', 'amount']),
+		"Transfer upgradCoins to another user"),
+	route('post', '/users/:name/identity', USER, 'requestIdentityRebind', ACTOR, "Request binding of the calling identity to a user"),
+
+	//Properties
+	route('get', '/properties', USER, 'listProperties', ['pageSize', 'bookmark'], "List a page of properties"),
+	route('post', '/properties/query', USER, 'queryProperties', ['queryString', 'pageSize', 'bookmark'], "Query a page of properties",
+		{submit: false}),
+	route('post', '/properties/requests', USER, 'propertyRegistrationRequest',
+		ACTOR.concat(['propertyID', 'price', 'coOwners', 'consentThreshold', 'metadata']), "Request registration of a property"),
+	route('get', '/properties/requests/:propertyID', USER, 'viewPropertyRequest', ['propertyID'], "View registration request of a property"),
+	route('post', '/properties/mergers', USER, 'requestPropertyMerger',
+		['propertyIDs'].concat(ACTOR, ['newPropertyID', 'price', 'surveyNumber']), "Request merger of properties"),
+	route('get', '/properties/:propertyID', USER, 'viewProperty', ['propertyID'], "View a property"),
+	route('get', '/properties/:propertyID/history', USER, 'getPropertyHistory', ['propertyID'], "View history of a property"),
+	route('get', '/properties/:propertyID/lineage', USER, 'getPropertyLineage', ['propertyID'], "View properties a property was split or merged from and into"),
+	route('post', '/properties/:propertyID/documents/verify', USER, 'verifyPropertyDocument', ['propertyID', 'documentName', 'documentHash'],
+		"Verify a document against the hash recorded in property metadata", {submit: false}),
+	route('put', '/properties/:propertyID/status', USER, 'updateProperty', ['propertyID'].concat(ACTOR, ['status']),
+		"List a property for sale or take it off the market"),
+	route('post', '/properties/:propertyID/purchase', USER, 'purchaseProperty', ['propertyID'].concat(ACTOR), "Purchase a property listed for sale"),
+	route('post', '/properties/:propertyID/shares/transfer', USER, 'transferShare',
+		['propertyID'].concat(ACTOR, ['recipientName', 'recipientAadharNumber', 'share']), "Transfer ownership share to another user"),
+	route('post', '/properties/:propertyID/split', USER, 'requestPropertySplit', ['propertyID'].concat(ACTOR, ['parts']), "Request split of a property"),
+
+	//Offers
+	route('get', '/properties/:propertyID/offers', USER, 'viewOffers', ['propertyID'], "View open offers on a property"),
+	route('post', '/properties/:propertyID/offers', USER, 'placeOffer', ['propertyID'].concat(ACTOR, ['amount', 'validityInDays']),
+		"Place an offer backed by escrow"),
+	route('post', '/properties/:propertyID/offers/expire', USER, 'expireOffers', ['propertyID'], "Refund offers past their validity"),
+	route('post', '/properties/:propertyID/offers/:offerID/withdraw', USER, 'withdrawOffer', ['propertyID', 'offerID'].concat(ACTOR),
+		"Withdraw an offer"),
+	route('post', '/properties/:propertyID/offers/:offerID/accept', USER, 'acceptOffer', ['propertyID', 'offerID'].concat(ACTOR),
+		"Accept an offer or consent to it as co-owner"),
+
+	//Leases
+	route('get', '/properties/:propertyID/leases', USER, 'viewLeases', ['propertyID'], "View leases of a property"),
+	route('post', '/properties/:propertyID/leases', USER, 'offerLease',
+		['propertyID'].concat(ACTOR, ['tenantName', 'tenantAadharNumber', 'termInMonths', 'monthlyRent', 'securityDeposit']), "Offer a lease to a tenant"),
+	route('get', '/properties/:propertyID/leases/:leaseID/overdue', USER, 'viewOverdueRent', ['propertyID', 'leaseID'], "View rent overdue on a lease"),
+	route('post', '/properties/:propertyID/leases/:leaseID/cancel', USER, 'cancelLeaseOffer', ['propertyID', 'leaseID'].concat(ACTOR),
+		"Withdraw or decline a lease offer"),
+	route('post', '/properties/:propertyID/leases/:leaseID/accept', USER, 'acceptLease', ['propertyID', 'leaseID'].concat(ACTOR),
+		"Accept a lease offer"),
+	route('post', '/properties/:propertyID/leases/:leaseID/rent', USER, 'payRent', ['propertyID', 'leaseID'].concat(ACTOR), "Pay rent of the next month"),
+	route('post', '/properties/:propertyID/leases/:leaseID/terminate', USER, 'terminateLease', ['propertyID', 'leaseID'].concat(ACTOR, ['reason']),
+		"Terminate a lease"),
+
+	//Splits and mergers
+	route('get', '/restructures/:requestID', USER, 'viewRestructureRequest', ['requestID'], "View a split or merger request"),
+	route('post', '/restructures/:requestID/consent', USER, 'consentToPropertyRestructure', ['requestID'].concat(ACTOR),
+		"Consent to a split or merger as co-owner"),
+
+	//Registration work queue of registrars
+	route('get', '/registrar/users/requests', REGISTRAR, 'listPendingUserRequests', ['pageSize', 'bookmark'], "List pending user registration requests"),
+	route('post', '/registrar/users/requests/:name/approve', REGISTRAR, 'approveNewUser', ACTOR, "Approve a user registration request"),
+	route('post', '/registrar/users/requests/:name/reject', REGISTRAR, 'rejectNewUser', ACTOR.concat(['reason']), "Reject a user registration request"),
+	route('get', '/registrar/users/identities', REGISTRAR, 'listPendingIdentityRebinds', ['pageSize', 'bookmark'], "List pending identity binding requests"),
+	route('get', '/registrar/users/:name', REGISTRAR, 'viewUser', ACTOR, "View a user along with personal details"),
+	route('get', '/registrar/users/:name/history', REGISTRAR, 'getUserHistory', ACTOR, "View history of a user"),
+	route('post', '/registrar/users/:name/identity/approve', REGISTRAR, 'approveIdentityRebind', ACTOR, "Bind the requested identity to a user"),
+	route('post', '/registrar/users/:name/identity/reject', REGISTRAR, 'rejectIdentityRebind', ACTOR.concat(['reason']),
+		"Keep the current identity of a user"),
+	route('get', '/registrar/properties/requests', REGISTRAR, 'listPendingPropertyRequests', ['pageSize', 'bookmark'],
+		"List pending property registration requests"),
+	route('post', '/registrar/properties/requests/:propertyID/approve', REGISTRAR, 'approvePropertyRegistration', ['propertyID', 'metadataAmendments'],
+		"Approve a property registration request, optionally correcting its metadata"),
+	route('post', '/registrar/properties/requests/:propertyID/reject', REGISTRAR, 'rejectPropertyRegistration', ['propertyID', 'reason'],
+		"Reject a property registration request"),
+	route('post', '/registrar/requests/expire', REGISTRAR, 'expirePendingRequests', ['maxAgeInDays'], "Expire pending requests older than given age"),
+	route('get', '/registrar/approvals', REGISTRAR, 'listOutstandingApprovals', [], "List requests awaiting approval of more registrars"),
+	route('get', '/registrar/approval-policy', REGISTRAR, 'viewApprovalPolicy', [], "View the approval policy"),
+	route('put', '/registrar/approval-policy', REGISTRAR, 'setApprovalPolicy', ['approvalPolicy'], "Set the approval policy"),
+
+	//Fees and treasury
+	route('get', '/registrar/fee-schedule', REGISTRAR, 'viewFeeSchedule', [], "View the fee schedule"),
+	route('put', '/registrar/fee-schedule', REGISTRAR, 'setFeeSchedule', ['feeSchedule'], "Set the fee schedule"),
+	route('get', '/registrar/treasury', REGISTRAR, 'viewTreasury', [], "View the government treasury"),
+	route('get', '/registrar/fees', REGISTRAR, 'listFees', ['pageSize', 'bookmark'], "List a page of collected fees"),
+
+	//Properties as seen by registrars
+	route('get', '/registrar/properties', REGISTRAR, 'listProperties', ['pageSize', 'bookmark'], "List a page of properties"),
+	route('post', '/registrar/properties/query', REGISTRAR, 'queryProperties', ['queryString', 'pageSize', 'bookmark'], "Query a page of properties",
+		{submit: false}),
+	route('get', '/registrar/properties/:propertyID', REGISTRAR, 'viewProperty', ['propertyID'], "View a property"),
+	route('get', '/registrar/properties/:propertyID/history', REGISTRAR, 'getPropertyHistory', ['propertyID'], "View history of a property"),
+	route('get', '/registrar/properties/:propertyID/lineage', REGISTRAR, 'getPropertyLineage', ['propertyID'],
+		"View properties a property was split or merged from and into"),
+	route('post', '/registrar/properties/:propertyID/documents/verify', REGISTRAR, 'verifyPropertyDocument', ['propertyID', 'documentName', 'documentHash'],
+		"Verify a document against the hash recorded in property metadata", {submit: false}),
+
+	//Freezes, disputes and court orders
+	route('get', '/registrar/properties/:propertyID/interventions', REGISTRAR, 'viewInterventions', ['propertyID'], "View interventions on a property"),
+	route('post', '/registrar/properties/:propertyID/freeze', REGISTRAR, 'freezeProperty', ['propertyID', 'caseReference', 'reason'], "Freeze a property"),
+	route('post', '/registrar/properties/:propertyID/unfreeze', REGISTRAR, 'unfreezeProperty', ['propertyID', 'caseReference', 'reason'], "Unfreeze a property"),
+	route('post', '/registrar/properties/:propertyID/dispute', REGISTRAR, 'markPropertyDisputed', ['propertyID', 'caseReference', 'reason'],
+		"Mark a property as disputed"),
+	route('post', '/registrar/properties/:propertyID/dispute/resolve', REGISTRAR, 'resolvePropertyDispute', ['propertyID', 'caseReference', 'reason'],
+		"Resolve the dispute on a property"),
+	route('post', '/registrar/properties/:propertyID/court-ordered-transfer', REGISTRAR, 'executeCourtOrderedTransfer',
+		['propertyID', 'caseReference', 'newOwners', 'reason'], "Transfer a property to new owners by court order"),
+
+	//Splits and mergers
+	route('get', '/registrar/restructures', REGISTRAR, 'listPendingRestructureRequests', ['pageSize', 'bookmark'], "List pending split and merger requests"),
+	route('post', '/registrar/restructures/:requestID/approve', REGISTRAR, 'approvePropertyRestructure', ['requestID'], "Approve a split or merger"),
+	route('post', '/registrar/restructures/:requestID/reject', REGISTRAR, 'rejectPropertyRestructure', ['requestID', 'reason'], "Reject a split or merger"),
+
+	//Migrations, imports and exports
+	route('post', '/registrar/user-id-key', REGISTRAR, 'setUserIDKey', [], "Set the secret user IDs are derived with", {transient: ['userIDKey']}),
+	route('post', '/registrar/migrations/user-records', REGISTRAR, 'migrateUserRecords', [],
+		"Move personal details of users to private data and re-key users whose IDs were derived otherwise"),
+	route('post', '/registrar/migrations/assets', REGISTRAR, 'migrateAssets', ['assetType', 'pageSize', 'bookmark'],
+		"Upgrade a batch of assets to the current schema version"),
+	route('get', '/registrar/schema-versions', REGISTRAR, 'viewSchemaVersions', [], "View the current schema version of every asset type"),
+	route('post', '/registrar/imports/users', REGISTRAR, 'importUsers', [], "Import users of an existing registry", {transient: ['users']}),
+	route('post', '/registrar/imports/properties', REGISTRAR, 'importProperties', ['properties'], "Import properties of an existing registry"),
+	route('get', '/registrar/exports/users', REGISTRAR, 'exportUsers', ['pageSize', 'bookmark'], "Export a page of users in the import format"),
+	route('get', '/registrar/exports/properties', REGISTRAR, 'exportProperties', ['pageSize', 'bookmark'], "Export a page of properties in the import format")
+];
+
+module.exports = {
+	Contracts: Contracts,
+	Routes: Routes
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {createApp} = require('./app.js');
+const {apiKeyAuthenticator} = require('./auth.js');
+const FabricGateway = require('./fabric.js');
+
+//Wallets of every organization live under one directory, e.g. wallets/users and wallets/registrar
+const walletDir = process.env.REGNET_WALLET_DIR || path.join(__dirname, 'wallets');
+
+const gateway = new FabricGateway({
+	connectionProfile: JSON.parse(fs.readFileSync(process.env.REGNET_CONNECTION_PROFILE || path.join(__dirname, 'connection.json'), 'utf8')),
+	wallets: {
+		users: path.join(walletDir, 'users'),
+		registrar: path.join(walletDir, 'registrar')
+	},
+	channel: process.env.REGNET_CHANNEL || 'registrationchannel',
+	chaincode: process.env.REGNET_CHAINCODE || 'regnet',
+	discovery: {enabled: true, asLocalhost: process.env.REGNET_DISCOVERY_AS_LOCALHOST !== 'false'}
+}, require('fabric-network'));
+
+//API keys of callers listed by their SHA-256 hash along with the wallet identities they act with
+const apiKeys = JSON.parse(fs.readFileSync(process.env.REGNET_API_KEYS || path.join(__dirname, 'api-keys.json'), 'utf8'));
+
+const port = Number(process.env.PORT || 3000);
+createApp(gateway, apiKeyAuthenticator(apiKeys)).listen(port, () => {
+	console.log('Regnet gateway listening on port ' + port);
+});
@@ -0,0 +1,233 @@
+'use strict';
+
+const chai = require('chai');
+const request = require('supertest');
+
+const {createApp} = require('../app.js');
+const {apiKeyAuthenticator, hashApiKey} = require('../auth.js');
+const {Contracts} = require('../routes.js');
+const FakeGateway = require('./fakes/gateway.js');
+const RegnetError = require('regnet/errors.js');
+
+chai.should();
+
+const AADHAR = '123456789012';
+
+//Callers known to the gateway along with the wallet identities their API keys are mapped to
+const API_KEYS = {
+	[hashApiKey('alice-key')]: {users: 'alice'},
+	[hashApiKey('bob-key')]: {users: 'bob'},
+	[hashApiKey('mallory-key')]: {users: 'mallory'},
+	[hashApiKey('registrar-key')]: {registrar: 'registrar'}
+};
+
+describe('REST gateway', () => {
+	let gateway, app;
+
+	beforeEach(() => {
+		gateway = new FakeGateway();
+		app = createApp(gateway, apiKeyAuthenticator(API_KEYS));
+	});
+
+	describe('User requests', () => {
+		it('should pass personal details of a new user as transient data', async () => {
+			let userRequest = {name: 'alice', status: 'pending'};
+			gateway.respond(userRequest);
+			let res = await request(app).post('/users/requests').set('Authorization', 'Bearer alice-key')
+				.send({name: 'alice', aadharNumber: AADHAR, emailId: 'alice@mail.com', phoneNumber: '9999999999'});
+
+			res.status.should.equal(200);
+			res.body.should.deep.equal(userRequest);
+			gateway.last.should.deep.equal({
+				submitted: true,
+				org: 'users',
+				identity: 'alice',
+				contract: Contracts.USER.name,
+				transaction: 'requestNewUser',
+				args: ['alice'],
+				transient: {aadharNumber: AADHAR, emailId: 'alice@mail.com', phoneNumber: '9999999999'}
+			});
+		});
+
+		it('should read arguments from path and body and pass Aadhar number of the acting user as transient data', async () => {
+			await request(app).post('/properties/001/offers').set('Authorization', 'Bearer bob-key')
+				.send({name: 'bob', aadharNumber: AADHAR, amount: 400, validityInDays: 7}).expect(200);
+
+			gateway.last.should.deep.include({
+				submitted: true,
+				transaction: 'placeOffer',
+				args: ['001', 'bob', '', '400', '7'],
+				transient: {aadharNumber: AADHAR}
+			});
+		});
+
+		it('should evaluate GET requests with Aadhar number from header and arguments from query string', async () => {
+			gateway.respond({transactions: [], bookmark: ''});
+			await request(app).get('/users/alice/statement').query({pageSize: 10, fromDate: '2020-01-01'})
+				.set('Authorization', 'Bearer alice-key').set('X-Regnet-Aadhar-Number', AADHAR).expect(200);
+
+			gateway.last.should.deep.include({
+				submitted: false,
+				transaction: 'getAccountStatement',
+				args: ['alice', '', '2020-01-01', '', '10', ''],
+				transient: {aadharNumber: AADHAR}
+			});
+		});
+
+		it('should pass structured values as JSON', async () => {
+			let coOwners = [{name: 'bob', aadharNumber: '210987654321', share: 40}];
+			await request(app).post('/properties/requests').set('Authorization', 'Bearer alice-key')
+				.send({name: 'alice', aadharNumber: AADHAR, propertyID: '001', price: 500, coOwners: coOwners, metadata: {district: 'Pune'}})
+				.expect(200);
+
+			gateway.last.args.should.deep.equal(['alice', '', '001', '500', '', '', JSON.stringify({district: 'Pune'})]);
+			gateway.last.transient.should.deep.equal({aadharNumber: AADHAR, coOwners: JSON.stringify(coOwners)});
+		});
+
+		it('should pass Aadhar numbers of other users as transient data', async () => {
+			await request(app).post('/users/alice/transfers').set('Authorization', 'Bearer alice-key')
+				.send({aadharNumber: AADHAR, recipientName: 'bob', recipientAadharNumber: '210987654321', amount: 100}).expect(200);
+
+			gateway.last.should.deep.include({
+				args: ['alice', '', 'bob', '', '100'],
+				transient: {aadharNumber: AADHAR, recipientAadharNumber: '210987654321'}
+			});
+		});
+
+		it('should evaluate POST requests which only read the ledger', async () => {
+			gateway.respond({verified: true});
+			let res = await request(app).post('/properties/001/documents/verify').set('Authorization', 'Bearer alice-key')
+				.send({documentName: 'titleDeed', documentHash: 'abc'});
+
+			res.body.should.deep.equal({verified: true});
+			gateway.last.should.deep.include({submitted: false, args: ['001', 'titleDeed', 'abc']});
+		});
+
+		it('should respond with null for transactions returning nothing', async () => {
+			let res = await request(app).post('/properties/001/offers/expire').set('Authorization', 'Bearer alice-key').expect(200);
+			(res.body === null).should.equal(true);
+		});
+	});
+
+	describe('Registrar requests', () => {
+		it('should invoke registrar contract with identities of registrar organization', async () => {
+			gateway.respond({name: 'alice'});
+			await request(app).post('/registrar/users/requests/alice/approve').set('Authorization', 'Bearer registrar-key')
+				.send({aadharNumber: AADHAR}).expect(200);
+
+			gateway.last.should.deep.equal({
+				submitted: true,
+				org: 'registrar',
+				identity: 'registrar',
+				contract: Contracts.REGISTRAR.name,
+				transaction: 'approveNewUser',
+				args: ['alice', ''],
+				transient: {aadharNumber: AADHAR}
+			});
+		});
+
+		it('should pass imported users as transient data', async () => {
+			let users = [{name: 'alice', aadharNumber: AADHAR, emailId: 'alice@mail.com', phoneNumber: '9999999999'}];
+			await request(app).post('/registrar/imports/users').set('Authorization', 'Bearer registrar-key').send({users: users}).expect(200);
+
+			gateway.last.should.deep.include({args: [], transient: {users: JSON.stringify(users)}});
+		});
+	});
+
+	describe('Errors', () => {
+		const failWith = (code, message) => gateway.respond(new Error('transaction returned with failure: ' + code + ': ' + message));
+
+		it('should reject callers without a known API key', async () => {
+			for(let authorization of [undefined, 'Bearer unknown-key', 'alice-key']){
+				let req = request(app).get('/properties/001').set('X-Regnet-Identity', 'alice');
+				let res = await (authorization ? req.set('Authorization', authorization) : req);
+
+				res.status.should.equal(401);
+				res.body.error.code.should.equal('GATEWAY_UNAUTHENTICATED');
+			}
+			gateway.invocations.should.have.length(0);
+		});
+
+		it('should only let callers act with the identity their API key is mapped to', async () => {
+			let res = await request(app).post('/registrar/users/requests/alice/approve').set('Authorization', 'Bearer alice-key')
+				.send({aadharNumber: AADHAR});
+			res.status.should.equal(403);
+			res.body.error.code.should.equal('GATEWAY_FORBIDDEN');
+
+			await request(app).get('/properties/001').set('Authorization', 'Bearer bob-key').set('X-Regnet-Identity', 'alice').expect(200);
+			gateway.last.identity.should.equal('bob');
+		});
+
+		it('should report failures of the authentication hook', async () => {
+			app = createApp(gateway, () => Promise.reject(new Error('Identity provider is unreachable')));
+			let res = await request(app).get('/properties/001');
+
+			res.status.should.equal(502);
+			gateway.invocations.should.have.length(0);
+		});
+
+		it('should not be created without an authentication hook', () => {
+			(() => createApp(gateway)).should.throw(/authenticating its callers/);
+		});
+
+		it('should map error codes of contracts to HTTP status codes', async () => {
+			let expected = [
+				[RegnetError.Codes.INVALID_INPUT, 400],
+				[RegnetError.Codes.FORBIDDEN, 403],
+				[RegnetError.Codes.NOT_FOUND, 404],
+				[RegnetError.Codes.CONFLICT, 409],
+				[RegnetError.Codes.INVALID_STATE, 409],
+				[RegnetError.Codes.INSUFFICIENT_FUNDS, 422],
+				[RegnetError.Codes.LEDGER_ERROR, 503]
+			];
+			for(let [code, status] of expected){
+				failWith(code, "Failure!!!");
+				let res = await request(app).get('/properties/001').set('Authorization', 'Bearer alice-key');
+
+				res.status.should.equal(status);
+				res.body.should.deep.equal({error: {code: code, message: "Failure!!!"}});
+			}
+		});
+
+		it('should report unknown identities', async () => {
+			gateway.respond(Object.assign(new Error('GATEWAY_UNKNOWN_IDENTITY: No identity mallory!!!'), {code: 'GATEWAY_UNKNOWN_IDENTITY'}));
+			let res = await request(app).get('/properties/001').set('Authorization', 'Bearer mallory-key');
+
+			res.status.should.equal(401);
+			res.body.should.deep.equal({error: {code: 'GATEWAY_UNKNOWN_IDENTITY', message: "No identity mallory!!!"}});
+		});
+
+		it('should report other failures as network errors', async () => {
+			gateway.respond(new Error('Failed to connect before the deadline'));
+			let res = await request(app).get('/properties/001').set('Authorization', 'Bearer alice-key');
+
+			res.status.should.equal(502);
+			res.body.should.deep.equal({error: {code: 'GATEWAY_NETWORK_ERROR', message: 'Failed to connect before the deadline'}});
+		});
+
+		it('should reject malformed JSON bodies', async () => {
+			let res = await request(app).post('/properties/001/purchase').set('Authorization', 'Bearer alice-key')
+				.set('Content-Type', 'application/json').send('{"name":');
+
+			res.status.should.equal(400);
+			res.body.error.code.should.equal('GATEWAY_INVALID_JSON');
+			gateway.invocations.should.have.length(0);
+		});
+
+		it('should report unknown routes', async () => {
+			let res = await request(app).delete('/properties/001').set('Authorization', 'Bearer alice-key');
+
+			res.status.should.equal(404);
+			res.body.should.deep.equal({error: {code: 'GATEWAY_NOT_FOUND', message: "No route for DELETE /properties/001!!!"}});
+		});
+	});
+
+	describe('OpenAPI', () => {
+		it('should serve the OpenAPI description', async () => {
+			let res = await request(app).get('/openapi.json').expect(200);
+
+			res.body.paths['/properties/{propertyID}/purchase'].post.operationId.should.equal('purchaseProperty');
+			res.body.paths['/registrar/properties/{propertyID}'].get.operationId.should.equal('registrarViewProperty');
+		});
+	});
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const FabricGateway = require('../fabric.js');
+
+chai.should();
+chai.use(chaiAsPromised);
+
+describe('FabricGateway', () => {
+	let calls, result, fabric, gateway;
+
+	//Stand-ins of fabric-network classes recording how they are called
+	const fakeFabric = () => ({
+		FileSystemWallet: class {
+			constructor(path) {
+				this.path = path;
+			}
+
+			async exists(label) {
+				return this.path.endsWith(label === 'registrar' ? 'registrar' : 'users');
+			}
+		},
+		Gateway: class {
+			async connect(profile, options) {
+				calls.push(['connect', profile, options.wallet.path, options.identity, options.discovery]);
+			}
+
+			async getNetwork(channel) {
+				calls.push(['getNetwork', channel]);
+				return {
+					getContract: (chaincode, contract) => {
+						calls.push(['getContract', chaincode, contract]);
+						return {
+							createTransaction: name => ({
+								setTransient: transient => calls.push(['setTransient', name, transient]),
+								submit: async (...args) => { calls.push(['submit', name, args]); return result(); },
+								evaluate: async (...args) => { calls.push(['evaluate', name, args]); return result(); }
+							})
+						};
+					}
+				};
+			}
+
+			disconnect() {
+				calls.push(['disconnect']);
+			}
+		}
+	});
+
+	const invocation = (org, identity, transient) => ({
+		org: org,
+		identity: identity,
+		contract: 'regnet.contract',
+		transaction: 'viewProperty',
+		args: ['001'],
+		transient: transient || {}
+	});
+
+	beforeEach(() => {
+		calls = [];
+		result = () => Buffer.from(JSON.stringify({propertyID: '001'}));
+		fabric = fakeFabric();
+		gateway = new FabricGateway({
+			connectionProfile: {name: 'regnet'},
+			wallets: {users: '/wallets/users', registrar: '/wallets/registrar'},
+			channel: 'registrationchannel',
+			chaincode: 'regnet',
+			discovery: {enabled: true, asLocalhost: true}
+		}, fabric);
+	});
+
+	it('should submit transactions with the identity from the wallet of the organization', async () => {
+		let value = await gateway.submit(invocation('users', 'alice', {aadharNumber: '123456789012'}));
+
+		value.should.deep.equal({propertyID: '001'});
+		calls.should.deep.equal([
+			['connect', {name: 'regnet'}, '/wallets/users', 'alice', {enabled: true, asLocalhost: true}],
+			['getNetwork', 'registrationchannel'],
+			['getContract', 'regnet', 'regnet.contract'],
+			['setTransient', 'viewProperty', {aadharNumber: Buffer.from('123456789012')}],
+			['submit', 'viewProperty', ['001']],
+			['disconnect']
+		]);
+	});
+
+	it('should evaluate transactions without transient data', async () => {
+		await gateway.evaluate(invocation('registrar', 'registrar'));
+
+		calls.map(call => call[0]).should.deep.equal(['connect', 'getNetwork', 'getContract', 'evaluate', 'disconnect']);
+		calls[0][2].should.equal('/wallets/registrar');
+	});
+
+	it('should return null for transactions returning nothing', async () => {
+		result = () => Buffer.alloc(0);
+		let value = await gateway.submit(invocation('users', 'alice'));
+		(value === null).should.equal(true);
+	});
+
+	it('should reject identities missing from the wallet of the organization', async () => {
+		await gateway.submit(invocation('users', 'registrar'))
+			.should.be.rejectedWith(/^GATEWAY_UNKNOWN_IDENTITY: No identity registrar in wallet of users organization!!!/);
+		await gateway.submit(invocation('bank', 'alice')).should.be.rejectedWith(/GATEWAY_UNKNOWN_IDENTITY/);
+		calls.should.have.length(0);
+	});
+
+	it('should disconnect when a transaction fails', async () => {
+		result = () => { throw new Error('transaction returned with failure: REGNET_NOT_FOUND: No property!!!'); };
+		await gateway.submit(invocation('users', 'alice')).should.be.rejectedWith(/REGNET_NOT_FOUND/);
+		calls[calls.length - 1].should.deep.equal(['disconnect']);
+	});
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+//Fake gateway recording invocations and answering them from results queued by tests instead of a live network
+class FakeGateway {
+	constructor() {
+		this.invocations = [];
+		this.results = [];
+	}
+
+	//Queue result of the next invocation, errors are raised instead of returned
+	respond(result) {
+		this.results.push(result);
+		return this;
+	}
+
+	async invoke(invocation, submitted) {
+		this.invocations.push(Object.assign({submitted: submitted}, invocation));
+		let result = this.results.shift();
+		if(result instanceof Error){
+			throw result;
+		}
+		return result;
+	}
+
+	async submit(invocation) {
+		return await this.invoke(invocation, true);
+	}
+
+	async evaluate(invocation) {
+		return await this.invoke(invocation, false);
+	}
+
+	//Latest invocation received
+	get last() {
+		return this.invocations[this.invocations.length - 1];
+	}
+}
+
+module.exports = FakeGateway;
@@ -0,0 +1,47 @@
+'use strict';
+
+const chai = require('chai');
+
+const {Contracts, Routes} = require('../routes.js');
+const {buildSpec} = require('../openapi.js');
+const RegnetUserContract = require('regnet/usercontract.js');
+const RegnetRegistrarContract = require('regnet/registrarcontract.js');
+
+chai.should();
+
+describe('Routes', () => {
+	//Transactions of a contract are the functions of its prototype, instantiate and beforeTransaction are run only by the network
+	const transactions = Contract => Object.getOwnPropertyNames(Contract.prototype)
+		.filter(name => !['constructor', 'instantiate', 'beforeTransaction'].includes(name));
+
+	[[Contracts.USER, RegnetUserContract], [Contracts.REGISTRAR, RegnetRegistrarContract]].forEach(([contract, Contract]) => {
+		describe(contract.name, () => {
+			let routes = Routes.filter(route => route.contract === contract);
+
+			it('should be served under its name', () => {
+				new Contract().getName().should.equal(contract.name);
+			});
+
+			it('should expose every transaction exactly once', () => {
+				routes.map(route => route.transaction).sort().should.deep.equal(transactions(Contract).sort());
+			});
+
+			it('should pass every argument of each transaction', () => {
+				routes.forEach(route => {
+					//Transaction context is passed by the network
+					route.args.should.have.length(Contract.prototype[route.transaction].length - 1, route.transaction);
+				});
+			});
+		});
+	});
+
+	it('should not map two routes to the same method and path', () => {
+		let keys = Routes.map(route => route.method + ' ' + route.path);
+		new Set(keys).size.should.equal(keys.length);
+	});
+
+	it('should match the committed OpenAPI description', () => {
+		//Regenerate with npm run openapi after changing routes
+		require('../openapi.json').should.deep.equal(buildSpec());
+	});
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const express = require('express');
+const IndexerError = require('./errors.js');
+const reports = require('./reports.js');
+
+//Months are given as YYYY-MM
+const MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+//Number of owners listed by default and at most
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+/**
+ * Helper function to read a month from the query string
+ * @param req - Express request
+ * @param name - Name of the query parameter
+ * @returns
+ */
+function getMonth(req, name) {
+	let month = req.query[name];
+	if(month !== undefined && !MONTH.test(month)){
+		throw new IndexerError(IndexerError.Codes.INVALID_QUERY, "Query parameter " + name + " should be a month as YYYY-MM!!!");
+	}
+	return month;
+}
+
+/**
+ * Helper function to read the number of rows to return from the query string
+ * @param req - Express request
+ * @returns
+ */
+function getLimit(req) {
+	if(req.query.limit === undefined){
+		return DEFAULT_LIMIT;
+	}
+	let limit = Number(req.query.limit);
+	if(!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT){
+		throw new IndexerError(IndexerError.Codes.INVALID_QUERY, "Query parameter limit should be a whole number from 1 to " + MAX_LIMIT + "!!!");
+	}
+	return limit;
+}
+
+/**
+ * Create the REST application answering aggregate queries from the store
+ * @param store - IndexStore kept up to date by the indexer
+ * @returns
+ */
+function createApp(store) {
+	let app = express();
+
+	//Express passes errors thrown by handlers on to the error handler
+	app.get('/status', (req, res) => res.json(reports.getStatus(store)));
+	app.get('/reports/registrations', (req, res) => {
+		res.json(reports.getRegistrationsByMonth(store, getMonth(req, 'from'), getMonth(req, 'to')));
+	});
+	app.get('/reports/transfers', (req, res) => {
+		res.json(reports.getTransfersByMonth(store, getMonth(req, 'from'), getMonth(req, 'to')));
+	});
+	app.get('/reports/prices', (req, res) => res.json(reports.getPrices(store)));
+	app.get('/reports/top-owners', (req, res) => res.json(reports.getTopOwners(store, getLimit(req))));
+
+	app.use((req, res, next) => {
+		next(new IndexerError(IndexerError.Codes.NOT_FOUND, "No route for " + req.method + " " + req.path + "!!!"));
+	});
+
+	app.use((err, req, res, next) => {
+		let {status, body} = IndexerError.toResponse(err);
+		res.status(status).json(body);
+	});
+
+	return app;
+}
+
+module.exports = {
+	createApp: createApp
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+//Index of the transaction validation codes in block metadata and the code of transactions committed to world state
+const TRANSACTIONS_FILTER = 2;
+const VALID = 0;
+
+//Header type of transactions invoking chaincode, as number or name depending on the decoder
+const ENDORSER_TRANSACTION = [3, 'ENDORSER_TRANSACTION'];
+
+//Delimiter of the object type and attributes of composite keys
+const COMPOSITE_KEY_DELIMITER = '\u0000';
+
+/**
+ * Helper function to read a value decoded either as Buffer or as string
+ * @param value - Buffer or string
+ * @returns
+ */
+function toText(value) {
+	return Buffer.isBuffer(value) ? value.toString('utf8') : value;
+}
+
+/**
+ * Split a composite key into its object type and attributes, e.g. the property ID of a property key
+ * @param key - Composite key as written to world state
+ * @returns
+ */
+function splitCompositeKey(key) {
+	if(!key.startsWith(COMPOSITE_KEY_DELIMITER)){
+		return {objectType: null, attributes: []};
+	}
+	let components = key.substring(1).split(COMPOSITE_KEY_DELIMITER);
+	return {objectType: components[0], attributes: components.slice(1, -1)};
+}
+
+/**
+ * Extract the transactions of a chaincode from a block as decoded by fabric-client
+ * Invalid transactions, e.g. those failing MVCC checks, are left out since they never changed world state
+ * @param block - Block delivered by a block listener or recorded from one
+ * @param chaincode - Name of the chaincode
+ * @returns Block number along with transactions, each with txId, writes with key and value, null for deletes, and
+ * the chaincode event with name and parsed payload or null
+ */
+function decodeBlock(block, chaincode) {
+	let filter = block.metadata.metadata[TRANSACTIONS_FILTER];
+	let transactions = [];
+
+	block.data.data.forEach((envelope, index) => {
+		let header = envelope.payload.header.channel_header;
+		if(filter[index] !== VALID || !ENDORSER_TRANSACTION.includes(header.type)){
+			return;
+		}
+
+		let writes = [];
+		let event = null;
+		for(let action of envelope.payload.data.actions){
+			let extension = action.payload.action.proposal_response_payload.extension;
+			extension.results.ns_rwset.filter(rwset => rwset.namespace === chaincode).forEach(rwset => {
+				rwset.rwset.writes.forEach(write => writes.push({key: write.key, value: write.is_delete ? null : toText(write.value)}));
+			});
+			if(extension.events.chaincode_id === chaincode){
+				event = {name: extension.events.event_name, payload: JSON.parse(toText(extension.events.payload))};
+			}
+		}
+
+		//Transactions of other chaincodes, e.g. lifecycle transactions, do not concern the index
+		if(writes.length > 0 || event){
+			transactions.push({txId: header.tx_id, writes: writes, event: event});
+		}
+	});
+
+	return {number: Number(block.header.number), transactions: transactions};
+}
+
+module.exports = {
+	decodeBlock: decodeBlock,
+	splitCompositeKey: splitCompositeKey
+};
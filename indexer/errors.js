@@ -0,0 +1,51 @@
+'use strict';
+
+//Codes of errors raised by the indexer
+const ErrorCodes = {
+	INVALID_QUERY: 'INDEXER_INVALID_QUERY',
+	NOT_FOUND: 'INDEXER_NOT_FOUND',
+	BLOCK_OUT_OF_ORDER: 'INDEXER_BLOCK_OUT_OF_ORDER',
+	INTERNAL_ERROR: 'INDEXER_INTERNAL_ERROR'
+};
+
+//HTTP status codes of errors reported by the query endpoints
+const StatusCodes = {
+	[ErrorCodes.INVALID_QUERY]: 400,
+	[ErrorCodes.NOT_FOUND]: 404,
+	[ErrorCodes.INTERNAL_ERROR]: 500
+};
+
+//Error raised by the indexer along with a code identifying the kind of failure
+class IndexerError extends Error {
+	/**
+	 * Create a new coded error
+	 * @param code - One of the error codes
+	 * @param message - Description of the failure
+	 * @returns
+	 */
+	constructor(code, message) {
+		super(code + ': ' + message);
+		this.name = 'IndexerError';
+		this.code = code;
+	}
+
+	/**
+	 * Helper function to convert an error into the HTTP status and body sent to the client
+	 * Errors without a status of their own, e.g. failures of the store, are reported as internal errors
+	 * @param err - Error raised while answering a query
+	 * @returns
+	 */
+	static toResponse(err) {
+		let code = StatusCodes[err.code] ? err.code : ErrorCodes.INTERNAL_ERROR;
+		let message = (code === err.code) ? err.message.substring(code.length + 2) : "Query failed!!!";
+		return {
+			status: StatusCodes[code],
+			body: {error: {code: code, message: message}}
+		};
+	}
+}
+
+IndexerError.Codes = ErrorCodes;
+IndexerError.StatusCodes = StatusCodes;
+
+module.exports = IndexerError;
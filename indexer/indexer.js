@@ -0,0 +1,94 @@
+'use strict';
+
+const IndexerError = require('./errors.js');
+const {decodeBlock} = require('./blocks.js');
+const {applyTransaction} = require('./projection.js');
+
+//Name of the block listener registered with the network
+const LISTENER_NAME = 'regnet-indexer';
+
+//Indexer projecting blocks into the store strictly in order, one block at a time
+class Indexer {
+	/**
+	 * @param store - IndexStore holding the read model and the checkpoint
+	 * @param chaincode - Name of the chaincode whose transactions are indexed
+	 */
+	constructor(store, chaincode) {
+		this.store = store;
+		this.chaincode = chaincode;
+		this.queue = Promise.resolve();
+	}
+
+	/**
+	 * Number of the next block to be indexed, i.e. the block after the checkpoint
+	 * @returns
+	 */
+	nextBlock() {
+		let checkpoint = this.store.getCheckpoint();
+		return (checkpoint === null) ? 0 : checkpoint + 1;
+	}
+
+	/**
+	 * Index a block, blocks indexed already are skipped so that a block delivered again after a restart is harmless
+	 * @param block - Block as decoded by fabric-client
+	 * @returns True if the block was indexed, false if it was skipped
+	 */
+	async processBlock(block) {
+		let {number, transactions} = decodeBlock(block, this.chaincode);
+		let next = this.nextBlock();
+		if(number < next){
+			return false;
+		}
+		if(number > next){
+			throw new IndexerError(IndexerError.Codes.BLOCK_OUT_OF_ORDER, "Expected block " + next + " but received block " + number + "!!!");
+		}
+
+		this.store.commitBlock(number, () => {
+			transactions.forEach(transaction => applyTransaction(this.store, number, transaction));
+		});
+		return true;
+	}
+
+	/**
+	 * Index recorded blocks in order, e.g. to rebuild the store offline
+	 * @param blocks - Array of blocks as decoded by fabric-client
+	 * @returns Number of blocks indexed
+	 */
+	async replay(blocks) {
+		let indexed = 0;
+		for(let block of blocks){
+			if(await this.processBlock(block)){
+				indexed++;
+			}
+		}
+		return indexed;
+	}
+
+	/**
+	 * Listen to full blocks of the channel starting after the checkpoint
+	 * Blocks are indexed in the order they are delivered, once a block fails no further block is indexed so that
+	 * indexing resumes from that block after a restart
+	 * @param network - Network of fabric-network connected to the channel
+	 * @param onError - Function called with the error a block listener or a block failed with
+	 * @returns
+	 */
+	async listen(network, onError) {
+		let failed = false;
+		let fail = err => {
+			if(!failed){
+				failed = true;
+				onError(err);
+			}
+		};
+
+		return await network.addBlockListener(LISTENER_NAME, (err, block) => {
+			if(err){
+				fail(err);
+				return;
+			}
+			this.queue = this.queue.then(() => failed ? false : this.processBlock(block)).catch(fail);
+		}, {filtered: false, startBlock: this.nextBlock()});
+	}
+}
+
+module.exports = Indexer;
@@ -0,0 +1,129 @@
+'use strict';
+
+const RegnetHelper = require('regnet/utils.js');
+const {UserRequest, User, PropertyRequest, Property} = require('regnet/assets.js');
+const {splitCompositeKey} = require('./blocks.js');
+
+const ObjectTypes = RegnetHelper.ObjectTypes;
+const EventTypes = RegnetHelper.EventTypes;
+
+/**
+ * Helper function to get the ID a composite key is made of, e.g. the user ID of a user key
+ * @param key - Composite key
+ * @returns
+ */
+function toID(key) {
+	return splitCompositeKey(key).attributes[0];
+}
+
+/**
+ * Helper function to convert owners as written to the ledger into user IDs along with their shares
+ * @param owners - Array of owner keys with share
+ * @returns
+ */
+function toOwners(owners) {
+	return owners.map(owner => ({userID: toID(owner.owner), share: owner.share}));
+}
+
+//Assets projected into the store by object type of their key. Records are upgraded to the current schema version
+//first, so that blocks written by older chaincode versions project the same way as current ones
+const Projections = {
+	[ObjectTypes.USER]: {
+		assetClass: User,
+		remove: (store, id) => store.run('DELETE FROM users WHERE user_id = ?', [id]),
+		put: (store, id, user) => store.run('INSERT INTO users VALUES (?, ?, ?, ?, ?)',
+			[id, user.name, user.upgradCoins, user.createdAt || null, user.updatedAt || null])
+	},
+	[ObjectTypes.USER_REQUEST]: {
+		assetClass: UserRequest,
+		remove: (store, id) => store.run('DELETE FROM user_requests WHERE user_id = ?', [id]),
+		put: (store, id, request) => store.run('INSERT INTO user_requests VALUES (?, ?, ?, ?)',
+			[id, request.name, request.requestStatus, request.createdAt || null])
+	},
+	[ObjectTypes.PROPERTY_REQUEST]: {
+		assetClass: PropertyRequest,
+		remove: (store, id) => store.run('DELETE FROM property_requests WHERE property_id = ?', [id]),
+		put: (store, id, request) => store.run('INSERT INTO property_requests VALUES (?, ?, ?, ?)',
+			[id, request.requestStatus, request.price, request.createdAt || null])
+	},
+	[ObjectTypes.PROPERTY]: {
+		assetClass: Property,
+		//Owners are rewritten along with the property
+		remove: (store, id) => {
+			store.run('DELETE FROM properties WHERE property_id = ?', [id]);
+			store.run('DELETE FROM property_owners WHERE property_id = ?', [id]);
+		},
+		put: (store, id, property) => {
+			store.run('INSERT INTO properties VALUES (?, ?, ?, ?, ?, ?, ?)',
+				[id, property.status, property.price, property.consentThreshold, property.metadata ? property.metadata.district : null,
+					property.createdAt || null, property.updatedAt || null]);
+			toOwners(property.owners).forEach(owner => store.run('INSERT INTO property_owners VALUES (?, ?, ?)', [id, owner.userID, owner.share]));
+		}
+	}
+};
+
+//Events changing the owners of a property along with the coins paid for the property, if any
+const TransferPrices = {
+	[EventTypes.PROPERTY_PURCHASED]: amounts => amounts.price,
+	[EventTypes.OFFER_ACCEPTED]: amounts => amounts.amount,
+	[EventTypes.SHARE_TRANSFERRED]: () => null,
+	[EventTypes.COURT_ORDERED_TRANSFER]: () => null
+};
+
+/**
+ * Helper function to project a world state write into the store
+ * @param store - IndexStore
+ * @param write - Object with key and value, null for deletes
+ * @returns
+ */
+function applyWrite(store, write) {
+	let projection = Projections[splitCompositeKey(write.key).objectType];
+	if(!projection){
+		return;
+	}
+
+	let id = toID(write.key);
+	projection.remove(store, id);
+	if(write.value !== null){
+		projection.put(store, id, projection.assetClass.upgrade(JSON.parse(write.value)));
+	}
+}
+
+/**
+ * Helper function to record an ownership transfer announced by a chaincode event
+ * @param store - IndexStore
+ * @param blockNumber - Number of the block holding the transaction
+ * @param txId - ID of the transaction
+ * @param event - Chaincode event with name and payload
+ * @returns
+ */
+function applyEvent(store, blockNumber, txId, event) {
+	let price = TransferPrices[event.name];
+	if(!price){
+		return;
+	}
+
+	let payload = event.payload;
+	store.run('INSERT OR REPLACE INTO transfers VALUES (?, ?, ?, ?, ?, ?, ?, ?)', [
+		txId, blockNumber, event.name, payload.assets.property.propertyID, price(payload.amounts),
+		JSON.stringify(toOwners(payload.before.owners)), JSON.stringify(toOwners(payload.after.owners)), payload.timestamp
+	]);
+}
+
+/**
+ * Project a valid transaction of the regnet chaincode into the store
+ * @param store - IndexStore
+ * @param blockNumber - Number of the block holding the transaction
+ * @param transaction - Transaction with txId, writes and event as decoded from the block
+ * @returns
+ */
+function applyTransaction(store, blockNumber, transaction) {
+	transaction.writes.forEach(write => applyWrite(store, write));
+	if(transaction.event){
+		applyEvent(store, blockNumber, transaction.txId, transaction.event);
+	}
+}
+
+module.exports = {
+	applyTransaction: applyTransaction
+};
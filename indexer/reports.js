@@ -0,0 +1,110 @@
+'use strict';
+
+//Bounds of month ranges when either end is left open
+const FIRST_MONTH = '0000-01';
+const LAST_MONTH = '9999-12';
+
+//Properties replaced by a split or merger are kept in the store but left out of holdings and prices
+const LIVE = "properties.status != 'retired'";
+
+/**
+ * Helper function to count rows of a table by one of its columns
+ * @param store - IndexStore
+ * @param table - Name of the table
+ * @param column - Name of the column
+ * @returns
+ */
+function countBy(store, table, column) {
+	let counts = {};
+	store.all('SELECT ' + column + ' AS value, COUNT(*) AS count FROM ' + table + ' GROUP BY ' + column).forEach(row => {
+		counts[row.value] = row.count;
+	});
+	return counts;
+}
+
+/**
+ * Last indexed block along with the size of the read model
+ * @param store - IndexStore
+ * @returns
+ */
+function getStatus(store) {
+	return {
+		blockNumber: store.getCheckpoint(),
+		users: store.get('SELECT COUNT(*) AS count FROM users').count,
+		properties: countBy(store, 'properties', 'status'),
+		transfers: store.get('SELECT COUNT(*) AS count FROM transfers').count,
+		requests: {
+			user: countBy(store, 'user_requests', 'request_status'),
+			property: countBy(store, 'property_requests', 'request_status')
+		}
+	};
+}
+
+/**
+ * Users and properties registered per month, including users and properties imported in bulk and properties created
+ * by splits and mergers
+ * @param store - IndexStore
+ * @param from - First month as YYYY-MM, optional
+ * @param to - Last month as YYYY-MM, optional
+ * @returns
+ */
+function getRegistrationsByMonth(store, from, to) {
+	return store.all(`
+		SELECT month, SUM(users) AS users, SUM(properties) AS properties FROM (
+			SELECT substr(created_at, 1, 7) AS month, 1 AS users, 0 AS properties FROM users
+			UNION ALL
+			SELECT substr(created_at, 1, 7) AS month, 0 AS users, 1 AS properties FROM properties
+		) WHERE month BETWEEN ? AND ? GROUP BY month ORDER BY month`, [from || FIRST_MONTH, to || LAST_MONTH]);
+}
+
+/**
+ * Ownership transfers per month along with the number of sales, the coins they moved and their average price
+ * Share transfers and court ordered transfers move no coins and count as transfers only
+ * @param store - IndexStore
+ * @param from - First month as YYYY-MM, optional
+ * @param to - Last month as YYYY-MM, optional
+ * @returns
+ */
+function getTransfersByMonth(store, from, to) {
+	return store.all(`
+		SELECT substr(timestamp, 1, 7) AS month, COUNT(*) AS transfers, COUNT(price) AS sales, COALESCE(SUM(price), 0) AS volume,
+			ROUND(AVG(price), 2) AS averagePrice
+		FROM transfers WHERE month BETWEEN ? AND ? GROUP BY month ORDER BY month`, [from || FIRST_MONTH, to || LAST_MONTH]);
+}
+
+/**
+ * Average listed price of live properties, overall and by district
+ * @param store - IndexStore
+ * @returns
+ */
+function getPrices(store) {
+	let columns = 'COUNT(*) AS properties, ROUND(AVG(price), 2) AS averagePrice, MIN(price) AS minPrice, MAX(price) AS maxPrice';
+	let prices = store.get('SELECT ' + columns + ' FROM properties WHERE ' + LIVE);
+	prices.byDistrict = store.all('SELECT district, ' + columns + ' FROM properties WHERE ' + LIVE + ' GROUP BY district ORDER BY district');
+	return prices;
+}
+
+/**
+ * Owners holding the highest value of live properties, each property counting at its price weighted by the share held
+ * @param store - IndexStore
+ * @param limit - Maximum number of owners
+ * @returns
+ */
+function getTopOwners(store, limit) {
+	return store.all(`
+		SELECT property_owners.user_id AS userID, users.name AS name, COUNT(*) AS properties,
+			ROUND(SUM(properties.price * property_owners.share / 100.0), 2) AS ownedValue
+		FROM property_owners
+		JOIN properties ON properties.property_id = property_owners.property_id
+		LEFT JOIN users ON users.user_id = property_owners.user_id
+		WHERE ` + LIVE + `
+		GROUP BY property_owners.user_id ORDER BY ownedValue DESC, COUNT(*) DESC, property_owners.user_id LIMIT ?`, [limit]);
+}
+
+module.exports = {
+	getStatus: getStatus,
+	getRegistrationsByMonth: getRegistrationsByMonth,
+	getTransfersByMonth: getTransfersByMonth,
+	getPrices: getPrices,
+	getTopOwners: getTopOwners
+};
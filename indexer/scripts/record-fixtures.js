@@ -0,0 +1,149 @@
+'use strict';
+
+//Records the blocks of a scenario run by the contracts on the in-memory ledger of the chaincode tests, in the format
+//fabric-client decodes blocks delivered to block listeners. Run npm run fixtures after changing the scenario
+const crypto = require('crypto');
+const {FakeNetwork, AADHAR} = require('regnet/test/fakes/network.js');
+const RegnetHelper = require('regnet/utils.js');
+
+const CHANNEL = 'registrationchannel';
+const CHAINCODE = 'regnet';
+
+//Header types and validation codes of transactions
+const CONFIG = 1;
+const ENDORSER_TRANSACTION = 3;
+const VALID = 0;
+const MVCC_READ_CONFLICT = 11;
+
+//Collects transactions of the ledger into blocks
+class BlockRecorder {
+	constructor(ledger) {
+		this.ledger = ledger;
+		this.blocks = [];
+		this.envelopes = [];
+		this.codes = [];
+
+		//Every committed transaction goes into the block being recorded
+		let submit = ledger.submit.bind(ledger);
+		ledger.submit = async (...args) => {
+			let result = await submit(...args);
+			this.add(ledger.lastContext.stub, VALID);
+			return result;
+		};
+	}
+
+	//Add a transaction endorsed with given stub, e.g. one evaluated only and then failing validation
+	add(stub, code) {
+		let event = stub.event || {name: '', payload: Buffer.alloc(0)};
+		let writes = Array.from(stub.writes).map(([key, value]) =>
+			({key: key, is_delete: value === null, value: value ? value.toString('utf8') : ''}));
+		this.envelopes.push({
+			payload: {
+				header: {channel_header: {type: ENDORSER_TRANSACTION, channel_id: CHANNEL, tx_id: stub.txId, timestamp: new Date(stub.timestamp).toISOString()}},
+				data: {actions: [{payload: {action: {proposal_response_payload: {extension: {
+					results: {data_model: 0, ns_rwset: [{namespace: CHAINCODE, rwset: {reads: [], range_queries_info: [], writes: writes, metadata_writes: []},
+						collection_hashed_rwset: []}]},
+					events: {chaincode_id: stub.event ? CHAINCODE : '', tx_id: stub.event ? stub.txId : '', event_name: event.name,
+						payload: event.payload.toString('utf8')},
+					response: {status: 200, message: '', payload: ''},
+					chaincode_id: {path: '', name: CHAINCODE, version: '1.1'}
+				}}}}}]}
+			}
+		});
+		this.codes.push(code);
+	}
+
+	//Close the block being recorded
+	cut() {
+		let number = this.blocks.length;
+		let previous = this.blocks[number - 1];
+		this.blocks.push({
+			header: {
+				number: String(number),
+				previous_hash: previous ? previous.header.data_hash : '',
+				data_hash: crypto.createHash('sha256').update(JSON.stringify(this.envelopes)).digest('hex')
+			},
+			data: {data: this.envelopes},
+			metadata: {metadata: [{}, {}, this.codes, {}]}
+		});
+		this.envelopes = [];
+		this.codes = [];
+	}
+}
+
+async function record() {
+	let network = new FakeNetwork();
+	let recorder = new BlockRecorder(network.ledger);
+	const month = (year, index) => { network.ledger.time = Date.UTC(year, index, 1); };
+
+	//Genesis block carries the channel configuration only
+	recorder.envelopes.push({payload: {header: {channel_header: {type: CONFIG, channel_id: CHANNEL, tx_id: '', timestamp: new Date(network.ledger.time).toISOString()}},
+		data: {config: {}}}});
+	recorder.codes.push(VALID);
+	recorder.cut();
+
+	//January: users join and register properties
+	month(2020, 0);
+	for(let name of ['alice', 'bob', 'carol']){
+		await network.requestUser(name);
+	}
+	recorder.cut();
+	for(let name of ['alice', 'bob', 'carol']){
+		await network.asRegistrar('approveNewUser', [name, AADHAR[name]]);
+	}
+	await network.deposit('bob', 5000);
+	await network.deposit('carol', 3000);
+	recorder.cut();
+	await network.registerProperty('alice', '001', 1000);
+	await network.registerProperty('alice', '002', 2000, [{name: 'bob', share: 40}]);
+	recorder.cut();
+
+	//February: bob buys 001 while an endorsement of carol buying it too fails validation, a request is rejected
+	month(2020, 1);
+	await network.listForSale('alice', '001');
+	recorder.cut();
+	await network.ledger.evaluate(network.identity('carol'), network.user, 'purchaseProperty', ['001', 'carol', AADHAR.carol]);
+	let conflicting = network.ledger.lastContext.stub;
+	await network.asUser('bob', 'purchaseProperty', ['001', 'bob', AADHAR.bob]);
+	recorder.add(conflicting, MVCC_READ_CONFLICT);
+	await network.asUser('carol', 'propertyRegistrationRequest',
+		['carol', AADHAR.carol, '004', '700', '', '', network.metadataJSON('004')]);
+	await network.asRegistrar('rejectPropertyRegistration', ['004', 'Title deed does not match survey records']);
+	recorder.cut();
+
+	//March: dave and his property are imported, alice gives part of her share of 002 to carol
+	month(2020, 2);
+	await network.ledger.submit(network.registrarIdentity, network.registrar, 'importUsers', [],
+		{users: JSON.stringify([Object.assign({name: 'dave'}, network.pii('dave'))])});
+	let dave = RegnetHelper.getUserID(network.ctx, 'dave', AADHAR.dave);
+	let metadata = Object.assign(network.metadata('003'), {district: 'Mysuru'});
+	await network.asRegistrar('importProperties', [JSON.stringify([{propertyID: '003', price: 4000, owners: [{userID: dave, share: 100}], metadata: metadata}])]);
+	await network.asUser('alice', 'transferShare', ['002', 'alice', AADHAR.alice, 'carol', AADHAR.carol, '10']);
+	recorder.cut();
+
+	//April: carol buys 001 from bob through an offer and splits it
+	month(2020, 3);
+	await network.listForSale('bob', '001');
+	let offer = await network.asUser('carol', 'placeOffer', ['001', 'carol', AADHAR.carol, '900', '7']);
+	await network.asUser('bob', 'acceptOffer', ['001', offer.offerID, 'bob', AADHAR.bob]);
+	recorder.cut();
+	let request = await network.asUser('carol', 'requestPropertySplit', ['001', 'carol', AADHAR.carol, JSON.stringify([
+		{propertyID: '001A', price: 600, area: 700, surveyNumber: '001A/1'},
+		{propertyID: '001B', price: 500, area: 500, surveyNumber: '001B/1'}
+	])]);
+	await network.asRegistrar('approvePropertyRestructure', [request.requestID]);
+	recorder.cut();
+
+	//May: a court hands 003 over from dave to bob
+	month(2020, 4);
+	await network.asRegistrar('executeCourtOrderedTransfer', ['003', 'OS 112/2020',
+		JSON.stringify([{name: 'bob', aadharNumber: AADHAR.bob, share: 100}]), 'Decree of civil court']);
+	recorder.cut();
+
+	return recorder.blocks;
+}
+
+record().then(blocks => console.log(JSON.stringify(blocks, null, 1)), err => {
+	console.error(err);
+	process.exit(1);
+});
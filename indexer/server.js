@@ -0,0 +1,49 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {FileSystemWallet, Gateway} = require('fabric-network');
+const {createApp} = require('./app.js');
+const Indexer = require('./indexer.js');
+const IndexStore = require('./store.js');
+
+//Blocks are read with an identity of the users organization, which peers allow to receive full blocks
+const config = {
+	connectionProfile: process.env.REGNET_CONNECTION_PROFILE || path.join(__dirname, 'connection.json'),
+	wallet: process.env.REGNET_WALLET || path.join(__dirname, 'wallet'),
+	identity: process.env.REGNET_IDENTITY || 'indexer',
+	channel: process.env.REGNET_CHANNEL || 'registrationchannel',
+	chaincode: process.env.REGNET_CHAINCODE || 'regnet',
+	database: process.env.REGNET_INDEX_DB || path.join(__dirname, 'regnet-index.sqlite'),
+	port: Number(process.env.PORT || 3001)
+};
+
+async function main() {
+	let store = await IndexStore.open(config.database);
+	let indexer = new Indexer(store, config.chaincode);
+
+	let gateway = new Gateway();
+	await gateway.connect(JSON.parse(fs.readFileSync(config.connectionProfile, 'utf8')), {
+		wallet: new FileSystemWallet(config.wallet),
+		identity: config.identity,
+		discovery: {enabled: true, asLocalhost: process.env.REGNET_DISCOVERY_AS_LOCALHOST !== 'false'}
+	});
+	let network = await gateway.getNetwork(config.channel);
+
+	//Indexing resumes from the checkpoint once restarted
+	await indexer.listen(network, err => {
+		console.error('Indexing stopped after block ' + store.getCheckpoint() + ': ' + err.message);
+		gateway.disconnect();
+		process.exit(1);
+	});
+	console.log('Indexing ' + config.chaincode + ' on ' + config.channel + ' from block ' + indexer.nextBlock());
+
+	createApp(store).listen(config.port, () => {
+		console.log('Regnet indexer listening on port ' + config.port);
+	});
+}
+
+main().catch(err => {
+	console.error(err);
+	process.exit(1);
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+
+//Read model of the network. Assets are keyed by the ID their ledger key is made of rather than by the key itself, since
+//sql.js cuts strings short at the NUL delimiters of composite keys
+const SCHEMA = `
+	CREATE TABLE IF NOT EXISTS checkpoint (
+		id INTEGER PRIMARY KEY CHECK (id = 1),
+		block_number INTEGER NOT NULL
+	);
+	CREATE TABLE IF NOT EXISTS users (
+		user_id TEXT PRIMARY KEY,
+		name TEXT NOT NULL,
+		upgrad_coins INTEGER NOT NULL,
+		created_at TEXT,
+		updated_at TEXT
+	);
+	CREATE TABLE IF NOT EXISTS user_requests (
+		user_id TEXT PRIMARY KEY,
+		name TEXT NOT NULL,
+		request_status TEXT NOT NULL,
+		created_at TEXT
+	);
+	CREATE TABLE IF NOT EXISTS property_requests (
+		property_id TEXT PRIMARY KEY,
+		request_status TEXT NOT NULL,
+		price INTEGER NOT NULL,
+		created_at TEXT
+	);
+	CREATE TABLE IF NOT EXISTS properties (
+		property_id TEXT PRIMARY KEY,
+		status TEXT NOT NULL,
+		price INTEGER NOT NULL,
+		consent_threshold INTEGER NOT NULL,
+		district TEXT,
+		created_at TEXT,
+		updated_at TEXT
+	);
+	CREATE TABLE IF NOT EXISTS property_owners (
+		property_id TEXT NOT NULL,
+		user_id TEXT NOT NULL,
+		share INTEGER NOT NULL,
+		PRIMARY KEY (property_id, user_id)
+	);
+	CREATE TABLE IF NOT EXISTS transfers (
+		tx_id TEXT PRIMARY KEY,
+		block_number INTEGER NOT NULL,
+		event_type TEXT NOT NULL,
+		property_id TEXT NOT NULL,
+		price INTEGER,
+		previous_owners TEXT NOT NULL,
+		owners TEXT NOT NULL,
+		timestamp TEXT NOT NULL
+	);
+`;
+
+//SQLite database holding the read model, kept in memory and written to its file after every block
+class IndexStore {
+	/**
+	 * @param db - sql.js database
+	 * @param file - Path of the database file, null to keep the database in memory only
+	 */
+	constructor(db, file) {
+		this.db = db;
+		this.file = file;
+		this.db.exec(SCHEMA);
+	}
+
+	/**
+	 * Open the store saved in given file, or an empty store if the file does not exist yet
+	 * @param file - Path of the database file, omit to keep the database in memory only
+	 * @returns
+	 */
+	static async open(file) {
+		let SQL = await initSqlJs();
+		let data = (file && fs.existsSync(file)) ? fs.readFileSync(file) : undefined;
+		return new IndexStore(new SQL.Database(data), file || null);
+	}
+
+	/**
+	 * Run a statement changing the store
+	 * @param sql - SQL statement
+	 * @param params - Array of parameters, optional
+	 * @returns
+	 */
+	run(sql, params) {
+		this.db.run(sql, params || []);
+	}
+
+	/**
+	 * Run a query and return all rows as objects
+	 * @param sql - SQL query
+	 * @param params - Array of parameters, optional
+	 * @returns
+	 */
+	all(sql, params) {
+		let statement = this.db.prepare(sql);
+		try {
+			statement.bind(params || []);
+			let rows = [];
+			while(statement.step()){
+				rows.push(statement.getAsObject());
+			}
+			return rows;
+		} finally {
+			statement.free();
+		}
+	}
+
+	/**
+	 * Run a query and return its first row, or null if there is none
+	 * @param sql - SQL query
+	 * @param params - Array of parameters, optional
+	 * @returns
+	 */
+	get(sql, params) {
+		return this.all(sql, params)[0] || null;
+	}
+
+	/**
+	 * Number of the last block indexed, or null if no block has been indexed yet
+	 * @returns
+	 */
+	getCheckpoint() {
+		let checkpoint = this.get('SELECT block_number FROM checkpoint WHERE id = 1');
+		return checkpoint ? checkpoint.block_number : null;
+	}
+
+	/**
+	 * Apply the changes of a block along with the checkpoint in one database transaction and save the store
+	 * A block failing half way leaves neither its changes nor its checkpoint behind
+	 * @param blockNumber - Number of the block
+	 * @param apply - Function making the changes of the block
+	 * @returns
+	 */
+	commitBlock(blockNumber, apply) {
+		this.run('BEGIN');
+		try {
+			apply();
+			this.run('INSERT OR REPLACE INTO checkpoint (id, block_number) VALUES (1, ?)', [blockNumber]);
+			this.run('COMMIT');
+		} catch(err) {
+			this.run('ROLLBACK');
+			throw err;
+		}
+		this.save();
+	}
+
+	/**
+	 * Write the store to its file, through a temporary file so that a crash never leaves a partly written store
+	 * @returns
+	 */
+	save() {
+		if(this.file){
+			fs.writeFileSync(this.file + '.tmp', Buffer.from(this.db.export()));
+			fs.renameSync(this.file + '.tmp', this.file);
+		}
+	}
+
+	close() {
+		this.db.close();
+	}
+}
+
+module.exports = IndexStore;
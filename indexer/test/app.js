@@ -0,0 +1,80 @@
+'use strict';
+
+const chai = require('chai');
+const request = require('supertest');
+
+const {createApp} = require('../app.js');
+const Indexer = require('../indexer.js');
+const IndexStore = require('../store.js');
+const blocks = require('./fixtures/blocks.json');
+
+chai.should();
+
+describe('Query endpoints', () => {
+	let store, app;
+
+	before(async () => {
+		store = await IndexStore.open();
+		await new Indexer(store, 'regnet').replay(blocks);
+		app = createApp(store);
+	});
+
+	after(() => {
+		store.close();
+	});
+
+	it('should report the last indexed block', async () => {
+		let res = await request(app).get('/status').expect(200);
+		res.body.should.deep.include({blockNumber: 9, users: 4, transfers: 4});
+	});
+
+	it('should report registrations per month within given months', async () => {
+		let res = await request(app).get('/reports/registrations').query({from: '2020-03'}).expect(200);
+		res.body.should.deep.equal([{month: '2020-03', users: 1, properties: 1}, {month: '2020-04', users: 0, properties: 2}]);
+	});
+
+	it('should report transfer volume per month', async () => {
+		let res = await request(app).get('/reports/transfers').query({to: '2020-02'}).expect(200);
+		res.body.should.deep.equal([{month: '2020-02', transfers: 1, sales: 1, volume: 1000, averagePrice: 1000}]);
+	});
+
+	it('should report average prices', async () => {
+		let res = await request(app).get('/reports/prices').expect(200);
+		res.body.should.deep.include({properties: 4, averagePrice: 1775});
+		res.body.byDistrict.map(district => district.district).should.deep.equal(['Bengaluru Urban', 'Mysuru']);
+	});
+
+	it('should report top owners', async () => {
+		let res = await request(app).get('/reports/top-owners').expect(200);
+		res.body.map(owner => owner.name).should.deep.equal(['bob', 'carol', 'alice']);
+
+		res = await request(app).get('/reports/top-owners').query({limit: 1}).expect(200);
+		res.body.map(owner => owner.name).should.deep.equal(['bob']);
+	});
+
+	it('should reject invalid query parameters', async () => {
+		let res = await request(app).get('/reports/transfers').query({from: '2020-13'});
+		res.status.should.equal(400);
+		res.body.should.deep.equal({error: {code: 'INDEXER_INVALID_QUERY', message: "Query parameter from should be a month as YYYY-MM!!!"}});
+
+		for(let limit of ['0', '101', 'ten']){
+			res = await request(app).get('/reports/top-owners').query({limit: limit});
+			res.status.should.equal(400);
+			res.body.error.message.should.equal("Query parameter limit should be a whole number from 1 to 100!!!");
+		}
+	});
+
+	it('should report unknown routes', async () => {
+		let res = await request(app).get('/reports/owners');
+		res.status.should.equal(404);
+		res.body.should.deep.equal({error: {code: 'INDEXER_NOT_FOUND', message: "No route for GET /reports/owners!!!"}});
+	});
+
+	it('should report failures of the store as internal errors', async () => {
+		let closed = await IndexStore.open();
+		closed.close();
+		let res = await request(createApp(closed)).get('/status');
+		res.status.should.equal(500);
+		res.body.should.deep.equal({error: {code: 'INDEXER_INTERNAL_ERROR', message: "Query failed!!!"}});
+	});
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const chai = require('chai');
+
+const {decodeBlock, splitCompositeKey} = require('../blocks.js');
+const blocks = require('./fixtures/blocks.json');
+
+chai.should();
+
+describe('Blocks', () => {
+	//Fixtures are decoded from JSON, hence each test works on its own copy
+	const block = number => JSON.parse(JSON.stringify(blocks[number]));
+	const extension = (block, index) => block.data.data[index].payload.data.actions[0].payload.action.proposal_response_payload.extension;
+
+	describe('#decodeBlock', () => {
+		it('should skip configuration transactions', () => {
+			decodeBlock(block(0), 'regnet').should.deep.equal({number: 0, transactions: []});
+		});
+
+		it('should return writes and event of every transaction of the chaincode', () => {
+			let decoded = decodeBlock(block(1), 'regnet');
+			decoded.number.should.equal(1);
+			decoded.transactions.should.have.length(3);
+			decoded.transactions.forEach(transaction => {
+				transaction.event.name.should.equal('UserRegistrationRequested');
+				transaction.event.payload.txId.should.equal(transaction.txId);
+				transaction.writes.should.have.length(1);
+				JSON.parse(transaction.writes[0].value).requestStatus.should.equal('pending');
+			});
+		});
+
+		it('should leave out transactions failing validation', () => {
+			let recorded = block(5);
+			//Purchase by carol was endorsed along with the one by bob and failed MVCC checks
+			let invalid = recorded.metadata.metadata[2].indexOf(11);
+			let decoded = decodeBlock(recorded, 'regnet');
+			decoded.transactions.should.have.length(recorded.data.data.length - 1);
+			decoded.transactions.map(transaction => transaction.txId).should.not.include(recorded.data.data[invalid].payload.header.channel_header.tx_id);
+			decoded.transactions.filter(transaction => transaction.event.name === 'PropertyPurchased').should.have.length(1);
+		});
+
+		it('should read values and payloads delivered as buffers', () => {
+			let recorded = block(1);
+			let {results, events} = extension(recorded, 0);
+			let write = results.ns_rwset[0].rwset.writes[0];
+			write.value = Buffer.from(write.value);
+			events.payload = Buffer.from(events.payload);
+
+			let transaction = decodeBlock(recorded, 'regnet').transactions[0];
+			transaction.writes[0].value.should.equal(write.value.toString());
+			transaction.event.name.should.equal('UserRegistrationRequested');
+		});
+
+		it('should report deletes and ignore other chaincodes', () => {
+			let recorded = block(1);
+			let {results} = extension(recorded, 0);
+			results.ns_rwset[0].rwset.writes[0].is_delete = true;
+			results.ns_rwset.push({namespace: 'lscc', rwset: {reads: [], range_queries_info: [], writes: [{key: 'regnet', is_delete: false, value: 'x'}]}});
+
+			let transaction = decodeBlock(recorded, 'regnet').transactions[0];
+			transaction.writes.should.deep.equal([{key: results.ns_rwset[0].rwset.writes[0].key, value: null}]);
+			decodeBlock(recorded, 'other').transactions.should.have.length(0);
+		});
+	});
+
+	describe('#splitCompositeKey', () => {
+		it('should split composite keys into object type and attributes', () => {
+			splitCompositeKey('\u0000org.property-registration-network.regnet.offer\u0000001\u00007\u0000')
+				.should.deep.equal({objectType: 'org.property-registration-network.regnet.offer', attributes: ['001', '7']});
+		});
+
+		it('should leave simple keys without object type', () => {
+			splitCompositeKey('regnet').should.deep.equal({objectType: null, attributes: []});
+		});
+	});
+});
@@ -0,0 +1,239 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Indexer = require('../indexer.js');
+const IndexStore = require('../store.js');
+const reports = require('../reports.js');
+const blocks = require('./fixtures/blocks.json');
+
+chai.should();
+chai.use(chaiAsPromised);
+
+//IDs of the users of the recorded scenario, i.e. HMACs of their names and Aadhar numbers keyed with the user ID key of the test network
+const ALICE = '69587b14e3b4fb111c1d982f0506c38ef3d80fba1bbaee8791c4d6da285492da';
+const BOB = 'd4e8939336549086f641e8b46899b1e10149781bf749f118f52279de5135191d';
+const CAROL = '1781cff85f4bb9b1ee60f8bc5313e8d49974f611488ba7037cd97c10e1d485f0';
+const DAVE = '1878b1bf63bb2db8a92c0406c235fc81476daf2ca8ed329d1d163911f71a5f1b';
+
+const PROPERTY = 'org.property-registration-network.regnet.property';
+const USER = 'org.property-registration-network.regnet.user';
+const USER_REQUEST = 'org.property-registration-network.regnet.request.user';
+const PROPERTY_REQUEST = 'org.property-registration-network.regnet.request.property';
+const key = (objectType, id) => '\u0000' + objectType + '\u0000' + id + '\u0000';
+
+//Block with one transaction writing given values, values of null delete their key
+function blockOf(number, writes) {
+	return {
+		header: {number: String(number)},
+		data: {data: [{payload: {
+			header: {channel_header: {type: 3, tx_id: 'tx' + number}},
+			data: {actions: [{payload: {action: {proposal_response_payload: {extension: {
+				results: {ns_rwset: [{namespace: 'regnet', rwset: {writes: Object.keys(writes).map(key => ({
+					key: key, is_delete: writes[key] === null, value: writes[key] === null ? '' : JSON.stringify(writes[key])
+				}))}}]},
+				events: {chaincode_id: '', event_name: '', payload: ''}
+			}}}}}]}
+		}}]},
+		metadata: {metadata: [{}, {}, [0], {}]}
+	};
+}
+
+describe('Indexer', () => {
+	let store, indexer;
+
+	beforeEach(async () => {
+		store = await IndexStore.open();
+		indexer = new Indexer(store, 'regnet');
+	});
+
+	afterEach(() => {
+		store.close();
+	});
+
+	describe('#replay', () => {
+		beforeEach(async () => {
+			(await indexer.replay(blocks)).should.equal(blocks.length);
+		});
+
+		it('should project users, requests and properties with their owners', () => {
+			store.getCheckpoint().should.equal(blocks.length - 1);
+			reports.getStatus(store).should.deep.equal({
+				blockNumber: 9,
+				users: 4,
+				properties: {registered: 4, retired: 1},
+				transfers: 4,
+				requests: {user: {approved: 3}, property: {approved: 2, rejected: 1}}
+			});
+			store.all('SELECT name, upgrad_coins FROM users ORDER BY name').should.deep.equal([
+				{name: 'alice', upgrad_coins: 1000}, {name: 'bob', upgrad_coins: 4900}, {name: 'carol', upgrad_coins: 2100}, {name: 'dave', upgrad_coins: 0}
+			]);
+			store.all('SELECT user_id, share FROM property_owners WHERE property_id = ? ORDER BY share DESC', ['002']).should.deep.equal([
+				{user_id: ALICE, share: 50}, {user_id: BOB, share: 40}, {user_id: CAROL, share: 10}
+			]);
+			store.get('SELECT status FROM properties WHERE property_id = ?', ['001']).status.should.equal('retired');
+		});
+
+		it('should record ownership transfers along with the coins paid', () => {
+			store.all('SELECT block_number, event_type, property_id, price, previous_owners, owners, timestamp FROM transfers ORDER BY block_number')
+				.should.deep.equal([
+					{block_number: 5, event_type: 'PropertyPurchased', property_id: '001', price: 1000, timestamp: '2020-02-01T00:00:03.000Z',
+						previous_owners: JSON.stringify([{userID: ALICE, share: 100}]), owners: JSON.stringify([{userID: BOB, share: 100}])},
+					{block_number: 6, event_type: 'ShareTransferred', property_id: '002', price: null, timestamp: '2020-03-01T00:00:03.000Z',
+						previous_owners: JSON.stringify([{userID: ALICE, share: 60}, {userID: BOB, share: 40}]),
+						owners: JSON.stringify([{userID: ALICE, share: 50}, {userID: BOB, share: 40}, {userID: CAROL, share: 10}])},
+					{block_number: 7, event_type: 'OfferAccepted', property_id: '001', price: 900, timestamp: '2020-04-01T00:00:03.000Z',
+						previous_owners: JSON.stringify([{userID: BOB, share: 100}]), owners: JSON.stringify([{userID: CAROL, share: 100}])},
+					{block_number: 9, event_type: 'CourtOrderedTransfer', property_id: '003', price: null, timestamp: '2020-05-01T00:00:01.000Z',
+						previous_owners: JSON.stringify([{userID: DAVE, share: 100}]), owners: JSON.stringify([{userID: BOB, share: 100}])}
+				]);
+		});
+
+		it('should report registrations, transfers, prices and top owners', () => {
+			reports.getRegistrationsByMonth(store).should.deep.equal([
+				{month: '2020-01', users: 3, properties: 2},
+				{month: '2020-03', users: 1, properties: 1},
+				{month: '2020-04', users: 0, properties: 2}
+			]);
+			reports.getRegistrationsByMonth(store, '2020-02', '2020-03').should.deep.equal([{month: '2020-03', users: 1, properties: 1}]);
+			reports.getTransfersByMonth(store, '2020-03').should.deep.equal([
+				{month: '2020-03', transfers: 1, sales: 0, volume: 0, averagePrice: null},
+				{month: '2020-04', transfers: 1, sales: 1, volume: 900, averagePrice: 900},
+				{month: '2020-05', transfers: 1, sales: 0, volume: 0, averagePrice: null}
+			]);
+			reports.getPrices(store).should.deep.equal({
+				properties: 4, averagePrice: 1775, minPrice: 500, maxPrice: 4000,
+				byDistrict: [
+					{district: 'Bengaluru Urban', properties: 3, averagePrice: 1033.33, minPrice: 500, maxPrice: 2000},
+					{district: 'Mysuru', properties: 1, averagePrice: 4000, minPrice: 4000, maxPrice: 4000}
+				]
+			});
+			reports.getTopOwners(store, 2).should.deep.equal([
+				{userID: BOB, name: 'bob', properties: 2, ownedValue: 4800},
+				{userID: CAROL, name: 'carol', properties: 3, ownedValue: 1300}
+			]);
+		});
+
+		it('should skip blocks indexed already', async () => {
+			(await indexer.replay(blocks)).should.equal(0);
+			reports.getStatus(store).transfers.should.equal(4);
+		});
+	});
+
+	describe('#processBlock', () => {
+		it('should reject blocks beyond the next one', async () => {
+			await indexer.processBlock(blocks[1]).should.be.rejectedWith('INDEXER_BLOCK_OUT_OF_ORDER: Expected block 0 but received block 1!!!');
+			(store.getCheckpoint() === null).should.equal(true);
+		});
+
+		it('should leave neither changes nor checkpoint of a failing block', async () => {
+			await indexer.replay(blocks.slice(0, 2));
+			let failing = blockOf(2, {[key(USER, 'eve')]: {name: 'eve', upgradCoins: 0}, [key(PROPERTY, 'P9')]: {propertyID: 'P9'}});
+			await indexer.processBlock(failing).should.be.rejected;
+
+			store.getCheckpoint().should.equal(1);
+			store.all('SELECT * FROM users').should.have.length(0);
+		});
+
+		it('should project records written by older chaincode versions and deletes', async () => {
+			await indexer.processBlock(blockOf(0, {
+				[key(PROPERTY, 'P1')]: {propertyID: 'P1', owner: key(USER, 'alice-123456789012'), price: 500, status: 'registered'},
+				[key(USER, 'alice-123456789012')]: {name: 'alice', upgradCoins: 10},
+				[key(USER_REQUEST, 'bob-210987654321')]: {name: 'bob'},
+				[key(PROPERTY_REQUEST, 'P2')]: {propertyID: 'P2', owner: key(USER, 'alice-123456789012'), price: 300},
+				'\u0000org.property-registration-network.regnet.lien\u0000P1\u00001\u0000': {amount: 100}
+			}));
+			store.all('SELECT * FROM properties').should.deep.equal([{property_id: 'P1', status: 'registered', price: 500, consent_threshold: 100,
+				district: null, created_at: null, updated_at: null}]);
+			store.all('SELECT * FROM property_owners').should.deep.equal([{property_id: 'P1', user_id: 'alice-123456789012', share: 100}]);
+			store.all('SELECT * FROM users').should.deep.equal([{user_id: 'alice-123456789012', name: 'alice', upgrad_coins: 10, created_at: null, updated_at: null}]);
+			store.all('SELECT * FROM user_requests').should.deep.equal([{user_id: 'bob-210987654321', name: 'bob', request_status: 'pending', created_at: null}]);
+			store.all('SELECT * FROM property_requests').should.deep.equal([{property_id: 'P2', request_status: 'pending', price: 300, created_at: null}]);
+
+			await indexer.processBlock(blockOf(1, {[key(PROPERTY, 'P1')]: null, [key(USER, 'alice-123456789012')]: null,
+				[key(USER_REQUEST, 'bob-210987654321')]: null, [key(PROPERTY_REQUEST, 'P2')]: null}));
+			['properties', 'property_owners', 'users', 'user_requests', 'property_requests'].forEach(table => {
+				store.all('SELECT * FROM ' + table).should.have.length(0, table);
+			});
+		});
+	});
+
+	describe('Checkpoints', () => {
+		let dir;
+
+		beforeEach(() => {
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), 'regnet-index-'));
+		});
+
+		afterEach(() => {
+			fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+			fs.rmdirSync(dir);
+		});
+
+		it('should resume from the checkpoint saved with the store', async () => {
+			let file = path.join(dir, 'index.sqlite');
+			let saved = await IndexStore.open(file);
+			(await new Indexer(saved, 'regnet').replay(blocks.slice(0, 5))).should.equal(5);
+			saved.close();
+			fs.readdirSync(dir).should.deep.equal(['index.sqlite']);
+
+			let reopened = await IndexStore.open(file);
+			let resumed = new Indexer(reopened, 'regnet');
+			resumed.nextBlock().should.equal(5);
+			(await resumed.replay(blocks)).should.equal(blocks.length - 5);
+			reports.getStatus(reopened).transfers.should.equal(4);
+			reopened.close();
+		});
+	});
+
+	describe('#listen', () => {
+		let listeners, errors;
+
+		//Network of fabric-network delivering blocks to the listener registered by the indexer
+		const network = {
+			addBlockListener: async (name, callback, options) => {
+				listeners.push({name: name, callback: callback, options: options});
+				return name;
+			}
+		};
+
+		beforeEach(() => {
+			listeners = [];
+			errors = [];
+		});
+
+		it('should index full blocks delivered after the checkpoint', async () => {
+			await indexer.replay(blocks.slice(0, 3));
+			(await indexer.listen(network, err => errors.push(err))).should.equal('regnet-indexer');
+			listeners[0].options.should.deep.equal({filtered: false, startBlock: 3});
+
+			blocks.slice(3).forEach(block => listeners[0].callback(null, block));
+			await indexer.queue;
+			store.getCheckpoint().should.equal(blocks.length - 1);
+			errors.should.have.length(0);
+		});
+
+		it('should stop indexing once a block fails', async () => {
+			await indexer.listen(network, err => errors.push(err));
+			listeners[0].callback(null, blocks[0]);
+			listeners[0].callback(null, blocks[2]);
+			listeners[0].callback(null, blocks[1]);
+			await indexer.queue;
+
+			errors.map(err => err.code).should.deep.equal(['INDEXER_BLOCK_OUT_OF_ORDER']);
+			store.getCheckpoint().should.equal(0);
+		});
+
+		it('should report failures of the listener once', async () => {
+			await indexer.listen(network, err => errors.push(err));
+			listeners[0].callback(new Error('Peer disconnected'));
+			listeners[0].callback(new Error('Peer disconnected'));
+
+			errors.map(err => err.message).should.deep.equal(['Peer disconnected']);
+		});
+	});
+});